@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * Pathfinding benchmark on generated terrains.
+ *
+ * Plans a corner-to-corner path on each terrain, once with a battery that
+ * never runs low and once with a battery that needs recharges on the way, three
+ * ways: with the current planner; with the current planner on the sorted-array
+ * open set it used to have, which isolates the gain of the binary heap; and
+ * with the planner as it was before the redesign, loaded from git history, with
+ * string pose keys and new pose objects on every move. The last two stop after
+ * a fixed number of dequeues, since they would not finish on large terrains;
+ * compare the time per dequeue.
+ *
+ * Usage: node benchmarks/pathfinding.js [size ...]   (default: 100 500)
+ */
+const { execFileSync } = require('child_process');
+const Module = require('module');
+const path = require('path');
+const PathfindingService = require('../src/services/PathfindingService');
+
+// The last commit before the binary-heap redesign
+const BASELINE_REVISION = '69f0b6b9a1d560aee5cbf0e22bfe9def9106d9a0';
+const BASELINE_PATH = path.join(__dirname, '../src/services/PathfindingService.js');
+
+const TERRAIN_TYPES = ['Fe', 'Se', 'W', 'Si', 'Zn'];
+const OBSTACLE_RATIO = 0.2;
+const LEGACY_DEQUEUE_BUDGET = 50000;
+const CONSTRAINED_BATTERY = 60;
+
+class BudgetExceededError extends Error {}
+
+/**
+ * Load the planner as it was at a revision, resolving its requires against the
+ * current tree. Its open set is module-private, so it is exported as
+ * PriorityQueue to count its dequeues.
+ * @param {string} revision - Git revision
+ * @returns {Function} - The PathfindingService class; throws when the revision is not in git history
+ */
+function loadBaseline(revision) {
+  const source = execFileSync('git', ['show', `${revision}:./${path.basename(BASELINE_PATH)}`], {
+    cwd: path.dirname(BASELINE_PATH),
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+
+  const baseline = new Module(BASELINE_PATH, module);
+  baseline.filename = BASELINE_PATH;
+  baseline.paths = Module._nodeModulePaths(path.dirname(BASELINE_PATH));
+  baseline._compile(`${source}\nmodule.exports.PriorityQueue = PriorityQueue;\n`, BASELINE_PATH);
+  return baseline.exports;
+}
+
+/**
+ * Count the dequeues of an open set class and stop the search after a budget
+ * @param {Function} Queue - Open set class, patched in place
+ * @param {Object} counter - Gets the count in counter.dequeues
+ * @param {number} [budget] - Dequeues allowed
+ * @returns {Function} - Undoes the patch
+ */
+function instrument(Queue, counter, budget = Infinity) {
+  const { dequeue } = Queue.prototype;
+  counter.dequeues = 0;
+
+  Queue.prototype.dequeue = function () {
+    if (++counter.dequeues > budget) {
+      throw new BudgetExceededError();
+    }
+    return dequeue.call(this);
+  };
+
+  return () => {
+    Queue.prototype.dequeue = dequeue;
+  };
+}
+
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function generateTerrain(size, seed) {
+  const random = createRandom(seed);
+  const terrain = [];
+
+  for (let y = 0; y < size; y++) {
+    const row = [];
+    for (let x = 0; x < size; x++) {
+      row.push(random() < OBSTACLE_RATIO
+        ? 'Obs'
+        : TERRAIN_TYPES[Math.floor(random() * TERRAIN_TYPES.length)]);
+    }
+    terrain.push(row);
+  }
+
+  // Keep the corners open so the start and target are not walled in
+  for (let y = 0; y < 3; y++) {
+    for (let x = 0; x < 3; x++) {
+      terrain[y][x] = 'Fe';
+      terrain[size - 1 - y][size - 1 - x] = 'Fe';
+    }
+  }
+  return terrain;
+}
+
+/**
+ * Plan corner to corner, counting the dequeues of the open set
+ * @param {Object} pathfinder - Pathfinder to run
+ * @param {Function} Queue - Open set class the pathfinder uses
+ * @param {number} battery - Initial battery
+ * @param {number} [budget] - Dequeues allowed
+ * @returns {Object} - {status, dequeues, elapsed, commands, recharges}
+ */
+function run(pathfinder, Queue, battery, budget = Infinity) {
+  const size = pathfinder.terrain.length;
+  const start = { x: 0, y: 0, facing: 'East' };
+  const target = { x: size - 1, y: size - 1 };
+  const counter = {};
+  const restore = instrument(Queue, counter, budget);
+
+  const startedAt = process.hrtime.bigint();
+  let result = null;
+  try {
+    result = pathfinder.findPath(start, target, battery);
+  } catch (error) {
+    if (!(error instanceof BudgetExceededError)) throw error;
+  } finally {
+    restore();
+  }
+  const elapsed = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+  return {
+    status: result ? (result.success ? 'found' : 'no path') : 'stopped',
+    dequeues: Math.min(counter.dequeues, budget),
+    elapsed,
+    commands: result && result.success ? result.commands.length : '-',
+    recharges: result && result.success ? result.commands.filter(command => command === 'E').length : '-'
+  };
+}
+
+function formatRow(columns, widths) {
+  return columns.map((column, index) => String(column).padEnd(widths[index])).join('  ');
+}
+
+/**
+ * Use the sorted-array open set for every search of a pathfinder
+ * @param {PathfindingService} pathfinder - Current planner
+ * @param {Function} Queue - Sorted-array open set class
+ * @returns {PathfindingService} - The pathfinder
+ */
+function withQueue(pathfinder, Queue) {
+  pathfinder.createQueue = () => new Queue();
+  return pathfinder;
+}
+
+function main() {
+  const sizes = process.argv.slice(2).map(Number).filter(size => size > 1);
+  const widths = [9, 8, 21, 8, 10, 11, 12, 9, 9];
+
+  let Baseline = null;
+  try {
+    Baseline = loadBaseline(BASELINE_REVISION);
+  } catch (error) {
+    console.log(`Skipping the planner before the redesign: revision ${BASELINE_REVISION} is not in git history\n`);
+  }
+
+  console.log(formatRow(['Terrain', 'Battery', 'Planner', 'Status', 'Dequeues', 'Time (ms)', 'us/dequeue', 'Commands', 'Recharges'], widths));
+
+  for (const size of sizes.length > 0 ? sizes : [100, 500]) {
+    const terrain = generateTerrain(size, size);
+
+    for (const battery of [size * 20, CONSTRAINED_BATTERY]) {
+      const runs = [['current', run(new PathfindingService(terrain), PathfindingService.PriorityQueue, battery)]];
+      if (Baseline) {
+        runs.push(
+          ['current, sorted array', run(withQueue(new PathfindingService(terrain), Baseline.PriorityQueue),
+            Baseline.PriorityQueue, battery, LEGACY_DEQUEUE_BUDGET)],
+          ['before redesign', run(new Baseline(terrain), Baseline.PriorityQueue, battery, LEGACY_DEQUEUE_BUDGET)]
+        );
+      }
+
+      for (const [name, result] of runs) {
+        console.log(formatRow([
+          `${size}x${size}`,
+          battery,
+          name,
+          result.status,
+          result.dequeues,
+          result.elapsed.toFixed(1),
+          (result.elapsed * 1000 / result.dequeues).toFixed(2),
+          result.commands,
+          result.recharges
+        ], widths));
+      }
+    }
+  }
+}
+
+main();
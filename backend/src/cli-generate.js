@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const terrainGenerationService = require('./services/TerrainGenerationService');
+const ValidationError = require('./errors/ValidationError');
+
+const NUMBER_OPTIONS = ['width', 'height', 'obstacleDensity', 'depositSize', 'battery', 'commandCount'];
+
+const USAGE = `Usage: node cli-generate.js [output.json] [options]
+
+Options:
+  --seed <seed>                 Seed; the same seed always gives the same terrain (default: random)
+  --width <n>                   Number of columns (default 10)
+  --height <n>                  Number of rows (default 10)
+  --distribution <weights>      Terrain type weights, e.g. Fe=3,W=1 (default: equal weights)
+  --obstacleDensity <share>     Share of obstacle cells, from 0 to 1 (default 0.1)
+  --depositSize <n>             Average cells per deposit, 1 for no clustering (default 4)
+  --no-connected                Allow cells that cannot be reached from the start
+  --battery <n>                 Initial battery (default 50)
+  --commandCount <n>            Number of random commands (default 10)
+
+Without an output file the input is printed to stdout.`;
+
+/**
+ * Parse command-line arguments into generation options
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - {outputFile, options}
+ */
+function parseArguments(args) {
+  const options = {};
+  let outputFile = null;
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+
+    if (arg === '--no-connected') {
+      options.connected = false;
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      if (outputFile !== null) {
+        throw new Error(`Unexpected argument ${arg}`);
+      }
+      outputFile = arg;
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const value = inlineValue !== undefined ? inlineValue : args[++index];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${name}`);
+    }
+
+    if (NUMBER_OPTIONS.includes(name)) {
+      options[name] = Number(value);
+    } else if (name === 'seed') {
+      options.seed = /^\d+$/.test(value) ? Number(value) : value;
+    } else if (name === 'connected') {
+      options.connected = value !== 'false';
+    } else if (name === 'distribution') {
+      options.distribution = {};
+      for (const entry of value.split(',')) {
+        const [type, weight] = entry.split('=');
+        options.distribution[type.trim()] = Number(weight);
+      }
+    } else {
+      throw new Error(`Unknown option --${name}`);
+    }
+  }
+
+  return { outputFile, options };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    const { outputFile, options } = parseArguments(args);
+    const input = terrainGenerationService.generate(options);
+
+    if (outputFile) {
+      fs.writeFileSync(outputFile, JSON.stringify(input, null, 2));
+      const { terrain } = input;
+      console.log(`Generated a ${terrain[0].length}x${terrain.length} terrain with seed ${input.seed}. Input written to ${outputFile}`);
+    } else {
+      console.log(JSON.stringify(input, null, 2));
+    }
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      console.error(`Error: Invalid options (${error.errors.length} problem${error.errors.length === 1 ? '' : 's'})`);
+      error.errors.forEach(({ path, code, message }) => {
+        console.error(`  - ${path} [${code}]: ${message}`);
+      });
+    } else {
+      console.error(`Error: ${error.message}`);
+      console.error(USAGE);
+    }
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+const apiKeyService = require('./services/ApiKeyService');
+const ValidationError = require('./errors/ValidationError');
+const NotFoundError = require('./errors/NotFoundError');
+
+const USAGE = `Usage: node cli-keys.js <command> [options]
+
+Commands:
+  create --name <name> [--rateLimit <n>] [--dailyQuota <n>]
+                                Create a key; it is printed once and cannot be shown again
+  list                          List keys, revoked ones included
+  revoke <id>                   Revoke a key
+
+Options of create:
+  --name <name>                 Who the key is for, e.g. a team name
+  --rateLimit <n>               Requests per minute (default 60)
+  --dailyQuota <n>              Simulation runs per UTC day (default 1000)
+
+Keys are stored hashed in backend/config/api-keys.json, or the file at API_KEYS_PATH.
+The API server requires a key on every request when started with API_AUTH=required.`;
+
+/**
+ * Parse the options of the create command
+ * @param {Array} args - Arguments after the command
+ * @returns {Object} - Key options
+ */
+function parseCreateOptions(args) {
+  const options = {};
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const value = inlineValue !== undefined ? inlineValue : args[++index];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${name}`);
+    }
+
+    if (name === 'name') {
+      options.name = value;
+    } else if (name === 'rateLimit' || name === 'dailyQuota') {
+      options[name] = Number(value);
+    } else {
+      throw new Error(`Unknown option --${name}`);
+    }
+  }
+
+  return options;
+}
+
+function printKey({ id, name, rateLimit, dailyQuota, createdAt, revokedAt }) {
+  const status = revokedAt ? `revoked ${revokedAt}` : 'active';
+  console.log(`${id}  ${name}  ${rateLimit}/min  ${dailyQuota} runs/day  created ${createdAt}  ${status}`);
+}
+
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!command || command === '--help') {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    if (command === 'create') {
+      const { key, ...details } = apiKeyService.createKey(parseCreateOptions(args));
+      printKey(details);
+      console.log(`\nAPI key (shown only once): ${key}`);
+    } else if (command === 'list') {
+      const keys = apiKeyService.listKeys();
+      if (keys.length === 0) {
+        console.log('No API keys');
+      }
+      keys.forEach(printKey);
+    } else if (command === 'revoke') {
+      if (args.length !== 1) {
+        throw new Error('revoke takes the id of the key to revoke');
+      }
+      printKey(apiKeyService.revokeKey(args[0]));
+    } else {
+      throw new Error(`Unknown command ${command}`);
+    }
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      console.error(`Error: Invalid options (${error.errors.length} problem${error.errors.length === 1 ? '' : 's'})`);
+      error.errors.forEach(({ path, code, message }) => {
+        console.error(`  - ${path} [${code}]: ${message}`);
+      });
+    } else if (error instanceof NotFoundError) {
+      console.error(`Error: ${error.message}`);
+    } else {
+      console.error(`Error: ${error.message}`);
+      console.error(USAGE);
+    }
+    process.exit(1);
+  }
+}
+
+main();
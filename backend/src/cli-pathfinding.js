@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const Robot = require('./models/Robot');
 const PathfindingService = require('./services/PathfindingService');
+const planVerifier = require('./services/PlanVerifier');
 
 const CLEAR_SCREEN = '\x1b[2J';
 const CURSOR_HOME = '\x1b[H';
@@ -41,7 +42,7 @@ function initialize() {
   pathfindingService = new PathfindingService(terrain);
 }
 
-function displayTerrain(visitedCells = [], path = []) {
+function displayTerrain(visitedCells = [], path = [], reachability = null) {
   console.log(CLEAR_SCREEN + CURSOR_HOME);
   console.log(chalk.bold('Mars Robot Pathfinding CLI\n'));
   
@@ -62,14 +63,19 @@ function displayTerrain(visitedCells = [], path = []) {
       const isVisited = visitedCells.some(visitedCell => visitedCell.X === x && visitedCell.Y === y);
       const isPath = path.some(pos => pos.x === x && pos.y === y);
       
-      let cellDisplay = ` ${cell} `;
+      const heat = reachability && reachability.cells[y][x];
+      const label = heat ? String(heat.energy === null ? '--' : heat.energy).padStart(2) : cell;
+      
+      let cellDisplay = ` ${label} `;
       if (isRobotHere) {
         cellDisplay += DIRECTION_SYMBOLS[robot.position.facing];
       } else {
         cellDisplay += ' ';
       }
       
-      if (isRobotHere) {
+      if (heat) {
+        row += getHeatColor(heat, reachability.maxEnergy)(cellDisplay);
+      } else if (isRobotHere) {
         row += chalk.bgWhite.black(cellDisplay);
       } else if (isPath) {
         row += chalk.bgYellow.black(cellDisplay);
@@ -99,6 +105,13 @@ function displayTerrain(visitedCells = [], path = []) {
   bottomBorder = bottomBorder.slice(0, -1) + '┘';
   console.log(bottomBorder);
   
+  if (reachability) {
+    console.log(`${getHeatColor({ energy: 0, reachable: true }, 1)('    ')} cheap  ` +
+      `${getHeatColor({ energy: 1, reachable: true }, 1)('    ')} expensive  ` +
+      `${chalk.bgBlue('    ')} needs recharging  ` +
+      `${chalk.bgGray('    ')} unreachable`);
+  }
+  
   console.log('\n' + chalk.bold('Robot Status:'));
   console.log(`Position: (${robot.position.x}, ${robot.position.y})`);
   console.log(`Facing: ${robot.position.facing} ${DIRECTION_SYMBOLS[robot.position.facing]}`);
@@ -114,10 +127,28 @@ function displayTerrain(visitedCells = [], path = []) {
   }
 }
 
-async function executeCommands(commands) {
+/**
+ * Color a heatmap cell by the energy needed to reach it, from green to red
+ */
+function getHeatColor(heat, maxEnergy) {
+  if (!heat.reachable) {
+    return chalk.bgGray.white;
+  }
+  if (heat.requiresRecharge) {
+    return chalk.bgBlue.white;
+  }
+  
+  const ratio = maxEnergy > 0 ? heat.energy / maxEnergy : 0;
+  return chalk.bgRgb(Math.round(255 * ratio), Math.round(200 * (1 - ratio)), 0).white;
+}
+
+async function executeCommands(commands, plan = null) {
   console.log(chalk.bold('\nExecuting commands:'), commands.join(', '));
   
-  const simulationRobot = new Robot(terrain, battery, initialPosition);
+  const simulationRobot = new Robot(terrain, robot.battery, {
+    location: { x: robot.position.x, y: robot.position.y },
+    facing: robot.position.facing
+  });
   const result = simulationRobot.executeCommands(commands);
   
   const path = result.VisitedCells.map(cell => ({ x: cell.X, y: cell.Y }));
@@ -129,6 +160,10 @@ async function executeCommands(commands) {
   console.log(`Final Battery: ${result.Battery} units`);
   console.log(`Samples Collected: ${result.SamplesCollected.join(', ') || 'None'}`);
   
+  if (plan) {
+    printVerification(plan);
+  }
+  
   const { execute } = await inquirer.prompt([
     {
       type: 'confirm',
@@ -164,7 +199,11 @@ async function promptPathfinding() {
       message: 'Choose a pathfinding option:',
       choices: [
         { name: 'Find path to specific location', value: 'PATH_TO_LOCATION' },
+        { name: 'Compare alternative paths to a location', value: 'ALTERNATIVE_PATHS' },
         { name: 'Generate mission plan to collect all sample types', value: 'MISSION_PLAN' },
+        { name: 'Generate mission plan with constraints', value: 'CONSTRAINED_MISSION_PLAN' },
+        { name: 'Generate coverage plan to visit every reachable cell', value: 'COVERAGE_PLAN' },
+        { name: 'Show reachability heatmap', value: 'REACHABILITY' },
         { name: 'Edit terrain', value: 'EDIT_TERRAIN' },
         { name: 'Reset robot', value: 'RESET' },
         { name: 'Save/load terrain', value: 'SAVE_LOAD' },
@@ -177,9 +216,21 @@ async function promptPathfinding() {
     case 'PATH_TO_LOCATION':
       await findPathToLocation();
       break;
+    case 'ALTERNATIVE_PATHS':
+      await findAlternativePaths();
+      break;
     case 'MISSION_PLAN':
       await generateMissionPlan();
       break;
+    case 'CONSTRAINED_MISSION_PLAN':
+      await generateMissionPlan(await promptMissionConstraints());
+      break;
+    case 'COVERAGE_PLAN':
+      await generateCoveragePlan();
+      break;
+    case 'REACHABILITY':
+      await showReachability();
+      break;
     case 'EDIT_TERRAIN':
       await promptTerrainSettings();
       break;
@@ -197,7 +248,7 @@ async function promptPathfinding() {
   await promptPathfinding();
 }
 
-async function findPathToLocation() {
+async function promptTargetLocation() {
   const answers = await inquirer.prompt([
     {
       type: 'number',
@@ -214,11 +265,11 @@ async function findPathToLocation() {
       type: 'number',
       name: 'y',
       message: 'Enter target Y position:',
-      validate: value => {
+      validate: (value, { x }) => {
         if (value < 0 || value >= terrain.length) {
           return `Y must be between 0 and ${terrain.length - 1}`;
         }
-        if (terrain[value][answers.x] === 'Obs') {
+        if (terrain[value][x] === 'Obs') {
           return 'Target position cannot be an obstacle';
         }
         return true;
@@ -226,7 +277,11 @@ async function findPathToLocation() {
     }
   ]);
   
-  const target = { x: answers.x, y: answers.y };
+  return { x: answers.x, y: answers.y };
+}
+
+async function findPathToLocation() {
+  const target = await promptTargetLocation();
   const start = {
     x: robot.position.x,
     y: robot.position.y,
@@ -242,16 +297,25 @@ async function findPathToLocation() {
     console.log(`Commands: ${result.commands.join(', ')}`);
     console.log(`Remaining Battery: ${result.battery} units`);
     
-    await executeCommands(result.commands);
+    await executeCommands(result.commands, result);
   } else {
     console.log(chalk.red('\nNo path found!'));
-    console.log('This could be due to obstacles, battery constraints, or unreachable target.');
+    console.log(chalk.red(pathfindingService.diagnosePath(start, target, robot.battery).message));
     await promptContinue();
   }
 }
 
-async function generateMissionPlan() {
-  console.log(chalk.bold('\nGenerating mission plan to collect all sample types...'));
+async function findAlternativePaths() {
+  const target = await promptTargetLocation();
+  const { count } = await inquirer.prompt([
+    {
+      type: 'number',
+      name: 'count',
+      message: 'How many routes should be compared?',
+      default: 3,
+      validate: value => (Number.isInteger(value) && value >= 1 && value <= 10) || 'Enter a number from 1 to 10'
+    }
+  ]);
   
   const start = {
     x: robot.position.x,
@@ -259,22 +323,194 @@ async function generateMissionPlan() {
     facing: robot.position.facing
   };
   
-  const result = pathfindingService.generateMissionPlan(start, robot.battery);
+  const { routes } = pathfindingService.findAlternativePaths(start, target, robot.battery, { count });
+  
+  if (routes.length === 0) {
+    console.log(chalk.red('\nNo path found!'));
+    await promptContinue();
+    return;
+  }
+  
+  printRoutesSideBySide(routes, start);
+  
+  if (routes.length < count) {
+    console.log(chalk.yellow(`\nOnly ${routes.length} sufficiently different route(s) found`));
+  }
+  
+  const { rank } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'rank',
+      message: 'Which route should be simulated?',
+      choices: [
+        ...routes.map(route => ({ name: `Route ${route.rank}: ${route.commands.join(', ')}`, value: route.rank })),
+        { name: 'None', value: null }
+      ]
+    }
+  ]);
+  
+  if (rank !== null) {
+    const route = routes[rank - 1];
+    await executeCommands(route.commands, route);
+  }
+}
+
+/**
+ * Print a small terrain grid per route, next to each other as far as the terminal is wide
+ */
+function printRoutesSideBySide(routes, start) {
+  const columns = routes.map(route => [
+    chalk.bold(`Route ${route.rank}`),
+    `Energy: ${route.energy}, Commands: ${route.commandCount}`,
+    route.difference === null ? 'Best route' : `${Math.round(route.difference * 100)}% different`,
+    ...renderRouteGrid(route, start)
+  ]);
+  const width = Math.max(...columns.flat().map(line => getVisibleLength(line)));
+  const perRow = Math.max(1, Math.floor(((process.stdout.columns || 80) + 3) / (width + 3)));
+  
+  for (let first = 0; first < columns.length; first += perRow) {
+    const group = columns.slice(first, first + perRow);
+    console.log('');
+    for (let line = 0; line < group[0].length; line++) {
+      console.log(group.map(column => column[line] + ' '.repeat(width - getVisibleLength(column[line]))).join('   '));
+    }
+  }
+}
+
+function renderRouteGrid(route, start) {
+  const onRoute = new Set(route.cells.map(cell => `${cell.x},${cell.y}`));
+  const horizontal = (left, middle, right) => left + terrain[0].map(() => '─────').join(middle) + right;
+  const lines = [horizontal('┌', '┬', '┐')];
+  
+  terrain.forEach((cells, y) => {
+    const row = cells.map((cell, x) => {
+      const isStart = start.x === x && start.y === y;
+      const cellDisplay = ` ${cell.padEnd(3)}${isStart ? DIRECTION_SYMBOLS[start.facing] : ' '}`;
+      
+      if (isStart) return chalk.bgWhite.black(cellDisplay);
+      if (onRoute.has(`${x},${y}`)) return chalk.bgYellow.black(cellDisplay);
+      return TERRAIN_COLORS[cell](cellDisplay);
+    });
+    lines.push('│' + row.join('│') + '│');
+    
+    if (y < terrain.length - 1) {
+      lines.push(horizontal('├', '┼', '┤'));
+    }
+  });
+  
+  lines.push(horizontal('└', '┴', '┘'));
+  return lines;
+}
+
+function getVisibleLength(text) {
+  return text.replace(/\x1b\[[0-9;]*m/g, '').length;
+}
+
+function parseCellList(value, fields) {
+  return value
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+    .map(entry => {
+      const numbers = entry.split(',').map(part => parseInt(part.trim(), 10));
+      const cell = {};
+      fields.forEach((field, index) => {
+        if (!Number.isNaN(numbers[index]) && numbers[index] !== undefined) {
+          cell[field] = numbers[index];
+        }
+      });
+      return cell;
+    });
+}
+
+function parseSampleList(value) {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+    .map(entry => {
+      const [type, count] = entry.split(':').map(part => part.trim());
+      return count === undefined ? { type } : { type, count: parseInt(count, 10) };
+    });
+}
+
+async function promptMissionConstraints() {
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'samples',
+      message: 'Required samples (e.g. Fe:2, Se), empty for one of each type:'
+    },
+    {
+      type: 'input',
+      name: 'waypoints',
+      message: 'Waypoints (e.g. 1,2; 3,0), empty for none:'
+    },
+    {
+      type: 'input',
+      name: 'forbidden',
+      message: 'Forbidden cells or rectangles (x,y or x,y,width,height separated by ;), empty for none:'
+    },
+    {
+      type: 'number',
+      name: 'minBattery',
+      message: 'Minimum battery reserve:',
+      default: 0,
+      validate: value => value >= 0 ? true : 'Reserve must be non-negative'
+    },
+    {
+      type: 'confirm',
+      name: 'returnToBase',
+      message: 'Return to the start cell at the end?',
+      default: false
+    }
+  ]);
+  
+  const constraints = {
+    waypoints: parseCellList(answers.waypoints, ['x', 'y']),
+    forbidden: parseCellList(answers.forbidden, ['x', 'y', 'width', 'height']),
+    minBattery: answers.minBattery,
+    returnToBase: answers.returnToBase
+  };
+  if (answers.samples.trim().length > 0) {
+    constraints.samples = parseSampleList(answers.samples);
+  }
+  
+  return constraints;
+}
+
+async function generateMissionPlan(constraints) {
+  console.log(chalk.bold(constraints
+    ? '\nGenerating mission plan with constraints...'
+    : '\nGenerating mission plan to collect all sample types...'));
+  
+  const start = {
+    x: robot.position.x,
+    y: robot.position.y,
+    facing: robot.position.facing
+  };
+  
+  const result = pathfindingService.generateMissionPlan(start, robot.battery, { constraints });
   
   if (result.success) {
     console.log(chalk.green('\nMission plan generated!'));
     console.log(`Commands: ${result.commands.join(', ')}`);
     console.log(`Remaining Battery: ${result.battery} units`);
+    printMissionSummary(result);
     
-    await executeCommands(result.commands);
+    await executeCommands(result.commands, result);
   } else {
     console.log(chalk.red('\nCould not generate complete mission plan!'));
-    console.log('This could be due to obstacles, battery constraints, or unreachable terrain types.');
+    result.unmetConstraints.forEach(unmet => {
+      console.log(chalk.red(`- ${unmet.message}`));
+    });
+    printMissionDiagnostics(result);
     
     if (result.commands.length > 0) {
       console.log(chalk.yellow('\nPartial plan generated:'));
       console.log(`Commands: ${result.commands.join(', ')}`);
       console.log(`Remaining Battery: ${result.battery} units`);
+      printMissionSummary(result);
       
       const { execute } = await inquirer.prompt([
         {
@@ -286,7 +522,7 @@ async function generateMissionPlan() {
       ]);
       
       if (execute) {
-        await executeCommands(result.commands);
+        await executeCommands(result.commands, result);
       } else {
         await promptContinue();
       }
@@ -296,6 +532,136 @@ async function generateMissionPlan() {
   }
 }
 
+async function generateCoveragePlan() {
+  console.log(chalk.bold('\nGenerating coverage plan to visit every reachable cell...'));
+  
+  const start = {
+    x: robot.position.x,
+    y: robot.position.y,
+    facing: robot.position.facing
+  };
+  
+  const result = pathfindingService.generateCoveragePlan(start, robot.battery);
+  
+  if (result.success) {
+    console.log(chalk.green('\nCoverage plan generated!'));
+  } else {
+    console.log(chalk.red('\nThe battery runs out before every reachable cell is visited!'));
+  }
+  
+  console.log(`Commands: ${result.commands.join(', ')}`);
+  console.log(`Remaining Battery: ${result.battery} units`);
+  console.log(`Energy Used: ${result.energy} units over ${result.commandCount} commands`);
+  console.log(`Cells Visited: ${result.visitedCount} of ${result.reachableCount} reachable`);
+  
+  if (result.unvisitedCells.length > 0) {
+    console.log(chalk.yellow(`Not Visited: ${formatCells(result.unvisitedCells)}`));
+  }
+  if (result.unreachableCells.length > 0) {
+    console.log(chalk.yellow(`Unreachable: ${formatCells(result.unreachableCells)}`));
+  }
+  
+  if (result.commands.length > 0) {
+    await executeCommands(result.commands, result);
+  } else {
+    await promptContinue();
+  }
+}
+
+async function showReachability() {
+  const start = {
+    x: robot.position.x,
+    y: robot.position.y,
+    facing: robot.position.facing
+  };
+  
+  const result = pathfindingService.analyzeReachability(start, robot.battery);
+  
+  displayTerrain([], [], result);
+  
+  console.log(chalk.bold('\nReachability:'));
+  console.log('Each cell shows the minimum energy needed to reach it');
+  console.log(`Reachable Cells: ${result.reachableCount}`);
+  if (result.canRecharge) {
+    console.log(chalk.green('The robot can recharge on the way, so every connected cell is reachable'));
+  } else {
+    console.log(chalk.yellow(`The robot cannot recharge on the way, so only cells within ${result.battery} units are reachable`));
+  }
+  
+  await promptContinue();
+}
+
+function formatCells(cells) {
+  return cells.map(cell => `(${cell.x}, ${cell.y})`).join(', ');
+}
+
+function printVerification(plan) {
+  const start = {
+    x: robot.position.x,
+    y: robot.position.y,
+    facing: robot.position.facing
+  };
+  const verification = planVerifier.verify({ terrain, start, battery: robot.battery }, plan);
+  
+  if (verification.verified) {
+    console.log(chalk.green('Verified: the simulator reproduces this plan'));
+    return;
+  }
+  
+  console.log(chalk.red('Warning: the simulator diverges from this plan'));
+  verification.divergences.forEach(divergence => {
+    console.log(chalk.red(`- ${divergence.message}`));
+  });
+}
+
+function printMissionSummary(result) {
+  console.log(`Planner: ${result.strategy}`);
+  console.log(`Energy Used: ${result.energy} units over ${result.commandCount} commands`);
+  console.log('Sampled Cells:');
+  result.samples.forEach(sample => {
+    const color = TERRAIN_COLORS[sample.type] || chalk.white;
+    console.log(`- ${color(sample.type)} at (${sample.x}, ${sample.y})`);
+  });
+  printMissionLegs(result.legs);
+}
+
+function printMissionLegs(legs) {
+  console.log('Legs:');
+  legs.forEach((leg, index) => {
+    console.log(`${index + 1}. ${describeLeg(leg)}: ${leg.commands.join(', ') || 'no commands'} (${leg.energy} units)`);
+  });
+}
+
+function printMissionDiagnostics(result) {
+  const { unreachableTypes, failedLeg } = result.diagnostics;
+  
+  if (unreachableTypes.length > 0) {
+    console.log(chalk.yellow(`Unreachable Terrain Types: ${unreachableTypes.join(', ')}`));
+  }
+  
+  if (failedLeg) {
+    console.log(chalk.yellow(`Battery ran out on leg ${result.legs.length + 1}: ` +
+      `${describeLeg(failedLeg)} from (${failedLeg.from.x}, ${failedLeg.from.y})`));
+    console.log(chalk.yellow(`Battery Available: ${failedLeg.availableBattery} units, ` +
+      `Required: ${failedLeg.requiredBattery === null ? 'unknown' : `${failedLeg.requiredBattery} units`}`));
+  }
+}
+
+function describeLeg(leg) {
+  const cell = `(${leg.target.x}, ${leg.target.y})`;
+  
+  switch (leg.goal) {
+    case 'sample':
+      return `Sample ${leg.type} at ${cell}`;
+    case 'waypoint':
+      return `Waypoint ${cell}`;
+    case 'return':
+      return `Return to ${cell}`;
+    default:
+      return `Target ${cell}`;
+  }
+}
+
 async function promptRobotSettings() {
   const answers = await inquirer.prompt([
     {
@@ -14,14 +14,23 @@ async function postSimulation() {
     
     const response = await axios.post('http://localhost:12000/api/simulation', inputData, {
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(process.env.API_KEY && { 'X-API-Key': process.env.API_KEY })
       }
     });
     
     console.log(JSON.stringify(response.data, null, 2));
   } catch (error) {
     if (error.response) {
-      console.error(`Error: ${error.response.data.error || 'Server error'}`);
+      const { errors } = error.response.data;
+      if (Array.isArray(errors)) {
+        console.error(`Error: Invalid input (${errors.length} problem${errors.length === 1 ? '' : 's'})`);
+        errors.forEach(({ path, code, message }) => {
+          console.error(`  - ${path || '(input)'} [${code}]: ${message}`);
+        });
+      } else {
+        console.error(`Error: ${error.response.data.error || 'Server error'}`);
+      }
     } else if (error.request) {
       console.error('Error: No response received from server. Is the server running?');
     } else {
@@ -0,0 +1,82 @@
+const planningService = require('../services/PlanningService');
+const ValidationError = require('../errors/ValidationError');
+
+function isSimulationRequested(req) {
+  return ['true', '1'].includes(req.query.simulate) || (req.body && req.body.simulate === true);
+}
+
+class PathfindingController {
+  findPath(req, res) {
+    try {
+      const result = planningService.findPath(req.body, { simulate: isSimulationRequested(req) });
+      res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message, errors: error.errors });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  findAlternativePaths(req, res) {
+    try {
+      const result = planningService.findAlternativePaths(req.body, { simulate: isSimulationRequested(req) });
+      res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message, errors: error.errors });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  planMission(req, res) {
+    try {
+      const result = planningService.planMission(req.body, { simulate: isSimulationRequested(req) });
+      res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message, errors: error.errors });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  analyzeReachability(req, res) {
+    try {
+      const result = planningService.analyzeReachability(req.body);
+      res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message, errors: error.errors });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  navigate(req, res) {
+    try {
+      const result = planningService.navigate(req.body);
+      res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message, errors: error.errors });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  planCoverage(req, res) {
+    try {
+      const result = planningService.planCoverage(req.body, { simulate: isSimulationRequested(req) });
+      res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message, errors: error.errors });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = new PathfindingController();
\ No newline at end of file
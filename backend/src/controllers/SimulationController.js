@@ -1,15 +1,162 @@
 const simulationService = require('../services/SimulationService');
+const runHistoryService = require('../services/RunHistoryService');
+const simulationStreamService = require('../services/SimulationStreamService');
+const ValidationError = require('../errors/ValidationError');
+const NotFoundError = require('../errors/NotFoundError');
+
+// Runs and streams belong to the API key that created them, if any
+function ownerOf(req) {
+  return req.apiKey ? req.apiKey.id : null;
+}
+
+function controlStream(req, res, action) {
+  try {
+    res.status(200).json(simulationStreamService.control(req.params.id, action, ownerOf(req)));
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+}
 
 class SimulationController {
   runSimulation(req, res) {
+    const input = req.body;
+    const trace = ['true', '1'].includes(req.query.trace);
+    const run = runHistoryService.record(input, { trace, owner: ownerOf(req) });
+
+    res.set('X-Run-Id', run.id);
+    if (run.outcome === 'error') {
+      return res.status(400).json(run.errors ? { error: run.error, errors: run.errors } : { error: run.error });
+    }
+    res.status(200).json(run.result);
+  }
+
+  runBatch(req, res) {
     try {
-      const input = req.body;
-      const result = simulationService.runSimulation(input);
+      const trace = ['true', '1'].includes(req.query.trace);
+      const result = simulationService.runBatch(req.body, { trace });
+      // Only the items that ran count against the daily quota
+      res.locals.runCount = result.summary.succeeded;
       res.status(200).json(result);
     } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message, errors: error.errors });
+      }
       res.status(400).json({ error: error.message });
     }
   }
+
+  listRuns(req, res) {
+    try {
+      res.status(200).json(runHistoryService.listRuns(req.query, ownerOf(req)));
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message, errors: error.errors });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  getRun(req, res) {
+    try {
+      res.status(200).json(runHistoryService.getRun(req.params.id, ownerOf(req)));
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  deleteRun(req, res) {
+    try {
+      runHistoryService.deleteRun(req.params.id, ownerOf(req));
+      res.status(204).end();
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  rerun(req, res) {
+    try {
+      const run = runHistoryService.rerun(req.params.id, ownerOf(req));
+      res.locals.runCount = run.outcome === 'success' ? 1 : 0;
+      res.set('X-Run-Id', run.id);
+      res.status(201).json(run);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  createStream(req, res) {
+    try {
+      const { token, ...stream } = simulationStreamService.create(req.body, {
+        tickDelay: req.query.tickDelay,
+        owner: ownerOf(req),
+        // A stream nobody listened to did not run
+        onUnused: res.locals.returnRuns
+      });
+      res.status(201).json({ ...stream, eventsUrl: `${req.baseUrl}/streams/${stream.id}/events?token=${token}` });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message, errors: error.errors });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  // Server-Sent Events of a stream; connecting starts it and disconnecting cancels it
+  streamEvents(req, res) {
+    let stream;
+    try {
+      stream = simulationStreamService.connect(req.params.id, req.query.token);
+    } catch (error) {
+      return res.status(404).json({ error: error.message });
+    }
+
+    if (stream.state !== 'pending') {
+      return res.status(409).json({ error: `Stream ${req.params.id} already has a listener` });
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    for (const event of ['started', 'step', 'paused', 'resumed', 'done', 'cancelled']) {
+      stream.on(event, data => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        if (event === 'done' || event === 'cancelled') {
+          res.end();
+        }
+      });
+    }
+
+    res.on('close', () => stream.cancel());
+    stream.start();
+  }
+
+  pauseStream(req, res) {
+    controlStream(req, res, 'pause');
+  }
+
+  resumeStream(req, res) {
+    controlStream(req, res, 'resume');
+  }
+
+  cancelStream(req, res) {
+    controlStream(req, res, 'cancel');
+  }
 }
 
 module.exports = new SimulationController();
\ No newline at end of file
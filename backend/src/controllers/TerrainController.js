@@ -0,0 +1,23 @@
+const TerrainProperties = require('../models/TerrainProperties');
+const terrainGenerationService = require('../services/TerrainGenerationService');
+const ValidationError = require('../errors/ValidationError');
+
+class TerrainController {
+  getProperties(req, res) {
+    res.status(200).json(new TerrainProperties().toJSON());
+  }
+
+  generate(req, res) {
+    try {
+      const result = terrainGenerationService.generate(req.body);
+      res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message, errors: error.errors });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = new TerrainController();
\ No newline at end of file
@@ -0,0 +1,12 @@
+/**
+ * Error thrown when the API key store is needed but is missing or cannot be
+ * read, e.g. because its file is not valid JSON
+ */
+class KeyStoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeyStoreError';
+  }
+}
+
+module.exports = KeyStoreError;
@@ -0,0 +1,11 @@
+/**
+ * Error thrown when a requested resource, such as a stored run, does not exist
+ */
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+module.exports = NotFoundError;
\ No newline at end of file
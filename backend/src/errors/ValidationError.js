@@ -0,0 +1,14 @@
+/**
+ * Error thrown when an input fails validation. Carries every problem found
+ * as a list of { path, code, message } entries, e.g.
+ * { path: 'terrain[1][2]', code: 'unknown_terrain', message: '...' }
+ */
+class ValidationError extends Error {
+  constructor(errors) {
+    super(errors.map(error => error.message).join('; '));
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+module.exports = ValidationError;
\ No newline at end of file
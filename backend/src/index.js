@@ -1,51 +1,133 @@
 const app = require('./server');
+const logger = require('./logger');
 const fs = require('fs');
 const path = require('path');
 const simulationService = require('./services/SimulationService');
+const apiKeyService = require('./services/ApiKeyService');
+const ValidationError = require('./errors/ValidationError');
 
 const PORT = process.env.PORT || 12000;
 
+function reportError(error) {
+  if (error instanceof ValidationError) {
+    console.error(`Error: Invalid input (${error.errors.length} problem${error.errors.length === 1 ? '' : 's'})`);
+    error.errors.forEach(({ path, code, message }) => {
+      console.error(`  - ${path || '(input)'} [${code}]: ${message}`);
+    });
+  } else {
+    console.error(`Error: ${error.message}`);
+  }
+}
+
+function describeResult(result) {
+  if (result.Fleet) {
+    return `${result.Robots.length} robots, ${result.Fleet.SamplesCollected.length} samples`;
+  }
+  const samples = result.SamplesCollected.length;
+  return `Battery ${result.Battery}, ${samples} sample${samples === 1 ? '' : 's'}`;
+}
+
+function describeError(error) {
+  if (error instanceof ValidationError) {
+    return error.errors.map(({ path, message }) => (path ? `${path}: ${message}` : message)).join('; ');
+  }
+  return error.message;
+}
+
+function runDirectory(inputDir, outputDir, trace) {
+  const files = fs.readdirSync(inputDir)
+    .filter(file => file.toLowerCase().endsWith('.json'))
+    .sort();
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const rows = files.map(file => {
+    try {
+      const inputData = JSON.parse(fs.readFileSync(path.join(inputDir, file), 'utf8'));
+      const result = simulationService.runSimulation(inputData, { trace });
+      fs.writeFileSync(path.join(outputDir, file), JSON.stringify(result, null, 2));
+      return { file, status: 'OK', details: describeResult(result) };
+    } catch (error) {
+      return { file, status: 'FAILED', details: describeError(error) };
+    }
+  });
+
+  const headers = { file: 'File', status: 'Status', details: 'Details' };
+  const fileWidth = Math.max(headers.file.length, ...rows.map(row => row.file.length));
+  const statusWidth = Math.max(headers.status.length, ...rows.map(row => row.status.length));
+  const formatRow = row => `${row.file.padEnd(fileWidth)}  ${row.status.padEnd(statusWidth)}  ${row.details}`;
+
+  console.log(formatRow(headers));
+  console.log(`${'-'.repeat(fileWidth)}  ${'-'.repeat(statusWidth)}  ${'-'.repeat(headers.details.length)}`);
+  rows.forEach(row => console.log(formatRow(row)));
+
+  const failed = rows.filter(row => row.status !== 'OK').length;
+  console.log(`\n${rows.length} file${rows.length === 1 ? '' : 's'} processed: ${rows.length - failed} succeeded, ${failed} failed. Outputs written to ${outputDir}`);
+
+  return failed;
+}
+
 if (process.argv.length <= 2) {
+  try {
+    if (apiKeyService.checkStore() && !apiKeyService.isEnabled()) {
+      logger.warn('API keys have been created but are not required; set API_AUTH=required to require them');
+    }
+  } catch (error) {
+    logger.error('Cannot start the REST API server: the API key store cannot be used', { error: error.message });
+    process.exit(1);
+  }
+
   app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log('REST API server mode active');
+    logger.info('REST API server running', { port: Number(PORT) });
   });
 } else {
-  const args = process.argv.slice(2);
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const trace = process.argv.includes('--trace');
+  const directoryMode = process.argv.includes('--dir');
   
-  if (args.length === 2) {
+  if (directoryMode && args.length === 2) {
+    try {
+      const failed = runDirectory(args[0], args[1], trace);
+      process.exit(failed > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  } else if (!directoryMode && args.length === 2) {
     const inputFile = args[0];
     const outputFile = args[1];
     
     try {
       const inputData = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
       
-      const result = simulationService.runSimulation(inputData);
+      const result = simulationService.runSimulation(inputData, { trace });
       
       fs.writeFileSync(outputFile, JSON.stringify(result, null, 2));
       
       console.log(`Simulation completed. Output written to ${outputFile}`);
     } catch (error) {
-      console.error(`Error: ${error.message}`);
+      reportError(error);
       process.exit(1);
     }
-  } else if (args.length === 1) {
+  } else if (!directoryMode && args.length === 1) {
     const inputFile = args[0];
     
     try {
       const inputData = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
       
-      const result = simulationService.runSimulation(inputData);
+      const result = simulationService.runSimulation(inputData, { trace });
       
       console.log(JSON.stringify(result, null, 2));
     } catch (error) {
-      console.error(`Error: ${error.message}`);
+      reportError(error);
       process.exit(1);
     }
   } else {
     console.error('Invalid number of arguments');
     console.error('Usage:');
     console.error('  obs_test input.json output.json - CLI mode processing files');
+    console.error('  obs_test --trace input.json output.json - CLI mode with a step-by-step execution trace');
+    console.error('  obs_test --dir in/ out/ - CLI mode processing every JSON file of a directory');
     console.error('  obs_test - starts the REST API server (no parameters)');
     console.error('  obs_test_post input.json - REST client that posts to the server and displays formatted output');
     process.exit(1);
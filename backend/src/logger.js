@@ -0,0 +1,62 @@
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Writes structured logs, one JSON object per line:
+ * {"time":"...","level":"info","message":"...", ...fields}
+ *
+ * The level comes from LOG_LEVEL (debug, info, warn, error or silent); it
+ * defaults to info, and to silent in tests.
+ */
+class Logger {
+  constructor() {
+    this.setLevel(process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info'));
+    this.setOutput(line => process.stdout.write(`${line}\n`));
+  }
+
+  /**
+   * @param {string} level - Lowest level written
+   */
+  setLevel(level) {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Unknown log level ${level}; use one of ${LEVELS.join(', ')}`);
+    }
+    this.level = level;
+  }
+
+  /**
+   * @param {Function} write - Called with each log line, without its newline
+   */
+  setOutput(write) {
+    this.write = write;
+  }
+
+  /**
+   * Write a log entry if its level is enabled
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - What happened
+   * @param {Object} [fields] - Details, e.g. the request id
+   */
+  log(level, message, fields = {}) {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(this.level)) return;
+
+    this.write(JSON.stringify({ time: new Date().toISOString(), level, message, ...fields }));
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+module.exports = new Logger();
@@ -0,0 +1,135 @@
+const apiKeyService = require('../services/ApiKeyService');
+const KeyStoreError = require('../errors/KeyStoreError');
+const logger = require('../logger');
+
+/**
+ * Get the API key of a request, from the X-API-Key header or a Bearer token
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getRequestKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header.trim();
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+function secondsUntil(time) {
+  return Math.max(1, Math.ceil((time - Date.now()) / 1000));
+}
+
+/**
+ * Middleware rejecting requests without a valid API key with 401, and requests
+ * over the key's rate limit with 429. The key is left in req.apiKey. When the
+ * key store is missing or cannot be read, requests are refused with 503. Does
+ * nothing unless API keys are required (see ApiKeyService.isEnabled).
+ */
+function authenticate(req, res, next) {
+  if (!apiKeyService.isEnabled()) {
+    return next();
+  }
+
+  const requestKey = getRequestKey(req);
+  if (!requestKey) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: 'An API key is required; send it in the X-API-Key header or as a Bearer token',
+      code: 'missing_api_key'
+    });
+  }
+
+  let key;
+  try {
+    key = apiKeyService.authenticate(requestKey);
+  } catch (error) {
+    if (!(error instanceof KeyStoreError)) {
+      throw error;
+    }
+    logger.error('API key store unavailable', { requestId: req.id, error: error.message });
+    return res.status(503).json({ error: 'API keys cannot be checked at the moment', code: 'api_keys_unavailable' });
+  }
+  if (!key) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({ error: 'The API key is invalid or has been revoked', code: 'invalid_api_key' });
+  }
+
+  const rate = apiKeyService.takeRequest(key);
+  res.set({
+    'X-RateLimit-Limit': rate.limit,
+    'X-RateLimit-Remaining': rate.remaining,
+    'X-RateLimit-Reset': Math.ceil(rate.resetAt / 1000)
+  });
+  if (!rate.allowed) {
+    const retryAfter = secondsUntil(rate.resetAt);
+    res.set('Retry-After', retryAfter);
+    return res.status(429).json({
+      error: `Rate limit of ${rate.limit} requests per minute exceeded; retry in ${retryAfter} s`,
+      code: 'rate_limited',
+      retryAfter
+    });
+  }
+
+  req.apiKey = key;
+  next();
+}
+
+/**
+ * Middleware counting the simulation runs of a request against the daily
+ * quota of its API key, rejecting it with 429 when they do not fit. The runs
+ * are taken before the request is handled, so concurrent requests cannot
+ * overdraw the quota, and the ones that did not happen are given back once
+ * the response is sent: all of them when it failed, or those left out of
+ * res.locals.runCount when the handler sets it, e.g. rejected batch items.
+ * Handlers whose runs happen later, like live streams, can give them back
+ * afterwards with res.locals.returnRuns().
+ * @param {Function} [getRunCount] - Number of runs of a request (default 1)
+ * @returns {Function} - Express middleware
+ */
+function consumeQuota(getRunCount = () => 1) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const count = getRunCount(req);
+    const quota = apiKeyService.takeRuns(req.apiKey, count);
+    res.set({
+      'X-Quota-Limit': quota.limit,
+      'X-Quota-Remaining': quota.remaining,
+      'X-Quota-Reset': Math.ceil(quota.resetAt / 1000)
+    });
+    if (!quota.allowed) {
+      const retryAfter = secondsUntil(quota.resetAt);
+      res.set('Retry-After', retryAfter);
+      return res.status(429).json({
+        error: `Daily quota of ${quota.limit} simulation runs exceeded (${quota.remaining} left today); ` +
+          `it resets at ${new Date(quota.resetAt).toISOString()}`,
+        code: 'quota_exceeded',
+        retryAfter
+      });
+    }
+
+    let returned = 0;
+    const giveBack = runs => {
+      const giving = Math.min(runs, count - returned);
+      if (giving > 0) {
+        returned += giving;
+        apiKeyService.returnRuns(req.apiKey, giving, quota.resetAt);
+      }
+    };
+    res.locals.returnRuns = () => giveBack(count);
+    res.on('finish', () => {
+      const { runCount = count } = res.locals;
+      giveBack(res.statusCode < 400 ? count - Math.min(count, runCount) : count);
+    });
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  consumeQuota
+};
@@ -0,0 +1,103 @@
+const document = require('../openapi/document');
+const SchemaValidator = require('../openapi/SchemaValidator');
+const simulationService = require('../services/SimulationService');
+const simulationStreamService = require('../services/SimulationStreamService');
+const runHistoryService = require('../services/RunHistoryService');
+const planningService = require('../services/PlanningService');
+const terrainGenerationService = require('../services/TerrainGenerationService');
+const ValidationError = require('../errors/ValidationError');
+
+const schemaValidator = new SchemaValidator(document);
+
+const planningErrors = operation => req => planningService.getValidationErrors(req.body, operation);
+
+// The services' own checks, which report more precise problems than the schema
+const SERVICE_VALIDATORS = {
+  runSimulation: req => simulationService.getValidationErrors(req.body),
+  createStream: req => simulationStreamService.getValidationErrors(req.body, { tickDelay: req.query.tickDelay }),
+  listRuns: req => runHistoryService.getQueryErrors(req.query),
+  generateTerrain: req => terrainGenerationService.getValidationErrors(req.body || {}),
+  findPath: planningErrors('findPath'),
+  findAlternativePaths: planningErrors('findAlternativePaths'),
+  planMission: planningErrors('planMission'),
+  planCoverage: planningErrors('planCoverage'),
+  analyzeReachability: planningErrors('analyzeReachability'),
+  navigate: planningErrors('navigate')
+};
+
+/**
+ * Make every JSON response of the request fail with 500 when it does not match
+ * the schema documented for its status
+ * @param {string} operationId - Operation id
+ * @param {Object} res - Express response
+ */
+function enforceResponseSchema(operationId, res) {
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    const errors = schemaValidator.validateResponse(operationId, res.statusCode, body);
+    if (errors.length > 0) {
+      const status = res.statusCode;
+      res.status(500);
+      return json({ error: `Response ${status} does not match the API schema`, errors });
+    }
+    return json(body);
+  };
+}
+
+/**
+ * Merge the errors of the schema and of the service's own checks: the
+ * service's come first, as they are more precise, followed by the schema's
+ * about fields the service did not report on
+ * @param {Array} schemaErrors - Errors reported by the schema
+ * @param {Array} serviceErrors - Errors reported by the service
+ * @returns {Array} - Validation errors {path, code, message}
+ */
+function mergeErrors(schemaErrors, serviceErrors) {
+  const covers = (servicePath, schemaPath) => servicePath === '' || schemaPath === servicePath ||
+    schemaPath.startsWith(`${servicePath}.`) || schemaPath.startsWith(`${servicePath}[`) ||
+    servicePath.startsWith(`${schemaPath}.`) || servicePath.startsWith(`${schemaPath}[`);
+
+  return [
+    ...serviceErrors,
+    ...schemaErrors.filter(error => !serviceErrors.some(serviceError => covers(serviceError.path, error.path)))
+  ];
+}
+
+/**
+ * Middleware validating requests against an operation of the OpenAPI document.
+ *
+ * A request the schema rejects gets a 400 before it reaches the controller.
+ * Where the service has its own checks, their errors are merged in first (see
+ * mergeErrors), so clients keep getting the service's messages.
+ * In tests, responses are validated as well (see enforceResponseSchema).
+ * @param {string} operationId - Operation id in the OpenAPI document
+ * @returns {Function} - Express middleware, with the operation id as operationId
+ */
+function validate(operationId) {
+  // Fail on startup rather than on the first request when the operation is not documented
+  schemaValidator.getOperation(operationId);
+
+  const middleware = (req, res, next) => {
+    if (process.env.NODE_ENV === 'test') {
+      enforceResponseSchema(operationId, res);
+    }
+
+    const schemaErrors = schemaValidator.validateRequest(operationId, req);
+    if (schemaErrors.length === 0) {
+      return next();
+    }
+
+    const serviceValidator = SERVICE_VALIDATORS[operationId];
+    const error = new ValidationError(mergeErrors(schemaErrors, serviceValidator ? serviceValidator(req) : []));
+    res.status(400).json({ error: error.message, errors: error.errors });
+  };
+
+  middleware.operationId = operationId;
+  return middleware;
+}
+
+module.exports = {
+  validate,
+  schemaValidator
+};
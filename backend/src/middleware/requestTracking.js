@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const logger = require('../logger');
+const metricsService = require('../services/MetricsService');
+const { schemaValidator } = require('./openApiValidation');
+
+// Request ids clients or proxies may pass on; anything else gets a new id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// Query parameters holding secrets, such as the token of a stream's events
+const SECRET_PARAMETER_PATTERN = /([?&]token=)[^&#]*/g;
+
+/**
+ * Middleware giving every request an id, returned in the X-Request-Id header
+ * and left in req.id; an X-Request-Id sent by the client is kept. When the
+ * response is done, or the client went away, the request is logged and
+ * counted in the metrics under its documented route. Stream tokens are
+ * redacted from the logged URL.
+ */
+function trackRequests(req, res, next) {
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  // Routers rewrite req.url while they handle the request
+  const { method, path, originalUrl } = req;
+  const start = process.hrtime.bigint();
+  res.on('close', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const operation = schemaValidator.findOperation(method, path);
+    const route = operation ? operation.path : 'unmatched';
+
+    metricsService.recordRequest({ method, route, status: res.statusCode, durationMs });
+    logger.info('Request completed', {
+      requestId: req.id,
+      method,
+      path: originalUrl.replace(SECRET_PARAMETER_PATTERN, '$1[redacted]'),
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 1000) / 1000,
+      ...(req.apiKey && { apiKeyId: req.apiKey.id })
+    });
+  });
+
+  next();
+}
+
+module.exports = {
+  trackRequests
+};
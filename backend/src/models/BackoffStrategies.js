@@ -0,0 +1,41 @@
+const BACKOFF_PRESETS = {
+  'spec-default': [
+    ['E', 'R', 'F'],
+    ['E', 'L', 'F'],
+    ['E', 'L', 'L', 'F'],
+    ['E', 'B', 'R', 'F'],
+    ['E', 'B', 'B', 'L', 'F'],
+    ['E', 'F', 'F'],
+    ['E', 'F', 'L', 'F', 'L', 'F']
+  ],
+  conservative: [
+    ['E', 'R', 'F'],
+    ['E', 'L', 'F'],
+    ['E', 'L', 'L', 'F']
+  ],
+  none: []
+};
+
+const DEFAULT_PRESET = 'spec-default';
+
+/**
+ * Resolve a backoff strategy set from a preset name or an explicit list
+ * @param {string|Array} [strategies] - Preset name or ordered list of command sequences
+ * @returns {Array} - Ordered list of command sequences
+ */
+function resolveBackoffStrategies(strategies = DEFAULT_PRESET) {
+  if (typeof strategies === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(BACKOFF_PRESETS, strategies)) {
+      throw new Error(`Unknown backoff strategy preset: ${strategies}`);
+    }
+    strategies = BACKOFF_PRESETS[strategies];
+  }
+
+  return strategies.map(strategy => [...strategy]);
+}
+
+module.exports = {
+  BACKOFF_PRESETS,
+  DEFAULT_PRESET,
+  resolveBackoffStrategies
+};
\ No newline at end of file
@@ -0,0 +1,192 @@
+const COMMANDS = ['F', 'B', 'L', 'R', 'S', 'E'];
+const MAX_COMMANDS = 10000;
+const MAX_EXPANSION_STEPS = 100000;
+
+/**
+ * Error raised while expanding a command script, pointing at the offending character
+ */
+class CommandScriptError extends Error {
+  constructor(message, offset, macro = null) {
+    super(macro === null
+      ? `${message} at offset ${offset}`
+      : `${message} at offset ${offset} of macro "${macro}"`);
+    this.name = 'CommandScriptError';
+    this.offset = offset;
+    this.macro = macro;
+  }
+}
+
+/**
+ * Compact command language expanded into the command array understood by Robot.
+ *
+ *   FFRS        single commands
+ *   3F          repeat the next item 3 times
+ *   (FR)x4      repeat a group 4 times (a count prefix also works: 4(FR))
+ *   {scan}      insert the named macro
+ *
+ * Whitespace and commas are ignored. A macro is expanded once, however many
+ * times it is used, and expanding a script may take at most
+ * MAX_EXPANSION_STEPS items, so scripts that expand to few commands cannot
+ * take long to expand either.
+ */
+class CommandScript {
+  /**
+   * @param {Object} [macros] - Macro scripts keyed by name
+   */
+  constructor(macros = {}) {
+    this.macros = macros;
+    // Commands of the macros expanded so far, by name
+    this.expandedMacros = new Map();
+  }
+
+  /**
+   * Expand a script into a list of commands
+   * @param {string} script - Command script
+   * @returns {Array} - Expanded commands
+   * @throws {CommandScriptError} - If the script cannot be expanded
+   */
+  expand(script) {
+    return this.expandSource(script, null, [], { steps: 0 });
+  }
+
+  expandSource(source, macro, macroStack, budget) {
+    const state = { source, position: 0, macro, macroStack, budget };
+    const commands = this.parseSequence(state, false);
+
+    if (state.position < source.length) {
+      this.fail(state, `Unexpected "${source[state.position]}"`);
+    }
+
+    return commands;
+  }
+
+  parseSequence(state, inGroup) {
+    const commands = [];
+
+    for (;;) {
+      this.skipSeparators(state);
+      if (state.position >= state.source.length) break;
+      if (state.source[state.position] === ')') {
+        if (!inGroup) this.fail(state, 'Unmatched ")"');
+        break;
+      }
+
+      const items = this.parseItem(state);
+      this.append(state, commands, items);
+    }
+
+    return commands;
+  }
+
+  parseItem(state) {
+    const { source } = state;
+    const start = state.position;
+    if (++state.budget.steps > MAX_EXPANSION_STEPS) {
+      this.fail(state, `Script takes more than ${MAX_EXPANSION_STEPS} steps to expand`);
+    }
+    const count = this.parseNumber(state);
+
+    this.skipSeparators(state);
+    if (state.position >= source.length) {
+      this.fail(state, count === null ? 'Unexpected end of script' : `Missing command after count ${count}`);
+    }
+
+    let items;
+    const char = source[state.position];
+
+    if (COMMANDS.includes(char)) {
+      state.position++;
+      items = [char];
+    } else if (char === '(') {
+      state.position++;
+      items = this.parseSequence(state, true);
+      if (source[state.position] !== ')') {
+        this.fail({ ...state, position: start }, 'Unclosed "("');
+      }
+      state.position++;
+
+      if (source[state.position] === 'x') {
+        state.position++;
+        const times = this.parseNumber(state);
+        if (times === null) this.fail(state, 'Expected a repeat count after "x"');
+        items = this.repeat(state, items, times);
+      }
+    } else if (char === '{') {
+      items = this.parseMacro(state);
+    } else {
+      this.fail(state, `Unknown command "${char}"`);
+    }
+
+    return count === null ? items : this.repeat(state, items, count);
+  }
+
+  parseMacro(state) {
+    const { source } = state;
+    const start = state.position;
+    const end = source.indexOf('}', start);
+    if (end === -1) this.fail(state, 'Unclosed "{"');
+
+    const name = source.slice(start + 1, end).trim();
+    if (!Object.prototype.hasOwnProperty.call(this.macros, name)) {
+      this.fail(state, `Unknown macro "${name}"`);
+    }
+    if (name === state.macro || state.macroStack.includes(name)) {
+      this.fail(state, `Recursive macro "${name}"`);
+    }
+    if (typeof this.macros[name] !== 'string') {
+      this.fail(state, `Macro "${name}" must be a string`);
+    }
+
+    state.position = end + 1;
+    // A macro that expanded once has no recursion, whichever macros use it
+    if (!this.expandedMacros.has(name)) {
+      const stack = state.macro === null ? state.macroStack : [...state.macroStack, state.macro];
+      this.expandedMacros.set(name, this.expandSource(this.macros[name], name, stack, state.budget));
+    }
+    return this.expandedMacros.get(name);
+  }
+
+  parseNumber(state) {
+    const match = /^\d+/.exec(state.source.slice(state.position));
+    if (!match) return null;
+
+    state.position += match[0].length;
+    return parseInt(match[0], 10);
+  }
+
+  skipSeparators(state) {
+    while (state.position < state.source.length && /[\s,]/.test(state.source[state.position])) {
+      state.position++;
+    }
+  }
+
+  repeat(state, items, times) {
+    if (items.length === 0) return items;
+    if (items.length * times > MAX_COMMANDS) {
+      this.fail(state, `Script expands to more than ${MAX_COMMANDS} commands`);
+    }
+
+    const commands = [];
+    for (let i = 0; i < times; i++) {
+      commands.push(...items);
+    }
+    return commands;
+  }
+
+  append(state, commands, items) {
+    if (commands.length + items.length > MAX_COMMANDS) {
+      this.fail(state, `Script expands to more than ${MAX_COMMANDS} commands`);
+    }
+    commands.push(...items);
+  }
+
+  fail(state, message) {
+    throw new CommandScriptError(message, state.position, state.macro);
+  }
+}
+
+CommandScript.CommandScriptError = CommandScriptError;
+CommandScript.MAX_COMMANDS = MAX_COMMANDS;
+CommandScript.MAX_EXPANSION_STEPS = MAX_EXPANSION_STEPS;
+
+module.exports = CommandScript;
\ No newline at end of file
@@ -0,0 +1,67 @@
+const DEFAULT_COMMAND_COSTS = {
+  F: 3,
+  B: 3,
+  L: 2,
+  R: 2,
+  S: 8,
+  E: 1
+};
+
+const DEFAULT_SOLAR_YIELD = 10;
+
+/**
+ * Battery costs of each command and the energy gained by extending the solar panels
+ */
+class CostModel {
+  /**
+   * @param {Object} [overrides] - Partial cost model
+   * @param {Object} [overrides.commands] - Per-command battery costs, e.g. { F: 4 }
+   * @param {number} [overrides.solarYield] - Battery gained by the E command
+   */
+  constructor(overrides = {}) {
+    this.commands = { ...DEFAULT_COMMAND_COSTS, ...overrides.commands };
+    this.solarYield = overrides.solarYield !== undefined ? overrides.solarYield : DEFAULT_SOLAR_YIELD;
+  }
+
+  /**
+   * Get the battery consumed by a command
+   * @param {string} command - Robot command
+   * @returns {number} - Battery units consumed
+   */
+  getCost(command) {
+    if (!Object.prototype.hasOwnProperty.call(this.commands, command)) {
+      throw new Error(`Unknown command: ${command}`);
+    }
+
+    return this.commands[command];
+  }
+
+  /**
+   * Get the net battery change of extending the solar panels
+   * @returns {number} - Battery units gained
+   */
+  getRechargeGain() {
+    return this.solarYield - this.commands.E;
+  }
+
+  toJSON() {
+    return {
+      commands: { ...this.commands },
+      solarYield: this.solarYield
+    };
+  }
+
+  /**
+   * Build a cost model from a plain object or return an existing instance
+   * @param {Object|CostModel} [costModel] - Cost model or overrides
+   * @returns {CostModel}
+   */
+  static from(costModel) {
+    return costModel instanceof CostModel ? costModel : new CostModel(costModel);
+  }
+}
+
+CostModel.DEFAULT_COMMAND_COSTS = DEFAULT_COMMAND_COSTS;
+CostModel.DEFAULT_SOLAR_YIELD = DEFAULT_SOLAR_YIELD;
+
+module.exports = CostModel;
\ No newline at end of file
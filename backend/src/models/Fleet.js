@@ -0,0 +1,87 @@
+const Robot = require("./Robot");
+
+/**
+ * A group of robots sharing one terrain, executed in lock-step ticks.
+ * In each tick every active robot executes its next command while the
+ * cells currently held by the other robots count as obstacles.
+ */
+class Fleet {
+  constructor(terrain, robots, options = {}) {
+    this.terrain = terrain;
+    this.members = robots.map((config, index) => ({
+      id: config.id !== undefined ? config.id : `robot-${index + 1}`,
+      robot: new Robot(terrain, config.battery, config.initialPosition, options),
+      commands: config.commands,
+      nextCommand: 0,
+      halted: false
+    }));
+    this.ticks = 0;
+  }
+
+  run() {
+    while (this.members.some(member => this.isActive(member))) {
+      this.tick();
+    }
+
+    return this.getResult();
+  }
+
+  tick() {
+    this.ticks++;
+
+    for (const member of this.members) {
+      if (!this.isActive(member)) continue;
+
+      member.robot.occupiedCells = this.getOccupiedCells(member);
+      const command = member.commands[member.nextCommand];
+      member.nextCommand++;
+
+      const success = member.robot.executeCommand(command);
+      if (!success) {
+        member.halted = true;
+      }
+    }
+  }
+
+  isActive(member) {
+    return !member.halted && member.nextCommand < member.commands.length;
+  }
+
+  getOccupiedCells(except) {
+    const cells = new Set();
+    for (const member of this.members) {
+      if (member !== except) {
+        cells.add(`${member.robot.position.x},${member.robot.position.y}`);
+      }
+    }
+    return cells;
+  }
+
+  getResult() {
+    const robots = this.members.map(member => ({
+      Id: member.id,
+      ...member.robot.getResult()
+    }));
+
+    const visitedCells = [];
+    for (const result of robots) {
+      for (const cell of result.VisitedCells) {
+        if (!visitedCells.some(visited => visited.X === cell.X && visited.Y === cell.Y)) {
+          visitedCells.push(cell);
+        }
+      }
+    }
+
+    return {
+      Robots: robots,
+      Fleet: {
+        VisitedCells: visitedCells,
+        SamplesCollected: robots.flatMap(result => result.SamplesCollected),
+        Battery: robots.reduce((total, result) => total + result.Battery, 0),
+        Ticks: this.ticks
+      }
+    };
+  }
+}
+
+module.exports = Fleet;
\ No newline at end of file
@@ -1,5 +1,9 @@
+const CostModel = require("./CostModel");
+const TerrainProperties = require("./TerrainProperties");
+const { resolveBackoffStrategies } = require("./BackoffStrategies");
+
 class Robot {
-  constructor(terrain, battery, initialPosition) {
+  constructor(terrain, battery, initialPosition, options = {}) {
     this.terrain = terrain;
     this.battery = battery;
     this.position = {
@@ -9,20 +13,32 @@ class Robot {
     };
     this.visitedCells = [{ X: this.position.x, Y: this.position.y }];
     this.samplesCollected = [];
-    this.backoffStrategies = [
-      ["E", "R", "F"],
-      ["E", "L", "F"],
-      ["E", "L", "L", "F"],
-      ["E", "B", "R", "F"],
-      ["E", "B", "B", "L", "F"],
-      ["E", "F", "F"],
-      ["E", "F", "L", "F", "L", "F"]
-    ];
+    this.backoffStrategies = resolveBackoffStrategies(options.backoffStrategies);
     this.currentBackoffStrategy = 0;
+    this.backoffAttempts = [];
+    // Set when the battery can power neither the next command nor the solar panels
+    this.batteryExhausted = false;
+    // Commands executeCommands got to, the one that stopped the robot included
+    this.commandsExecuted = 0;
+    // Cells held by other robots of a fleet, keyed "x,y"
+    this.occupiedCells = new Set();
+    this.costModel = CostModel.from(options.costModel);
+    this.terrainProperties = TerrainProperties.from(options.terrainProperties);
+    this.traceEnabled = Boolean(options.trace);
+    this.trace = [];
+    this.openTraceSteps = [];
+    // With a sensor radius the robot only knows the cells it has sensed; null marks unknown cells
+    this.sensorRadius = options.sensorRadius;
+    if (this.sensorRadius !== undefined) {
+      this.discoveredMap = terrain.map(row => row.map(() => null));
+      this.discoveredCells = [];
+      this.sense();
+    }
   }
 
   executeCommands(commands) {
     for (const command of commands) {
+      this.commandsExecuted++;
       const success = this.executeCommand(command);
       if (!success) break;
     }
@@ -30,16 +46,27 @@ class Robot {
     return this.getResult();
   }
 
-  executeCommand(command) {
+  executeCommand(command, reason = "command") {
     const batteryNeeded = this.getBatteryConsumption(command);
     
     if (this.battery < batteryNeeded) {
-      if (this.battery >= 1) {
-        return this.executeCommand("E");
+      if (this.battery >= this.getBatteryConsumption("E")) {
+        return this.executeCommand("E", "low-battery");
       }
+      this.batteryExhausted = true;
+      const step = this.beginTraceStep(command, reason);
+      this.endTraceStep(step, false);
       return false;
     }
 
+    const step = this.beginTraceStep(command, reason);
+    const success = this.performCommand(command);
+    this.endTraceStep(step, success);
+
+    return success;
+  }
+
+  performCommand(command) {
     switch (command) {
       case "F":
         return this.moveForward();
@@ -59,19 +86,21 @@ class Robot {
   }
 
   getBatteryConsumption(command) {
+    const cost = this.costModel.getCost(command);
+
     switch (command) {
       case "F":
-      case "B":
-        return 3;
-      case "L":
-      case "R":
-        return 2;
+      case "B": {
+        const nextPosition = this.getNextPosition(command);
+        if (this.isObstacle(nextPosition.x, nextPosition.y)) {
+          return cost;
+        }
+        return cost + this.terrainProperties.getMoveCost(this.getTerrainType(nextPosition.x, nextPosition.y));
+      }
       case "S":
-        return 8;
-      case "E":
-        return 1;
+        return cost + this.terrainProperties.getSampleCost(this.getTerrainType(this.position.x, this.position.y));
       default:
-        throw new Error(`Unknown command: ${command}`);
+        return cost;
     }
   }
 
@@ -79,13 +108,15 @@ class Robot {
     const nextPosition = this.getNextPosition("F");
     
     if (this.isObstacle(nextPosition.x, nextPosition.y)) {
+      this.discoverCell(nextPosition.x, nextPosition.y);
       return this.applyBackoffStrategy();
     }
 
-    this.battery -= 3;
+    this.battery -= this.getBatteryConsumption("F");
     this.position.x = nextPosition.x;
     this.position.y = nextPosition.y;
     this.addVisitedCell(nextPosition.x, nextPosition.y);
+    this.sense();
     
     // Reset backoff strategy counter after successful move
     this.currentBackoffStrategy = 0;
@@ -97,13 +128,15 @@ class Robot {
     const nextPosition = this.getNextPosition("B");
     
     if (this.isObstacle(nextPosition.x, nextPosition.y)) {
+      this.discoverCell(nextPosition.x, nextPosition.y);
       return this.applyBackoffStrategy();
     }
 
-    this.battery -= 3;
+    this.battery -= this.getBatteryConsumption("B");
     this.position.x = nextPosition.x;
     this.position.y = nextPosition.y;
     this.addVisitedCell(nextPosition.x, nextPosition.y);
+    this.sense();
     
     this.currentBackoffStrategy = 0;
     
@@ -111,7 +144,7 @@ class Robot {
   }
 
   turnLeft() {
-    this.battery -= 2;
+    this.battery -= this.getBatteryConsumption("L");
     
     switch (this.position.facing) {
       case "North":
@@ -132,7 +165,7 @@ class Robot {
   }
 
   turnRight() {
-    this.battery -= 2;
+    this.battery -= this.getBatteryConsumption("R");
     
     switch (this.position.facing) {
       case "North":
@@ -153,10 +186,10 @@ class Robot {
   }
 
   takeSample() {
-    this.battery -= 8;
+    this.battery -= this.getBatteryConsumption("S");
     
     const terrainType = this.getTerrainType(this.position.x, this.position.y);
-    if (terrainType && terrainType !== "Obs") {
+    if (terrainType && this.terrainProperties.isPassable(terrainType)) {
       this.samplesCollected.push(terrainType);
     }
     
@@ -164,8 +197,10 @@ class Robot {
   }
 
   extendSolarPanels() {
-    this.battery -= 1;
-    this.battery += 10;
+    this.battery -= this.getBatteryConsumption("E");
+    if (this.terrainProperties.hasSolarCharging(this.getTerrainType(this.position.x, this.position.y))) {
+      this.battery += this.costModel.solarYield;
+    }
     return true;
   }
 
@@ -175,16 +210,60 @@ class Robot {
     }
 
     const strategy = this.backoffStrategies[this.currentBackoffStrategy];
+    const attempt = { Strategy: this.currentBackoffStrategy, Commands: strategy, Success: false };
+    this.backoffAttempts.push(attempt);
+    this.markObstacleStep(this.currentBackoffStrategy);
     this.currentBackoffStrategy++;
 
     for (const command of strategy) {
-      const success = this.executeCommand(command);
+      const success = this.executeCommand(command, "backoff");
       if (!success) return false;
     }
 
+    attempt.Success = true;
     return true;
   }
 
+  beginTraceStep(command, reason) {
+    if (!this.traceEnabled) return null;
+
+    const step = {
+      Step: this.trace.length + 1,
+      Command: command,
+      Reason: reason,
+      BatteryBefore: this.battery
+    };
+    this.trace.push(step);
+    this.openTraceSteps.push(step);
+    return step;
+  }
+
+  endTraceStep(step, success) {
+    if (!step) return;
+
+    this.openTraceSteps.pop();
+    step.Success = success;
+    // Obstacle steps are closed before their backoff commands run
+    if (step.BatteryAfter === undefined) {
+      this.closeTraceStep(step);
+    }
+  }
+
+  markObstacleStep(strategyIndex) {
+    if (!this.traceEnabled || this.openTraceSteps.length === 0) return;
+
+    const step = this.openTraceSteps[this.openTraceSteps.length - 1];
+    step.Obstacle = true;
+    step.BackoffStrategy = strategyIndex;
+    this.closeTraceStep(step);
+  }
+
+  closeTraceStep(step) {
+    step.Position = { X: this.position.x, Y: this.position.y };
+    step.Facing = this.position.facing;
+    step.BatteryAfter = this.battery;
+  }
+
   getNextPosition(command) {
     const nextPosition = {
       x: this.position.x,
@@ -217,7 +296,11 @@ class Robot {
       return true;
     }
 
-    return this.terrain[y][x] === "Obs";
+    if (this.occupiedCells.has(`${x},${y}`)) {
+      return true;
+    }
+
+    return !this.terrainProperties.isPassable(this.terrain[y][x]);
   }
 
   getTerrainType(x, y) {
@@ -228,6 +311,28 @@ class Robot {
     return this.terrain[y][x];
   }
 
+  sense() {
+    if (this.sensorRadius === undefined) return;
+
+    const radius = this.sensorRadius;
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dy * dy <= radius * radius) {
+          this.discoverCell(this.position.x + dx, this.position.y + dy);
+        }
+      }
+    }
+  }
+
+  discoverCell(x, y) {
+    if (this.sensorRadius === undefined || this.getTerrainType(x, y) === null || this.discoveredMap[y][x] !== null) {
+      return;
+    }
+
+    this.discoveredMap[y][x] = this.terrain[y][x];
+    this.discoveredCells.push({ x, y });
+  }
+
   addVisitedCell(x, y) {
     const alreadyVisited = this.visitedCells.some(cell => cell.X === x && cell.Y === y);
     if (!alreadyVisited) {
@@ -236,7 +341,7 @@ class Robot {
   }
 
   getResult() {
-    return {
+    const result = {
       VisitedCells: this.visitedCells,
       SamplesCollected: this.samplesCollected,
       Battery: this.battery,
@@ -248,6 +353,16 @@ class Robot {
         Facing: this.position.facing
       }
     };
+
+    if (this.traceEnabled) {
+      result.Trace = this.trace;
+    }
+
+    if (this.sensorRadius !== undefined) {
+      result.DiscoveredMap = this.discoveredMap;
+    }
+
+    return result;
   }
 }
 
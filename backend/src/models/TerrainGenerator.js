@@ -0,0 +1,237 @@
+const TerrainProperties = require('./TerrainProperties');
+
+const DIRECTIONS = ['North', 'East', 'South', 'West'];
+const COMMANDS = ['F', 'B', 'L', 'R', 'S', 'E'];
+const OBSTACLE = 'Obs';
+
+const DEFAULT_OPTIONS = {
+  width: 10,
+  height: 10,
+  obstacleDensity: 0.1,
+  depositSize: 4,
+  connected: true,
+  battery: 50,
+  commandCount: 10
+};
+
+// Every passable default type is equally likely unless a distribution is given
+const DEFAULT_DISTRIBUTION = Object.keys(TerrainProperties.DEFAULT_TERRAIN_PROPERTIES)
+  .filter(type => TerrainProperties.DEFAULT_TERRAIN_PROPERTIES[type].passable)
+  .reduce((distribution, type) => ({ ...distribution, [type]: 1 }), {});
+
+/**
+ * Build a seeded pseudo-random number generator (mulberry32)
+ * @param {number|string} seed - Integer seed, or a string hashed into one
+ * @returns {Function} - Returns a number in [0, 1) on each call
+ */
+function createRandom(seed) {
+  let state = typeof seed === 'string' ? hashString(seed) : seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a hash of a string to an unsigned 32-bit integer
+function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let index = 0; index < text.length; index++) {
+    hash = Math.imul(hash ^ text.charCodeAt(index), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Generates random simulation inputs. The same seed and options always give
+ * the same input.
+ *
+ * Deposits are grown from randomly placed seed cells, one per `depositSize`
+ * cells on average: each step picks a random cell on the edge of a deposit and
+ * extends that deposit to the cell's unclaimed neighbours, which gives
+ * irregular patches of one terrain type. The type of each deposit is drawn
+ * from the distribution. Obstacles are then dropped on random cells. With
+ * `connected`, an obstacle that would cut some open cell off from the start is
+ * skipped, so the terrain may end up with fewer obstacles than the density
+ * asks for.
+ */
+class TerrainGenerator {
+  /**
+   * @param {Object} [options] - Generation options
+   * @param {number|string} [options.seed] - Seed (default: a random one)
+   * @param {number} [options.width] - Number of columns (default 10)
+   * @param {number} [options.height] - Number of rows (default 10)
+   * @param {Object} [options.distribution] - Relative weights keyed by terrain type (default: equal weights)
+   * @param {number} [options.obstacleDensity] - Share of the cells that are obstacles, from 0 to 1 (default 0.1)
+   * @param {number} [options.depositSize] - Average number of cells per deposit; 1 disables clustering (default 4)
+   * @param {boolean} [options.connected] - Keep every open cell reachable from the start (default true)
+   * @param {number} [options.battery] - Initial battery of the robot (default 50)
+   * @param {number} [options.commandCount] - Number of random commands (default 10)
+   */
+  constructor(options = {}) {
+    const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    this.options = { ...DEFAULT_OPTIONS, distribution: DEFAULT_DISTRIBUTION, ...defined };
+    if (this.options.seed === undefined) {
+      this.options.seed = Math.floor(Math.random() * 4294967296);
+    }
+  }
+
+  /**
+   * Generate a simulation input
+   * @returns {Object} - {seed, terrain, battery, commands, initialPosition}
+   */
+  generate() {
+    const { seed, width, height, battery, commandCount } = this.options;
+    const random = createRandom(seed);
+
+    const terrain = this.placeDeposits(random);
+    const start = { x: Math.floor(random() * width), y: Math.floor(random() * height) };
+    this.placeObstacles(random, terrain, start);
+
+    const facing = DIRECTIONS[Math.floor(random() * DIRECTIONS.length)];
+    const commands = Array.from({ length: commandCount }, () => COMMANDS[Math.floor(random() * COMMANDS.length)]);
+
+    return {
+      seed,
+      terrain,
+      battery,
+      commands,
+      initialPosition: { location: start, facing }
+    };
+  }
+
+  /**
+   * Fill the grid with deposits grown from random seed cells
+   * @param {Function} random - Random number generator
+   * @returns {Array} - 2D array of terrain codes
+   */
+  placeDeposits(random) {
+    const { width, height, depositSize } = this.options;
+    const terrain = Array.from({ length: height }, () => new Array(width).fill(null));
+    const cells = this.shuffle(random, this.getCells());
+    const depositCount = Math.max(1, Math.round(cells.length / depositSize));
+
+    const frontier = cells.slice(0, depositCount);
+    for (const cell of frontier) {
+      terrain[cell.y][cell.x] = this.pickType(random);
+    }
+
+    while (frontier.length > 0) {
+      const index = Math.floor(random() * frontier.length);
+      const cell = frontier[index];
+      frontier[index] = frontier[frontier.length - 1];
+      frontier.pop();
+
+      for (const neighbor of this.getNeighbors(cell)) {
+        if (terrain[neighbor.y][neighbor.x] === null) {
+          terrain[neighbor.y][neighbor.x] = terrain[cell.y][cell.x];
+          frontier.push(neighbor);
+        }
+      }
+    }
+
+    return terrain;
+  }
+
+  /**
+   * Turn random cells other than the start into obstacles
+   * @param {Function} random - Random number generator
+   * @param {Array} terrain - Terrain to update
+   * @param {Object} start - Start cell {x, y}
+   */
+  placeObstacles(random, terrain, start) {
+    const { width, height, obstacleDensity, connected } = this.options;
+    const candidates = this.shuffle(random, this.getCells())
+      .filter(cell => cell.x !== start.x || cell.y !== start.y);
+    let remaining = Math.min(Math.round(width * height * obstacleDensity), candidates.length);
+    let openCount = width * height;
+
+    for (const cell of candidates) {
+      if (remaining === 0) break;
+
+      const type = terrain[cell.y][cell.x];
+      terrain[cell.y][cell.x] = OBSTACLE;
+      if (connected && this.countConnected(terrain, start) < openCount - 1) {
+        terrain[cell.y][cell.x] = type;
+        continue;
+      }
+
+      openCount--;
+      remaining--;
+    }
+  }
+
+  /**
+   * Count the open cells connected to a cell
+   * @param {Array} terrain - 2D array of terrain codes
+   * @param {Object} start - Start cell {x, y}
+   * @returns {number}
+   */
+  countConnected(terrain, start) {
+    const { width } = this.options;
+    const seen = new Uint8Array(width * this.options.height);
+    const queue = [start];
+    seen[start.y * width + start.x] = 1;
+
+    for (let index = 0; index < queue.length; index++) {
+      for (const neighbor of this.getNeighbors(queue[index])) {
+        const key = neighbor.y * width + neighbor.x;
+        if (terrain[neighbor.y][neighbor.x] !== OBSTACLE && !seen[key]) {
+          seen[key] = 1;
+          queue.push(neighbor);
+        }
+      }
+    }
+
+    return queue.length;
+  }
+
+  pickType(random) {
+    const entries = Object.entries(this.options.distribution).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let value = random() * total;
+
+    for (const [type, weight] of entries) {
+      value -= weight;
+      if (value < 0) return type;
+    }
+    return entries[entries.length - 1][0];
+  }
+
+  // Fisher-Yates shuffle driven by the seeded generator
+  shuffle(random, items) {
+    for (let index = items.length - 1; index > 0; index--) {
+      const other = Math.floor(random() * (index + 1));
+      [items[index], items[other]] = [items[other], items[index]];
+    }
+    return items;
+  }
+
+  getCells() {
+    const cells = [];
+    for (let y = 0; y < this.options.height; y++) {
+      for (let x = 0; x < this.options.width; x++) {
+        cells.push({ x, y });
+      }
+    }
+    return cells;
+  }
+
+  getNeighbors(cell) {
+    const { width, height } = this.options;
+    return [
+      { x: cell.x, y: cell.y - 1 },
+      { x: cell.x + 1, y: cell.y },
+      { x: cell.x, y: cell.y + 1 },
+      { x: cell.x - 1, y: cell.y }
+    ].filter(neighbor => neighbor.x >= 0 && neighbor.x < width && neighbor.y >= 0 && neighbor.y < height);
+  }
+}
+
+TerrainGenerator.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+TerrainGenerator.DEFAULT_DISTRIBUTION = DEFAULT_DISTRIBUTION;
+
+module.exports = TerrainGenerator;
@@ -0,0 +1,103 @@
+const DEFAULT_TERRAIN_PROPERTIES = {
+  Fe: { name: 'Ferrum', moveCost: 0, sampleCost: 0, solarCharging: true, passable: true },
+  Se: { name: 'Selenium', moveCost: 0, sampleCost: 0, solarCharging: true, passable: true },
+  W: { name: 'Water', moveCost: 0, sampleCost: 0, solarCharging: true, passable: true },
+  Si: { name: 'Silicon', moveCost: 0, sampleCost: 0, solarCharging: true, passable: true },
+  Zn: { name: 'Zinc', moveCost: 0, sampleCost: 0, solarCharging: true, passable: true },
+  Obs: { name: 'Obstacle', moveCost: 0, sampleCost: 0, solarCharging: false, passable: false }
+};
+
+const UNKNOWN_TERRAIN = { moveCost: 0, sampleCost: 0, solarCharging: true, passable: true };
+
+// Keys that would reach Object.prototype if used as terrain types
+const RESERVED_TYPES = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Per-terrain-type properties: extra battery to enter a cell (moveCost),
+ * extra battery to sample it (sampleCost), whether the solar panels charge
+ * there and whether the robot can enter it at all
+ */
+class TerrainProperties {
+  /**
+   * @param {Object} [overrides] - Partial properties keyed by terrain type, e.g. { W: { moveCost: 4 } }
+   */
+  constructor(overrides = {}) {
+    // Without a prototype, no terrain type can collide with Object.prototype
+    this.types = Object.create(null);
+
+    for (const [type, properties] of Object.entries(DEFAULT_TERRAIN_PROPERTIES)) {
+      this.types[type] = { ...properties };
+    }
+
+    for (const [type, properties] of Object.entries(overrides)) {
+      this.types[type] = { ...UNKNOWN_TERRAIN, name: type, ...this.types[type], ...properties };
+    }
+
+    // Properties handed out for unknown types, built once per type; has() still reports them unknown
+    this.unknownTypes = Object.create(null);
+  }
+
+  /**
+   * Get the properties of a terrain type
+   * @param {string} type - Terrain type code
+   * @returns {Object} - Terrain properties
+   */
+  get(type) {
+    if (this.types[type]) {
+      return this.types[type];
+    }
+    if (!this.unknownTypes[type]) {
+      this.unknownTypes[type] = { ...UNKNOWN_TERRAIN, name: type };
+    }
+    return this.unknownTypes[type];
+  }
+
+  /**
+   * Whether a terrain type is known (a default type or an override)
+   * @param {string} type - Terrain type code
+   * @returns {boolean}
+   */
+  has(type) {
+    return Object.prototype.hasOwnProperty.call(this.types, type);
+  }
+
+  getMoveCost(type) {
+    return this.get(type).moveCost;
+  }
+
+  getSampleCost(type) {
+    return this.get(type).sampleCost;
+  }
+
+  hasSolarCharging(type) {
+    return this.get(type).solarCharging;
+  }
+
+  isPassable(type) {
+    return this.get(type).passable;
+  }
+
+  toJSON() {
+    const types = {};
+    for (const [type, properties] of Object.entries(this.types)) {
+      types[type] = { ...properties };
+    }
+    return types;
+  }
+
+  /**
+   * Build terrain properties from a plain object or return an existing instance
+   * @param {Object|TerrainProperties} [terrainProperties] - Terrain properties or overrides
+   * @returns {TerrainProperties}
+   */
+  static from(terrainProperties) {
+    return terrainProperties instanceof TerrainProperties
+      ? terrainProperties
+      : new TerrainProperties(terrainProperties);
+  }
+}
+
+TerrainProperties.DEFAULT_TERRAIN_PROPERTIES = DEFAULT_TERRAIN_PROPERTIES;
+TerrainProperties.RESERVED_TYPES = RESERVED_TYPES;
+
+module.exports = TerrainProperties;
\ No newline at end of file
@@ -0,0 +1,228 @@
+const Ajv2020 = require('ajv/dist/2020');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+// Top-level OpenAPI fields, which are not JSON Schema keywords
+const DOCUMENT_KEYWORDS = ['openapi', 'jsonSchemaDialect', 'info', 'tags', 'paths', 'security', 'components'];
+const DOCUMENT_ID = 'openapi.json';
+
+const ERROR_CODES = {
+  required: 'required',
+  type: 'invalid_type',
+  additionalProperties: 'unknown_field',
+  unevaluatedProperties: 'unknown_field'
+};
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Turn an Ajv instance path such as "/commands/1" into the path style of the
+ * services' validation errors, e.g. "commands[1]"
+ * @param {string} instancePath - JSON pointer into the validated value
+ * @param {string} [field] - Field under that path, e.g. a missing property
+ * @returns {string}
+ */
+function toPath(instancePath, field) {
+  const segments = instancePath.split('/').slice(1);
+  if (field !== undefined) {
+    segments.push(field);
+  }
+
+  return segments.reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) {
+      return `${path}[${segment}]`;
+    }
+    return path ? `${path}.${segment}` : segment;
+  }, '');
+}
+
+/**
+ * Turn a path template such as "/api/simulation/runs/{id}" into a regular
+ * expression matching the paths of its requests
+ * @param {string} template - OpenAPI path template
+ * @returns {RegExp}
+ */
+function toPattern(template) {
+  const source = template
+    .split(/\{[^}]+\}/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]+');
+  return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Convert Ajv errors to validation errors {path, code, message}
+ * @param {Array} ajvErrors - Errors reported by an Ajv validate function
+ * @param {string} [prefix] - Path of the validated value, e.g. a query parameter name
+ * @returns {Array}
+ */
+function formatErrors(ajvErrors, prefix = '') {
+  return ajvErrors.map(error => {
+    const field = error.params.missingProperty || error.params.additionalProperty || error.params.unevaluatedProperty;
+    const path = toPath(prefix ? `/${prefix}${error.instancePath}` : error.instancePath, field);
+    const code = ERROR_CODES[error.keyword] || 'invalid_value';
+
+    let message;
+    if (code === 'required') {
+      message = `${path} is required`;
+    } else if (code === 'unknown_field') {
+      message = `${path} is not a known field`;
+    } else {
+      message = `${path || 'Body'} ${error.message}`;
+    }
+
+    return { path, code, message };
+  });
+}
+
+/**
+ * Validates requests and responses against the schemas of an OpenAPI 3.1
+ * document, by operation id. Validation functions are compiled on first use.
+ */
+class SchemaValidator {
+  /**
+   * @param {Object} document - OpenAPI document
+   */
+  constructor(document) {
+    this.document = document;
+    this.ajv = this.createAjv({});
+    // Query and path parameters arrive as strings
+    this.parameterAjv = this.createAjv({ coerceTypes: true });
+    this.validators = new Map();
+    this.operations = new Map();
+
+    for (const [path, item] of Object.entries(document.paths)) {
+      for (const method of HTTP_METHODS) {
+        if (item[method]) {
+          this.operations.set(item[method].operationId, {
+            path,
+            method,
+            operation: item[method],
+            pointer: `#/paths/${escapePointer(path)}/${method}`,
+            pattern: toPattern(path)
+          });
+        }
+      }
+    }
+  }
+
+  createAjv(options) {
+    const ajv = new Ajv2020({ allErrors: true, allowUnionTypes: true, ...options });
+    ajv.addVocabulary(DOCUMENT_KEYWORDS);
+    ajv.addSchema(this.document, DOCUMENT_ID);
+    return ajv;
+  }
+
+  /**
+   * Get a documented operation
+   * @param {string} operationId - Operation id
+   * @returns {Object} - {path, method, operation, pointer}
+   * @throws {Error} - If the document has no such operation
+   */
+  getOperation(operationId) {
+    const entry = this.operations.get(operationId);
+    if (!entry) {
+      throw new Error(`Operation ${operationId} is not documented`);
+    }
+    return entry;
+  }
+
+  /**
+   * Find the documented operation a request is for
+   * @param {string} method - HTTP method, in any case
+   * @param {string} path - Request path, without the query string
+   * @returns {Object|null} - {path, method, operation, pointer}, or null for undocumented requests
+   */
+  findOperation(method, path) {
+    const lowerMethod = method.toLowerCase();
+    for (const entry of this.operations.values()) {
+      if (entry.method === lowerMethod && entry.pattern.test(path)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Compile the schema at a JSON pointer of the document
+   * @param {string} pointer - JSON pointer, e.g. "#/components/schemas/Cell"
+   * @param {Ajv} [ajv] - Ajv instance to compile with
+   * @returns {Function} - Ajv validate function
+   */
+  compile(pointer, ajv = this.ajv) {
+    const key = `${ajv === this.parameterAjv ? 'parameter' : 'value'}:${pointer}`;
+    if (!this.validators.has(key)) {
+      this.validators.set(key, ajv.compile({ $ref: `${DOCUMENT_ID}${pointer}` }));
+    }
+    return this.validators.get(key);
+  }
+
+  /**
+   * Validate the parameters and body of a request
+   * @param {string} operationId - Operation id
+   * @param {Object} request - {params, query, body}
+   * @returns {Array} - Validation errors {path, code, message}
+   */
+  validateRequest(operationId, { params = {}, query = {}, body }) {
+    const { operation, pointer } = this.getOperation(operationId);
+    const errors = [];
+
+    (operation.parameters || []).forEach((parameter, index) => {
+      const value = (parameter.in === 'path' ? params : query)[parameter.name];
+      if (value === undefined) {
+        if (parameter.required) {
+          errors.push({ path: parameter.name, code: 'required', message: `${parameter.name} is required` });
+        }
+        return;
+      }
+
+      // Validate a copy, as coercion converts values in place
+      const validate = this.compile(`${pointer}/parameters/${index}/schema`, this.parameterAjv);
+      if (!validate(structuredClone(value))) {
+        errors.push(...formatErrors(validate.errors, parameter.name));
+      }
+    });
+
+    const { requestBody } = operation;
+    if (requestBody) {
+      if (body === undefined) {
+        if (requestBody.required) {
+          errors.push({ path: '', code: 'required', message: 'Request body is required' });
+        }
+      } else {
+        const validate = this.compile(`${pointer}/requestBody/content/application~1json/schema`);
+        if (!validate(body)) {
+          errors.push(...formatErrors(validate.errors));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a JSON response body against the schema documented for its status
+   * @param {string} operationId - Operation id
+   * @param {number} status - HTTP status code
+   * @param {*} body - Response body
+   * @returns {Array} - Validation errors {path, code, message}
+   */
+  validateResponse(operationId, status, body) {
+    const { operation, pointer } = this.getOperation(operationId);
+    const response = operation.responses[status];
+
+    if (!response) {
+      return [{ path: '', code: 'undocumented_status', message: `Status ${status} is not documented for ${operationId}` }];
+    }
+
+    if (!response.content || !response.content['application/json']) {
+      return [];
+    }
+
+    const validate = this.compile(`${pointer}/responses/${status}/content/application~1json/schema`);
+    return validate(body) ? [] : formatErrors(validate.errors);
+  }
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,379 @@
+const { version } = require('../../package.json');
+const schemas = require('./schemas');
+
+/**
+ * OpenAPI 3.1 description of the REST API, served at /api/openapi.json. The
+ * operation ids are the names the validation middleware and the contract
+ * tests look operations up by, and the paths label the request metrics.
+ * Operations need an API key unless their security is empty.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const sampleTerrain = [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']];
+const sampleSimulation = {
+  terrain: sampleTerrain,
+  battery: 50,
+  commands: ['F', 'S', 'R', 'F'],
+  initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }
+};
+const samplePlanning = {
+  terrain: sampleTerrain,
+  start: { x: 0, y: 0, facing: 'East' },
+  battery: 50
+};
+
+function jsonBody(schema, example, description) {
+  return {
+    required: true,
+    ...(description && { description }),
+    content: {
+      'application/json': {
+        schema: typeof schema === 'string' ? ref(schema) : schema,
+        examples: { sample: { value: example } }
+      }
+    }
+  };
+}
+
+function jsonResponse(description, schemaName, headers) {
+  return {
+    description,
+    ...(headers && { headers }),
+    content: { 'application/json': { schema: ref(schemaName) } }
+  };
+}
+
+const badRequest = jsonResponse('Invalid input; errors lists every problem found', 'Error');
+const notFound = jsonResponse('No such resource', 'Error');
+const runIdHeader = {
+  'X-Run-Id': { description: 'Id of the stored run', schema: { type: 'string' } }
+};
+
+const unauthorized = jsonResponse('Missing, invalid or revoked API key', 'Error');
+const tooManyRequests = jsonResponse('Rate limit or daily quota of simulation runs exceeded', 'Error');
+const keysUnavailable = jsonResponse('The API key store is missing or cannot be read', 'Error');
+
+const idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+const flagParameter = (name, description) => ({
+  name,
+  in: 'query',
+  description,
+  schema: { type: 'string', enum: ['true', '1', 'false', '0'] }
+});
+const traceParameter = flagParameter('trace', 'Include a step-by-step execution trace');
+const simulateParameter = flagParameter('simulate', 'Run the plan through the robot simulator and include its output');
+
+function planningOperation(operationId, summary, inputSchema, outputSchema, example, parameters = [simulateParameter]) {
+  return {
+    post: {
+      operationId,
+      summary,
+      tags: ['pathfinding'],
+      parameters,
+      requestBody: jsonBody(inputSchema, example),
+      responses: {
+        200: jsonResponse('Plan', outputSchema),
+        400: badRequest
+      }
+    }
+  };
+}
+
+function streamControlOperation(action, summary) {
+  return {
+    post: {
+      operationId: `${action}Stream`,
+      summary,
+      tags: ['simulation'],
+      parameters: [idParameter],
+      responses: {
+        200: jsonResponse('State of the stream', 'StreamState'),
+        404: jsonResponse('No such stream, or it belongs to another API key', 'Error')
+      }
+    }
+  };
+}
+
+const document = {
+  openapi: '3.1.0',
+  jsonSchemaDialect: 'https://json-schema.org/draft/2020-12/schema',
+  info: {
+    title: 'Mars Robot Challenge API',
+    version,
+    description: 'Simulate the Mars surveillance robot, plan its routes and generate terrains.'
+  },
+  tags: [{ name: 'simulation' }, { name: 'pathfinding' }, { name: 'terrain' }, { name: 'meta' }],
+  paths: {
+    '/health': {
+      get: {
+        operationId: 'getHealth',
+        summary: 'Check that the server is up',
+        tags: ['meta'],
+        security: [],
+        responses: {
+          200: {
+            description: 'Server is up',
+            content: {
+              'application/json': {
+                schema: { type: 'object', required: ['status'], properties: { status: { const: 'ok' } } }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/openapi.json': {
+      get: {
+        operationId: 'getOpenApiDocument',
+        summary: 'This document',
+        tags: ['meta'],
+        security: [],
+        responses: {
+          200: {
+            description: 'OpenAPI document',
+            content: { 'application/json': { schema: { type: 'object', required: ['openapi', 'paths'] } } }
+          }
+        }
+      }
+    },
+    '/metrics': {
+      get: {
+        operationId: 'getMetrics',
+        summary: 'Prometheus metrics of requests and simulations',
+        description: 'Request counts and latencies per route, simulations by outcome, commands per run, ' +
+          'backoff strategy activations and battery exhaustion stops, plus Node.js process metrics.',
+        tags: ['meta'],
+        security: [],
+        responses: {
+          200: {
+            description: 'Metrics in the Prometheus text format',
+            content: { 'text/plain': { schema: { type: 'string' } } }
+          }
+        }
+      }
+    },
+    '/api/simulation': {
+      post: {
+        operationId: 'runSimulation',
+        summary: 'Run a simulation and store the run',
+        tags: ['simulation'],
+        parameters: [traceParameter],
+        requestBody: jsonBody('SimulationInput', sampleSimulation),
+        responses: {
+          200: jsonResponse('Simulation result', 'SimulationOutput', runIdHeader),
+          400: { ...badRequest, headers: runIdHeader }
+        }
+      }
+    },
+    '/api/simulation/batch': {
+      post: {
+        operationId: 'runBatch',
+        summary: 'Run several simulations; a failing input does not stop the others',
+        tags: ['simulation'],
+        parameters: [traceParameter],
+        requestBody: jsonBody(
+          { type: 'array', minItems: 1, items: { description: 'Simulation input; invalid inputs are reported per item' } },
+          [sampleSimulation, { ...sampleSimulation, commands: ['X'] }],
+          'Simulation inputs, as for POST /api/simulation'
+        ),
+        responses: {
+          200: jsonResponse('Outcome of each input', 'BatchResult'),
+          400: badRequest
+        }
+      }
+    },
+    '/api/simulation/runs': {
+      get: {
+        operationId: 'listRuns',
+        summary: 'List stored runs, newest first',
+        tags: ['simulation'],
+        parameters: [
+          { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { name: 'pageSize', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+          { name: 'from', in: 'query', description: 'Earliest start, e.g. 2026-01-31 or 2026-01-31T12:00:00Z', schema: { type: 'string' } },
+          { name: 'to', in: 'query', description: 'Latest start; a date alone includes that whole day', schema: { type: 'string' } },
+          { name: 'outcome', in: 'query', schema: { type: 'string', enum: ['success', 'error'] } }
+        ],
+        responses: {
+          200: jsonResponse('Page of runs', 'RunList'),
+          400: badRequest
+        }
+      }
+    },
+    '/api/simulation/runs/{id}': {
+      get: {
+        operationId: 'getRun',
+        summary: 'Get a stored run',
+        tags: ['simulation'],
+        parameters: [idParameter],
+        responses: {
+          200: jsonResponse('Run', 'Run'),
+          404: notFound
+        }
+      },
+      delete: {
+        operationId: 'deleteRun',
+        summary: 'Delete a stored run',
+        tags: ['simulation'],
+        parameters: [idParameter],
+        responses: {
+          204: { description: 'Run deleted' },
+          404: notFound
+        }
+      }
+    },
+    '/api/simulation/runs/{id}/rerun': {
+      post: {
+        operationId: 'rerun',
+        summary: 'Run a stored run again with the current models',
+        tags: ['simulation'],
+        parameters: [idParameter],
+        responses: {
+          201: jsonResponse('New run, with matchesOriginal', 'Run', runIdHeader),
+          404: notFound
+        }
+      }
+    },
+    '/api/simulation/streams': {
+      post: {
+        operationId: 'createStream',
+        summary: 'Create a live simulation stream of a single robot',
+        tags: ['simulation'],
+        parameters: [
+          {
+            name: 'tickDelay',
+            in: 'query',
+            description: 'Milliseconds between two commands',
+            schema: { type: 'integer', minimum: 0, maximum: 10000, default: 100 }
+          }
+        ],
+        requestBody: jsonBody('SimulationInput', sampleSimulation),
+        responses: {
+          201: jsonResponse('Stream, started by listening to eventsUrl', 'Stream'),
+          400: badRequest
+        }
+      }
+    },
+    '/api/simulation/streams/{id}/events': {
+      get: {
+        operationId: 'streamEvents',
+        summary: 'Listen to a stream as Server-Sent Events, which starts it',
+        description: 'Events: started, step, paused, resumed, done and cancelled. Disconnecting cancels the stream. ' +
+          'Needs no API key, as EventSource cannot send one: the token in the eventsUrl returned to the key that ' +
+          'created the stream stands for it.',
+        tags: ['simulation'],
+        security: [],
+        parameters: [
+          idParameter,
+          {
+            name: 'token',
+            in: 'query',
+            required: true,
+            description: 'Token of the stream, as given in its eventsUrl',
+            schema: { type: 'string' }
+          }
+        ],
+        responses: {
+          200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+          400: badRequest,
+          404: jsonResponse('No such stream, or the token is wrong', 'Error'),
+          409: jsonResponse('The stream already has a listener', 'Error')
+        }
+      }
+    },
+    '/api/simulation/streams/{id}/pause': streamControlOperation('pause', 'Pause a running stream'),
+    '/api/simulation/streams/{id}/resume': streamControlOperation('resume', 'Resume a paused stream'),
+    '/api/simulation/streams/{id}/cancel': streamControlOperation('cancel', 'Cancel a stream'),
+    '/api/pathfinding/path': planningOperation(
+      'findPath',
+      'Find a path from a start pose to a target cell',
+      'PathInput',
+      'PathPlan',
+      { ...samplePlanning, target: { x: 2, y: 0 } }
+    ),
+    '/api/pathfinding/alternatives': planningOperation(
+      'findAlternativePaths',
+      'Find several distinct routes to a target, best first',
+      'AlternativesInput',
+      'AlternativeRoutes',
+      { ...samplePlanning, target: { x: 1, y: 1 }, count: 2 }
+    ),
+    '/api/pathfinding/mission': planningOperation(
+      'planMission',
+      'Plan a mission collecting samples',
+      'MissionInput',
+      'MissionPlan',
+      samplePlanning
+    ),
+    '/api/pathfinding/coverage': planningOperation(
+      'planCoverage',
+      'Plan a route visiting every reachable cell',
+      'PlanningInput',
+      'CoveragePlan',
+      samplePlanning
+    ),
+    '/api/pathfinding/reachability': planningOperation(
+      'analyzeReachability',
+      'Compute the minimum energy to reach each cell',
+      'PlanningInput',
+      'Reachability',
+      samplePlanning,
+      []
+    ),
+    '/api/pathfinding/navigate': planningOperation(
+      'navigate',
+      'Drive to a target, sensing the terrain on the way',
+      'NavigationInput',
+      'NavigationResult',
+      { ...samplePlanning, target: { x: 2, y: 0 }, sensorRadius: 1 },
+      []
+    ),
+    '/api/terrain/properties': {
+      get: {
+        operationId: 'getTerrainProperties',
+        summary: 'Default terrain properties keyed by terrain type',
+        tags: ['terrain'],
+        responses: {
+          200: jsonResponse('Terrain properties', 'TerrainProperties')
+        }
+      }
+    },
+    '/api/terrain/generate': {
+      post: {
+        operationId: 'generateTerrain',
+        summary: 'Generate a random simulation input',
+        tags: ['terrain'],
+        requestBody: {
+          ...jsonBody('GenerationOptions', { seed: 42, width: 4, height: 3 }),
+          required: false
+        },
+        responses: {
+          200: jsonResponse('Simulation input plus the seed used', 'GeneratedInput'),
+          400: badRequest
+        }
+      }
+    }
+  },
+  security: [{ apiKey: [] }, { bearer: [] }],
+  components: {
+    schemas,
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      bearer: { type: 'http', scheme: 'bearer', description: 'The API key as a Bearer token' }
+    }
+  }
+};
+
+// Operations that need an API key may be refused before they run
+for (const item of Object.values(document.paths)) {
+  for (const operation of Object.values(item)) {
+    if (!operation.security) {
+      operation.responses[401] = unauthorized;
+      operation.responses[429] = tooManyRequests;
+      operation.responses[503] = keysUnavailable;
+    }
+  }
+}
+
+module.exports = document;
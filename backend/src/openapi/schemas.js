@@ -0,0 +1,623 @@
+const { BACKOFF_PRESETS } = require('../models/BackoffStrategies');
+const MissionPlanner = require('../services/MissionPlanner');
+
+/**
+ * JSON Schemas (draft 2020-12) of the API's inputs and outputs, used as the
+ * components of the OpenAPI document. Inputs only describe their shape; the
+ * services still check what a schema cannot, such as cells being inside the
+ * terrain. Objects accept extra fields unless noted, so responses may grow.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nonNegativeNumber = { type: 'number', minimum: 0 };
+
+const schemas = {
+  Command: {
+    type: 'string',
+    enum: ['F', 'B', 'L', 'R', 'S', 'E'],
+    description: 'F forward, B backward, L/R turn left/right, S sample, E extend the solar panels'
+  },
+  Facing: {
+    type: 'string',
+    enum: ['North', 'South', 'East', 'West']
+  },
+  Terrain: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'array', minItems: 1, items: { type: 'string' } },
+    description: 'Rows of terrain type codes; terrain[y][x] is the cell at (x, y)'
+  },
+  Cell: {
+    type: 'object',
+    required: ['x', 'y'],
+    properties: {
+      x: { type: 'integer' },
+      y: { type: 'integer' }
+    }
+  },
+  Target: {
+    type: 'object',
+    required: ['x', 'y'],
+    properties: {
+      x: { type: 'integer' },
+      y: { type: 'integer' },
+      facing: { ...ref('Facing'), description: 'Direction the robot must arrive facing; any when omitted' }
+    }
+  },
+  Pose: {
+    type: 'object',
+    required: ['x', 'y', 'facing'],
+    properties: {
+      x: { type: 'integer' },
+      y: { type: 'integer' },
+      facing: ref('Facing')
+    }
+  },
+  Location: {
+    type: 'object',
+    required: ['X', 'Y'],
+    properties: {
+      X: { type: 'integer' },
+      Y: { type: 'integer' }
+    }
+  },
+  InitialPosition: {
+    type: 'object',
+    required: ['location', 'facing'],
+    properties: {
+      location: ref('Cell'),
+      facing: ref('Facing')
+    }
+  },
+  CostModelInput: {
+    type: 'object',
+    properties: {
+      commands: {
+        type: 'object',
+        propertyNames: ref('Command'),
+        additionalProperties: nonNegativeNumber
+      },
+      solarYield: nonNegativeNumber
+    },
+    description: 'Overrides of the battery cost of each command and of the battery a recharge yields'
+  },
+  CostModel: {
+    type: 'object',
+    required: ['commands', 'solarYield'],
+    properties: {
+      commands: { type: 'object', additionalProperties: { type: 'number' } },
+      solarYield: { type: 'number' }
+    }
+  },
+  TerrainTypeProperties: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      moveCost: nonNegativeNumber,
+      sampleCost: nonNegativeNumber,
+      solarCharging: { type: 'boolean' },
+      passable: { type: 'boolean' }
+    }
+  },
+  TerrainProperties: {
+    type: 'object',
+    additionalProperties: ref('TerrainTypeProperties'),
+    description: 'Terrain properties keyed by terrain type'
+  },
+  BackoffStrategies: {
+    oneOf: [
+      { type: 'string', enum: Object.keys(BACKOFF_PRESETS) },
+      { type: 'array', items: { type: 'array', minItems: 1, items: ref('Command') } }
+    ],
+    description: 'Preset name or ordered list of command sequences tried after hitting an obstacle'
+  },
+  RobotConfig: {
+    type: 'object',
+    required: ['battery', 'initialPosition'],
+    properties: {
+      id: { description: 'Robot id in the result (default robot-<n>)' },
+      battery: nonNegativeNumber,
+      commands: { type: 'array', minItems: 1, items: ref('Command') },
+      commandScript: { type: 'string', description: 'Command script, e.g. "2(FFS)R", instead of commands' },
+      initialPosition: ref('InitialPosition')
+    }
+  },
+  SimulationInput: {
+    type: 'object',
+    required: ['terrain'],
+    properties: {
+      terrain: ref('Terrain'),
+      battery: nonNegativeNumber,
+      commands: { type: 'array', minItems: 1, items: ref('Command') },
+      commandScript: { type: 'string', description: 'Command script, e.g. "2(FFS)R", instead of commands' },
+      initialPosition: ref('InitialPosition'),
+      robots: { type: 'array', minItems: 1, items: ref('RobotConfig'), description: 'Fleet of robots, instead of one robot' },
+      macros: { type: 'object', additionalProperties: { type: 'string' } },
+      costModel: ref('CostModelInput'),
+      terrainProperties: ref('TerrainProperties'),
+      backoffStrategies: ref('BackoffStrategies')
+    }
+  },
+  TraceStep: {
+    type: 'object',
+    required: ['Step', 'Command', 'Reason', 'BatteryBefore', 'Success'],
+    properties: {
+      Step: { type: 'integer', minimum: 1 },
+      Command: ref('Command'),
+      Reason: { type: 'string', enum: ['command', 'low-battery', 'backoff'] },
+      BatteryBefore: { type: 'number' },
+      BatteryAfter: { type: 'number' },
+      Success: { type: 'boolean' },
+      Position: ref('Location'),
+      Facing: ref('Facing'),
+      Obstacle: { type: 'boolean' },
+      BackoffStrategy: { type: 'integer' }
+    }
+  },
+  BackoffAttempt: {
+    type: 'object',
+    required: ['Strategy', 'Commands', 'Success'],
+    properties: {
+      Strategy: { type: 'integer' },
+      Commands: { type: 'array', items: ref('Command') },
+      Success: { type: 'boolean' }
+    }
+  },
+  RobotResult: {
+    type: 'object',
+    required: ['VisitedCells', 'SamplesCollected', 'Battery', 'FinalPosition'],
+    properties: {
+      VisitedCells: { type: 'array', items: ref('Location') },
+      SamplesCollected: { type: 'array', items: { type: 'string' } },
+      Battery: { type: 'number' },
+      FinalPosition: {
+        type: 'object',
+        required: ['Location', 'Facing'],
+        properties: {
+          Location: ref('Location'),
+          Facing: ref('Facing')
+        }
+      },
+      Trace: { type: 'array', items: ref('TraceStep') },
+      ExpandedCommands: { type: 'array', items: ref('Command') },
+      BackoffAttempts: { type: 'array', items: ref('BackoffAttempt') }
+    }
+  },
+  SimulationResult: {
+    type: 'object',
+    allOf: [ref('RobotResult')],
+    properties: {
+      BackoffStrategies: { type: 'array', items: { type: 'array', items: ref('Command') } },
+      CostModel: ref('CostModel'),
+      TerrainProperties: ref('TerrainProperties')
+    }
+  },
+  FleetSimulationResult: {
+    type: 'object',
+    required: ['Robots', 'Fleet'],
+    properties: {
+      Robots: {
+        type: 'array',
+        items: {
+          type: 'object',
+          allOf: [ref('RobotResult')],
+          required: ['Id'],
+          properties: { Id: { description: 'Robot id from the input, or robot-<n>' } }
+        }
+      },
+      Fleet: {
+        type: 'object',
+        required: ['VisitedCells', 'SamplesCollected', 'Battery', 'Ticks'],
+        properties: {
+          VisitedCells: { type: 'array', items: ref('Location') },
+          SamplesCollected: { type: 'array', items: { type: 'string' } },
+          Battery: { type: 'number' },
+          Ticks: { type: 'integer' }
+        }
+      },
+      BackoffStrategies: { type: 'array', items: { type: 'array', items: ref('Command') } },
+      CostModel: ref('CostModel'),
+      TerrainProperties: ref('TerrainProperties')
+    }
+  },
+  SimulationOutput: {
+    anyOf: [ref('SimulationResult'), ref('FleetSimulationResult')]
+  },
+  ValidationIssue: {
+    type: 'object',
+    required: ['path', 'code', 'message'],
+    properties: {
+      path: { type: 'string', description: 'Where the problem is, e.g. "commands[1]"; empty for the whole input' },
+      code: { type: 'string', description: 'Machine-readable problem, e.g. "invalid_value"' },
+      message: { type: 'string' }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      errors: { type: 'array', items: ref('ValidationIssue') },
+      code: {
+        type: 'string',
+        enum: ['missing_api_key', 'invalid_api_key', 'rate_limited', 'quota_exceeded'],
+        description: 'Why a request was refused with 401 or 429'
+      },
+      retryAfter: { type: 'integer', description: 'Seconds until a refused request may be retried' },
+      message: { type: 'string', description: 'What went wrong, on internal errors' },
+      requestId: { type: 'string', description: 'Id of the request in the server logs, on internal errors' }
+    }
+  },
+  BatchResult: {
+    type: 'object',
+    required: ['results', 'summary'],
+    properties: {
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['index', 'success'],
+          properties: {
+            index: { type: 'integer' },
+            success: { type: 'boolean' },
+            result: ref('SimulationOutput'),
+            error: { type: 'string' },
+            errors: { type: 'array', items: ref('ValidationIssue') }
+          }
+        }
+      },
+      summary: {
+        type: 'object',
+        required: ['total', 'succeeded', 'failed'],
+        properties: {
+          total: { type: 'integer' },
+          succeeded: { type: 'integer' },
+          failed: { type: 'integer' }
+        }
+      }
+    }
+  },
+  RunSummary: {
+    type: 'object',
+    required: ['id', 'timestamp', 'duration', 'outcome', 'rerunOf'],
+    properties: {
+      id: { type: 'string' },
+      timestamp: { type: 'string', description: 'ISO 8601 date and time the run started' },
+      duration: { type: 'number', description: 'Milliseconds' },
+      outcome: { type: 'string', enum: ['success', 'error'] },
+      rerunOf: { type: ['string', 'null'] }
+    }
+  },
+  Run: {
+    type: 'object',
+    allOf: [ref('RunSummary')],
+    required: ['options', 'input', 'result', 'error', 'errors'],
+    properties: {
+      options: {
+        type: 'object',
+        required: ['trace'],
+        properties: { trace: { type: 'boolean' } }
+      },
+      input: { description: 'Simulation input as it was received' },
+      result: { anyOf: [ref('SimulationOutput'), { type: 'null' }] },
+      error: { type: ['string', 'null'] },
+      errors: { anyOf: [{ type: 'array', items: ref('ValidationIssue') }, { type: 'null' }] },
+      owner: { type: ['string', 'null'], description: 'Id of the API key that ran it, if keys were required' },
+      matchesOriginal: { type: 'boolean', description: 'Re-runs only: whether the outcome, result and errors are unchanged' }
+    }
+  },
+  RunList: {
+    type: 'object',
+    required: ['runs', 'page', 'pageSize', 'total'],
+    properties: {
+      runs: { type: 'array', items: ref('RunSummary') },
+      page: { type: 'integer', minimum: 1 },
+      pageSize: { type: 'integer', minimum: 1 },
+      total: { type: 'integer', minimum: 0 }
+    }
+  },
+  StreamState: {
+    type: 'object',
+    required: ['id', 'state'],
+    properties: {
+      id: { type: 'string' },
+      state: { type: 'string', enum: ['pending', 'running', 'paused', 'finished', 'cancelled'] }
+    }
+  },
+  Stream: {
+    type: 'object',
+    allOf: [ref('StreamState')],
+    required: ['tickDelay', 'eventsUrl'],
+    properties: {
+      tickDelay: { type: 'integer', minimum: 0 },
+      eventsUrl: { type: 'string', description: 'Where to listen to the events, including the stream token' }
+    }
+  },
+  MissionConstraints: {
+    type: 'object',
+    properties: {
+      samples: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type'],
+          properties: {
+            type: { type: 'string' },
+            count: { type: 'integer', minimum: 1 }
+          }
+        }
+      },
+      waypoints: { type: 'array', maxItems: 32, items: ref('Cell') },
+      forbidden: {
+        type: 'array',
+        maxItems: 64,
+        items: {
+          type: 'object',
+          allOf: [ref('Cell')],
+          properties: {
+            width: { type: 'integer', minimum: 1 },
+            height: { type: 'integer', minimum: 1 }
+          }
+        }
+      },
+      minBattery: nonNegativeNumber,
+      returnToBase: { type: 'boolean' }
+    }
+  },
+  PlanningInput: {
+    type: 'object',
+    required: ['terrain', 'start', 'battery'],
+    properties: {
+      terrain: ref('Terrain'),
+      start: ref('Pose'),
+      battery: nonNegativeNumber,
+      objective: { type: 'string', enum: ['energy', 'commands'] },
+      costModel: ref('CostModelInput'),
+      terrainProperties: ref('TerrainProperties'),
+      simulate: { type: 'boolean', description: 'Run the plan through the robot simulator, as ?simulate=true does' }
+    }
+  },
+  PathInput: {
+    type: 'object',
+    allOf: [ref('PlanningInput')],
+    required: ['target'],
+    properties: {
+      target: ref('Target')
+    }
+  },
+  AlternativesInput: {
+    type: 'object',
+    allOf: [ref('PathInput')],
+    properties: {
+      count: { type: 'integer', minimum: 1, maximum: 10 },
+      minDifference: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  },
+  MissionInput: {
+    type: 'object',
+    allOf: [ref('PlanningInput')],
+    properties: {
+      strategy: { type: 'string', enum: MissionPlanner.STRATEGIES },
+      constraints: ref('MissionConstraints')
+    }
+  },
+  NavigationInput: {
+    type: 'object',
+    allOf: [ref('PathInput')],
+    required: ['sensorRadius'],
+    properties: {
+      sensorRadius: { type: 'integer', minimum: 0 }
+    }
+  },
+  PlanState: {
+    type: 'object',
+    required: ['battery', 'position', 'facing', 'samples'],
+    properties: {
+      battery: { type: 'number' },
+      position: ref('Cell'),
+      facing: ref('Facing'),
+      samples: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  Verification: {
+    type: 'object',
+    required: ['verified', 'predicted', 'simulated', 'divergences'],
+    properties: {
+      verified: { type: 'boolean' },
+      predicted: ref('PlanState'),
+      simulated: ref('PlanState'),
+      divergences: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['kind', 'message'],
+          properties: {
+            kind: {
+              type: 'string',
+              enum: ['battery', 'position', 'facing', 'samples', 'auto-recharge', 'backoff', 'stopped']
+            },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  Leg: {
+    type: 'object',
+    required: ['goal', 'target', 'commands', 'energy'],
+    properties: {
+      goal: { type: 'string', enum: ['target', 'sample', 'waypoint', 'return'] },
+      type: { type: 'string', description: 'Sample legs only: the terrain type sampled' },
+      target: ref('Cell'),
+      commands: { type: 'array', items: ref('Command') },
+      energy: { type: 'number' }
+    }
+  },
+  Plan: {
+    type: 'object',
+    required: ['commands', 'battery', 'verification'],
+    properties: {
+      commands: { type: 'array', items: ref('Command') },
+      battery: { type: 'number' },
+      success: { type: 'boolean', description: 'Whether the plan reaches every goal' },
+      verification: ref('Verification'),
+      simulation: ref('RobotResult')
+    }
+  },
+  PathPlan: {
+    type: 'object',
+    allOf: [ref('Plan')],
+    required: ['success', 'legs'],
+    properties: {
+      legs: { type: 'array', items: ref('Leg') },
+      diagnostics: {
+        type: 'object',
+        required: ['reason', 'message'],
+        properties: {
+          reason: { type: 'string', enum: ['obstacle', 'disconnected', 'insufficient_battery', 'search_limit'] },
+          message: { type: 'string' },
+          targetConnected: { type: 'boolean' },
+          availableBattery: { type: 'number' },
+          requiredBattery: { type: ['number', 'null'] }
+        }
+      }
+    }
+  },
+  AlternativeRoutes: {
+    type: 'object',
+    required: ['routes'],
+    properties: {
+      routes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          allOf: [ref('Plan')],
+          required: ['rank', 'energy', 'commandCount', 'cells', 'difference'],
+          properties: {
+            rank: { type: 'integer', minimum: 1 },
+            energy: { type: 'number' },
+            commandCount: { type: 'integer' },
+            cells: { type: 'array', items: ref('Cell') },
+            difference: { type: ['number', 'null'] }
+          }
+        }
+      }
+    }
+  },
+  MissionPlan: {
+    type: 'object',
+    allOf: [ref('Plan')],
+    required: ['success', 'strategy', 'energy', 'commandCount', 'samples', 'unmetConstraints', 'legs'],
+    properties: {
+      strategy: { enum: ['exact', 'heuristic', null], description: 'null when the mission has no goal to plan' },
+      energy: { type: 'number' },
+      commandCount: { type: 'integer' },
+      samples: {
+        type: 'array',
+        items: {
+          type: 'object',
+          allOf: [ref('Cell')],
+          required: ['type'],
+          properties: { type: { type: 'string' } }
+        }
+      },
+      unmetConstraints: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['constraint', 'message'],
+          properties: {
+            constraint: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      },
+      legs: { type: 'array', items: ref('Leg') },
+      diagnostics: {
+        type: 'object',
+        required: ['unreachableTypes', 'failedLeg'],
+        properties: {
+          unreachableTypes: { type: 'array', items: { type: 'string' } },
+          failedLeg: { type: ['object', 'null'] }
+        }
+      }
+    }
+  },
+  CoveragePlan: {
+    type: 'object',
+    allOf: [ref('Plan')],
+    required: ['success', 'energy', 'commandCount', 'visitedCount', 'reachableCount', 'unvisitedCells', 'unreachableCells'],
+    properties: {
+      energy: { type: 'number' },
+      commandCount: { type: 'integer' },
+      visitedCount: { type: 'integer' },
+      reachableCount: { type: 'integer' },
+      unvisitedCells: { type: 'array', items: ref('Cell') },
+      unreachableCells: { type: 'array', items: ref('Cell') }
+    }
+  },
+  Reachability: {
+    type: 'object',
+    required: ['battery', 'canRecharge', 'maxEnergy', 'reachableCount', 'cells'],
+    properties: {
+      battery: { type: 'number' },
+      canRecharge: { type: 'boolean' },
+      maxEnergy: { type: 'number' },
+      reachableCount: { type: 'integer' },
+      cells: {
+        type: 'array',
+        items: {
+          type: 'array',
+          items: {
+            type: ['object', 'null'],
+            required: ['energy', 'reachable', 'requiresRecharge'],
+            properties: {
+              energy: { type: ['number', 'null'] },
+              reachable: { type: 'boolean' },
+              requiresRecharge: { type: 'boolean' }
+            }
+          }
+        },
+        description: 'cells[y][x], null for obstacles'
+      }
+    }
+  },
+  NavigationResult: {
+    type: 'object',
+    allOf: [ref('RobotResult')],
+    required: ['Commands', 'ReachedTarget', 'Replans'],
+    properties: {
+      DiscoveredMap: { type: 'array', items: { type: 'array', items: { type: ['string', 'null'] } } },
+      Commands: { type: 'array', items: ref('Command') },
+      ReachedTarget: { type: 'boolean' },
+      Replans: { type: 'integer', minimum: 0 }
+    }
+  },
+  GenerationOptions: {
+    type: 'object',
+    properties: {
+      seed: { oneOf: [{ type: 'integer', minimum: 0 }, { type: 'string' }] },
+      width: { type: 'integer', minimum: 1, maximum: 50 },
+      height: { type: 'integer', minimum: 1, maximum: 50 },
+      distribution: { type: 'object', additionalProperties: nonNegativeNumber },
+      obstacleDensity: { type: 'number', minimum: 0, maximum: 1 },
+      depositSize: { type: 'number', minimum: 1 },
+      connected: { type: 'boolean' },
+      battery: nonNegativeNumber,
+      commandCount: { type: 'integer', minimum: 1, maximum: 1000 }
+    }
+  },
+  GeneratedInput: {
+    type: 'object',
+    required: ['seed', 'terrain', 'battery', 'commands', 'initialPosition'],
+    properties: {
+      seed: { oneOf: [{ type: 'integer', minimum: 0 }, { type: 'string' }] },
+      terrain: ref('Terrain'),
+      battery: nonNegativeNumber,
+      commands: { type: 'array', minItems: 1, items: ref('Command') },
+      initialPosition: ref('InitialPosition')
+    }
+  }
+};
+
+module.exports = schemas;
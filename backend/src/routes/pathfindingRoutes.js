@@ -0,0 +1,15 @@
+const express = require('express');
+const pathfindingController = require('../controllers/PathfindingController');
+const { validate } = require('../middleware/openApiValidation');
+const { authenticate } = require('../middleware/apiKeyAuth');
+
+const router = express.Router();
+
+router.post('/path', authenticate, validate('findPath'), pathfindingController.findPath);
+router.post('/alternatives', authenticate, validate('findAlternativePaths'), pathfindingController.findAlternativePaths);
+router.post('/mission', authenticate, validate('planMission'), pathfindingController.planMission);
+router.post('/coverage', authenticate, validate('planCoverage'), pathfindingController.planCoverage);
+router.post('/reachability', authenticate, validate('analyzeReachability'), pathfindingController.analyzeReachability);
+router.post('/navigate', authenticate, validate('navigate'), pathfindingController.navigate);
+
+module.exports = router;
\ No newline at end of file
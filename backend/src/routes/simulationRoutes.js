@@ -1,8 +1,21 @@
 const express = require('express');
 const simulationController = require('../controllers/SimulationController');
+const { validate } = require('../middleware/openApiValidation');
+const { authenticate, consumeQuota } = require('../middleware/apiKeyAuth');
 
 const router = express.Router();
 
-router.post('/', simulationController.runSimulation);
+router.post('/', authenticate, validate('runSimulation'), consumeQuota(), simulationController.runSimulation);
+router.post('/batch', authenticate, validate('runBatch'), consumeQuota(req => req.body.length), simulationController.runBatch);
+router.get('/runs', authenticate, validate('listRuns'), simulationController.listRuns);
+router.get('/runs/:id', authenticate, validate('getRun'), simulationController.getRun);
+router.delete('/runs/:id', authenticate, validate('deleteRun'), simulationController.deleteRun);
+router.post('/runs/:id/rerun', authenticate, validate('rerun'), consumeQuota(), simulationController.rerun);
+router.post('/streams', authenticate, validate('createStream'), consumeQuota(), simulationController.createStream);
+// EventSource cannot send headers; the token in eventsUrl, returned to the key that created the stream, stands for the key
+router.get('/streams/:id/events', validate('streamEvents'), simulationController.streamEvents);
+router.post('/streams/:id/pause', authenticate, validate('pauseStream'), simulationController.pauseStream);
+router.post('/streams/:id/resume', authenticate, validate('resumeStream'), simulationController.resumeStream);
+router.post('/streams/:id/cancel', authenticate, validate('cancelStream'), simulationController.cancelStream);
 
 module.exports = router;
\ No newline at end of file
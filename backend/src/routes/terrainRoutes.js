@@ -0,0 +1,11 @@
+const express = require('express');
+const terrainController = require('../controllers/TerrainController');
+const { validate } = require('../middleware/openApiValidation');
+const { authenticate } = require('../middleware/apiKeyAuth');
+
+const router = express.Router();
+
+router.get('/properties', authenticate, validate('getTerrainProperties'), terrainController.getProperties);
+router.post('/generate', authenticate, validate('generateTerrain'), terrainController.generate);
+
+module.exports = router;
\ No newline at end of file
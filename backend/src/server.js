@@ -2,26 +2,57 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const simulationRoutes = require('./routes/simulationRoutes');
+const terrainRoutes = require('./routes/terrainRoutes');
+const pathfindingRoutes = require('./routes/pathfindingRoutes');
+const openApiDocument = require('./openapi/document');
+const { validate } = require('./middleware/openApiValidation');
+const { trackRequests } = require('./middleware/requestTracking');
+const metricsService = require('./services/MetricsService');
+const logger = require('./logger');
 
 const app = express();
 
+app.use(trackRequests);
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: [
+    'X-Request-Id',
+    'X-Run-Id',
+    'X-RateLimit-Limit',
+    'X-RateLimit-Remaining',
+    'X-RateLimit-Reset',
+    'X-Quota-Limit',
+    'X-Quota-Remaining',
+    'X-Quota-Reset',
+    'Retry-After'
+  ]
 }));
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '5mb' }));
 app.use('/api/simulation', simulationRoutes);
+app.use('/api/terrain', terrainRoutes);
+app.use('/api/pathfinding', pathfindingRoutes);
 
-app.get('/health', (req, res) => {
+app.get('/api/openapi.json', validate('getOpenApiDocument'), (req, res) => {
+  res.status(200).json(openApiDocument);
+});
+
+app.get('/health', validate('getHealth'), (req, res) => {
   res.status(200).json({ status: 'ok' });
 });
 
+app.get('/metrics', validate('getMetrics'), async (req, res) => {
+  res.set('Content-Type', metricsService.getContentType());
+  res.status(200).send(await metricsService.getMetrics());
+});
+
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  logger.error('Unhandled error', { requestId: req.id, error: err.message, stack: err.stack });
   res.status(500).json({
     error: 'Internal Server Error',
-    message: err.message
+    message: err.message,
+    requestId: req.id
   });
 });
 
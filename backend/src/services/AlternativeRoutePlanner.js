@@ -0,0 +1,174 @@
+const DEFAULT_COUNT = 3;
+const DEFAULT_MIN_DIFFERENCE = 0.3;
+const DEFAULT_MAX_SEARCHES = 30;
+
+/**
+ * Finds several distinct routes to a target for an operator to choose from.
+ *
+ * Candidates are generated as in Yen's algorithm, except that a route is
+ * varied by blocking one of its cells rather than one of its moves: each
+ * candidate spawns new ones by blocking, in turn, each cell it passes through
+ * on top of the cells already blocked for it. Cells are tried spread out
+ * along the route (its middle, then the middles of both halves, ...), since
+ * blocking neighbouring cells tends to give the same detour. Candidates are taken cheapest
+ * first (energy, then command count) and kept only when they differ enough
+ * from every route kept so far. Two routes differ by the share of cells that
+ * only one of them visits, so routes that just turn in a different order
+ * count as the same route.
+ *
+ * All searches share one expansion budget, and the searches around blocked
+ * cells repair the costs to the target computed for the unblocked terrain
+ * rather than computing their own, so the planner costs a few path searches
+ * at most.
+ */
+class AlternativeRoutePlanner {
+  /**
+   * @param {PathfindingService} pathfinder - Pathfinder for the terrain
+   * @param {Object} [options] - Route options
+   * @param {number} [options.count] - Number of routes wanted (default 3)
+   * @param {number} [options.minDifference] - Minimum difference between two routes, from 0 to 1 (default 0.3)
+   * @param {number} [options.maxSearches] - Limit on the path searches spent on candidates (default 30)
+   * @param {number} [options.maxExpansions] - Search expansions shared by all searches
+   *   (default: the pathfinder's limit for one path)
+   */
+  constructor(pathfinder, options = {}) {
+    this.pathfinder = pathfinder;
+    this.count = options.count !== undefined ? options.count : DEFAULT_COUNT;
+    this.minDifference = options.minDifference !== undefined ? options.minDifference : DEFAULT_MIN_DIFFERENCE;
+    this.maxSearches = options.maxSearches || DEFAULT_MAX_SEARCHES;
+    this.maxExpansions = options.maxExpansions || pathfinder.maxExpansions;
+  }
+
+  /**
+   * Find up to `count` distinct routes, best first
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {Object} target - Target position {x, y, facing?}
+   * @param {number} battery - Initial battery level
+   * @returns {Object} - {routes: [{rank, commands, battery, energy, commandCount, cells, difference}]};
+   *   difference is the smallest difference from a better route, null for the best one
+   */
+  plan(start, target, battery) {
+    const candidates = [];
+    const triedBlocks = new Set();
+    const seenRoutes = new Set();
+    const routes = [];
+    const budget = { expansions: this.maxExpansions };
+    let costs = null;
+    let searches = 0;
+
+    const addCandidate = blockedCells => {
+      const blockKey = blockedCells.map(cell => this.getCellKey(cell)).sort().join(';');
+      if (triedBlocks.has(blockKey) || searches >= this.maxSearches || budget.expansions <= 0) return;
+      triedBlocks.add(blockKey);
+      searches++;
+
+      costs = costs || this.pathfinder.getCostsToTarget(target);
+      const pathfinder = blockedCells.length > 0 ? this.pathfinder.withBlockedCells(blockedCells) : this.pathfinder;
+      const path = pathfinder.findPath(start, target, battery, {
+        costs: pathfinder === this.pathfinder ? costs : pathfinder.getCostsToTarget(target, costs),
+        budget
+      });
+      if (!path.success || seenRoutes.has(path.commands.join(''))) return;
+      seenRoutes.add(path.commands.join(''));
+
+      candidates.push({ ...this.describeRoute(start, path), blockedCells });
+    };
+
+    addCandidate([]);
+
+    while (routes.length < this.count && candidates.length > 0) {
+      candidates.sort((a, b) => a.energy - b.energy || a.commandCount - b.commandCount);
+      const candidate = candidates.shift();
+
+      const difference = routes.length > 0
+        ? Math.min(...routes.map(route => this.getDifference(route.cells, candidate.cells)))
+        : null;
+
+      if (difference === null || difference >= this.minDifference) {
+        const { blockedCells, ...route } = candidate;
+        routes.push({ rank: routes.length + 1, ...route, difference });
+      }
+
+      const cells = candidate.cells.filter(cell =>
+        !(cell.x === start.x && cell.y === start.y) && !(cell.x === target.x && cell.y === target.y));
+      for (const cell of this.spreadOut(cells)) {
+        addCandidate([...candidate.blockedCells, cell]);
+      }
+    }
+
+    return { routes };
+  }
+
+  /**
+   * Add the measures used to rank and compare a route
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {Object} path - Path {commands, battery}
+   * @returns {Object} - {commands, battery, energy, commandCount, cells}
+   */
+  describeRoute(start, path) {
+    const cells = [{ x: start.x, y: start.y }];
+    const seen = new Set([this.getCellKey(start)]);
+    let position = { x: start.x, y: start.y, facing: start.facing };
+
+    for (const command of path.commands) {
+      position = this.pathfinder.applyCommands(position, [command]);
+      if (!seen.has(this.getCellKey(position))) {
+        seen.add(this.getCellKey(position));
+        cells.push({ x: position.x, y: position.y });
+      }
+    }
+
+    return {
+      commands: path.commands,
+      battery: path.battery,
+      energy: this.pathfinder.measureEnergy(start, path.commands),
+      commandCount: path.commands.length,
+      cells
+    };
+  }
+
+  /**
+   * Order items so that each one is as far as possible from the ones before:
+   * the middle item first, then the middles of both halves, and so on
+   * @param {Array} items - Items in route order
+   * @returns {Array} - The same items, reordered
+   */
+  spreadOut(items) {
+    const ordered = [];
+    const ranges = [[0, items.length]];
+
+    while (ranges.length > 0) {
+      const [from, to] = ranges.shift();
+      if (from >= to) continue;
+
+      const middle = (from + to) >> 1;
+      ordered.push(items[middle]);
+      ranges.push([from, middle], [middle + 1, to]);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Share of the cells visited by either route that only one of them visits
+   * @param {Array} cells - Cells {x, y} of one route
+   * @param {Array} otherCells - Cells {x, y} of the other route
+   * @returns {number} - From 0 (same cells) to 1 (no common cell)
+   */
+  getDifference(cells, otherCells) {
+    const keys = new Set(cells.map(cell => this.getCellKey(cell)));
+    const shared = otherCells.filter(cell => keys.has(this.getCellKey(cell))).length;
+    const union = keys.size + otherCells.length - shared;
+
+    return 1 - shared / union;
+  }
+
+  getCellKey(cell) {
+    return `${cell.x},${cell.y}`;
+  }
+}
+
+AlternativeRoutePlanner.DEFAULT_COUNT = DEFAULT_COUNT;
+AlternativeRoutePlanner.DEFAULT_MIN_DIFFERENCE = DEFAULT_MIN_DIFFERENCE;
+
+module.exports = AlternativeRoutePlanner;
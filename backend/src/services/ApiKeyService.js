@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const path = require('path');
+const ApiKeyStore = require('../stores/ApiKeyStore');
+const MemoryApiKeyStore = require('../stores/MemoryApiKeyStore');
+const ValidationError = require('../errors/ValidationError');
+const NotFoundError = require('../errors/NotFoundError');
+const KeyStoreError = require('../errors/KeyStoreError');
+
+const KEY_PREFIX = 'mrk';
+const KEY_PATTERN = /^mrk_([0-9a-f]{8})_([\w-]{43})$/;
+const DEFAULT_RATE_LIMIT = 60;
+const DEFAULT_DAILY_QUOTA = 1000;
+const RATE_WINDOW = 60 * 1000;
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', '..', 'config', 'api-keys.json');
+
+/**
+ * Pick the key store from the environment: the JSON file at API_KEYS_PATH
+ * (default backend/config/api-keys.json). Tests use memory unless a path is set.
+ * @returns {ApiKeyStore|MemoryApiKeyStore}
+ */
+function createDefaultStore() {
+  const { API_KEYS_PATH, NODE_ENV } = process.env;
+  if (NODE_ENV === 'test' && !API_KEYS_PATH) {
+    return new MemoryApiKeyStore();
+  }
+  return new ApiKeyStore(API_KEYS_PATH || DEFAULT_STORE_PATH);
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// A key as shown to administrators, without its secret hash
+function describeKey({ id, name, rateLimit, dailyQuota, createdAt, revokedAt }) {
+  return { id, name, rateLimit, dailyQuota, createdAt, revokedAt };
+}
+
+function startOfNextDay(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+/**
+ * Manages API keys and enforces their per-minute rate limit and daily quota of
+ * simulation runs. Keys look like mrk_<id>_<secret>; only a SHA-256 hash of the
+ * random secret is stored. Usage is counted in memory, per server process.
+ *
+ * Keys are only required when API_AUTH=required is set. The key store never
+ * turns that on or off by itself: once keys are required, a key store that is
+ * missing or cannot be read makes every request fail rather than go through.
+ */
+class ApiKeyService {
+  /**
+   * @param {ApiKeyStore|MemoryApiKeyStore} [store] - Where keys are kept
+   * @param {boolean} [required] - Whether requests need a key (default: API_AUTH is required)
+   */
+  constructor(store = createDefaultStore(), required = process.env.API_AUTH === 'required') {
+    this.store = store;
+    this.required = required;
+    this.usage = new Map();
+  }
+
+  /**
+   * Swap the key store, forgetting the usage counted so far
+   * @param {ApiKeyStore|MemoryApiKeyStore} store - Where keys are kept from now on
+   */
+  setStore(store) {
+    this.store = store;
+    this.usage.clear();
+  }
+
+  /**
+   * Turn the API key requirement on or off
+   * @param {boolean} required - Whether requests need a key from now on
+   */
+  setRequired(required) {
+    this.required = required;
+  }
+
+  /**
+   * Whether requests need an API key
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.required;
+  }
+
+  /**
+   * Read the keys once, so that a key store that cannot be used is reported
+   * when the server starts rather than on its first request
+   * @returns {boolean} - Whether a key store exists
+   * @throws {KeyStoreError} - If keys are required and the key store is missing or cannot be read
+   */
+  checkStore() {
+    if (this.required) {
+      this.readKeys();
+    }
+    return this.store.exists();
+  }
+
+  /**
+   * Create a key
+   * @param {Object} options - Key options
+   * @param {string} options.name - Who the key is for, e.g. a team name
+   * @param {number} [options.rateLimit] - Requests per minute (default 60)
+   * @param {number} [options.dailyQuota] - Simulation runs per UTC day (default 1000)
+   * @returns {Object} - {key, ...key details}; the key is only ever returned here
+   * @throws {ValidationError} - If an option is invalid
+   */
+  createKey({ name, rateLimit = DEFAULT_RATE_LIMIT, dailyQuota = DEFAULT_DAILY_QUOTA } = {}) {
+    const errors = [];
+    if (typeof name !== 'string' || name.trim() === '') {
+      errors.push({ path: 'name', code: 'required', message: 'Name is required' });
+    }
+    for (const [field, label, value] of [['rateLimit', 'Rate limit', rateLimit], ['dailyQuota', 'Daily quota', dailyQuota]]) {
+      if (!Number.isInteger(value) || value < 1) {
+        errors.push({ path: field, code: 'invalid_value', message: `${label} must be a positive integer` });
+      }
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const keys = this.store.readAll();
+    let id;
+    do {
+      id = crypto.randomBytes(4).toString('hex');
+    } while (keys.some(key => key.id === id));
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    const record = {
+      id,
+      name: name.trim(),
+      secretHash: hashSecret(secret),
+      rateLimit,
+      dailyQuota,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    this.store.saveAll([...keys, record]);
+
+    return { key: `${KEY_PREFIX}_${id}_${secret}`, ...describeKey(record) };
+  }
+
+  /**
+   * Revoke a key; requests using it are rejected from then on
+   * @param {string} id - Key id
+   * @returns {Object} - Key details
+   * @throws {NotFoundError} - If there is no key with this id
+   */
+  revokeKey(id) {
+    const keys = this.store.readAll();
+    const record = keys.find(key => key.id === id);
+    if (!record) {
+      throw new NotFoundError(`API key ${id} not found`);
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.store.saveAll(keys);
+    }
+    return describeKey(record);
+  }
+
+  /**
+   * List every key, revoked ones included
+   * @returns {Array} - Key details, without secrets
+   */
+  listKeys() {
+    return this.store.readAll().map(describeKey);
+  }
+
+  /**
+   * Find the active key matching a key presented by a client
+   * @param {string} key - Key as sent by the client
+   * @returns {Object|null} - Key, or null if it is unknown, wrong or revoked
+   * @throws {KeyStoreError} - If the key store is missing or cannot be read
+   */
+  authenticate(key) {
+    const match = KEY_PATTERN.exec(key || '');
+    if (!match) {
+      return null;
+    }
+
+    const [, id, secret] = match;
+    const record = this.readKeys().find(candidate => candidate.id === id);
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    const expected = Buffer.from(record.secretHash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? record : null;
+  }
+
+  /**
+   * Count a request against the key's rate limit, in fixed one-minute windows
+   * @param {Object} key - Authenticated key
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Object} - {allowed, limit, remaining, resetAt}; resetAt in milliseconds
+   */
+  takeRequest(key, now = Date.now()) {
+    const usage = this.getUsage(key.id);
+    if (now >= usage.windowEnd) {
+      usage.windowEnd = now + RATE_WINDOW;
+      usage.requests = 0;
+    }
+
+    const allowed = usage.requests < key.rateLimit;
+    if (allowed) {
+      usage.requests++;
+    }
+    return { allowed, limit: key.rateLimit, remaining: key.rateLimit - usage.requests, resetAt: usage.windowEnd };
+  }
+
+  /**
+   * Count simulation runs against the key's daily quota; runs that do not all
+   * fit in what is left are refused together
+   * @param {Object} key - Authenticated key
+   * @param {number} count - Number of runs
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Object} - {allowed, limit, remaining, resetAt}; resetAt is the next UTC midnight in milliseconds
+   */
+  takeRuns(key, count, now = Date.now()) {
+    const usage = this.getUsage(key.id);
+    if (now >= usage.dayEnd) {
+      usage.dayEnd = startOfNextDay(now);
+      usage.runs = 0;
+    }
+
+    const allowed = usage.runs + count <= key.dailyQuota;
+    if (allowed) {
+      usage.runs += count;
+    }
+    return { allowed, limit: key.dailyQuota, remaining: key.dailyQuota - usage.runs, resetAt: usage.dayEnd };
+  }
+
+  readKeys() {
+    if (!this.store.exists()) {
+      throw new KeyStoreError('API keys are required, but no key has been created; create one with npm run keys');
+    }
+    return this.store.readAll();
+  }
+
+  /**
+   * Give back runs taken by takeRuns that did not happen, e.g. because their
+   * input was rejected; runs taken on an earlier day are not given back
+   * @param {Object} key - Authenticated key
+   * @param {number} count - Number of runs
+   * @param {number} resetAt - resetAt returned by takeRuns when the runs were taken
+   */
+  returnRuns(key, count, resetAt) {
+    const usage = this.getUsage(key.id);
+    if (usage.dayEnd === resetAt) {
+      usage.runs = Math.max(0, usage.runs - count);
+    }
+  }
+
+  getUsage(id) {
+    if (!this.usage.has(id)) {
+      this.usage.set(id, { windowEnd: 0, requests: 0, dayEnd: 0, runs: 0 });
+    }
+    return this.usage.get(id);
+  }
+}
+
+module.exports = new ApiKeyService();
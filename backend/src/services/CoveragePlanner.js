@@ -0,0 +1,256 @@
+const DIRECTIONS = ['North', 'East', 'South', 'West'];
+const OFFSETS = {
+  North: { x: 0, y: -1 },
+  East: { x: 1, y: 0 },
+  South: { x: 0, y: 1 },
+  West: { x: -1, y: 0 }
+};
+
+/**
+ * Plans a route visiting every cell reachable from the start.
+ *
+ * The route walks a depth-first spanning tree of the reachable cells: it keeps
+ * going straight while it can, which sweeps open areas in long lanes, and
+ * backs up along the tree at dead ends, so every step moves to an adjacent
+ * cell. Recharges are then inserted on sunny cells, just enough to reach the
+ * next sunny cell on the route (or the end of it).
+ */
+class CoveragePlanner {
+  /**
+   * @param {PathfindingService} pathfinder - Pathfinder for the terrain
+   */
+  constructor(pathfinder) {
+    this.pathfinder = pathfinder;
+  }
+
+  /**
+   * Plan the coverage route
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {number} initialBattery - Initial battery level
+   * @returns {Object} - Coverage plan {commands, battery, success, energy, commandCount,
+   *   visitedCount, reachableCount, unvisitedCells, unreachableCells}
+   */
+  plan(start, initialBattery) {
+    const reachable = this.findReachableCells(start);
+    const route = this.buildRoute(start, reachable.size);
+    const { commands, battery, success } = this.scheduleRecharges(start, initialBattery, route);
+
+    const visited = new Set([this.getCellKey(start)]);
+    let position = { x: start.x, y: start.y, facing: start.facing };
+    for (const command of commands) {
+      position = this.pathfinder.applyCommands(position, [command]);
+      visited.add(this.getCellKey(position));
+    }
+
+    const unvisitedCells = [];
+    const unreachableCells = [];
+    for (let y = 0; y < this.pathfinder.rows; y++) {
+      for (let x = 0; x < this.pathfinder.cols; x++) {
+        if (this.pathfinder.isObstacle(x, y)) continue;
+
+        const key = this.getCellKey({ x, y });
+        if (!reachable.has(key)) {
+          unreachableCells.push({ x, y });
+        } else if (!visited.has(key)) {
+          unvisitedCells.push({ x, y });
+        }
+      }
+    }
+
+    return {
+      commands,
+      battery,
+      success,
+      energy: this.pathfinder.measureEnergy(start, commands),
+      commandCount: commands.length,
+      visitedCount: visited.size,
+      reachableCount: reachable.size,
+      unvisitedCells,
+      unreachableCells
+    };
+  }
+
+  /**
+   * Collect the cells connected to the start cell
+   * @param {Object} start - Starting position {x, y}
+   * @returns {Set} - Cell keys
+   */
+  findReachableCells(start) {
+    const reachable = new Set([this.getCellKey(start)]);
+    const queue = [{ x: start.x, y: start.y }];
+
+    for (let index = 0; index < queue.length; index++) {
+      for (const neighbor of this.getOpenNeighbors(queue[index])) {
+        const key = this.getCellKey(neighbor);
+        if (!reachable.has(key)) {
+          reachable.add(key);
+          queue.push(neighbor);
+        }
+      }
+    }
+
+    return reachable;
+  }
+
+  /**
+   * Build the commands of a depth-first walk over the reachable cells, without recharges
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {number} cellCount - Number of reachable cells
+   * @returns {Array} - Commands
+   */
+  buildRoute(start, cellCount) {
+    const commands = [];
+    const visited = new Set([this.getCellKey(start)]);
+    const stack = [{ x: start.x, y: start.y }];
+    let facing = start.facing;
+    let heading = start.facing;
+
+    while (visited.size < cellCount) {
+      const current = stack[stack.length - 1];
+      const next = this.chooseNextCell(current, heading, visited);
+
+      const destination = next || stack[stack.length - 2];
+      const direction = this.getDirection(current, destination);
+      commands.push(...this.getStepCommands(facing, direction));
+
+      if (commands[commands.length - 1] === 'F') {
+        facing = direction;
+      }
+      heading = direction;
+
+      if (next) {
+        visited.add(this.getCellKey(next));
+        stack.push(next);
+      } else {
+        stack.pop();
+      }
+    }
+
+    return commands;
+  }
+
+  /**
+   * Pick the unvisited neighbour to move to: straight ahead when possible,
+   * otherwise the one with the fewest unvisited neighbours, so that corners
+   * and dead ends are cleared before the walk moves on
+   * @param {Object} cell - Current cell {x, y}
+   * @param {string} heading - Direction of the last step
+   * @param {Set} visited - Visited cell keys
+   * @returns {Object|null} - Next cell {x, y}
+   */
+  chooseNextCell(cell, heading, visited) {
+    const candidates = this.getOpenNeighbors(cell).filter(neighbor => !visited.has(this.getCellKey(neighbor)));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const ahead = candidates.find(neighbor => this.getDirection(cell, neighbor) === heading);
+    if (ahead) {
+      return ahead;
+    }
+
+    const openness = neighbor => this.getOpenNeighbors(neighbor)
+      .filter(other => !visited.has(this.getCellKey(other))).length;
+    return candidates.reduce((best, neighbor) => (openness(neighbor) < openness(best) ? neighbor : best));
+  }
+
+  /**
+   * Get the commands moving the robot one cell in a direction; moving against
+   * the facing uses B rather than turning around
+   * @param {string} facing - Current facing
+   * @param {string} direction - Direction of the step
+   * @returns {Array} - Commands
+   */
+  getStepCommands(facing, direction) {
+    const turns = (DIRECTIONS.indexOf(direction) - DIRECTIONS.indexOf(facing) + 4) % 4;
+
+    switch (turns) {
+      case 0:
+        return ['F'];
+      case 1:
+        return ['R', 'F'];
+      case 2:
+        return ['B'];
+      default:
+        return ['L', 'F'];
+    }
+  }
+
+  /**
+   * Insert recharges into a route. Before each command, on a sunny cell, the
+   * robot recharges until it holds the battery needed to get to the next sunny
+   * cell with enough left to extend its panels there. The route is cut short
+   * when a command cannot be afforded.
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {number} initialBattery - Initial battery level
+   * @param {Array} route - Commands without recharges
+   * @returns {Object} - {commands, battery, success}
+   */
+  scheduleRecharges(start, initialBattery, route) {
+    const { pathfinder } = this;
+    const positions = [{ x: start.x, y: start.y, facing: start.facing }];
+    const consumptions = [];
+
+    route.forEach((command, index) => {
+      const next = pathfinder.applyCommands(positions[index], [command]);
+      consumptions.push(pathfinder.getConsumption(command, command === 'F' || command === 'B' ? next : positions[index]));
+      positions.push(next);
+    });
+
+    const canRecharge = positions.map(position =>
+      pathfinder.getSolarYield(position) > pathfinder.getConsumption('E', position));
+
+    // Battery needed before each command to finish the route, recharging where possible
+    const needed = new Array(route.length + 1).fill(0);
+    for (let index = route.length - 1; index >= 0; index--) {
+      const required = consumptions[index] + needed[index + 1];
+      needed[index] = canRecharge[index]
+        ? Math.min(required, pathfinder.getConsumption('E', positions[index]))
+        : required;
+    }
+
+    const commands = [];
+    let battery = initialBattery;
+
+    for (let index = 0; index < route.length; index++) {
+      const position = positions[index];
+
+      if (canRecharge[index]) {
+        const rechargeCost = pathfinder.getConsumption('E', position);
+        const gain = pathfinder.getSolarYield(position) - rechargeCost;
+        const target = consumptions[index] + needed[index + 1];
+
+        while (battery < target && battery >= rechargeCost) {
+          commands.push('E');
+          battery += gain;
+        }
+      }
+
+      if (battery < consumptions[index]) {
+        return { commands, battery, success: false };
+      }
+
+      commands.push(route[index]);
+      battery -= consumptions[index];
+    }
+
+    return { commands, battery, success: true };
+  }
+
+  getOpenNeighbors(cell) {
+    return DIRECTIONS
+      .map(direction => ({ x: cell.x + OFFSETS[direction].x, y: cell.y + OFFSETS[direction].y }))
+      .filter(neighbor => !this.pathfinder.isObstacle(neighbor.x, neighbor.y));
+  }
+
+  getDirection(from, to) {
+    return DIRECTIONS.find(direction =>
+      from.x + OFFSETS[direction].x === to.x && from.y + OFFSETS[direction].y === to.y);
+  }
+
+  getCellKey(cell) {
+    return `${cell.x},${cell.y}`;
+  }
+}
+
+module.exports = CoveragePlanner;
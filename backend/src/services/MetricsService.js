@@ -0,0 +1,108 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics of the server and its simulations, served at /metrics.
+ *
+ * Requests are labelled with their documented route, e.g.
+ * /api/simulation/runs/{id}, so that ids do not create new series; requests
+ * to undocumented paths share the route "unmatched". The average number of
+ * commands per run is mars_robot_simulation_commands_sum divided by
+ * mars_robot_simulation_commands_count.
+ */
+class MetricsService {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry });
+
+    this.requests = new client.Counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by method, route and status',
+      labelNames: ['method', 'route', 'status'],
+      registers: [this.registry]
+    });
+    this.requestDuration = new client.Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request latency by method, route and status',
+      labelNames: ['method', 'route', 'status'],
+      buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      registers: [this.registry]
+    });
+    this.simulations = new client.Counter({
+      name: 'mars_robot_simulations_total',
+      help: 'Simulation runs by outcome (success, error, or cancelled for streams)',
+      labelNames: ['outcome'],
+      registers: [this.registry]
+    });
+    this.commands = new client.Histogram({
+      name: 'mars_robot_simulation_commands',
+      help: 'Commands executed per simulation run, counting every robot of a fleet; commands after a robot stopped are left out',
+      buckets: [1, 5, 10, 25, 50, 100, 250, 500, 1000],
+      registers: [this.registry]
+    });
+    this.backoffActivations = new client.Counter({
+      name: 'mars_robot_backoff_activations_total',
+      help: 'Backoff strategies started after hitting an obstacle, by strategy index and result',
+      labelNames: ['strategy', 'result'],
+      registers: [this.registry]
+    });
+    this.batteryExhaustions = new client.Counter({
+      name: 'mars_robot_battery_exhausted_total',
+      help: 'Robots stopped because their battery could not power the next command nor the solar panels',
+      registers: [this.registry]
+    });
+  }
+
+  /**
+   * Count a finished HTTP request
+   * @param {Object} request - {method, route, status, durationMs}
+   */
+  recordRequest({ method, route, status, durationMs }) {
+    const labels = { method, route, status: String(status) };
+    this.requests.inc(labels);
+    this.requestDuration.observe(labels, durationMs / 1000);
+  }
+
+  /**
+   * Count a simulation run
+   * @param {string} outcome - 'success', 'error' or 'cancelled'
+   * @param {Array} [robots] - {robot, commands} of each robot that ran, with the commands it got to
+   *   before it stopped or the run was cancelled; none for runs that failed validation
+   */
+  recordSimulation(outcome, robots = []) {
+    this.simulations.inc({ outcome });
+    if (robots.length === 0) return;
+
+    this.commands.observe(robots.reduce((total, { commands }) => total + commands.length, 0));
+    for (const { robot } of robots) {
+      robot.backoffAttempts.forEach(attempt => {
+        this.backoffActivations.inc({ strategy: String(attempt.Strategy), result: attempt.Success ? 'success' : 'failure' });
+      });
+      if (robot.batteryExhausted) {
+        this.batteryExhaustions.inc();
+      }
+    }
+  }
+
+  /**
+   * @returns {Promise<string>} - Every metric in the Prometheus text format
+   */
+  getMetrics() {
+    return this.registry.metrics();
+  }
+
+  /**
+   * @returns {string} - Content type of getMetrics' output
+   */
+  getContentType() {
+    return this.registry.contentType;
+  }
+
+  /**
+   * Set every metric back to zero
+   */
+  reset() {
+    this.registry.resetMetrics();
+  }
+}
+
+module.exports = new MetricsService();
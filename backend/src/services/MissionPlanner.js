@@ -0,0 +1,579 @@
+const PlanDiagnostics = require('./PlanDiagnostics');
+
+const STRATEGIES = ['auto', 'exact', 'heuristic'];
+const DIRECTIONS = ['North', 'East', 'South', 'West'];
+
+/**
+ * Plans missions made of goals: samples of given terrain types and waypoints
+ * to visit, optionally ending back at the start cell.
+ *
+ * Small missions are solved exactly: the cost between every pair of candidate
+ * poses is precomputed and a dynamic program over subsets of goals picks both
+ * the cell used for each goal and the visiting order. Larger missions, and
+ * missions needing several samples of one type, use a nearest-neighbour
+ * heuristic. Either way, each leg is then planned with the battery-aware A*
+ * search, which inserts recharges where needed, so tour costs ignore
+ * recharging but the returned plan does not.
+ */
+class MissionPlanner {
+  /**
+   * @param {PathfindingService} pathfinder - Pathfinder for the terrain
+   * @param {Object} [options] - Mission options
+   * @param {string} [options.strategy] - 'auto' (default), 'exact' or 'heuristic'; 'exact' falls back to
+   *   the heuristic past maxExactCells or maxExactGoals, as the exact solver grows exponentially with the goals
+   * @param {number} [options.maxExactCells] - Largest number of candidate cells solved exactly (default 64)
+   * @param {number} [options.maxExactGoals] - Largest number of goals solved exactly (default 8)
+   * @param {Object} [options.constraints] - Mission constraints
+   * @param {Array} [options.constraints.samples] - Required samples [{type, count?}]; defaults to one of each terrain type
+   * @param {Array} [options.constraints.waypoints] - Cells {x, y} to visit, in any order
+   * @param {Array} [options.constraints.forbidden] - Cells {x, y} or rectangles {x, y, width, height} never to enter
+   * @param {number} [options.constraints.minBattery] - Battery the robot must keep at all times
+   * @param {boolean} [options.constraints.returnToBase] - Whether the mission ends on the start cell
+   */
+  constructor(pathfinder, options = {}) {
+    const constraints = options.constraints || {};
+
+    this.strategy = options.strategy || 'auto';
+    this.maxExactCells = options.maxExactCells || 64;
+    this.maxExactGoals = options.maxExactGoals || 8;
+    this.requiredSamples = constraints.samples || null;
+    this.waypoints = constraints.waypoints || [];
+    this.reserve = constraints.minBattery || 0;
+    this.returnToBase = constraints.returnToBase === true;
+
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Unknown mission strategy: ${this.strategy}`);
+    }
+
+    this.terrainPathfinder = pathfinder;
+    // One flag per terrain cell, by y * cols + x
+    this.forbidden = this.markForbiddenZones(pathfinder, constraints.forbidden || []);
+    const forbiddenCells = [];
+    this.forbidden.forEach((flag, index) => {
+      if (flag) forbiddenCells.push({ x: index % pathfinder.cols, y: Math.floor(index / pathfinder.cols) });
+    });
+    this.pathfinder = forbiddenCells.length > 0
+      ? pathfinder.withBlockedCells(forbiddenCells)
+      : pathfinder;
+    this.diagnostics = new PlanDiagnostics(this.pathfinder);
+  }
+
+  /**
+   * Plan the mission
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {number} initialBattery - Initial battery level
+   * @returns {Object} - Mission plan {commands, battery, success, strategy, energy, commandCount, samples,
+   *   unmetConstraints, legs, diagnostics?}; diagnostics {unreachableTypes, failedLeg} explain a failed mission
+   */
+  plan(start, initialBattery) {
+    if (this.isForbidden(start)) {
+      return this.infeasible(start, initialBattery, {
+        constraint: 'forbidden',
+        message: `Start position (${start.x}, ${start.y}) is inside a forbidden zone`
+      });
+    }
+
+    if (initialBattery < this.reserve) {
+      return this.infeasible(start, initialBattery, {
+        constraint: 'minBattery',
+        message: `Initial battery ${initialBattery} is below the reserve of ${this.reserve}`
+      });
+    }
+
+    const unmetConstraints = [];
+    const reachable = this.pathfinder.computeCostFrom(start, (command, position) =>
+      this.pathfinder.getStepCost(command, position));
+    const goals = this.collectGoals(reachable, unmetConstraints);
+    const cellCount = goals.reduce((total, goal) => total + goal.cells.length, 0);
+
+    // Planning against the battery above the reserve keeps the reserve untouched throughout
+    const usableBattery = initialBattery - this.reserve;
+    const exactApplies = goals.every(goal => goal.count === 1) &&
+      cellCount <= this.maxExactCells && goals.length <= this.maxExactGoals;
+    const useExact = exactApplies && this.strategy !== 'heuristic';
+
+    let plan = null;
+    if (useExact) {
+      const tour = this.solveExact(start, goals);
+      plan = this.realizeTour(start, usableBattery, tour);
+      if (plan.success) {
+        plan.strategy = 'exact';
+      }
+    }
+
+    if (!plan || !plan.success) {
+      plan = this.planHeuristic(start, usableBattery, goals);
+      plan.strategy = 'heuristic';
+    }
+
+    if (plan.failure) {
+      unmetConstraints.push(plan.failure);
+    }
+
+    const result = {
+      commands: plan.commands,
+      battery: plan.battery + this.reserve,
+      success: plan.success && unmetConstraints.length === 0,
+      strategy: plan.strategy,
+      energy: this.pathfinder.measureEnergy(start, plan.commands),
+      commandCount: plan.commands.length,
+      samples: plan.samples,
+      unmetConstraints,
+      legs: plan.legs
+    };
+
+    if (!result.success) {
+      result.diagnostics = {
+        unreachableTypes: this.diagnostics.findUnreachableTypes(start),
+        failedLeg: plan.failedLeg ? this.describeFailedLeg(plan.failedLeg, plan.failure) : null
+      };
+    }
+
+    return result;
+  }
+
+  infeasible(start, initialBattery, reason) {
+    return {
+      commands: [],
+      battery: initialBattery,
+      success: false,
+      strategy: null,
+      energy: 0,
+      commandCount: 0,
+      samples: [],
+      unmetConstraints: [reason],
+      legs: [],
+      diagnostics: {
+        unreachableTypes: this.diagnostics.findUnreachableTypes(start),
+        failedLeg: null
+      }
+    };
+  }
+
+  /**
+   * Describe the leg where the battery ran out, with the battery it would have needed
+   * @param {Object} failedLeg - {goal, from, target, battery, minBattery}
+   * @param {Object} failure - Unmet constraint reported for the leg
+   * @returns {Object} - {goal, type?, from, target, availableBattery, requiredBattery, message}
+   */
+  describeFailedLeg(failedLeg, failure) {
+    const { goal, from, target, battery, minBattery } = failedLeg;
+    const required = this.diagnostics.findMinimumBattery(from, target, minBattery);
+
+    return {
+      goal: goal.kind,
+      ...(goal.kind === 'sample' && { type: goal.type }),
+      from: { x: from.x, y: from.y, facing: from.facing },
+      target: { x: target.x, y: target.y },
+      availableBattery: battery + this.reserve,
+      requiredBattery: required === null ? null : required + this.reserve,
+      message: failure.message
+    };
+  }
+
+  /**
+   * Mark the terrain cells covered by forbidden cells and rectangles; overlapping zones mark a cell once
+   * @param {PathfindingService} pathfinder - Pathfinder for the terrain
+   * @param {Array} zones - Cells {x, y} or rectangles {x, y, width, height}
+   * @returns {Uint8Array} - 1 for each forbidden cell, indexed by y * cols + x
+   */
+  markForbiddenZones(pathfinder, zones) {
+    const forbidden = new Uint8Array(pathfinder.rows * pathfinder.cols);
+
+    for (const zone of zones) {
+      const right = Math.min(zone.x + (zone.width || 1), pathfinder.cols);
+      const bottom = Math.min(zone.y + (zone.height || 1), pathfinder.rows);
+
+      for (let y = Math.max(zone.y, 0); y < bottom; y++) {
+        forbidden.fill(1, y * pathfinder.cols + Math.max(zone.x, 0), y * pathfinder.cols + Math.max(right, 0));
+      }
+    }
+
+    return forbidden;
+  }
+
+  isForbidden(cell) {
+    const { rows, cols } = this.terrainPathfinder;
+    return cell.x >= 0 && cell.x < cols && cell.y >= 0 && cell.y < rows && this.forbidden[cell.y * cols + cell.x] === 1;
+  }
+
+  /**
+   * Turn the constraints into goals, each with the reachable cells that can
+   * satisfy it, recording the goals that cannot be met at all
+   * @param {Float64Array} reachable - Costs from the start by position key
+   * @param {Array} unmetConstraints - Collects the constraints that cannot be met
+   * @returns {Array} - Goals {kind, type?, index?, cells, count}
+   */
+  collectGoals(reachable, unmetConstraints) {
+    const { pathfinder, terrainPathfinder } = this;
+    const isReachable = cell => !pathfinder.isObstacle(cell.x, cell.y) && DIRECTIONS.some(facing =>
+      reachable[pathfinder.getPositionKey({ x: cell.x, y: cell.y, facing })] < Infinity);
+
+    const terrainTypes = [];
+    const cellsByType = new Map();
+    for (let y = 0; y < pathfinder.rows; y++) {
+      for (let x = 0; x < pathfinder.cols; x++) {
+        const type = pathfinder.terrain[y][x];
+        if (terrainPathfinder.isObstacle(x, y)) continue;
+
+        if (!cellsByType.has(type)) {
+          terrainTypes.push(type);
+          cellsByType.set(type, []);
+        }
+        if (isReachable({ x, y })) {
+          cellsByType.get(type).push({ x, y });
+        }
+      }
+    }
+
+    const requiredSamples = this.requiredSamples || terrainTypes.map(type => ({ type }));
+    const goals = [];
+
+    for (const { type, count = 1 } of requiredSamples) {
+      const cells = cellsByType.get(type) || [];
+
+      if (cells.length < count) {
+        unmetConstraints.push({
+          constraint: 'samples',
+          type,
+          required: count,
+          available: cells.length,
+          message: cellsByType.has(type)
+            ? `Requires ${count} ${type} sample(s) but only ${cells.length} ${type} cell(s) can be reached`
+            : `Requires ${count} ${type} sample(s) but there is no ${type} terrain`
+        });
+      }
+
+      const reachableCount = Math.min(count, cells.length);
+      if (reachableCount > 0) {
+        goals.push({ kind: 'sample', type, cells, count: reachableCount });
+      }
+    }
+
+    this.waypoints.forEach((waypoint, index) => {
+      const cell = { x: waypoint.x, y: waypoint.y };
+
+      if (this.isForbidden(cell)) {
+        unmetConstraints.push({
+          constraint: 'waypoints',
+          index,
+          message: `Waypoint (${cell.x}, ${cell.y}) is inside a forbidden zone`
+        });
+      } else if (!isReachable(cell)) {
+        unmetConstraints.push({
+          constraint: 'waypoints',
+          index,
+          message: `Waypoint (${cell.x}, ${cell.y}) cannot be reached`
+        });
+      } else {
+        goals.push({ kind: 'waypoint', index, cells: [cell], count: 1 });
+      }
+    });
+
+    return goals;
+  }
+
+  /**
+   * Find the cheapest tour meeting each goal once with a dynamic program over
+   * subsets of goals; nodes are candidate cells with an arrival facing
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {Array} goals - Goals with their candidate cells
+   * @returns {Array} - Tour stops {goal, x, y, facing}
+   */
+  solveExact(start, goals) {
+    const { pathfinder } = this;
+    const weight = (command, position) => pathfinder.getStepCost(command, position);
+
+    const nodes = [{ x: start.x, y: start.y, facing: start.facing, goal: -1 }];
+    goals.forEach((goal, index) => {
+      for (const cell of goal.cells) {
+        for (const facing of DIRECTIONS) {
+          nodes.push({ x: cell.x, y: cell.y, facing, goal: index });
+        }
+      }
+    });
+
+    const nodeCount = nodes.length;
+    const baseCosts = [];
+    const distances = nodes.map(node => {
+      const costs = pathfinder.computeCostFrom(node, weight);
+      baseCosts.push(Math.min(...DIRECTIONS.map(facing =>
+        costs[pathfinder.getPositionKey({ x: start.x, y: start.y, facing })])));
+      return nodes.map(other => costs[pathfinder.getPositionKey(other)]);
+    });
+    const goalCosts = nodes.map(node =>
+      (node.goal >= 0 && goals[node.goal].kind === 'sample' ? pathfinder.getStepCost('S', node) : 0));
+
+    const fullMask = (1 << goals.length) - 1;
+    const costs = Array.from({ length: fullMask + 1 }, () => new Array(nodeCount).fill(Infinity));
+    const parents = Array.from({ length: fullMask + 1 }, () => new Array(nodeCount).fill(-1));
+    costs[0][0] = 0;
+
+    for (let mask = 0; mask <= fullMask; mask++) {
+      for (let from = 0; from < nodeCount; from++) {
+        const cost = costs[mask][from];
+        if (cost === Infinity) continue;
+
+        for (let to = 1; to < nodeCount; to++) {
+          const bit = 1 << nodes[to].goal;
+          if (mask & bit) continue;
+
+          const candidate = cost + distances[from][to] + goalCosts[to];
+          if (candidate < costs[mask | bit][to]) {
+            costs[mask | bit][to] = candidate;
+            parents[mask | bit][to] = from;
+          }
+        }
+      }
+    }
+
+    const finalCost = node => costs[fullMask][node] + (this.returnToBase ? baseCosts[node] : 0);
+    let best = 0;
+    for (let node = 1; node < nodeCount; node++) {
+      if (finalCost(node) < Infinity && (best === 0 || finalCost(node) < finalCost(best))) {
+        best = node;
+      }
+    }
+
+    const tour = [];
+    let mask = fullMask;
+    for (let node = best; node > 0; ) {
+      const { x, y, facing, goal } = nodes[node];
+      tour.push({ goal: goals[goal], x, y, facing });
+      const parent = parents[mask][node];
+      mask &= ~(1 << goal);
+      node = parent;
+    }
+
+    return tour.reverse();
+  }
+
+  /**
+   * Turn a tour into commands, planning each leg with the battery-aware search
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {number} initialBattery - Battery available above the reserve
+   * @param {Array} tour - Tour stops {goal, x, y, facing}
+   * @returns {Object} - {commands, battery, success, samples, legs, failure?, failedLeg?}
+   */
+  realizeTour(start, initialBattery, tour) {
+    const mission = this.createMission(start, initialBattery);
+
+    for (const stop of tour) {
+      if (!this.visit(mission, stop)) {
+        return this.finishMission(mission, false);
+      }
+    }
+
+    return this.finishMission(mission, this.returnHome(mission, start));
+  }
+
+  /**
+   * Plan the mission by repeatedly heading for the cheapest cell meeting a
+   * goal not met yet, falling back to the next goal when the battery cannot
+   * cover a leg
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {number} initialBattery - Battery available above the reserve
+   * @param {Array} goals - Goals with their candidate cells
+   * @returns {Object} - {commands, battery, success, samples, legs, failure?, failedLeg?}
+   */
+  planHeuristic(start, initialBattery, goals) {
+    const { pathfinder } = this;
+    const mission = this.createMission(start, initialBattery);
+    const remaining = new Map(goals.map(goal => [goal, goal.count]));
+
+    while (remaining.size > 0) {
+      const costs = pathfinder.computeCostFrom(mission.position, (command, position) =>
+        pathfinder.getStepCost(command, position));
+
+      const options = [];
+      for (const goal of remaining.keys()) {
+        const best = this.findCheapestStop(mission, goal, costs);
+        if (best) options.push(best);
+      }
+      options.sort((a, b) => a.cost - b.cost);
+
+      const next = options.find(option => this.visit(mission, option.stop));
+      if (!next) {
+        if (options.length > 0) {
+          this.failLeg(mission, options[0].stop);
+        }
+        return this.finishMission(mission, false);
+      }
+
+      const { goal } = next.stop;
+      if (remaining.get(goal) > 1) {
+        remaining.set(goal, remaining.get(goal) - 1);
+      } else {
+        remaining.delete(goal);
+      }
+    }
+
+    return this.finishMission(mission, this.returnHome(mission, start));
+  }
+
+  findCheapestStop(mission, goal, costs) {
+    const { pathfinder } = this;
+    let best = null;
+
+    for (const cell of goal.cells) {
+      if (goal.kind === 'sample' && mission.sampledCells.has(`${cell.x},${cell.y}`)) continue;
+
+      for (const facing of DIRECTIONS) {
+        const stop = { goal, x: cell.x, y: cell.y, facing };
+        const cost = costs[pathfinder.getPositionKey(stop)];
+        if (cost === Infinity) continue;
+
+        const total = goal.kind === 'sample' ? cost + pathfinder.getStepCost('S', cell) : cost;
+        if (!best || total < best.cost) {
+          best = { stop, cost: total };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  createMission(start, initialBattery) {
+    return {
+      position: { x: start.x, y: start.y, facing: start.facing },
+      battery: initialBattery,
+      commands: [],
+      samples: [],
+      sampledCells: new Set(),
+      legs: [],
+      failure: null,
+      failedLeg: null
+    };
+  }
+
+  /**
+   * Plan a leg to a stop and meet its goal there, updating the mission in place
+   * @param {Object} mission - Mission being built
+   * @param {Object} stop - Stop {goal, x, y, facing}
+   * @returns {boolean} - Whether the leg fits the battery
+   */
+  visit(mission, stop) {
+    const { pathfinder } = this;
+    const isSample = stop.goal.kind === 'sample';
+    const sampleCost = isSample ? pathfinder.getConsumption('S', stop) : 0;
+    const target = { x: stop.x, y: stop.y, facing: stop.facing };
+    const path = pathfinder.findPath(mission.position, target, mission.battery, { minBattery: sampleCost });
+
+    if (!path.success) {
+      this.failLeg(mission, stop);
+      return false;
+    }
+
+    const from = mission.position;
+    const commands = isSample ? [...path.commands, 'S'] : path.commands;
+    mission.commands.push(...commands);
+    mission.battery = path.battery - sampleCost;
+    mission.position = pathfinder.applyCommands(mission.position, path.commands);
+    this.addLeg(mission, stop.goal, from, commands);
+
+    if (isSample) {
+      mission.samples.push({ type: stop.goal.type, x: stop.x, y: stop.y });
+      mission.sampledCells.add(`${stop.x},${stop.y}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Record that the battery cannot cover the leg to a stop
+   * @param {Object} mission - Mission being built
+   * @param {Object} stop - Stop {goal, x, y, facing}
+   */
+  failLeg(mission, stop) {
+    mission.failure = this.describeFailure(stop);
+    mission.failedLeg = {
+      goal: stop.goal,
+      from: mission.position,
+      target: { x: stop.x, y: stop.y, facing: stop.facing },
+      battery: mission.battery,
+      minBattery: stop.goal.kind === 'sample' ? this.pathfinder.getConsumption('S', stop) : 0
+    };
+  }
+
+  addLeg(mission, goal, from, commands) {
+    mission.legs.push({
+      goal: goal.kind,
+      ...(goal.kind === 'sample' && { type: goal.type }),
+      target: { x: mission.position.x, y: mission.position.y },
+      commands,
+      energy: this.pathfinder.measureEnergy(from, commands)
+    });
+  }
+
+  /**
+   * Plan the leg back to the start cell when the mission has to end there
+   * @param {Object} mission - Mission being built
+   * @param {Object} start - Starting position {x, y, facing}
+   * @returns {boolean} - Whether the robot made it back, or did not have to
+   */
+  returnHome(mission, start) {
+    if (!this.returnToBase) {
+      return true;
+    }
+
+    const home = { x: start.x, y: start.y };
+    const path = this.pathfinder.findPath(mission.position, home, mission.battery);
+    if (!path.success) {
+      mission.failure = {
+        constraint: 'returnToBase',
+        message: `Battery runs out on the way back to the start (${start.x}, ${start.y})${this.describeReserve()}`
+      };
+      mission.failedLeg = {
+        goal: { kind: 'return' },
+        from: mission.position,
+        target: home,
+        battery: mission.battery,
+        minBattery: 0
+      };
+      return false;
+    }
+
+    const from = mission.position;
+    mission.commands.push(...path.commands);
+    mission.battery = path.battery;
+    mission.position = this.pathfinder.applyCommands(mission.position, path.commands);
+    this.addLeg(mission, { kind: 'return' }, from, path.commands);
+    return true;
+  }
+
+  describeFailure(stop) {
+    const { goal } = stop;
+
+    return goal.kind === 'sample'
+      ? {
+        constraint: 'samples',
+        type: goal.type,
+        message: `Battery runs out before sampling ${goal.type} at (${stop.x}, ${stop.y})${this.describeReserve()}`
+      }
+      : {
+        constraint: 'waypoints',
+        index: goal.index,
+        message: `Battery runs out before reaching waypoint (${stop.x}, ${stop.y})${this.describeReserve()}`
+      };
+  }
+
+  describeReserve() {
+    return this.reserve > 0 ? ` while keeping a reserve of ${this.reserve}` : '';
+  }
+
+  finishMission(mission, success) {
+    return {
+      commands: mission.commands,
+      battery: mission.battery,
+      success,
+      samples: mission.samples,
+      legs: mission.legs,
+      failure: success ? null : mission.failure,
+      failedLeg: success ? null : mission.failedLeg
+    };
+  }
+}
+
+MissionPlanner.STRATEGIES = STRATEGIES;
+
+module.exports = MissionPlanner;
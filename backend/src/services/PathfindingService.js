@@ -1,3 +1,14 @@
+const CostModel = require('../models/CostModel');
+const TerrainProperties = require('../models/TerrainProperties');
+const MissionPlanner = require('./MissionPlanner');
+const CoveragePlanner = require('./CoveragePlanner');
+const ReachabilityAnalyzer = require('./ReachabilityAnalyzer');
+const AlternativeRoutePlanner = require('./AlternativeRoutePlanner');
+const PlanDiagnostics = require('./PlanDiagnostics');
+
+const DIRECTIONS = ['North', 'East', 'South', 'West'];
+const DEFAULT_MAX_EXPANSIONS = 200000;
+
 /**
  * Service for pathfinding and mission planning
  */
@@ -5,201 +16,621 @@ class PathfindingService {
   /**
    * Initialize the pathfinding service
    * @param {Array} terrain - 2D array representing the Mars terrain
+   * @param {Object} [options] - Planner options
+   * @param {Object|CostModel} [options.costModel] - Battery cost overrides
+   * @param {Object|TerrainProperties} [options.terrainProperties] - Terrain property overrides
+   * @param {string} [options.objective] - What paths minimize: 'energy' (default) or 'commands'
+   * @param {number} [options.maxExpansions] - Search effort limit per path (default 200000)
+   * @param {Array} [options.blockedCells] - Cells {x, y} treated as obstacles
    */
-  constructor(terrain) {
+  constructor(terrain, options = {}) {
     this.terrain = terrain;
     this.rows = terrain.length;
     this.cols = terrain[0].length;
+    this.costModel = CostModel.from(options.costModel);
+    this.terrainProperties = TerrainProperties.from(options.terrainProperties);
+    this.objective = options.objective || 'energy';
+    this.maxExpansions = options.maxExpansions || DEFAULT_MAX_EXPANSIONS;
+    this.blockedCells = new Set((options.blockedCells || []).map(cell => `${cell.x},${cell.y}`));
   }
 
-  getCommandCost(command) {
+  /**
+   * Create a pathfinder for the same terrain that also avoids the given cells
+   * @param {Array} cells - Cells {x, y} to avoid
+   * @returns {PathfindingService}
+   */
+  withBlockedCells(cells) {
+    return new PathfindingService(this.terrain, {
+      costModel: this.costModel,
+      terrainProperties: this.terrainProperties,
+      objective: this.objective,
+      maxExpansions: this.maxExpansions,
+      blockedCells: [...this.listBlockedCells(), ...cells]
+    });
+  }
+
+  listBlockedCells() {
+    return [...this.blockedCells].map(key => {
+      const [x, y] = key.split(',').map(Number);
+      return { x, y };
+    });
+  }
+
+  /**
+   * Get the battery a command needs before it can run; this is what the Robot
+   * checks before executing it
+   * @param {string} command - Robot command
+   * @param {Object} position - Cell entered by F/B, or the cell where S/E is executed {x, y}
+   * @returns {number} - Battery units consumed
+   */
+  getConsumption(command, position) {
+    const cost = this.costModel.getCost(command);
+    const terrainType = position ? this.terrain[position.y][position.x] : null;
+
     switch (command) {
-      case "F":
-      case "B":
-        return 3;
-      case "L":
-      case "R":
-        return 2;
-      case "S":
-        return 8;
-      case "E":
-        return -10;
+      case 'F':
+      case 'B':
+        return terrainType ? cost + this.terrainProperties.getMoveCost(terrainType) : cost;
+      case 'S':
+        return terrainType ? cost + this.terrainProperties.getSampleCost(terrainType) : cost;
       default:
-        return Infinity;
+        return cost;
     }
   }
 
   /**
-   * Find the optimal path from start to target
+   * Get the battery gained by extending the solar panels on a cell
+   * @param {Object} position - Cell {x, y}
+   * @returns {number} - Battery units gained (before the cost of E)
+   */
+  getSolarYield(position) {
+    const terrainType = this.terrain[position.y][position.x];
+    return this.terrainProperties.hasSolarCharging(terrainType) ? this.costModel.solarYield : 0;
+  }
+
+  /**
+   * Get the net battery consumed by a command (negative for recharging)
+   * @param {string} command - Robot command
+   * @param {Object} position - Cell entered by F/B, or the cell where S/E is executed {x, y}
+   * @returns {number} - Battery units consumed
+   */
+  getCommandCost(command, position) {
+    let cost;
+    try {
+      cost = this.getConsumption(command, position);
+    } catch (error) {
+      return Infinity;
+    }
+
+    if (command === 'E') {
+      return position ? cost - this.getSolarYield(position) : -this.costModel.getRechargeGain();
+    }
+
+    return cost;
+  }
+
+  /**
+   * Get the most battery a single E can gain anywhere on the terrain
+   * @returns {number} - Battery units gained after the cost of E; 0 or less when nothing recharges
+   */
+  getMaxRechargeGain() {
+    for (let y = 0; y < this.rows; y++) {
+      for (let x = 0; x < this.cols; x++) {
+        if (!this.isObstacle(x, y) && this.getSolarYield({ x, y }) > 0) {
+          return this.costModel.solarYield - this.getConsumption('E', { x, y });
+        }
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Get the search cost of a command under the planner objective: the number
+   * of commands, or the battery consumed (recharging counts only its own cost)
+   * @param {string} command - Robot command
+   * @param {Object} position - Position after the command {x, y}
+   * @returns {number} - Step cost
+   */
+  getStepCost(command, position) {
+    return this.objective === 'commands' ? 1 : this.getConsumption(command, position);
+  }
+
+  /**
+   * Find the optimal path from start to target.
+   *
+   * The search state is the pose plus the battery level. A command is only
+   * planned when the battery covers it, so the Robot never has to recharge on
+   * its own when replaying the plan, and E is inserted where a route needs it.
+   * Labels at the same pose are pruned when another label reached it at no
+   * higher cost with at least as much useful battery (battery beyond what is
+   * needed to finish from that pose is not useful). The A* estimate adds the
+   * recharges a label still needs to the cost of finishing, so labels short of
+   * battery wait their turn instead of flooding the search, and between labels
+   * as promising the one that got furthest goes first, so that routes which
+   * only recharge in different places are not all explored.
+   *
    * @param {Object} start - Starting position {x, y, facing}
-   * @param {Object} target - Target position {x, y}
+   * @param {Object} target - Target position {x, y, facing?}; with a facing the robot must arrive facing that way
    * @param {number} initialBattery - Initial battery level
+   * @param {Object} [options] - Path options
+   * @param {number} [options.minBattery] - Battery required on arrival (recharging at the target if needed)
+   * @param {Object} [options.costs] - Costs to the target, from getCostsToTarget, if already computed
+   * @param {Object} [options.budget] - Expansions {expansions} left to a group of searches; this search
+   *   uses them up, and stops when none are left
    * @returns {Object} - Path information {commands, battery, success}
    */
-  findPath(start, target, initialBattery) {
-    // A* algorithm implementation
-    const openSet = new PriorityQueue();
-    const closedSet = new Set();
-    const cameFrom = new Map();
-    const gScore = new Map();
-    const fScore = new Map();
-    
+  findPath(start, target, initialBattery, options = {}) {
+    const minBattery = options.minBattery || 0;
+    const failure = {
+      commands: [],
+      battery: initialBattery,
+      success: false
+    };
+
+    if (this.isObstacle(target.x, target.y)) {
+      return failure;
+    }
+
+    const { energy: energyToTarget, remaining: remainingCost } = options.costs || this.getCostsToTarget(target);
+    const { budget } = options;
+
     const startKey = this.getPositionKey(start);
-    gScore.set(startKey, 0);
-    fScore.set(startKey, this.heuristic(start, target));
-    openSet.enqueue(startKey, fScore.get(startKey));
-    
-    const batteryLevels = new Map();
-    batteryLevels.set(startKey, initialBattery);
-    
-    const commandSequences = new Map();
-    commandSequences.set(startKey, []);
-    
+    if (energyToTarget[startKey] === Infinity) {
+      return failure;
+    }
+
+    // Every E gains at most this much, so a label short of battery needs at least deficit / gain more of them
+    const rechargeGain = this.getMaxRechargeGain();
+    const rechargeCost = this.getStepCost('E', start);
+    const estimate = (key, battery) => {
+      const deficit = energyToTarget[key] + minBattery - battery;
+      if (deficit <= 0) return remainingCost[key];
+      if (rechargeGain <= 0) return Infinity;
+      return remainingCost[key] + Math.ceil(deficit / rechargeGain) * rechargeCost;
+    };
+
+    const openSet = this.createQueue();
+    const labels = new Map();
+    const startLabel = {
+      position: { x: start.x, y: start.y, facing: start.facing },
+      battery: initialBattery,
+      g: 0,
+      parent: null,
+      command: null
+    };
+    labels.set(startKey, [startLabel]);
+    openSet.enqueue(startLabel, estimate(startKey, initialBattery), 0);
+
+    let expansions = 0;
+
     while (!openSet.isEmpty()) {
-      const currentKey = openSet.dequeue();
-      const current = this.parsePositionKey(currentKey);
-      
-      if (current.x === target.x && current.y === target.y) {
-        const commands = commandSequences.get(currentKey);
-        const remainingBattery = batteryLevels.get(currentKey);
+      const label = openSet.dequeue();
+      if (label.dominated) continue;
+
+      const { position } = label;
+      if (position.x === target.x && position.y === target.y &&
+          (!target.facing || position.facing === target.facing) && label.battery >= minBattery) {
         return {
-          commands,
-          battery: remainingBattery,
+          commands: this.reconstructCommands(label),
+          battery: label.battery,
           success: true
         };
       }
-      
-      closedSet.add(currentKey);
-      
-      const possibleMoves = this.getPossibleMoves(current);
-      
-      for (const move of possibleMoves) {
+
+      if (++expansions > this.maxExpansions || (budget && --budget.expansions < 0)) {
+        break;
+      }
+
+      for (const move of this.getPossibleMoves(position)) {
         const { position: neighbor, command } = move;
         const neighborKey = this.getPositionKey(neighbor);
-        
-        if (closedSet.has(neighborKey)) {
+
+        if (energyToTarget[neighborKey] === Infinity) {
           continue;
         }
-        
-        const currentBattery = batteryLevels.get(currentKey);
-        const newBattery = currentBattery - this.getCommandCost(command);;
-        
-        if (newBattery <= 0) {
+
+        const consumption = this.getConsumption(command, neighbor);
+        if (label.battery < consumption) {
           continue;
         }
-        
-        const tentativeGScore = gScore.get(currentKey) + this.getStepCost(command);
-        
-        if (!gScore.has(neighborKey) || tentativeGScore < gScore.get(neighborKey)) {
-          cameFrom.set(neighborKey, { key: currentKey, command });
-          gScore.set(neighborKey, tentativeGScore);
-          fScore.set(neighborKey, tentativeGScore + this.heuristic(neighbor, target));
-          batteryLevels.set(neighborKey, newBattery);
-          
-          const newCommands = [...commandSequences.get(currentKey), command];
-          commandSequences.set(neighborKey, newCommands);
-          
-          if (!openSet.contains(neighborKey)) {
-            openSet.enqueue(neighborKey, fScore.get(neighborKey));
+
+        let newBattery = label.battery - consumption;
+        if (command === 'E') {
+          const solarYield = this.getSolarYield(position);
+          if (solarYield <= consumption) {
+            continue;
           }
+          newBattery += solarYield;
+        }
+
+        const candidate = {
+          position: neighbor,
+          battery: newBattery,
+          g: label.g + this.getStepCost(command, neighbor),
+          parent: label,
+          command
+        };
+
+        const h = estimate(neighborKey, newBattery);
+        if (h !== Infinity && this.addLabel(labels, neighborKey, candidate, energyToTarget[neighborKey] + minBattery)) {
+          // Among labels as promising, the one that got furthest goes first
+          openSet.enqueue(candidate, candidate.g + h, -candidate.g);
         }
       }
     }
-    
-    return {
-      commands: [],
-      battery: initialBattery,
-      success: false
-    };
+
+    return failure;
   }
-  
+
+  /**
+   * Compute the costs findPath needs to reach the target from every pose, ignoring the battery
+   * @param {Object} target - Target position {x, y, facing?}
+   * @param {Object} [base] - Costs to the same target computed for a terrain of the same size and the same
+   *   objective, where some cells were better; they are repaired instead of computed from scratch
+   * @param {Array} [changedCells] - Cells {x, y} worse than in base: blocked, or found to be impassable or
+   *   to cost more to enter (default: the cells this pathfinder blocks)
+   * @returns {Object} - {energy, remaining}: energy still needed, and remaining cost under the objective
+   *   (the same table for the energy objective); both Float64Arrays indexed by position key
+   */
+  getCostsToTarget(target, base = null, changedCells = null) {
+    const cells = changedCells || this.listBlockedCells();
+    const costTo = (weight, baseCosts) => (baseCosts
+      ? this.repairCostToTarget(baseCosts, target, weight, cells)
+      : this.computeCostToTarget(target, weight));
+
+    const energy = costTo((command, position) => this.getConsumption(command, position), base && base.energy);
+    const remaining = this.objective === 'commands' ? costTo(() => 1, base && base.remaining) : energy;
+    return { energy, remaining };
+  }
+
   /**
-   * Generate a mission plan to collect samples of each terrain type
+   * Explain why findPath found no path: an obstacle or disconnected target, too little battery or the search limit
    * @param {Object} start - Starting position {x, y, facing}
+   * @param {Object} target - Target position {x, y, facing?}
    * @param {number} initialBattery - Initial battery level
-   * @returns {Object} - Mission plan {commands, battery, success}
+   * @param {Object} [options] - Path options, as for findPath
+   * @returns {Object} - Diagnosis, see PlanDiagnostics
    */
-  generateMissionPlan(start, initialBattery) {
-    const terrainTypes = new Set();
-    for (let y = 0; y < this.rows; y++) {
-      for (let x = 0; x < this.cols; x++) {
-        const terrainType = this.terrain[y][x];
-        if (terrainType !== 'Obs') {
-          terrainTypes.add(terrainType);
+  diagnosePath(start, target, initialBattery, options = {}) {
+    return new PlanDiagnostics(this).diagnosePath(start, target, initialBattery, options);
+  }
+
+  /**
+   * Find several distinct routes from start to target, best first
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {Object} target - Target position {x, y, facing?}
+   * @param {number} initialBattery - Initial battery level
+   * @param {Object} [options] - {count, minDifference, maxSearches}, see AlternativeRoutePlanner
+   * @returns {Object} - {routes}
+   */
+  findAlternativePaths(start, target, initialBattery, options = {}) {
+    return new AlternativeRoutePlanner(this, options).plan(start, target, initialBattery);
+  }
+
+  /**
+   * Record a search label unless an existing label at the same pose dominates it
+   * @param {Map} labels - Labels by position key
+   * @param {number} key - Position key
+   * @param {Object} candidate - New label {g, battery}
+   * @param {number} usefulBattery - Battery beyond which more charge does not help
+   * @returns {boolean} - Whether the label was added
+   */
+  addLabel(labels, key, candidate, usefulBattery) {
+    const existing = labels.get(key) || [];
+    const battery = Math.min(candidate.battery, usefulBattery);
+
+    for (const label of existing) {
+      if (label.g <= candidate.g && Math.min(label.battery, usefulBattery) >= battery) {
+        return false;
+      }
+    }
+
+    const kept = existing.filter(label => {
+      const dominated = candidate.g <= label.g && battery >= Math.min(label.battery, usefulBattery);
+      if (dominated) label.dominated = true;
+      return !dominated;
+    });
+    kept.push(candidate);
+    labels.set(key, kept);
+
+    return true;
+  }
+
+  /**
+   * Follow the parent pointers of a label back to the start
+   * @param {Object} label - Search label
+   * @returns {Array} - Commands from the start to the label
+   */
+  reconstructCommands(label) {
+    const commands = [];
+    for (let current = label; current.parent; current = current.parent) {
+      commands.push(current.command);
+    }
+    return commands.reverse();
+  }
+
+  /**
+   * Compute the minimum cost from every pose to the target, ignoring the battery,
+   * with a backward Dijkstra search over the pose graph
+   * @param {Object} target - Target position {x, y, facing?}
+   * @param {Function} weight - Cost of a command (command, positionAfter) => number
+   * @returns {Float64Array} - Cost by position key; Infinity for poses that cannot reach the target
+   */
+  computeCostToTarget(target, weight) {
+    const costs = this.createCostTable();
+    const settled = new Uint8Array(costs.length);
+    const openSet = this.createQueue();
+    const directions = target.facing ? [target.facing] : DIRECTIONS;
+
+    for (const facing of directions) {
+      const key = this.getPositionKey({ x: target.x, y: target.y, facing });
+      costs[key] = 0;
+      openSet.enqueue(key, 0);
+    }
+
+    while (!openSet.isEmpty()) {
+      const key = openSet.dequeue();
+      if (settled[key]) continue;
+      settled[key] = 1;
+
+      const position = this.parsePositionKey(key);
+      const cost = costs[key];
+
+      for (const { position: predecessor, command } of this.getPredecessorMoves(position)) {
+        const predecessorKey = this.getPositionKey(predecessor);
+        const candidate = cost + weight(command, position);
+
+        if (candidate < costs[predecessorKey]) {
+          costs[predecessorKey] = candidate;
+          openSet.enqueue(predecessorKey, candidate);
         }
       }
     }
-    
-    const targets = [];
-    for (const terrainType of terrainTypes) {
-      const locations = this.findTerrainLocations(terrainType);
-      if (locations.length > 0) {
-        targets.push({
-          type: terrainType,
-          locations
-        });
+
+    return costs;
+  }
+
+  /**
+   * Update costs computed by computeCostToTarget for cells that got worse since:
+   * blocked, impassable or dearer to enter. That only removes moves or makes
+   * them dearer, so the poses that keep their cost are those with a cheapest
+   * route to the target that avoids the changed cells; the others, found by
+   * following cheapest moves back from the changed cells, are searched again
+   * from their unaffected neighbours.
+   * @param {Float64Array} base - Costs to the target before the cells changed
+   * @param {Object} target - Target position {x, y, facing?}
+   * @param {Function} weight - Cost of a command, as for computeCostToTarget
+   * @param {Array} cells - Changed cells {x, y}
+   * @returns {Float64Array} - Cost by position key
+   */
+  repairCostToTarget(base, target, weight, cells) {
+    const costs = Float64Array.from(base);
+    const affected = new Uint8Array(costs.length);
+    const changed = new Uint8Array(this.rows * this.cols);
+    const isTarget = position => position.x === target.x && position.y === target.y &&
+      (!target.facing || position.facing === target.facing);
+
+    const stack = [];
+    for (const { x, y } of cells) {
+      changed[y * this.cols + x] = 1;
+      for (const facing of DIRECTIONS) {
+        const key = this.getPositionKey({ x, y, facing });
+        if (costs[key] !== Infinity && !affected[key] && !isTarget({ x, y, facing })) {
+          affected[key] = 1;
+          stack.push(key);
+        }
       }
     }
-    
-    targets.sort((a, b) => {
-      const aDistance = Math.min(...a.locations.map(loc => 
-        this.manhattanDistance(start, loc)));
-      const bDistance = Math.min(...b.locations.map(loc => 
-        this.manhattanDistance(start, loc)));
-      return aDistance - bDistance;
-    });
-    
-    let currentPosition = { ...start };
-    let currentBattery = initialBattery;
-    let allCommands = [];
-    let success = true;
-    
-    for (const target of targets) {
-      const locations = target.locations;
-      let bestLocation = null;
-      let bestPath = null;
-      
-      for (const location of locations) {
-        const path = this.findPath(currentPosition, location, currentBattery);
-        if (path.success && (!bestPath || path.commands.length < bestPath.commands.length)) {
-          bestLocation = location;
-          bestPath = path;
+
+    const affectedKeys = [];
+    while (stack.length > 0) {
+      const key = stack.pop();
+      const position = this.parsePositionKey(key);
+      // Moves into a changed cell may have cost less in base, so every one of them may have been cheapest
+      const entersChangedCell = changed[position.y * this.cols + position.x] === 1;
+      affectedKeys.push(key);
+
+      for (const { position: predecessor, command } of this.getPredecessorMoves(position)) {
+        const predecessorKey = this.getPositionKey(predecessor);
+        if (!affected[predecessorKey] && !isTarget(predecessor) && base[predecessorKey] !== Infinity &&
+            (entersChangedCell || base[predecessorKey] === base[key] + weight(command, position))) {
+          affected[predecessorKey] = 1;
+          stack.push(predecessorKey);
         }
       }
-      
-      if (!bestPath) {
-        success = false;
-        break;
+    }
+
+    const openSet = this.createQueue();
+    for (const key of affectedKeys) {
+      costs[key] = Infinity;
+    }
+    for (const key of affectedKeys) {
+      const position = this.parsePositionKey(key);
+      if (this.isObstacle(position.x, position.y)) continue;
+
+      for (const { position: neighbor, command } of this.getPossibleMoves(position)) {
+        const neighborKey = this.getPositionKey(neighbor);
+        if (command === 'E' || affected[neighborKey]) continue;
+
+        const candidate = costs[neighborKey] + weight(command, neighbor);
+        if (candidate < costs[key]) {
+          costs[key] = candidate;
+        }
       }
-      
-      allCommands.push(...bestPath.commands);
-      currentBattery = bestPath.battery;
-      
-      if (currentBattery >= 8) {
-        allCommands.push('S');
-        currentBattery -= 8;
-      } else if (currentBattery >= 1) {
-        allCommands.push('E');
-        currentBattery += 9;
-        allCommands.push('S');
-        currentBattery -= 8;
-      } else {
-        success = false;
-        break;
+      if (costs[key] !== Infinity) {
+        openSet.enqueue(key, costs[key]);
       }
-      
-      currentPosition = {
-        x: bestLocation.x,
-        y: bestLocation.y,
-        facing: this.parsePositionKey(this.getPositionKey(currentPosition)).facing
-      };
     }
-    
-    return {
-      commands: allCommands,
-      battery: currentBattery,
-      success
-    };
+
+    const settled = new Uint8Array(costs.length);
+    while (!openSet.isEmpty()) {
+      const key = openSet.dequeue();
+      if (settled[key]) continue;
+      settled[key] = 1;
+
+      const position = this.parsePositionKey(key);
+      for (const { position: predecessor, command } of this.getPredecessorMoves(position)) {
+        const predecessorKey = this.getPositionKey(predecessor);
+        const candidate = costs[key] + weight(command, position);
+
+        if (affected[predecessorKey] && candidate < costs[predecessorKey]) {
+          costs[predecessorKey] = candidate;
+          openSet.enqueue(predecessorKey, candidate);
+        }
+      }
+    }
+
+    return costs;
+  }
+
+  /**
+   * Compute the minimum cost from a pose to every pose it can reach, ignoring
+   * the battery, with a forward Dijkstra search over the pose graph
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {Function} weight - Cost of a command (command, positionAfter) => number
+   * @returns {Float64Array} - Cost by position key; Infinity for unreachable poses
+   */
+  computeCostFrom(start, weight) {
+    const costs = this.createCostTable();
+    const settled = new Uint8Array(costs.length);
+    const openSet = this.createQueue();
+    const startKey = this.getPositionKey(start);
+    costs[startKey] = 0;
+    openSet.enqueue(startKey, 0);
+
+    while (!openSet.isEmpty()) {
+      const key = openSet.dequeue();
+      if (settled[key]) continue;
+      settled[key] = 1;
+
+      const position = this.parsePositionKey(key);
+      const cost = costs[key];
+
+      for (const { position: neighbor, command } of this.getPossibleMoves(position)) {
+        if (command === 'E') continue;
+
+        const neighborKey = this.getPositionKey(neighbor);
+        const candidate = cost + weight(command, neighbor);
+
+        if (candidate < costs[neighborKey]) {
+          costs[neighborKey] = candidate;
+          openSet.enqueue(neighborKey, candidate);
+        }
+      }
+    }
+
+    return costs;
+  }
+
+  /**
+   * Create a table holding one cost per pose, initially Infinity
+   * @returns {Float64Array} - Costs indexed by position key
+   */
+  createCostTable() {
+    return new Float64Array(this.rows * this.cols * DIRECTIONS.length).fill(Infinity);
+  }
+
+  /**
+   * Create the open set used by the searches
+   * @returns {PriorityQueue}
+   */
+  createQueue() {
+    return new PriorityQueue();
+  }
+
+  /**
+   * Get the poses from which a single command leads to the given pose
+   * @param {Object} position - Pose reached {x, y, facing}
+   * @returns {Array} - Array of moves {position, command}
+   */
+  getPredecessorMoves(position) {
+    const { x, y, facing } = position;
+    const moves = [
+      { position: { x, y, facing: this.getNewFacing(facing, 'R') }, command: 'L' },
+      { position: { x, y, facing: this.getNewFacing(facing, 'L') }, command: 'R' }
+    ];
+
+    const fromForward = this.getNextPosition(position, 'B');
+    if (!this.isObstacle(fromForward.x, fromForward.y)) {
+      moves.push({ position: fromForward, command: 'F' });
+    }
+
+    const fromBackward = this.getNextPosition(position, 'F');
+    if (!this.isObstacle(fromBackward.x, fromBackward.y)) {
+      moves.push({ position: fromBackward, command: 'B' });
+    }
+
+    return moves;
+  }
+  
+  /**
+   * Generate a mission plan, by default collecting one sample of each terrain type
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {number} initialBattery - Initial battery level
+   * @param {Object} [options] - Mission options and constraints, see MissionPlanner
+   * @returns {Object} - Mission plan {commands, battery, success, strategy, energy, commandCount, samples, unmetConstraints}
+   */
+  generateMissionPlan(start, initialBattery, options = {}) {
+    return new MissionPlanner(this, options).plan(start, initialBattery);
+  }
+
+  /**
+   * Generate a plan visiting every cell reachable from the start
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {number} initialBattery - Initial battery level
+   * @returns {Object} - Coverage plan, see CoveragePlanner
+   */
+  generateCoveragePlan(start, initialBattery) {
+    return new CoveragePlanner(this).plan(start, initialBattery);
+  }
+
+  /**
+   * Compute the minimum energy to reach each cell and whether recharging is needed
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {number} battery - Initial battery level
+   * @returns {Object} - Reachability grid, see ReachabilityAnalyzer
+   */
+  analyzeReachability(start, battery) {
+    return new ReachabilityAnalyzer(this).analyze(start, battery);
+  }
+
+  /**
+   * Get the total battery consumed by a plan, not counting solar gains
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {Array} commands - Planned commands
+   * @returns {number} - Battery units consumed
+   */
+  measureEnergy(start, commands) {
+    let position = { x: start.x, y: start.y, facing: start.facing };
+    let energy = 0;
+
+    for (const command of commands) {
+      const next = this.applyCommands(position, [command]);
+      energy += this.getConsumption(command, command === 'F' || command === 'B' ? next : position);
+      position = next;
+    }
+
+    return energy;
+  }
+
+  /**
+   * Get the pose reached by executing commands without hitting obstacles
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {Array} commands - Commands to apply
+   * @returns {Object} - Final position {x, y, facing}
+   */
+  applyCommands(start, commands) {
+    let position = { x: start.x, y: start.y, facing: start.facing };
+
+    for (const command of commands) {
+      if (command === 'F' || command === 'B') {
+        position = this.getNextPosition(position, command);
+      } else if (command === 'L' || command === 'R') {
+        position = { ...position, facing: this.getNewFacing(position.facing, command) };
+      }
+    }
+
+    return position;
   }
   
   /**
@@ -271,13 +702,12 @@ class PathfindingService {
    * @returns {string} - New facing direction
    */
   getNewFacing(facing, command) {
-    const directions = ['North', 'East', 'South', 'West'];
-    const currentIndex = directions.indexOf(facing);
+    const currentIndex = DIRECTIONS.indexOf(facing);
     
     if (command === 'L') {
-      return directions[(currentIndex + 3) % 4]; // -1 + 4 to handle negative index
+      return DIRECTIONS[(currentIndex + 3) % 4]; // -1 + 4 to handle negative index
     } else if (command === 'R') {
-      return directions[(currentIndex + 1) % 4];
+      return DIRECTIONS[(currentIndex + 1) % 4];
     }
     
     return facing;
@@ -326,17 +756,11 @@ class PathfindingService {
       return true;
     }
     
-    return this.terrain[y][x] === 'Obs';
-  }
-  
-  /**
-   * Calculate heuristic for A* algorithm (Manhattan distance)
-   * @param {Object} position - Current position {x, y}
-   * @param {Object} target - Target position {x, y}
-   * @returns {number} - Heuristic value
-   */
-  heuristic(position, target) {
-    return this.manhattanDistance(position, target);
+    if (this.blockedCells.has(`${x},${y}`)) {
+      return true;
+    }
+    
+    return !this.terrainProperties.isPassable(this.terrain[y][x]);
   }
   
   /**
@@ -350,54 +774,104 @@ class PathfindingService {
   }
   
   /**
-   * Get a unique key for a position
+   * Get a unique integer key for a pose on the terrain, usable as an array index
    * @param {Object} position - Position {x, y, facing}
-   * @returns {string} - Unique key
+   * @returns {number} - Unique key
    */
   getPositionKey(position) {
-    return `${position.x},${position.y},${position.facing}`;
+    return (position.y * this.cols + position.x) * DIRECTIONS.length + DIRECTIONS.indexOf(position.facing);
   }
   
   /**
    * Parse a position key back to an object
-   * @param {string} key - Position key
+   * @param {number} key - Position key
    * @returns {Object} - Position {x, y, facing}
    */
   parsePositionKey(key) {
-    const [x, y, facing] = key.split(',');
+    const cell = Math.floor(key / DIRECTIONS.length);
     return {
-      x: parseInt(x),
-      y: parseInt(y),
-      facing
+      x: cell % this.cols,
+      y: Math.floor(cell / this.cols),
+      facing: DIRECTIONS[key % DIRECTIONS.length]
     };
   }
 }
 
+/**
+ * Binary min-heap; elements with equal priority leave by tie-breaker, then in insertion order
+ */
 class PriorityQueue {
   constructor() {
-    this.elements = [];
-    this.priorities = new Map();
+    this.heap = [];
+    this.insertions = 0;
   }
   
-  isEmpty() {
-    return this.elements.length === 0;
+  get size() {
+    return this.heap.length;
   }
   
-  contains(element) {
-    return this.priorities.has(element);
+  isEmpty() {
+    return this.heap.length === 0;
   }
   
-  enqueue(element, priority) {
-    this.elements.push(element);
-    this.priorities.set(element, priority);
-    this.elements.sort((a, b) => this.priorities.get(a) - this.priorities.get(b));
+  enqueue(element, priority, tieBreaker = 0) {
+    this.heap.push({ element, priority, tieBreaker, order: this.insertions++ });
+    this.siftUp(this.heap.length - 1);
   }
   
   dequeue() {
-    const element = this.elements.shift();
-    this.priorities.delete(element);
-    return element;
+    const { heap } = this;
+    if (heap.length === 0) {
+      return undefined;
+    }
+    
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      this.siftDown(0);
+    }
+    return top.element;
+  }
+  
+  precedes(a, b) {
+    if (a.priority !== b.priority) return a.priority < b.priority;
+    if (a.tieBreaker !== b.tieBreaker) return a.tieBreaker < b.tieBreaker;
+    return a.order < b.order;
+  }
+  
+  siftUp(index) {
+    const { heap } = this;
+    const node = heap[index];
+    
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.precedes(node, heap[parent])) break;
+      heap[index] = heap[parent];
+      index = parent;
+    }
+    heap[index] = node;
+  }
+  
+  siftDown(index) {
+    const { heap } = this;
+    const node = heap[index];
+    const length = heap.length;
+    
+    for (;;) {
+      const left = 2 * index + 1;
+      if (left >= length) break;
+      
+      const right = left + 1;
+      const child = right < length && this.precedes(heap[right], heap[left]) ? right : left;
+      if (!this.precedes(heap[child], node)) break;
+      heap[index] = heap[child];
+      index = child;
+    }
+    heap[index] = node;
   }
 }
 
+PathfindingService.PriorityQueue = PriorityQueue;
+
 module.exports = PathfindingService;
\ No newline at end of file
@@ -0,0 +1,134 @@
+const DIRECTIONS = ['North', 'East', 'South', 'West'];
+
+/**
+ * Explains why a plan could not be made: whether the target is connected to
+ * the start at all, how much battery would have been enough and which
+ * terrain types the robot cannot get to.
+ */
+class PlanDiagnostics {
+  /**
+   * @param {PathfindingService} pathfinder - Pathfinder for the terrain
+   */
+  constructor(pathfinder) {
+    this.pathfinder = pathfinder;
+  }
+
+  /**
+   * Explain why no path to a target was found
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {Object} target - Target position {x, y, facing?}
+   * @param {number} battery - Battery that was available
+   * @param {Object} [options] - Path options, as for findPath
+   * @param {number} [options.minBattery] - Battery required on arrival
+   * @returns {Object} - {reason, message, targetConnected, availableBattery, requiredBattery}; reason is
+   *   'obstacle', 'disconnected', 'insufficient_battery' or 'search_limit'
+   */
+  diagnosePath(start, target, battery, options = {}) {
+    const { pathfinder } = this;
+    const diagnosis = { targetConnected: false, availableBattery: battery, requiredBattery: null };
+
+    if (pathfinder.isObstacle(target.x, target.y)) {
+      return {
+        reason: 'obstacle',
+        message: `Target (${target.x}, ${target.y}) is an obstacle or outside the terrain`,
+        ...diagnosis
+      };
+    }
+
+    if (this.getEnergyToTarget(start, target) === Infinity) {
+      return {
+        reason: 'disconnected',
+        message: `Target (${target.x}, ${target.y}) is not connected to the start (${start.x}, ${start.y})`,
+        ...diagnosis
+      };
+    }
+
+    const requiredBattery = this.findMinimumBattery(start, target, options.minBattery || 0);
+    if (requiredBattery !== null && requiredBattery > battery) {
+      return {
+        reason: 'insufficient_battery',
+        message: `Reaching (${target.x}, ${target.y}) requires a battery of at least ${requiredBattery}, ` +
+          `but only ${battery} is available`,
+        ...diagnosis,
+        targetConnected: true,
+        requiredBattery
+      };
+    }
+
+    return {
+      reason: 'search_limit',
+      message: `No path to (${target.x}, ${target.y}) was found within ${pathfinder.maxExpansions} search expansions`,
+      ...diagnosis,
+      targetConnected: true,
+      requiredBattery
+    };
+  }
+
+  /**
+   * Find the smallest whole battery level with which a path to the target
+   * exists. More battery never hurts, so a binary search applies; enough
+   * battery to drive the cheapest route without recharging is the upper bound.
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {Object} target - Target position {x, y, facing?}
+   * @param {number} [minBattery] - Battery required on arrival
+   * @returns {number|null} - Minimum battery, or null when the target is not connected or the search gives up
+   */
+  findMinimumBattery(start, target, minBattery = 0) {
+    const energy = this.getEnergyToTarget(start, target);
+    if (energy === Infinity) {
+      return null;
+    }
+
+    let low = 0;
+    let high = Math.ceil(energy + minBattery);
+    if (!this.pathfinder.findPath(start, target, high, { minBattery }).success) {
+      return null;
+    }
+
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (this.pathfinder.findPath(start, target, middle, { minBattery }).success) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+
+    return high;
+  }
+
+  /**
+   * List the passable terrain types present in the terrain that have no cell
+   * connected to the start; cells the pathfinder avoids count as unreachable
+   * @param {Object} start - Starting position {x, y, facing}
+   * @returns {Array} - Terrain types, in order of first appearance
+   */
+  findUnreachableTypes(start) {
+    const { pathfinder } = this;
+    const costs = pathfinder.computeCostFrom(start, () => 1);
+    const present = new Set();
+    const reachable = new Set();
+
+    for (let y = 0; y < pathfinder.rows; y++) {
+      for (let x = 0; x < pathfinder.cols; x++) {
+        const type = pathfinder.terrain[y][x];
+        if (!pathfinder.terrainProperties.isPassable(type)) continue;
+
+        present.add(type);
+        if (DIRECTIONS.some(facing => costs[pathfinder.getPositionKey({ x, y, facing })] !== Infinity)) {
+          reachable.add(type);
+        }
+      }
+    }
+
+    return [...present].filter(type => !reachable.has(type));
+  }
+
+  getEnergyToTarget(start, target) {
+    const costs = this.pathfinder.computeCostToTarget(target, (command, position) =>
+      this.pathfinder.getConsumption(command, position));
+    return costs[this.pathfinder.getPositionKey(start)];
+  }
+}
+
+module.exports = PlanDiagnostics;
@@ -0,0 +1,149 @@
+const Robot = require('../models/Robot');
+const PathfindingService = require('./PathfindingService');
+
+class PlanVerifier {
+  /**
+   * Replay a plan through the Robot and compare the end state the planner
+   * predicted with the simulated one. The robot reacts to obstacles with
+   * backoff strategies and to low battery by recharging instead of the planned
+   * command; both are reported even when the end state happens to match.
+   * @param {Object} input - {terrain, start: {x, y, facing}, battery, costModel?, terrainProperties?}
+   * @param {Object} plan - Plan {commands, battery}
+   * @returns {Object} - {verified, predicted, simulated, divergences}
+   */
+  verify(input, plan) {
+    const predicted = this.predict(input, plan);
+    const robot = new Robot(input.terrain, input.battery, {
+      location: { x: input.start.x, y: input.start.y },
+      facing: input.start.facing
+    }, {
+      costModel: input.costModel,
+      terrainProperties: input.terrainProperties,
+      trace: true
+    });
+
+    const divergences = [];
+
+    for (let index = 0; index < plan.commands.length; index++) {
+      const command = plan.commands[index];
+      const firstStep = robot.trace.length;
+      const success = robot.executeCommand(command);
+      const step = robot.trace[firstStep];
+      const label = `Command ${index + 1} (${command})`;
+
+      if (step.Reason === 'low-battery') {
+        divergences.push({
+          kind: 'auto-recharge',
+          step: index + 1,
+          command,
+          message: `${label} needed more battery than was left, so the robot recharged instead`
+        });
+      } else if (step.Obstacle) {
+        divergences.push({
+          kind: 'backoff',
+          step: index + 1,
+          command,
+          message: `${label} hit an obstacle and triggered backoff strategy ${step.BackoffStrategy}`
+        });
+      }
+
+      if (!success) {
+        divergences.push({
+          kind: 'stopped',
+          step: index + 1,
+          command,
+          message: `${label} failed and the simulation stopped`
+        });
+        break;
+      }
+    }
+
+    const result = robot.getResult();
+    const simulated = {
+      battery: result.Battery,
+      position: { x: result.FinalPosition.Location.X, y: result.FinalPosition.Location.Y },
+      facing: result.FinalPosition.Facing,
+      samples: result.SamplesCollected
+    };
+
+    this.compare(predicted, simulated, divergences);
+
+    return {
+      verified: divergences.length === 0,
+      predicted,
+      simulated,
+      divergences
+    };
+  }
+
+  /**
+   * Work out the end state a plan promises, assuming every command runs as planned
+   * @param {Object} input - Planning input
+   * @param {Object} plan - Plan {commands, battery}
+   * @returns {Object} - {battery, position, facing, samples}
+   */
+  predict(input, plan) {
+    const pathfinder = new PathfindingService(input.terrain, {
+      costModel: input.costModel,
+      terrainProperties: input.terrainProperties
+    });
+    let position = { x: input.start.x, y: input.start.y, facing: input.start.facing };
+    const samples = [];
+
+    for (const command of plan.commands) {
+      if (command === 'S') {
+        samples.push(input.terrain[position.y][position.x]);
+      }
+      position = pathfinder.applyCommands(position, [command]);
+    }
+
+    return {
+      battery: plan.battery,
+      position: { x: position.x, y: position.y },
+      facing: position.facing,
+      samples
+    };
+  }
+
+  compare(predicted, simulated, divergences) {
+    if (predicted.battery !== simulated.battery) {
+      divergences.push({
+        kind: 'battery',
+        predicted: predicted.battery,
+        simulated: simulated.battery,
+        message: `Predicted battery ${predicted.battery} but the simulation ended with ${simulated.battery}`
+      });
+    }
+
+    if (predicted.position.x !== simulated.position.x || predicted.position.y !== simulated.position.y) {
+      divergences.push({
+        kind: 'position',
+        predicted: predicted.position,
+        simulated: simulated.position,
+        message: `Predicted to end at (${predicted.position.x}, ${predicted.position.y}) ` +
+          `but the simulation ended at (${simulated.position.x}, ${simulated.position.y})`
+      });
+    }
+
+    if (predicted.facing !== simulated.facing) {
+      divergences.push({
+        kind: 'facing',
+        predicted: predicted.facing,
+        simulated: simulated.facing,
+        message: `Predicted to end facing ${predicted.facing} but the simulation ended facing ${simulated.facing}`
+      });
+    }
+
+    if (predicted.samples.join(',') !== simulated.samples.join(',')) {
+      divergences.push({
+        kind: 'samples',
+        predicted: predicted.samples,
+        simulated: simulated.samples,
+        message: `Predicted samples [${predicted.samples.join(', ')}] ` +
+          `but the simulation collected [${simulated.samples.join(', ')}]`
+      });
+    }
+  }
+}
+
+module.exports = new PlanVerifier();
@@ -0,0 +1,444 @@
+const Robot = require('../models/Robot');
+const TerrainProperties = require('../models/TerrainProperties');
+const PathfindingService = require('./PathfindingService');
+const MissionPlanner = require('./MissionPlanner');
+const ReplanningNavigator = require('./ReplanningNavigator');
+const planVerifier = require('./PlanVerifier');
+const simulationService = require('./SimulationService');
+const ValidationError = require('../errors/ValidationError');
+
+const FACINGS = ['North', 'South', 'East', 'West'];
+const OBJECTIVES = ['energy', 'commands'];
+const MAX_ROUTE_COUNT = 10;
+// Bounds on the work one request can ask for: the planners search every cell, and each waypoint adds a goal
+const MAX_TERRAIN_CELLS = 10000;
+const MAX_WAYPOINTS = 32;
+const MAX_FORBIDDEN_ZONES = 64;
+// What each planning operation checks in its input
+const OPERATION_CHECKS = {
+  findPath: { requireTarget: true },
+  findAlternativePaths: { requireTarget: true, alternatives: true },
+  planMission: { requireTarget: false },
+  planCoverage: { requireTarget: false },
+  analyzeReachability: { requireTarget: false },
+  navigate: { requireTarget: true, requireSensorRadius: true }
+};
+
+class PlanningService {
+  /**
+   * Find a path from a start pose to a target cell
+   * @param {Object} input - {terrain, start: {x, y, facing}, target: {x, y}, battery, objective?, costModel?, terrainProperties?}
+   * @param {Object} [options] - Planning options
+   * @param {boolean} [options.simulate] - Run the plan through the Robot and include the simulation output
+   * @returns {Object} - Plan {commands, battery, success, legs, diagnostics?, verification, simulation?};
+   *   diagnostics explain why no path was found
+   */
+  findPath(input, options = {}) {
+    this.validatePlanningInput(input, 'findPath');
+
+    const pathfinder = this.createPathfinder(input);
+    const path = pathfinder.findPath(input.start, input.target, input.battery);
+    const plan = path.success
+      ? {
+        ...path,
+        legs: [{
+          goal: 'target',
+          target: { x: input.target.x, y: input.target.y },
+          commands: path.commands,
+          energy: pathfinder.measureEnergy(input.start, path.commands)
+        }]
+      }
+      : {
+        ...path,
+        legs: [],
+        diagnostics: pathfinder.diagnosePath(input.start, input.target, input.battery)
+      };
+
+    return this.withSimulation(this.withVerification(plan, input), input, options);
+  }
+
+  /**
+   * Find several distinct routes from a start pose to a target cell, best first
+   * @param {Object} input - Same as findPath, plus count? (1-10, default 3) and minDifference? (0-1, default 0.3)
+   * @param {Object} [options] - Planning options
+   * @param {boolean} [options.simulate] - Run each route through the Robot and include the simulation output
+   * @returns {Object} - {routes: [{rank, commands, battery, energy, commandCount, cells, difference, verification, simulation?}]}
+   */
+  findAlternativePaths(input, options = {}) {
+    this.validatePlanningInput(input, 'findAlternativePaths');
+
+    const pathfinder = this.createPathfinder(input);
+    const { routes } = pathfinder.findAlternativePaths(input.start, input.target, input.battery, {
+      count: input.count,
+      minDifference: input.minDifference
+    });
+
+    return {
+      routes: routes.map(route => this.withSimulation(this.withVerification(route, input), input, options))
+    };
+  }
+
+  /**
+   * Generate a mission plan, by default collecting one sample of each terrain type
+   * @param {Object} input - {terrain, start: {x, y, facing}, battery, objective?, strategy?, constraints?, costModel?, terrainProperties?}
+   * @param {Object} [options] - Planning options
+   * @param {boolean} [options.simulate] - Run the plan through the Robot and include the simulation output
+   * @returns {Object} - Plan {commands, battery, success, strategy, energy, commandCount, samples, unmetConstraints, legs,
+   *   diagnostics?, verification, simulation?}
+   */
+  planMission(input, options = {}) {
+    this.validatePlanningInput(input, 'planMission');
+
+    const pathfinder = this.createPathfinder(input);
+    const plan = pathfinder.generateMissionPlan(input.start, input.battery, {
+      strategy: input.strategy,
+      constraints: input.constraints
+    });
+
+    return this.withSimulation(this.withVerification(plan, input), input, options);
+  }
+
+  /**
+   * Generate a plan visiting every cell reachable from the start
+   * @param {Object} input - {terrain, start: {x, y, facing}, battery, costModel?, terrainProperties?}
+   * @param {Object} [options] - Planning options
+   * @param {boolean} [options.simulate] - Run the plan through the Robot and include the simulation output
+   * @returns {Object} - Plan {commands, battery, success, energy, commandCount, visitedCount, reachableCount,
+   *   unvisitedCells, unreachableCells, verification, simulation?}
+   */
+  planCoverage(input, options = {}) {
+    this.validatePlanningInput(input, 'planCoverage');
+
+    const pathfinder = this.createPathfinder(input);
+    const plan = pathfinder.generateCoveragePlan(input.start, input.battery);
+
+    return this.withSimulation(this.withVerification(plan, input), input, options);
+  }
+
+  /**
+   * Compute the minimum energy to reach each cell from the start and whether recharging is needed
+   * @param {Object} input - {terrain, start: {x, y, facing}, battery, costModel?, terrainProperties?}
+   * @returns {Object} - {battery, canRecharge, maxEnergy, reachableCount, cells}
+   */
+  analyzeReachability(input) {
+    this.validatePlanningInput(input, 'analyzeReachability');
+
+    return this.createPathfinder(input).analyzeReachability(input.start, input.battery);
+  }
+
+  /**
+   * Drive the robot to a target when it only knows the cells within its sensor radius,
+   * replanning as hidden obstacles are discovered
+   * @param {Object} input - {terrain, start: {x, y, facing}, target: {x, y}, battery, sensorRadius, objective?, costModel?, terrainProperties?}
+   * @returns {Object} - Simulation result with Commands, ReachedTarget, Replans and DiscoveredMap
+   */
+  navigate(input) {
+    this.validatePlanningInput(input, 'navigate');
+
+    const navigator = new ReplanningNavigator(input.terrain, {
+      sensorRadius: input.sensorRadius,
+      costModel: input.costModel,
+      terrainProperties: input.terrainProperties,
+      objective: input.objective
+    });
+
+    return navigator.navigate(input.start, input.target, input.battery);
+  }
+
+  createPathfinder(input) {
+    return new PathfindingService(input.terrain, {
+      costModel: input.costModel,
+      terrainProperties: input.terrainProperties,
+      objective: input.objective
+    });
+  }
+
+  withVerification(plan, input) {
+    return {
+      ...plan,
+      verification: planVerifier.verify(input, plan)
+    };
+  }
+
+  withSimulation(plan, input, options) {
+    if (!options.simulate) {
+      return plan;
+    }
+
+    const robot = new Robot(input.terrain, input.battery, {
+      location: { x: input.start.x, y: input.start.y },
+      facing: input.start.facing
+    }, {
+      costModel: input.costModel,
+      terrainProperties: input.terrainProperties
+    });
+
+    return {
+      ...plan,
+      simulation: robot.executeCommands(plan.commands)
+    };
+  }
+
+  /**
+   * Validate a planning request
+   * @param {Object} input - Planning input
+   * @param {string} operation - Planning operation, e.g. 'findPath'
+   * @throws {ValidationError} - If input is invalid, listing every problem found
+   */
+  validatePlanningInput(input, operation) {
+    const errors = this.getValidationErrors(input, operation);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  /**
+   * Collect every problem of a planning request
+   * @param {Object} input - Planning input
+   * @param {string} operation - Planning operation, e.g. 'findPath'
+   * @returns {Array} - Validation errors {path, code, message}
+   */
+  getValidationErrors(input, operation) {
+    const { requireTarget, requireSensorRadius = false, alternatives = false } = OPERATION_CHECKS[operation];
+    const errors = [];
+
+    if (!input || typeof input !== 'object') {
+      errors.push({ path: '', code: 'required', message: 'Input is required' });
+      return errors;
+    }
+
+    if (input.terrainProperties !== undefined) {
+      simulationService.validateTerrainProperties(input.terrainProperties, errors);
+    }
+
+    const terrainProperties = errors.length === 0
+      ? new TerrainProperties(input.terrainProperties)
+      : new TerrainProperties();
+    let terrain = simulationService.validateTerrain(input.terrain, terrainProperties, errors)
+      ? input.terrain
+      : null;
+
+    if (terrain && terrain.length * terrain[0].length > MAX_TERRAIN_CELLS) {
+      errors.push({
+        path: 'terrain',
+        code: 'invalid_value',
+        message: `Terrain must have at most ${MAX_TERRAIN_CELLS} cells for planning`
+      });
+      terrain = null;
+    }
+
+    const { battery, start, target } = input;
+
+    if (typeof battery !== 'number' || !Number.isFinite(battery) || battery < 0) {
+      errors.push({ path: 'battery', code: 'invalid_value', message: 'Battery must be a non-negative number' });
+    }
+
+    if (!start || typeof start !== 'object') {
+      errors.push({ path: 'start', code: 'required', message: 'Start position is required' });
+    } else {
+      if (!FACINGS.includes(start.facing)) {
+        errors.push({
+          path: 'start.facing',
+          code: 'invalid_value',
+          message: 'Start position must have a valid facing direction (North, South, East, West)'
+        });
+      }
+      this.validateCell(start, 'start', 'Start position', terrain, terrainProperties, errors);
+    }
+
+    if (requireTarget) {
+      if (!target || typeof target !== 'object') {
+        errors.push({ path: 'target', code: 'required', message: 'Target position is required' });
+      } else {
+        if (target.facing !== undefined && !FACINGS.includes(target.facing)) {
+          errors.push({
+            path: 'target.facing',
+            code: 'invalid_value',
+            message: 'Target position facing must be a valid direction (North, South, East, West)'
+          });
+        }
+        this.validateCell(target, 'target', 'Target position', terrain, terrainProperties, errors);
+      }
+    }
+
+    if (input.objective !== undefined && !OBJECTIVES.includes(input.objective)) {
+      errors.push({
+        path: 'objective',
+        code: 'invalid_value',
+        message: `Objective must be one of: ${OBJECTIVES.join(', ')}`
+      });
+    }
+
+    if (!requireTarget && input.strategy !== undefined && !MissionPlanner.STRATEGIES.includes(input.strategy)) {
+      errors.push({
+        path: 'strategy',
+        code: 'invalid_value',
+        message: `Strategy must be one of: ${MissionPlanner.STRATEGIES.join(', ')}`
+      });
+    }
+
+    if (!requireTarget && input.constraints !== undefined) {
+      this.validateConstraints(input.constraints, terrain, terrainProperties, errors);
+    }
+
+    if (requireSensorRadius && (!Number.isInteger(input.sensorRadius) || input.sensorRadius < 0)) {
+      errors.push({
+        path: 'sensorRadius',
+        code: input.sensorRadius === undefined ? 'required' : 'invalid_value',
+        message: 'Sensor radius must be a non-negative integer'
+      });
+    }
+
+    if (alternatives) {
+      this.validateAlternativeOptions(input, errors);
+    }
+
+    if (input.costModel !== undefined) {
+      simulationService.validateCostModel(input.costModel, errors);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the options of an alternative routes request
+   * @param {Object} input - Planning input with count? and minDifference?
+   * @param {Array} errors - Collects validation errors
+   */
+  validateAlternativeOptions(input, errors) {
+    if (input.count !== undefined && (!Number.isInteger(input.count) || input.count < 1 || input.count > MAX_ROUTE_COUNT)) {
+      errors.push({
+        path: 'count',
+        code: 'invalid_value',
+        message: `Count must be an integer from 1 to ${MAX_ROUTE_COUNT}`
+      });
+    }
+
+    if (input.minDifference !== undefined &&
+        (typeof input.minDifference !== 'number' || !(input.minDifference >= 0 && input.minDifference <= 1))) {
+      errors.push({
+        path: 'minDifference',
+        code: 'invalid_value',
+        message: 'Minimum difference must be a number from 0 to 1'
+      });
+    }
+  }
+
+  /**
+   * Validate mission constraints
+   * @param {Object} constraints - {samples?, waypoints?, forbidden?, minBattery?, returnToBase?}
+   * @param {Array|null} terrain - Terrain, or null when it is invalid
+   * @param {TerrainProperties} terrainProperties - Terrain properties
+   * @param {Array} errors - Collects validation errors
+   */
+  validateConstraints(constraints, terrain, terrainProperties, errors) {
+    if (!constraints || typeof constraints !== 'object' || Array.isArray(constraints)) {
+      errors.push({ path: 'constraints', code: 'invalid_type', message: 'Constraints must be an object' });
+      return;
+    }
+
+    const { samples, waypoints, forbidden, minBattery, returnToBase } = constraints;
+
+    if (samples !== undefined) {
+      if (!Array.isArray(samples)) {
+        errors.push({ path: 'constraints.samples', code: 'invalid_type', message: 'Required samples must be an array' });
+      } else {
+        const types = new Set();
+        samples.forEach((sample, index) => {
+          const path = `constraints.samples[${index}]`;
+          if (!sample || typeof sample.type !== 'string') {
+            errors.push({ path: `${path}.type`, code: 'invalid_type', message: `Required sample ${index} must have a terrain type` });
+            return;
+          }
+          if (types.has(sample.type)) {
+            errors.push({ path: `${path}.type`, code: 'conflict', message: `Terrain type ${sample.type} is required more than once` });
+          }
+          types.add(sample.type);
+          if (sample.count !== undefined && (!Number.isInteger(sample.count) || sample.count < 1)) {
+            errors.push({ path: `${path}.count`, code: 'invalid_value', message: `Count of required sample ${index} must be a positive integer` });
+          }
+        });
+      }
+    }
+
+    if (waypoints !== undefined) {
+      if (!Array.isArray(waypoints)) {
+        errors.push({ path: 'constraints.waypoints', code: 'invalid_type', message: 'Waypoints must be an array' });
+      } else if (waypoints.length > MAX_WAYPOINTS) {
+        errors.push({ path: 'constraints.waypoints', code: 'invalid_value', message: `At most ${MAX_WAYPOINTS} waypoints are allowed` });
+      } else {
+        waypoints.forEach((waypoint, index) => {
+          const path = `constraints.waypoints[${index}]`;
+          if (!waypoint || typeof waypoint !== 'object') {
+            errors.push({ path, code: 'invalid_type', message: `Waypoint ${index} must be an object` });
+            return;
+          }
+          this.validateCell(waypoint, path, `Waypoint ${index}`, terrain, terrainProperties, errors);
+        });
+      }
+    }
+
+    if (forbidden !== undefined) {
+      if (!Array.isArray(forbidden)) {
+        errors.push({ path: 'constraints.forbidden', code: 'invalid_type', message: 'Forbidden zones must be an array' });
+      } else if (forbidden.length > MAX_FORBIDDEN_ZONES) {
+        errors.push({ path: 'constraints.forbidden', code: 'invalid_value', message: `At most ${MAX_FORBIDDEN_ZONES} forbidden zones are allowed` });
+      } else {
+        forbidden.forEach((zone, index) => this.validateZone(zone, `constraints.forbidden[${index}]`, index, errors));
+      }
+    }
+
+    if (minBattery !== undefined && (typeof minBattery !== 'number' || !Number.isFinite(minBattery) || minBattery < 0)) {
+      errors.push({ path: 'constraints.minBattery', code: 'invalid_value', message: 'Minimum battery must be a non-negative number' });
+    }
+
+    if (returnToBase !== undefined && typeof returnToBase !== 'boolean') {
+      errors.push({ path: 'constraints.returnToBase', code: 'invalid_type', message: 'Return to base must be a boolean' });
+    }
+  }
+
+  validateZone(zone, path, index, errors) {
+    if (!zone || typeof zone !== 'object') {
+      errors.push({ path, code: 'invalid_type', message: `Forbidden zone ${index} must be an object` });
+      return;
+    }
+
+    for (const axis of ['x', 'y']) {
+      if (!Number.isInteger(zone[axis])) {
+        errors.push({ path: `${path}.${axis}`, code: 'not_integer', message: `Forbidden zone ${index} ${axis} must be an integer` });
+      }
+    }
+
+    for (const size of ['width', 'height']) {
+      if (zone[size] !== undefined && (!Number.isInteger(zone[size]) || zone[size] < 1)) {
+        errors.push({ path: `${path}.${size}`, code: 'invalid_value', message: `Forbidden zone ${index} ${size} must be a positive integer` });
+      }
+    }
+  }
+
+  validateCell(cell, path, label, terrain, terrainProperties, errors) {
+    let coordinatesValid = true;
+    for (const axis of ['x', 'y']) {
+      if (!Number.isInteger(cell[axis])) {
+        errors.push({ path: `${path}.${axis}`, code: 'not_integer', message: `${label} ${axis} must be an integer` });
+        coordinatesValid = false;
+      }
+    }
+
+    if (!terrain || !coordinatesValid) {
+      return;
+    }
+
+    const { x, y } = cell;
+    if (y < 0 || y >= terrain.length || x < 0 || x >= terrain[0].length) {
+      errors.push({ path, code: 'out_of_bounds', message: `${label} is out of terrain bounds` });
+      return;
+    }
+
+    if (!terrainProperties.isPassable(terrain[y][x])) {
+      errors.push({ path, code: 'obstacle', message: `${label} cannot be an obstacle` });
+    }
+  }
+}
+
+module.exports = new PlanningService();
\ No newline at end of file
@@ -0,0 +1,79 @@
+const DIRECTIONS = ['North', 'East', 'South', 'West'];
+
+/**
+ * Works out where the robot can go from a start pose with a given battery.
+ *
+ * The minimum energy to each cell comes from a Dijkstra search over poses that
+ * ignores the battery level. Since the battery has no upper limit, a robot
+ * that can reach any sunny cell with enough charge left to extend its panels
+ * can recharge there as much as it likes. It can then reach every cell
+ * connected to the start. Otherwise it can only reach the cells whose energy
+ * fits in the battery.
+ */
+class ReachabilityAnalyzer {
+  /**
+   * @param {PathfindingService} pathfinder - Pathfinder for the terrain
+   */
+  constructor(pathfinder) {
+    this.pathfinder = pathfinder;
+  }
+
+  /**
+   * Analyze reachability from a start pose
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {number} battery - Initial battery level
+   * @returns {Object} - {battery, canRecharge, maxEnergy, reachableCount, cells}; cells[y][x] is null for
+   *   obstacles, otherwise {energy, reachable, requiresRecharge} with a null energy when the cell is disconnected
+   */
+  analyze(start, battery) {
+    const { pathfinder } = this;
+    const costs = pathfinder.computeCostFrom(start, (command, position) => pathfinder.getConsumption(command, position));
+
+    const energies = [];
+    let canRecharge = false;
+    for (let y = 0; y < pathfinder.rows; y++) {
+      const row = [];
+      for (let x = 0; x < pathfinder.cols; x++) {
+        const energy = Math.min(...DIRECTIONS.map(facing => costs[pathfinder.getPositionKey({ x, y, facing })]));
+        row.push(energy);
+
+        const position = { x, y };
+        const rechargeCost = pathfinder.getConsumption('E', position);
+        if (!pathfinder.isObstacle(x, y) && energy + rechargeCost <= battery &&
+            pathfinder.getSolarYield(position) > rechargeCost) {
+          canRecharge = true;
+        }
+      }
+      energies.push(row);
+    }
+
+    let maxEnergy = 0;
+    let reachableCount = 0;
+    const cells = energies.map((row, y) => row.map((energy, x) => {
+      if (pathfinder.isObstacle(x, y)) {
+        return null;
+      }
+
+      if (energy === Infinity) {
+        return { energy: null, reachable: false, requiresRecharge: false };
+      }
+
+      const requiresRecharge = energy > battery;
+      const reachable = !requiresRecharge || canRecharge;
+      maxEnergy = Math.max(maxEnergy, energy);
+      if (reachable) reachableCount++;
+
+      return { energy, reachable, requiresRecharge: requiresRecharge && reachable };
+    }));
+
+    return {
+      battery,
+      canRecharge,
+      maxEnergy,
+      reachableCount,
+      cells
+    };
+  }
+}
+
+module.exports = ReachabilityAnalyzer;
@@ -0,0 +1,188 @@
+const Robot = require('../models/Robot');
+const TerrainProperties = require('../models/TerrainProperties');
+const PathfindingService = require('./PathfindingService');
+
+// Terrain code the planner uses for cells the robot has not sensed yet
+const UNKNOWN_TERRAIN = '?';
+
+/**
+ * Drives the robot to a target when it only knows the cells within its sensor radius.
+ *
+ * Cells the robot has not sensed are assumed to be open, free to enter and
+ * sunny, so discovering a cell can only make routes through it worse. As in
+ * D* Lite, the robot therefore keeps following its plan and only replans when
+ * it discovers a cell on the rest of the route that is not as assumed, or when
+ * a command does not go as planned (it hit a hidden obstacle and backed off, or
+ * had to recharge instead). Each replan is a battery-aware search from the
+ * current pose over the known map. Replans reuse the costs to the target of
+ * the previous plan, repairing them only around the cells discovered since,
+ * and all the searches of a navigation share one expansion budget.
+ */
+class ReplanningNavigator {
+  /**
+   * @param {Array} terrain - 2D array of the real terrain, hidden from the planner
+   * @param {Object} options - Navigation options
+   * @param {number} options.sensorRadius - Distance in cells within which the robot senses the terrain
+   * @param {Object|CostModel} [options.costModel] - Battery cost overrides
+   * @param {Object|TerrainProperties} [options.terrainProperties] - Terrain property overrides
+   * @param {string} [options.objective] - What plans minimize: 'energy' (default) or 'commands'
+   * @param {number} [options.maxExpansions] - Search expansions shared by all the plans of a navigation
+   *   (default: the pathfinder's limit for one path)
+   */
+  constructor(terrain, options) {
+    this.terrain = terrain;
+    this.sensorRadius = options.sensorRadius;
+    this.costModel = options.costModel;
+    this.terrainProperties = TerrainProperties.from(options.terrainProperties);
+    this.objective = options.objective;
+    this.maxExpansions = options.maxExpansions;
+  }
+
+  /**
+   * Navigate from the start to the target, replanning as the terrain is discovered
+   * @param {Object} start - Starting position {x, y, facing}
+   * @param {Object} target - Target position {x, y, facing?}
+   * @param {number} battery - Initial battery level
+   * @returns {Object} - Robot result with Commands (the commands issued), ReachedTarget, Replans and DiscoveredMap
+   */
+  navigate(start, target, battery) {
+    const robot = new Robot(this.terrain, battery, {
+      location: { x: start.x, y: start.y },
+      facing: start.facing
+    }, {
+      costModel: this.costModel,
+      terrainProperties: this.terrainProperties,
+      sensorRadius: this.sensorRadius
+    });
+
+    const commands = [];
+    // What the plans share: the expansion budget, and the known map and costs to the target of the last plan
+    const search = { budget: null, knownTerrain: null, costs: null };
+    let replans = 0;
+    let plan = this.plan(robot, target, search);
+    let index = 0;
+    let reachedTarget = this.hasArrived(robot, target);
+
+    while (!reachedTarget && plan.success && index < plan.commands.length) {
+      const command = plan.commands[index++];
+      const firstDiscovery = robot.discoveredCells.length;
+
+      commands.push(command);
+      if (!robot.executeCommand(command)) {
+        break;
+      }
+
+      reachedTarget = this.hasArrived(robot, target);
+      if (reachedTarget) {
+        break;
+      }
+
+      const expected = plan.poses[index];
+      const diverged = robot.position.x !== expected.x || robot.position.y !== expected.y ||
+        robot.position.facing !== expected.facing;
+
+      if (diverged || this.affectsRoute(robot.discoveredCells.slice(firstDiscovery), plan.poses.slice(index))) {
+        plan = this.plan(robot, target, search);
+        index = 0;
+        replans++;
+      }
+    }
+
+    return {
+      ...robot.getResult(),
+      Commands: commands,
+      ReachedTarget: reachedTarget,
+      Replans: replans
+    };
+  }
+
+  /**
+   * Plan from the robot's current state over the terrain it has discovered
+   * @param {Robot} robot - Robot being navigated
+   * @param {Object} target - Target position {x, y, facing?}
+   * @param {Object} search - State shared by the plans of a navigation, updated for the next plan
+   * @returns {Object} - {commands, success, poses}; poses[i] is the pose before commands[i]
+   */
+  plan(robot, target, search) {
+    const knownTerrain = robot.discoveredMap.map(row => row.map(type => (type === null ? UNKNOWN_TERRAIN : type)));
+    const pathfinder = new PathfindingService(knownTerrain, {
+      costModel: this.costModel,
+      terrainProperties: this.terrainProperties,
+      objective: this.objective
+    });
+
+    if (!search.budget) {
+      search.budget = { expansions: this.maxExpansions || pathfinder.maxExpansions };
+    }
+    search.costs = this.updateCosts(pathfinder, target, search);
+    search.knownTerrain = knownTerrain;
+
+    const start = { x: robot.position.x, y: robot.position.y, facing: robot.position.facing };
+    const { commands, success } = pathfinder.findPath(start, target, robot.battery, {
+      costs: search.costs,
+      budget: search.budget
+    });
+
+    const poses = [start];
+    for (const command of commands) {
+      poses.push(pathfinder.applyCommands(poses[poses.length - 1], [command]));
+    }
+
+    return { commands, success, poses };
+  }
+
+  /**
+   * Get the costs to the target over the known map, repairing those of the last plan when the cells
+   * discovered since are all at least as costly as assumed
+   * @param {PathfindingService} pathfinder - Pathfinder for the known map
+   * @param {Object} target - Target position {x, y, facing?}
+   * @param {Object} search - State shared by the plans, as for plan
+   * @returns {Object} - Costs to the target, see PathfindingService.getCostsToTarget
+   */
+  updateCosts(pathfinder, target, search) {
+    if (!search.costs) {
+      return pathfinder.getCostsToTarget(target);
+    }
+
+    const changedCells = [];
+    pathfinder.terrain.forEach((row, y) => row.forEach((type, x) => {
+      if (type !== search.knownTerrain[y][x]) changedCells.push({ x, y });
+    }));
+
+    const worse = changedCells.every(({ x, y }) => {
+      const before = this.terrainProperties.get(search.knownTerrain[y][x]);
+      const after = this.terrainProperties.get(pathfinder.terrain[y][x]);
+      return !after.passable || (before.passable && after.moveCost >= before.moveCost);
+    });
+
+    return worse ? pathfinder.getCostsToTarget(target, search.costs, changedCells) : pathfinder.getCostsToTarget(target);
+  }
+
+  /**
+   * Whether newly discovered cells change the rest of the route: only cells on
+   * the route that are not as the planner assumed can
+   * @param {Array} discoveries - Newly discovered cells {x, y}
+   * @param {Array} poses - Remaining poses of the route
+   * @returns {boolean}
+   */
+  affectsRoute(discoveries, poses) {
+    return discoveries.some(cell =>
+      poses.some(pose => pose.x === cell.x && pose.y === cell.y) &&
+      !this.matchesAssumption(this.terrain[cell.y][cell.x]));
+  }
+
+  matchesAssumption(type) {
+    const actual = this.terrainProperties.get(type);
+    const assumed = this.terrainProperties.get(UNKNOWN_TERRAIN);
+
+    return actual.passable === assumed.passable && actual.moveCost === assumed.moveCost &&
+      actual.sampleCost === assumed.sampleCost && actual.solarCharging === assumed.solarCharging;
+  }
+
+  hasArrived(robot, target) {
+    return robot.position.x === target.x && robot.position.y === target.y &&
+      (!target.facing || robot.position.facing === target.facing);
+  }
+}
+
+module.exports = ReplanningNavigator;
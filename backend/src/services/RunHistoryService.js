@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const simulationService = require('./SimulationService');
+const JsonLinesRunStore = require('../stores/JsonLinesRunStore');
+const MemoryRunStore = require('../stores/MemoryRunStore');
+const ValidationError = require('../errors/ValidationError');
+const NotFoundError = require('../errors/NotFoundError');
+
+const OUTCOMES = ['success', 'error'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', '..', 'data', 'runs.jsonl');
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Pick the run store from the environment: RUN_STORE=memory keeps runs in
+ * memory, otherwise they go to the JSON-lines file at RUN_STORE_PATH
+ * (default backend/data/runs.jsonl). Either keeps the newest RUN_STORE_MAX_RUNS
+ * runs (default 10000). Tests use memory unless a path is set.
+ * @returns {RunStore}
+ */
+function createDefaultStore() {
+  const { RUN_STORE, RUN_STORE_PATH, RUN_STORE_MAX_RUNS, NODE_ENV } = process.env;
+  const maxRuns = Number(RUN_STORE_MAX_RUNS) > 0 ? Math.floor(Number(RUN_STORE_MAX_RUNS)) : JsonLinesRunStore.DEFAULT_MAX_RUNS;
+  if (RUN_STORE === 'memory' || (NODE_ENV === 'test' && !RUN_STORE_PATH)) {
+    return new MemoryRunStore({ maxRuns });
+  }
+  return new JsonLinesRunStore(RUN_STORE_PATH || DEFAULT_STORE_PATH, { maxRuns });
+}
+
+/**
+ * Runs simulations and keeps a history of them, for auditing and re-running.
+ * Each run belongs to the API key that ran it, or to nobody when keys are not
+ * required, and is only listed, read, deleted or re-run for that same owner.
+ */
+class RunHistoryService {
+  /**
+   * @param {RunStore} [store] - Where runs are kept
+   */
+  constructor(store = createDefaultStore()) {
+    this.store = store;
+  }
+
+  /**
+   * Swap the run store
+   * @param {RunStore} store - Where runs are kept from now on
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Run a simulation and store the run, whether it succeeds or not
+   * @param {Object} input - Simulation input
+   * @param {Object} [options] - Run options, as for SimulationService.runSimulation
+   * @param {string} [options.owner] - Id of the API key running it, if any
+   * @param {string} [rerunOf] - Id of the run this one repeats
+   * @returns {Object} - Run {id, timestamp, duration, outcome, options, input, result, error, errors, rerunOf, owner};
+   *   duration is in milliseconds, outcome is 'success' or 'error'
+   */
+  record(input, options = {}, rerunOf = null) {
+    const timestamp = new Date().toISOString();
+    const started = process.hrtime.bigint();
+    const run = {
+      id: crypto.randomUUID(),
+      timestamp,
+      duration: 0,
+      outcome: 'success',
+      options: { trace: Boolean(options.trace) },
+      input: input === undefined ? null : input,
+      result: null,
+      error: null,
+      errors: null,
+      rerunOf,
+      owner: options.owner || null
+    };
+
+    try {
+      run.result = simulationService.runSimulation(input, options);
+    } catch (error) {
+      run.outcome = 'error';
+      run.error = error.message;
+      run.errors = error instanceof ValidationError ? error.errors : null;
+    }
+
+    run.duration = Math.round(Number(process.hrtime.bigint() - started) / 1000) / 1000;
+    this.store.save(run);
+    return run;
+  }
+
+  /**
+   * List stored runs, newest first
+   * @param {Object} [query] - Query string values {page, pageSize, from, to, outcome}; a date-only `to`
+   *   includes that whole day
+   * @param {string} [owner] - Id of the API key asking, if any; only its runs are listed
+   * @returns {Object} - {runs: [{id, timestamp, duration, outcome, rerunOf}], page, pageSize, total}
+   * @throws {ValidationError} - If a query value is invalid
+   */
+  listRuns(query = {}, owner = null) {
+    const { page, pageSize, from, to, errors } = this.parseQuery(query);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const { runs, total } = this.store.list({
+      from,
+      to,
+      outcome: query.outcome,
+      owner,
+      offset: (page - 1) * pageSize,
+      limit: pageSize
+    });
+
+    return {
+      runs: runs.map(({ id, timestamp, duration, outcome, rerunOf }) => ({ id, timestamp, duration, outcome, rerunOf })),
+      page,
+      pageSize,
+      total
+    };
+  }
+
+  /**
+   * Collect every problem of a run list query
+   * @param {Object} [query] - Query string values, as for listRuns
+   * @returns {Array} - Validation errors {path, code, message}
+   */
+  getQueryErrors(query = {}) {
+    return this.parseQuery(query).errors;
+  }
+
+  /**
+   * Get a stored run
+   * @param {string} id - Run id
+   * @param {string} [owner] - Id of the API key asking, if any
+   * @returns {Object} - Run
+   * @throws {NotFoundError} - If there is no run with this id, or it belongs to another key
+   */
+  getRun(id, owner = null) {
+    const run = this.store.get(id);
+    if (!run || (run.owner || null) !== owner) {
+      throw new NotFoundError(`Run ${id} not found`);
+    }
+    return run;
+  }
+
+  /**
+   * Delete a stored run
+   * @param {string} id - Run id
+   * @param {string} [owner] - Id of the API key asking, if any
+   * @throws {NotFoundError} - If there is no run with this id, or it belongs to another key
+   */
+  deleteRun(id, owner = null) {
+    this.getRun(id, owner);
+    if (!this.store.delete(id)) {
+      throw new NotFoundError(`Run ${id} not found`);
+    }
+  }
+
+  /**
+   * Run a stored run's input again with the current models, storing it as a new run
+   * @param {string} id - Id of the run to repeat
+   * @param {string} [owner] - Id of the API key asking, if any; the new run belongs to it too
+   * @returns {Object} - New run, with matchesOriginal telling whether the outcome, result and errors are unchanged
+   * @throws {NotFoundError} - If there is no run with this id, or it belongs to another key
+   */
+  rerun(id, owner = null) {
+    const original = this.getRun(id, owner);
+    const run = this.record(original.input, { ...original.options, owner }, original.id);
+
+    return {
+      ...run,
+      matchesOriginal: isDeepStrictEqual(
+        [run.outcome, run.result, run.errors],
+        [original.outcome, original.result, original.errors]
+      )
+    };
+  }
+
+  parseQuery(query) {
+    const errors = [];
+    const page = this.parsePositiveInteger(query.page, 'page', 'Page', 1, Infinity, errors);
+    const pageSize = this.parsePositiveInteger(query.pageSize, 'pageSize', 'Page size', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE,
+      errors);
+    const from = this.parseDate(query.from, 'from', 'From', errors);
+    const to = this.parseDate(query.to, 'to', 'To', errors);
+
+    if (query.outcome !== undefined && !OUTCOMES.includes(query.outcome)) {
+      errors.push({ path: 'outcome', code: 'invalid_value', message: `Outcome must be one of: ${OUTCOMES.join(', ')}` });
+    }
+
+    if (to && DATE_ONLY.test(query.to)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+
+    return { page, pageSize, from, to, errors };
+  }
+
+  parsePositiveInteger(value, field, label, defaultValue, max, errors) {
+    if (value === undefined) {
+      return defaultValue;
+    }
+
+    const number = Number(value);
+    if (!/^\d+$/.test(value) || number < 1 || number > max) {
+      errors.push({
+        path: field,
+        code: 'invalid_value',
+        message: max === Infinity
+          ? `${label} must be a positive integer`
+          : `${label} must be an integer from 1 to ${max}`
+      });
+      return defaultValue;
+    }
+    return number;
+  }
+
+  parseDate(value, field, label, errors) {
+    if (value === undefined) {
+      return null;
+    }
+
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+      errors.push({
+        path: field,
+        code: 'invalid_value',
+        message: `${label} must be a date, e.g. 2026-01-31 or 2026-01-31T12:00:00Z`
+      });
+      return null;
+    }
+    return date;
+  }
+}
+
+module.exports = new RunHistoryService();
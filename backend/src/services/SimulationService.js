@@ -1,80 +1,635 @@
 const Robot = require('../models/Robot');
+const Fleet = require('../models/Fleet');
+const CommandScript = require('../models/CommandScript');
+const CostModel = require('../models/CostModel');
+const TerrainProperties = require('../models/TerrainProperties');
+const { BACKOFF_PRESETS } = require('../models/BackoffStrategies');
+const ValidationError = require('../errors/ValidationError');
+const metricsService = require('./MetricsService');
 class SimulationService {
   /**
    * Run a simulation with the provided input
-   * @param {Object} input - Simulation input
+   * @param {Object} input - Simulation input (single robot, or a fleet in input.robots)
+   * @param {Object} [options] - Run options
+   * @param {boolean} [options.trace] - Include a step-by-step execution trace
    * @returns {Object} - Simulation result
    */
-  runSimulation(input) {
+  runSimulation(input, options = {}) {
     try {
-      this.validateInput(input);
-      
-      const { terrain, battery, commands, initialPosition } = input;
+      const expanded = this.validateInput(input);
       
-      const robot = new Robot(terrain, battery, initialPosition);
-      return robot.executeCommands(commands);
+      const { terrain } = input;
+      const robotOptions = this.getRobotOptions(input, options);
+
+      let result;
+      let ranRobots;
+      if (Array.isArray(input.robots)) {
+        const robots = input.robots.map(config => ({
+          ...config,
+          commands: this.resolveCommands(config, input.macros, expanded)
+        }));
+        const fleet = new Fleet(terrain, robots, robotOptions);
+        result = fleet.run();
+        ranRobots = fleet.members.map(member => ({
+          robot: member.robot,
+          commands: member.commands.slice(0, member.nextCommand)
+        }));
+
+        input.robots.forEach((config, index) => {
+          if (config.commandScript !== undefined) {
+            result.Robots[index].ExpandedCommands = robots[index].commands;
+          }
+        });
+
+        if (input.backoffStrategies !== undefined) {
+          result.BackoffStrategies = fleet.members[0].robot.backoffStrategies;
+          fleet.members.forEach((member, index) => {
+            result.Robots[index].BackoffAttempts = member.robot.backoffAttempts;
+          });
+        }
+
+        this.addModels(result, robotOptions);
+      } else {
+        const { robot, commands } = this.createRobot(input, options, expanded);
+        robot.executeCommands(commands);
+        result = this.getRobotResult(robot, input, commands);
+        ranRobots = [{ robot, commands: commands.slice(0, robot.commandsExecuted) }];
+      }
+
+      metricsService.recordSimulation('success', ranRobots);
+      return result;
     } catch (error) {
+      metricsService.recordSimulation('error');
       throw error;
     }
   }
 
+  /**
+   * Build the robot of a validated single-robot input, ready to execute its commands
+   * @param {Object} input - Validated simulation input
+   * @param {Object} [options] - Run options, as for runSimulation
+   * @param {Map} [expanded] - Commands expanded while validating the input, as getValidationErrors collects them
+   * @returns {Object} - {robot, commands}; commands has the command script expanded
+   */
+  createRobot(input, options = {}, expanded = null) {
+    const robot = new Robot(input.terrain, input.battery, input.initialPosition, this.getRobotOptions(input, options));
+    return { robot, commands: this.resolveCommands(input, input.macros, expanded) };
+  }
+
+  /**
+   * Get the result of a robot built by createRobot, as runSimulation returns it
+   * @param {Robot} robot - Robot that executed (some of) its commands
+   * @param {Object} input - Simulation input
+   * @param {Array} commands - Commands of the robot
+   * @returns {Object} - Simulation result
+   */
+  getRobotResult(robot, input, commands) {
+    const result = robot.getResult();
+
+    if (input.commandScript !== undefined) {
+      result.ExpandedCommands = commands;
+    }
+
+    if (input.backoffStrategies !== undefined) {
+      result.BackoffStrategies = robot.backoffStrategies;
+      result.BackoffAttempts = robot.backoffAttempts;
+    }
+
+    return this.addModels(result, {
+      costModel: input.costModel ? robot.costModel : undefined,
+      terrainProperties: input.terrainProperties ? robot.terrainProperties : undefined
+    });
+  }
+
+  getRobotOptions(input, options) {
+    return {
+      trace: options.trace,
+      costModel: input.costModel ? new CostModel(input.costModel) : undefined,
+      terrainProperties: input.terrainProperties ? new TerrainProperties(input.terrainProperties) : undefined,
+      backoffStrategies: input.backoffStrategies
+    };
+  }
+
+  // Report the cost model and terrain properties in effect when the input overrides them
+  addModels(result, { costModel, terrainProperties }) {
+    if (costModel) {
+      result.CostModel = costModel.toJSON();
+    }
+
+    if (terrainProperties) {
+      result.TerrainProperties = terrainProperties.toJSON();
+    }
+
+    return result;
+  }
+
+  /**
+   * Run several simulations; a failing input does not stop the others
+   * @param {Array} inputs - Simulation inputs
+   * @param {Object} [options] - Run options, as for runSimulation
+   * @returns {Object} - Per-item outcomes {results, summary}
+   */
+  runBatch(inputs, options = {}) {
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      throw new ValidationError([
+        { path: '', code: 'invalid_type', message: 'Batch must be a non-empty array of simulation inputs' }
+      ]);
+    }
+
+    const results = inputs.map((input, index) => {
+      try {
+        return { index, success: true, result: this.runSimulation(input, options) };
+      } catch (error) {
+        const item = { index, success: false, error: error.message };
+        if (error instanceof ValidationError) {
+          item.errors = error.errors;
+        }
+        return item;
+      }
+    });
+
+    const succeeded = results.filter(item => item.success).length;
+
+    return {
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      }
+    };
+  }
+
+  /**
+   * Get the commands of a robot, expanding its command script if it has one
+   * @param {Object} config - Robot configuration {commands} or {commandScript}
+   * @param {Object} [macros] - Macro scripts keyed by name
+   * @param {Map} [expanded] - Commands expanded while validating the input, reused rather than expanded again
+   * @returns {Array} - Commands
+   */
+  resolveCommands(config, macros, expanded = null) {
+    if (config.commandScript !== undefined) {
+      if (expanded && expanded.has(config)) {
+        return expanded.get(config);
+      }
+      return new CommandScript(macros).expand(config.commandScript);
+    }
+    return config.commands;
+  }
+
   /**
    * Validate the simulation input
    * @param {Object} input - Simulation input
-   * @throws {Error} - If input is invalid
+   * @returns {Map} - Expanded commands of the robots that have a command script, keyed by robot configuration
+   * @throws {ValidationError} - If input is invalid, listing every problem found
    */
   validateInput(input) {
+    const expanded = new Map();
+    const errors = this.getValidationErrors(input, expanded);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+    return expanded;
+  }
+
+  /**
+   * Collect every problem of the simulation input
+   * @param {Object} input - Simulation input
+   * @param {Map} [expanded] - Filled with the expanded commands of the robots that have a command script,
+   *   keyed by robot configuration
+   * @returns {Array} - Validation errors {path, code, message}
+   */
+  getValidationErrors(input, expanded = new Map()) {
+    const errors = [];
+
     if (!input) {
-      throw new Error('Input is required');
+      errors.push({ path: '', code: 'required', message: 'Input is required' });
+      return errors;
     }
 
-    const { terrain, battery, commands, initialPosition } = input;
+    if (input.terrainProperties !== undefined) {
+      this.validateTerrainProperties(input.terrainProperties, errors);
+    }
 
-    if (!terrain || !Array.isArray(terrain) || terrain.length === 0) {
-      throw new Error('Terrain must be a non-empty 2D array');
+    const terrainProperties = errors.length === 0
+      ? new TerrainProperties(input.terrainProperties)
+      : new TerrainProperties();
+    const terrain = this.validateTerrain(input.terrain, terrainProperties, errors) ? input.terrain : null;
+
+    const macros = this.validateMacros(input.macros, errors) ? input.macros : {};
+    const scripts = { commandScript: new CommandScript(macros), expanded };
+
+    if (input.robots !== undefined) {
+      this.validateFleet(input.robots, terrain, terrainProperties, scripts, errors);
+    } else {
+      this.validateRobot(input, terrain, terrainProperties, scripts, errors);
     }
 
-    const rowLength = terrain[0].length;
-    if (!rowLength || terrain.some(row => !Array.isArray(row) || row.length !== rowLength)) {
-      throw new Error('Terrain must be a valid 2D array with consistent row lengths');
+    if (input.costModel !== undefined) {
+      this.validateCostModel(input.costModel, errors);
     }
 
-    if (typeof battery !== 'number' || battery < 0) {
-      throw new Error('Battery must be a non-negative number');
+    if (input.backoffStrategies !== undefined) {
+      this.validateBackoffStrategies(input.backoffStrategies, errors);
     }
 
-    if (!commands || !Array.isArray(commands) || commands.length === 0) {
-      throw new Error('Commands must be a non-empty array');
+    return errors;
+  }
+
+  /**
+   * Validate the terrain grid and its terrain codes
+   * @param {Array} terrain - 2D array of terrain codes
+   * @param {TerrainProperties} terrainProperties - Known terrain types
+   * @param {Array} errors - Collected validation errors
+   * @returns {boolean} - Whether the grid shape is usable for further checks
+   */
+  validateTerrain(terrain, terrainProperties, errors) {
+    if (!terrain || !Array.isArray(terrain) || terrain.length === 0) {
+      errors.push({ path: 'terrain', code: 'invalid_type', message: 'Terrain must be a non-empty 2D array' });
+      return false;
     }
 
-    const validCommands = ['F', 'B', 'L', 'R', 'S', 'E'];
-    if (commands.some(cmd => !validCommands.includes(cmd))) {
-      throw new Error(`Commands must be one of: ${validCommands.join(', ')}`);
+    const rowLength = Array.isArray(terrain[0]) ? terrain[0].length : 0;
+    if (!rowLength || terrain.some(row => !Array.isArray(row) || row.length !== rowLength)) {
+      errors.push({
+        path: 'terrain',
+        code: 'inconsistent_rows',
+        message: 'Terrain must be a valid 2D array with consistent row lengths'
+      });
+      return false;
     }
 
-    if (!initialPosition) {
-      throw new Error('Initial position is required');
+    terrain.forEach((row, y) => {
+      row.forEach((cell, x) => {
+        if (typeof cell !== 'string' || !terrainProperties.has(cell)) {
+          errors.push({
+            path: `terrain[${y}][${x}]`,
+            code: 'unknown_terrain',
+            message: `Unknown terrain type ${JSON.stringify(cell)} at (${x}, ${y})`
+          });
+        }
+      });
+    });
+
+    return true;
+  }
+
+  /**
+   * Validate the battery, commands and initial position of one robot
+   * @param {Object} robot - Robot configuration {battery, commands, initialPosition}
+   * @param {Array|null} terrain - Validated terrain, or null if the terrain is invalid
+   * @param {TerrainProperties} terrainProperties - Terrain properties
+   * @param {Object} scripts - {commandScript, expanded}: CommandScript of the validated macros, shared by
+   *   all robots, and the Map collecting the expanded commands
+   * @param {Array} errors - Collected validation errors
+   * @param {string} [path] - JSON path of the robot configuration, e.g. "robots[1]"
+   * @param {string} [prefix] - Prefix for error messages, e.g. "Robot 2: "
+   */
+  validateRobot(robot, terrain, terrainProperties, scripts, errors, path = '', prefix = '') {
+    const { battery, commands, initialPosition } = robot;
+    const at = field => (path ? `${path}.${field}` : field);
+
+    if (typeof battery !== 'number' || !Number.isFinite(battery) || battery < 0) {
+      errors.push({ path: at('battery'), code: 'invalid_value', message: `${prefix}Battery must be a non-negative number` });
+    }
+
+    if (robot.commandScript !== undefined) {
+      if (commands !== undefined) {
+        errors.push({
+          path: at('commandScript'),
+          code: 'conflict',
+          message: `${prefix}Provide either commands or commandScript, not both`
+        });
+      } else {
+        const expandedCommands = this.validateCommandScript(robot.commandScript, scripts.commandScript, errors,
+          at('commandScript'), prefix);
+        if (expandedCommands) {
+          scripts.expanded.set(robot, expandedCommands);
+        }
+      }
+    } else if (!commands || !Array.isArray(commands) || commands.length === 0) {
+      errors.push({ path: at('commands'), code: 'invalid_type', message: `${prefix}Commands must be a non-empty array` });
+    } else {
+      const validCommands = ['F', 'B', 'L', 'R', 'S', 'E'];
+      commands.forEach((cmd, index) => {
+        if (!validCommands.includes(cmd)) {
+          errors.push({
+            path: `${at('commands')}[${index}]`,
+            code: 'invalid_command',
+            message: `${prefix}Commands must be one of: ${validCommands.join(', ')}`
+          });
+        }
+      });
     }
 
-    if (!initialPosition.location || 
-        typeof initialPosition.location.x !== 'number' || 
-        typeof initialPosition.location.y !== 'number') {
-      throw new Error('Initial position must have valid x and y coordinates');
+    if (!initialPosition) {
+      errors.push({ path: at('initialPosition'), code: 'required', message: `${prefix}Initial position is required` });
+      return;
     }
 
     if (!initialPosition.facing || 
         !['North', 'South', 'East', 'West'].includes(initialPosition.facing)) {
-      throw new Error('Initial position must have a valid facing direction (North, South, East, West)');
+      errors.push({
+        path: at('initialPosition.facing'),
+        code: 'invalid_value',
+        message: `${prefix}Initial position must have a valid facing direction (North, South, East, West)`
+      });
     }
 
-    const { x, y } = initialPosition.location;
+    const { location } = initialPosition;
+    if (!location || typeof location.x !== 'number' || typeof location.y !== 'number') {
+      errors.push({
+        path: at('initialPosition.location'),
+        code: 'invalid_type',
+        message: `${prefix}Initial position must have valid x and y coordinates`
+      });
+      return;
+    }
+
+    let coordinatesValid = true;
+    for (const axis of ['x', 'y']) {
+      if (!Number.isInteger(location[axis])) {
+        errors.push({
+          path: at(`initialPosition.location.${axis}`),
+          code: 'not_integer',
+          message: `${prefix}Initial position ${axis} must be an integer`
+        });
+        coordinatesValid = false;
+      }
+    }
+
+    if (!terrain || !coordinatesValid) {
+      return;
+    }
+
+    const { x, y } = location;
     if (y < 0 || y >= terrain.length || x < 0 || x >= terrain[0].length) {
-      throw new Error('Initial position is out of terrain bounds');
+      errors.push({
+        path: at('initialPosition.location'),
+        code: 'out_of_bounds',
+        message: `${prefix}Initial position is out of terrain bounds`
+      });
+      return;
+    }
+
+    if (!terrainProperties.isPassable(terrain[y][x])) {
+      errors.push({
+        path: at('initialPosition.location'),
+        code: 'obstacle',
+        message: `${prefix}Initial position cannot be an obstacle`
+      });
+    }
+  }
+
+  /**
+   * Validate the robots of a fleet simulation
+   * @param {Array} robots - Robot configurations
+   * @param {Array|null} terrain - Validated terrain, or null if the terrain is invalid
+   * @param {TerrainProperties} terrainProperties - Terrain properties
+   * @param {Object} scripts - Command scripts, as for validateRobot
+   * @param {Array} errors - Collected validation errors
+   */
+  validateFleet(robots, terrain, terrainProperties, scripts, errors) {
+    if (!Array.isArray(robots) || robots.length === 0) {
+      errors.push({ path: 'robots', code: 'invalid_type', message: 'Robots must be a non-empty array' });
+      return;
+    }
+
+    const occupied = new Set();
+    robots.forEach((robot, index) => {
+      const path = `robots[${index}]`;
+      const prefix = `Robot ${index + 1}: `;
+
+      if (!robot || typeof robot !== 'object') {
+        errors.push({ path, code: 'invalid_type', message: `${prefix}Robot configuration must be an object` });
+        return;
+      }
+
+      this.validateRobot(robot, terrain, terrainProperties, scripts, errors, path, prefix);
+
+      const location = robot.initialPosition && robot.initialPosition.location;
+      if (!location) return;
+
+      const key = `${location.x},${location.y}`;
+      if (occupied.has(key)) {
+        errors.push({
+          path: `${path}.initialPosition.location`,
+          code: 'occupied',
+          message: `${prefix}Initial position is already occupied by another robot`
+        });
+      }
+      occupied.add(key);
+    });
+  }
+
+  /**
+   * Validate a command script by expanding it
+   * @param {string} script - Command script
+   * @param {CommandScript} commandScript - CommandScript of the validated macros
+   * @param {Array} errors - Collected validation errors
+   * @param {string} path - JSON path of the script
+   * @param {string} prefix - Prefix for error messages
+   * @returns {Array|null} - Expanded commands, or null if the script is invalid
+   */
+  validateCommandScript(script, commandScript, errors, path, prefix) {
+    if (typeof script !== 'string') {
+      errors.push({ path, code: 'invalid_type', message: `${prefix}Command script must be a string` });
+      return null;
+    }
+
+    try {
+      const commands = commandScript.expand(script);
+      if (commands.length === 0) {
+        errors.push({ path, code: 'empty', message: `${prefix}Command script must expand to at least one command` });
+        return null;
+      }
+      return commands;
+    } catch (error) {
+      if (!(error instanceof CommandScript.CommandScriptError)) throw error;
+
+      const entry = { path, code: 'script_syntax', message: `${prefix}${error.message}`, offset: error.offset };
+      if (error.macro !== null) {
+        entry.macro = error.macro;
+      }
+      errors.push(entry);
+      return null;
+    }
+  }
+
+  /**
+   * Validate optional macro definitions
+   * @param {Object} macros - Macro scripts keyed by name
+   * @param {Array} errors - Collected validation errors
+   * @returns {boolean} - Whether the macros can be used to expand scripts
+   */
+  validateMacros(macros, errors) {
+    if (macros === undefined) {
+      return false;
+    }
+
+    if (!macros || typeof macros !== 'object' || Array.isArray(macros)) {
+      errors.push({ path: 'macros', code: 'invalid_type', message: 'Macros must be an object' });
+      return false;
+    }
+
+    let valid = true;
+    for (const [name, script] of Object.entries(macros)) {
+      if (!/^\w+$/.test(name)) {
+        errors.push({
+          path: `macros.${name}`,
+          code: 'invalid_value',
+          message: `Macro name "${name}" may only contain letters, digits and underscores`
+        });
+        valid = false;
+      } else if (typeof script !== 'string') {
+        errors.push({ path: `macros.${name}`, code: 'invalid_type', message: `Macro "${name}" must be a string` });
+        valid = false;
+      }
+    }
+
+    return valid;
+  }
+
+  /**
+   * Validate an optional cost model override
+   * @param {Object} costModel - Cost model overrides
+   * @param {Array} errors - Collected validation errors
+   */
+  validateCostModel(costModel, errors) {
+    if (!costModel || typeof costModel !== 'object' || Array.isArray(costModel)) {
+      errors.push({ path: 'costModel', code: 'invalid_type', message: 'Cost model must be an object' });
+      return;
+    }
+
+    const { commands, solarYield } = costModel;
+
+    if (commands !== undefined) {
+      if (!commands || typeof commands !== 'object' || Array.isArray(commands)) {
+        errors.push({ path: 'costModel.commands', code: 'invalid_type', message: 'Cost model commands must be an object' });
+      } else {
+        const validCommands = Object.keys(CostModel.DEFAULT_COMMAND_COSTS);
+        for (const [command, cost] of Object.entries(commands)) {
+          const path = `costModel.commands.${command}`;
+          if (!validCommands.includes(command)) {
+            errors.push({
+              path,
+              code: 'invalid_command',
+              message: `Cost model commands must be one of: ${validCommands.join(', ')}`
+            });
+          } else if (typeof cost !== 'number' || !Number.isFinite(cost) || cost < 0) {
+            errors.push({ path, code: 'invalid_value', message: `Cost of command ${command} must be a non-negative number` });
+          }
+        }
+      }
+    }
+
+    if (solarYield !== undefined &&
+        (typeof solarYield !== 'number' || !Number.isFinite(solarYield) || solarYield < 0)) {
+      errors.push({ path: 'costModel.solarYield', code: 'invalid_value', message: 'Solar yield must be a non-negative number' });
+    }
+  }
+
+  /**
+   * Validate optional terrain property overrides
+   * @param {Object} terrainProperties - Terrain properties keyed by terrain type
+   * @param {Array} errors - Collected validation errors
+   */
+  validateTerrainProperties(terrainProperties, errors) {
+    if (!terrainProperties || typeof terrainProperties !== 'object' || Array.isArray(terrainProperties)) {
+      errors.push({ path: 'terrainProperties', code: 'invalid_type', message: 'Terrain properties must be an object' });
+      return;
+    }
+
+    for (const [type, properties] of Object.entries(terrainProperties)) {
+      const path = `terrainProperties.${type}`;
+
+      if (TerrainProperties.RESERVED_TYPES.includes(type)) {
+        errors.push({ path, code: 'invalid_value', message: `${type} cannot be used as a terrain type` });
+        continue;
+      }
+
+      if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+        errors.push({ path, code: 'invalid_type', message: `Terrain properties of ${type} must be an object` });
+        continue;
+      }
+
+      const { name, moveCost, sampleCost, solarCharging, passable } = properties;
+
+      if (name !== undefined && typeof name !== 'string') {
+        errors.push({ path: `${path}.name`, code: 'invalid_type', message: `Name of terrain ${type} must be a string` });
+      }
+
+      for (const [key, label, value] of [['moveCost', 'Move cost', moveCost], ['sampleCost', 'Sample cost', sampleCost]]) {
+        if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+          errors.push({
+            path: `${path}.${key}`,
+            code: 'invalid_value',
+            message: `${label} of terrain ${type} must be a non-negative number`
+          });
+        }
+      }
+
+      if (solarCharging !== undefined && typeof solarCharging !== 'boolean') {
+        errors.push({
+          path: `${path}.solarCharging`,
+          code: 'invalid_type',
+          message: `Solar charging of terrain ${type} must be a boolean`
+        });
+      }
+
+      if (passable !== undefined && typeof passable !== 'boolean') {
+        errors.push({ path: `${path}.passable`, code: 'invalid_type', message: `Passable flag of terrain ${type} must be a boolean` });
+      }
+    }
+  }
+
+  /**
+   * Validate an optional backoff strategy preset name or strategy list
+   * @param {string|Array} backoffStrategies - Preset name or ordered list of command sequences
+   * @param {Array} errors - Collected validation errors
+   */
+  validateBackoffStrategies(backoffStrategies, errors) {
+    const presets = Object.keys(BACKOFF_PRESETS);
+
+    if (typeof backoffStrategies === 'string') {
+      if (!presets.includes(backoffStrategies)) {
+        errors.push({
+          path: 'backoffStrategies',
+          code: 'unknown_preset',
+          message: `Backoff strategy preset must be one of: ${presets.join(', ')}`
+        });
+      }
+      return;
     }
 
-    if (terrain[y][x] === 'Obs') {
-      throw new Error('Initial position cannot be an obstacle');
+    if (!Array.isArray(backoffStrategies)) {
+      errors.push({
+        path: 'backoffStrategies',
+        code: 'invalid_type',
+        message: 'Backoff strategies must be a preset name or an array of command lists'
+      });
+      return;
     }
+
+    const validCommands = ['F', 'B', 'L', 'R', 'S', 'E'];
+    backoffStrategies.forEach((strategy, index) => {
+      const path = `backoffStrategies[${index}]`;
+
+      if (!Array.isArray(strategy) || strategy.length === 0) {
+        errors.push({ path, code: 'invalid_type', message: `Backoff strategy ${index} must be a non-empty array of commands` });
+        return;
+      }
+
+      strategy.forEach((cmd, commandIndex) => {
+        if (!validCommands.includes(cmd)) {
+          errors.push({
+            path: `${path}[${commandIndex}]`,
+            code: 'invalid_command',
+            message: `Backoff strategy ${index} commands must be one of: ${validCommands.join(', ')}`
+          });
+        }
+      });
+    });
   }
 }
 
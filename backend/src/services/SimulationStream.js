@@ -0,0 +1,148 @@
+const EventEmitter = require('events');
+const simulationService = require('./SimulationService');
+
+/**
+ * Executes a single-robot simulation one command per tick, emitting an event
+ * for every command the robot executes.
+ *
+ * Events:
+ *   started    {TickDelay, CommandCount, Position, Facing, Battery}
+ *   step       a trace entry (see Robot) plus Sample, the terrain type sampled by a successful S;
+ *              a command that triggers a backoff strategy is followed by the strategy's own steps
+ *   paused     {Step}
+ *   resumed    {Step}
+ *   done       the simulation result, as POST /api/simulation returns it
+ *   cancelled  the result so far
+ *
+ * A stream goes from 'pending' to 'running' (and 'paused') and ends as
+ * 'finished' or 'cancelled'.
+ */
+class SimulationStream extends EventEmitter {
+  /**
+   * @param {Object} input - Validated single-robot simulation input
+   * @param {Object} [options] - Stream options
+   * @param {number} [options.tickDelay] - Milliseconds between two commands (default 0)
+   * @param {Map} [options.expanded] - Commands expanded while validating the input
+   */
+  constructor(input, options = {}) {
+    super();
+    this.input = input;
+    this.tickDelay = options.tickDelay || 0;
+    this.state = 'pending';
+    this.timer = null;
+
+    const { robot, commands } = simulationService.createRobot(input, { trace: true }, options.expanded);
+    this.robot = robot;
+    this.commands = commands;
+    this.nextCommand = 0;
+  }
+
+  /**
+   * Start executing commands
+   */
+  start() {
+    if (this.state !== 'pending') return;
+
+    this.state = 'running';
+    this.emit('started', {
+      TickDelay: this.tickDelay,
+      CommandCount: this.commands.length,
+      Position: { X: this.robot.position.x, Y: this.robot.position.y },
+      Facing: this.robot.position.facing,
+      Battery: this.robot.battery
+    });
+
+    if (this.commands.length === 0) {
+      this.finish();
+    } else {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Stop after the current command until resumed
+   * @returns {boolean} - Whether the stream was running
+   */
+  pause() {
+    if (this.state !== 'running') return false;
+
+    clearTimeout(this.timer);
+    this.state = 'paused';
+    this.emit('paused', { Step: this.robot.trace.length });
+    return true;
+  }
+
+  /**
+   * Continue a paused stream
+   * @returns {boolean} - Whether the stream was paused
+   */
+  resume() {
+    if (this.state !== 'paused') return false;
+
+    this.state = 'running';
+    this.emit('resumed', { Step: this.robot.trace.length });
+    this.schedule();
+    return true;
+  }
+
+  /**
+   * Stop the stream for good, reporting the result so far
+   * @returns {boolean} - Whether the stream had not ended yet
+   */
+  cancel() {
+    if (this.state === 'finished' || this.state === 'cancelled') return false;
+
+    clearTimeout(this.timer);
+    this.state = 'cancelled';
+    this.emit('cancelled', this.getResult());
+    return true;
+  }
+
+  schedule() {
+    this.timer = setTimeout(() => this.tick(), this.tickDelay);
+  }
+
+  /**
+   * Execute the next command and emit the steps it produced
+   */
+  tick() {
+    const firstStep = this.robot.trace.length;
+    const command = this.commands[this.nextCommand++];
+    const success = this.robot.executeCommand(command);
+
+    for (const step of this.robot.trace.slice(firstStep)) {
+      this.emit('step', this.describeStep(step));
+    }
+
+    if (this.state === 'cancelled') {
+      return;
+    }
+
+    if (!success || this.nextCommand >= this.commands.length) {
+      this.finish();
+    } else if (this.state === 'running') {
+      this.schedule();
+    }
+  }
+
+  finish() {
+    this.state = 'finished';
+    this.emit('done', this.getResult());
+  }
+
+  describeStep(step) {
+    const sampled = step.Command === 'S' && step.Success;
+    return {
+      ...step,
+      Sample: sampled ? this.robot.getTerrainType(step.Position.X, step.Position.Y) : null
+    };
+  }
+
+  getResult() {
+    const result = simulationService.getRobotResult(this.robot, this.input, this.commands);
+    delete result.Trace;
+    return result;
+  }
+}
+
+module.exports = SimulationStream;
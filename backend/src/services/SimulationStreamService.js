@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const SimulationStream = require('./SimulationStream');
+const simulationService = require('./SimulationService');
+const metricsService = require('./MetricsService');
+const ValidationError = require('../errors/ValidationError');
+const NotFoundError = require('../errors/NotFoundError');
+
+const DEFAULT_TICK_DELAY = 100;
+const MAX_TICK_DELAY = 10000;
+// Streams nobody listens to within this time are dropped
+const CONNECT_TIMEOUT = 60000;
+
+function tokensMatch(expected, actual) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return typeof actual === 'string' && crypto.timingSafeEqual(digest(expected), digest(actual));
+}
+
+/**
+ * Keeps the live simulation streams until they end. Each stream belongs to the
+ * API key that created it, and only that key can control it. Listening to its
+ * events needs the token returned when it was created instead, as EventSource
+ * cannot send a key; a stream has a single listener, so the token is only good
+ * until the stream starts, or is dropped for lack of a listener.
+ */
+class SimulationStreamService {
+  constructor() {
+    this.streams = new Map();
+  }
+
+  /**
+   * Create a stream for a single-robot simulation; it starts when a client listens to its events
+   * @param {Object} input - Simulation input
+   * @param {Object} [options] - Stream options
+   * @param {number|string} [options.tickDelay] - Milliseconds between two commands (default 100)
+   * @param {string} [options.owner] - Id of the API key creating the stream, if any
+   * @param {Function} [options.onUnused] - Called if the stream ends without having started: dropped
+   *   for lack of a listener, or cancelled before one connected
+   * @returns {Object} - {id, tickDelay, state, token}; the token lets a client listen to the stream's events
+   * @throws {ValidationError} - If the input or the tick delay is invalid
+   */
+  create(input, options = {}) {
+    const expanded = new Map();
+    const errors = this.getValidationErrors(input, options, expanded);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const tickDelay = options.tickDelay === undefined ? DEFAULT_TICK_DELAY : Number(options.tickDelay);
+    const id = crypto.randomUUID();
+    const token = crypto.randomBytes(24).toString('base64url');
+    const stream = new SimulationStream(input, { tickDelay, expanded });
+    this.streams.set(id, { stream, owner: options.owner || null, token });
+
+    const remove = () => this.streams.delete(id);
+    stream.once('done', remove);
+    stream.once('cancelled', remove);
+    // Count the commands the stream got to, not the ones a cancel skipped
+    const ranRobots = () => [{ robot: stream.robot, commands: stream.commands.slice(0, stream.nextCommand) }];
+    stream.once('done', () => metricsService.recordSimulation('success', ranRobots()));
+    stream.once('cancelled', () => metricsService.recordSimulation('cancelled', ranRobots()));
+
+    let started = false;
+    const unused = () => {
+      if (!started && options.onUnused) options.onUnused();
+    };
+    stream.once('started', () => { started = true; });
+    stream.once('cancelled', unused);
+    setTimeout(() => {
+      if (stream.state === 'pending') {
+        remove();
+        unused();
+      }
+    }, CONNECT_TIMEOUT).unref();
+
+    return { id, tickDelay, state: stream.state, token };
+  }
+
+  /**
+   * Collect every problem of a stream's input and options
+   * @param {Object} input - Simulation input
+   * @param {Object} [options] - Stream options, as for create
+   * @param {Map} [expanded] - Filled with the expanded command script, as SimulationService.getValidationErrors does
+   * @returns {Array} - Validation errors {path, code, message}
+   */
+  getValidationErrors(input, options = {}, expanded = new Map()) {
+    const errors = simulationService.getValidationErrors(input, expanded);
+
+    if (input && input.robots !== undefined) {
+      errors.push({ path: 'robots', code: 'unsupported', message: 'Streaming supports single-robot simulations only' });
+    }
+
+    if (options.tickDelay !== undefined &&
+        (!/^\d+$/.test(String(options.tickDelay)) || Number(options.tickDelay) > MAX_TICK_DELAY)) {
+      errors.push({
+        path: 'tickDelay',
+        code: 'invalid_value',
+        message: `Tick delay must be an integer from 0 to ${MAX_TICK_DELAY} milliseconds`
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get a stream that has not ended
+   * @param {string} id - Stream id
+   * @param {string} [owner] - Id of the API key asking for it, if any
+   * @returns {SimulationStream}
+   * @throws {NotFoundError} - If there is no such stream, it has ended or it belongs to another key
+   */
+  get(id, owner = null) {
+    const entry = this.streams.get(id);
+    if (!entry || entry.owner !== owner) {
+      throw new NotFoundError(`Stream ${id} not found`);
+    }
+    return entry.stream;
+  }
+
+  /**
+   * Get a stream for a client about to listen to its events
+   * @param {string} id - Stream id
+   * @param {string} token - Token returned when the stream was created
+   * @returns {SimulationStream}
+   * @throws {NotFoundError} - If there is no such stream, it has ended or the token is wrong
+   */
+  connect(id, token) {
+    const entry = this.streams.get(id);
+    if (!entry || !tokensMatch(entry.token, token)) {
+      throw new NotFoundError(`Stream ${id} not found`);
+    }
+    return entry.stream;
+  }
+
+  /**
+   * Pause, resume or cancel a stream; a control that does not apply in the current state is ignored
+   * @param {string} id - Stream id
+   * @param {string} action - 'pause', 'resume' or 'cancel'
+   * @param {string} [owner] - Id of the API key asking for it, if any
+   * @returns {Object} - {id, state}
+   * @throws {NotFoundError} - If there is no such stream, it has ended or it belongs to another key
+   */
+  control(id, action, owner = null) {
+    const stream = this.get(id, owner);
+    stream[action]();
+    return { id, state: stream.state };
+  }
+}
+
+module.exports = new SimulationStreamService();
@@ -0,0 +1,146 @@
+const TerrainGenerator = require('../models/TerrainGenerator');
+const ValidationError = require('../errors/ValidationError');
+
+const MAX_SIZE = 50;
+const MAX_COMMAND_COUNT = 1000;
+
+class TerrainGenerationService {
+  /**
+   * Generate a random simulation input
+   * @param {Object} [input] - Generation options, as for TerrainGenerator
+   * @returns {Object} - Simulation input {seed, terrain, battery, commands, initialPosition}
+   */
+  generate(input = {}) {
+    this.validateOptions(input);
+
+    const { seed, width, height, distribution, obstacleDensity, depositSize, connected, battery, commandCount } = input;
+    return new TerrainGenerator({
+      seed,
+      width,
+      height,
+      distribution,
+      obstacleDensity,
+      depositSize,
+      connected,
+      battery,
+      commandCount
+    }).generate();
+  }
+
+  /**
+   * Validate generation options, reporting every problem at once
+   * @param {Object} input - Generation options
+   * @throws {ValidationError} - If any option is invalid
+   */
+  validateOptions(input) {
+    const errors = this.getValidationErrors(input);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  /**
+   * Collect every problem of the generation options
+   * @param {Object} input - Generation options
+   * @returns {Array} - Validation errors {path, code, message}
+   */
+  getValidationErrors(input) {
+    const errors = [];
+
+    if (input.seed !== undefined &&
+        !(typeof input.seed === 'string' || (Number.isInteger(input.seed) && input.seed >= 0))) {
+      errors.push({ path: 'seed', code: 'invalid_type', message: 'Seed must be a non-negative integer or a string' });
+    }
+
+    for (const [field, label] of [['width', 'Width'], ['height', 'Height']]) {
+      const value = input[field];
+      if (value !== undefined && (!Number.isInteger(value) || value < 1 || value > MAX_SIZE)) {
+        errors.push({ path: field, code: 'invalid_value', message: `${label} must be an integer from 1 to ${MAX_SIZE}` });
+      }
+    }
+
+    if (input.distribution !== undefined) {
+      this.validateDistribution(input.distribution, errors);
+    }
+
+    if (input.obstacleDensity !== undefined &&
+        (typeof input.obstacleDensity !== 'number' || !(input.obstacleDensity >= 0 && input.obstacleDensity <= 1))) {
+      errors.push({
+        path: 'obstacleDensity',
+        code: 'invalid_value',
+        message: 'Obstacle density must be a number from 0 to 1'
+      });
+    }
+
+    if (input.depositSize !== undefined &&
+        (typeof input.depositSize !== 'number' || !Number.isFinite(input.depositSize) || input.depositSize < 1)) {
+      errors.push({ path: 'depositSize', code: 'invalid_value', message: 'Deposit size must be a number of at least 1' });
+    }
+
+    if (input.connected !== undefined && typeof input.connected !== 'boolean') {
+      errors.push({ path: 'connected', code: 'invalid_type', message: 'Connected must be a boolean' });
+    }
+
+    if (input.battery !== undefined &&
+        (typeof input.battery !== 'number' || !Number.isFinite(input.battery) || input.battery < 0)) {
+      errors.push({ path: 'battery', code: 'invalid_value', message: 'Battery must be a non-negative number' });
+    }
+
+    if (input.commandCount !== undefined &&
+        (!Number.isInteger(input.commandCount) || input.commandCount < 1 || input.commandCount > MAX_COMMAND_COUNT)) {
+      errors.push({
+        path: 'commandCount',
+        code: 'invalid_value',
+        message: `Command count must be an integer from 1 to ${MAX_COMMAND_COUNT}`
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the terrain type weights: known passable types, non-negative
+   * weights and at least one positive weight
+   * @param {Object} distribution - Relative weights keyed by terrain type
+   * @param {Array} errors - Collected validation errors
+   */
+  validateDistribution(distribution, errors) {
+    if (!distribution || typeof distribution !== 'object' || Array.isArray(distribution)) {
+      errors.push({
+        path: 'distribution',
+        code: 'invalid_type',
+        message: 'Distribution must be an object of weights keyed by terrain type'
+      });
+      return;
+    }
+
+    let total = 0;
+    for (const [type, weight] of Object.entries(distribution)) {
+      if (!Object.prototype.hasOwnProperty.call(TerrainGenerator.DEFAULT_DISTRIBUTION, type)) {
+        errors.push({
+          path: `distribution.${type}`,
+          code: 'unknown_terrain',
+          message: `Unknown terrain type ${JSON.stringify(type)}; use one of: ${Object.keys(TerrainGenerator.DEFAULT_DISTRIBUTION).join(', ')}`
+        });
+      } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        errors.push({
+          path: `distribution.${type}`,
+          code: 'invalid_value',
+          message: `Weight of ${type} must be a non-negative number`
+        });
+      } else {
+        total += weight;
+      }
+    }
+
+    if (total === 0 && !errors.some(error => error.path.startsWith('distribution.'))) {
+      errors.push({
+        path: 'distribution',
+        code: 'invalid_value',
+        message: 'Distribution must give at least one terrain type a positive weight'
+      });
+    }
+  }
+}
+
+module.exports = new TerrainGenerationService();
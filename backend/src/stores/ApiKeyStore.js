@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const KeyStoreError = require('../errors/KeyStoreError');
+
+// Changes whenever the file is replaced or rewritten
+function fileVersion(stats) {
+  return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+}
+
+/**
+ * API key store backed by a JSON file {keys: [...]}. A key is a plain object
+ * {id, name, secretHash, rateLimit, dailyQuota, createdAt, revokedAt}; the
+ * secret itself is never stored. The file is rewritten through a temporary
+ * file and is only readable by its owner.
+ *
+ * The keys are kept in memory once read. Each read only checks the file's
+ * metadata, and reloads it when it was replaced or changed, e.g. by the key
+ * administration CLI running in another process.
+ */
+class ApiKeyStore {
+  /**
+   * @param {string} filePath - Path of the JSON file, created when the first key is saved
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    // Keys as last read or saved, and the version of the file they came from
+    this.keys = null;
+    this.version = null;
+  }
+
+  /**
+   * Whether the key file exists, i.e. whether any key has been created; when
+   * API_AUTH=required, a missing file makes every request fail
+   * @returns {boolean}
+   */
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Get every key, revoked ones included
+   * @returns {Array} - Keys
+   * @throws {KeyStoreError} - If the file cannot be read or is not a valid key file
+   */
+  readAll() {
+    let stats;
+    try {
+      stats = fs.statSync(this.filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.keys = null;
+        this.version = null;
+        return [];
+      }
+      throw new KeyStoreError(`Cannot read the API key file ${this.filePath}: ${error.message}`);
+    }
+
+    const version = fileVersion(stats);
+    if (version !== this.version) {
+      this.keys = this.load();
+      this.version = version;
+    }
+    return this.keys.map(key => ({ ...key }));
+  }
+
+  load() {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new KeyStoreError(`Cannot read the API key file ${this.filePath}: ${error.message}`);
+    }
+
+    if (!content || !Array.isArray(content.keys) ||
+      !content.keys.every(key => key && typeof key.id === 'string' && typeof key.secretHash === 'string')) {
+      throw new KeyStoreError(`The API key file ${this.filePath} is not valid: expected {"keys": [...]} with an id and secretHash for each key`);
+    }
+    return content.keys;
+  }
+
+  /**
+   * Replace the stored keys
+   * @param {Array} keys - Keys
+   */
+  saveAll(keys) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const temporaryPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(temporaryPath, `${JSON.stringify({ keys }, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(temporaryPath, this.filePath);
+
+    this.keys = keys.map(key => ({ ...key }));
+    this.version = fileVersion(fs.statSync(this.filePath));
+  }
+}
+
+module.exports = ApiKeyStore;
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const RunStore = require('./RunStore');
+const logger = require('../logger');
+
+const DEFAULT_MAX_RUNS = 10000;
+
+/**
+ * Run store backed by a JSON-lines file, one run per line.
+ *
+ * The file is read once, on first use, into an in-memory index holding each
+ * run's id, timestamp, outcome and owner and where its line is in the file; lists
+ * are answered from the index and a run is only parsed when it is read. Lines
+ * that cannot be parsed, e.g. one cut short by a crash, are logged and
+ * skipped. Saving appends a line, and so does deleting: a tombstone
+ * {"deleted": id} that hides the run when the file is read again. Only the
+ * newest maxRuns runs are kept: once enough older or deleted runs and
+ * tombstones pile up in the file, it is compacted by rewriting it through a
+ * temporary file, so a crash never leaves it half written. The store expects
+ * to be the only writer of its file.
+ */
+class JsonLinesRunStore extends RunStore {
+  /**
+   * @param {string} filePath - Path of the JSON-lines file, created on the first save
+   * @param {Object} [options] - Store options
+   * @param {number} [options.maxRuns] - Number of runs kept, newest first (default 10000)
+   */
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.maxRuns = options.maxRuns || DEFAULT_MAX_RUNS;
+    // Entries {id, timestamp, outcome, owner, offset, length}, oldest first; null until the file is read
+    this.entries = null;
+    this.size = 0;
+    // Lines of the file no entry points to: dropped, deleted or unparsable runs and tombstones
+    this.staleLines = 0;
+  }
+
+  save(run) {
+    this.load();
+
+    const offset = this.append(run);
+    this.addEntry(run, offset, this.size - offset);
+
+    if (this.entries.length > this.maxRuns) {
+      this.staleLines += this.entries.length - this.maxRuns;
+      this.entries.splice(0, this.entries.length - this.maxRuns);
+    }
+    this.compactIfNeeded();
+  }
+
+  get(id) {
+    this.load();
+
+    const entry = this.entries.find(candidate => candidate.id === id);
+    return entry ? this.readEntry(entry) : null;
+  }
+
+  delete(id) {
+    this.load();
+
+    const index = this.entries.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.append({ deleted: id });
+    this.entries.splice(index, 1);
+    this.staleLines += 2;
+    this.compactIfNeeded();
+    return true;
+  }
+
+  readAll() {
+    this.load();
+    return this.entries.map(entry => this.readEntry(entry));
+  }
+
+  list(query = {}) {
+    this.load();
+
+    const { offset = 0, limit = Infinity } = query;
+    const entries = this.entries.filter(entry => this.matches(entry, query)).reverse();
+
+    return {
+      runs: entries.slice(offset, offset + limit).map(entry => this.readEntry(entry)),
+      total: entries.length
+    };
+  }
+
+  /**
+   * Build the index from the file, the first time the store is used
+   */
+  load() {
+    if (this.entries) return;
+
+    this.entries = [];
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const content = fs.readFileSync(this.filePath);
+    let offset = 0;
+    let lineNumber = 0;
+    while (offset < content.length) {
+      const end = content.indexOf(0x0a, offset);
+      const lineEnd = end === -1 ? content.length : end + 1;
+      lineNumber++;
+
+      const line = content.subarray(offset, lineEnd).toString('utf8');
+      if (line.trim() !== '') {
+        try {
+          this.readLine(JSON.parse(line), offset, lineEnd - offset);
+        } catch (error) {
+          this.staleLines++;
+          logger.warn('Skipping unparsable run', { file: this.filePath, line: lineNumber, error: error.message });
+        }
+      }
+      offset = lineEnd;
+    }
+    this.size = content.length;
+
+    if (this.entries.length > this.maxRuns) {
+      this.staleLines += this.entries.length - this.maxRuns;
+      this.entries.splice(0, this.entries.length - this.maxRuns);
+    }
+    // A last line cut short would swallow the next run appended to it
+    if (content.length > 0 && content[content.length - 1] !== 0x0a) {
+      this.compact();
+    } else {
+      this.compactIfNeeded();
+    }
+  }
+
+  readLine(record, offset, length) {
+    if (typeof record.deleted !== 'string') {
+      this.addEntry(record, offset, length);
+      return;
+    }
+
+    const index = this.entries.findIndex(entry => entry.id === record.deleted);
+    if (index !== -1) {
+      this.entries.splice(index, 1);
+      this.staleLines++;
+    }
+    this.staleLines++;
+  }
+
+  /**
+   * Append a line to the file
+   * @param {Object} record - Run or tombstone
+   * @returns {number} - Offset of the line
+   */
+  append(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, line);
+
+    const offset = this.size;
+    this.size += Buffer.byteLength(line);
+    return offset;
+  }
+
+  addEntry(run, offset, length) {
+    this.entries.push({ id: run.id, timestamp: run.timestamp, outcome: run.outcome, owner: run.owner || null, offset, length });
+  }
+
+  readEntry(entry) {
+    const buffer = Buffer.alloc(entry.length);
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, entry.length, entry.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return JSON.parse(buffer.toString('utf8'));
+  }
+
+  // Compacting after every dropped run would rewrite the whole file on each save
+  compactIfNeeded() {
+    if (this.staleLines > Math.max(100, this.maxRuns / 10)) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the file with the indexed runs only
+   */
+  compact() {
+    const content = fs.existsSync(this.filePath) ? fs.readFileSync(this.filePath) : Buffer.alloc(0);
+    const lines = this.entries.map(entry => {
+      const line = content.subarray(entry.offset, entry.offset + entry.length);
+      return line[line.length - 1] === 0x0a ? line : Buffer.concat([line, Buffer.from('\n')]);
+    });
+
+    const temporaryPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(temporaryPath, Buffer.concat(lines));
+    fs.renameSync(temporaryPath, this.filePath);
+
+    let offset = 0;
+    this.entries.forEach((entry, index) => {
+      entry.offset = offset;
+      entry.length = lines[index].length;
+      offset += entry.length;
+    });
+    this.size = offset;
+    this.staleLines = 0;
+  }
+}
+
+JsonLinesRunStore.DEFAULT_MAX_RUNS = DEFAULT_MAX_RUNS;
+
+module.exports = JsonLinesRunStore;
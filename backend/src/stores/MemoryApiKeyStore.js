@@ -0,0 +1,23 @@
+/**
+ * API key store that keeps keys in memory only; used by the tests. Like a
+ * missing key file, it does not exist until keys are saved.
+ */
+class MemoryApiKeyStore {
+  constructor() {
+    this.keys = null;
+  }
+
+  exists() {
+    return this.keys !== null;
+  }
+
+  readAll() {
+    return this.keys ? this.keys.map(key => ({ ...key })) : [];
+  }
+
+  saveAll(keys) {
+    this.keys = keys.map(key => ({ ...key }));
+  }
+}
+
+module.exports = MemoryApiKeyStore;
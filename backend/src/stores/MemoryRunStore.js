@@ -0,0 +1,43 @@
+const RunStore = require('./RunStore');
+
+/**
+ * Run store that keeps runs in memory only; used by the tests
+ */
+class MemoryRunStore extends RunStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {number} [options.maxRuns] - Number of runs kept, newest first (default: all)
+   */
+  constructor(options = {}) {
+    super();
+    this.runs = [];
+    this.maxRuns = options.maxRuns || Infinity;
+  }
+
+  save(run) {
+    this.runs.push(run);
+    if (this.runs.length > this.maxRuns) {
+      this.runs.shift();
+    }
+  }
+
+  get(id) {
+    return this.runs.find(run => run.id === id) || null;
+  }
+
+  delete(id) {
+    const index = this.runs.findIndex(run => run.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.runs.splice(index, 1);
+    return true;
+  }
+
+  readAll() {
+    return [...this.runs];
+  }
+}
+
+module.exports = MemoryRunStore;
@@ -0,0 +1,79 @@
+/**
+ * Storage for simulation runs. A run is a plain object
+ * {id, timestamp, duration, outcome, options, input, result, errors, rerunOf, owner};
+ * owner is the id of the API key that ran it, or null (missing in older runs).
+ *
+ * A store implements save, get, delete and readAll; the default list filters
+ * and pages over readAll, which a store backed by a database should override
+ * with a query.
+ */
+class RunStore {
+  /**
+   * Store a new run
+   * @param {Object} run - Run to store
+   */
+  save(run) {
+    throw new Error(`${this.constructor.name} does not implement save`);
+  }
+
+  /**
+   * Get a run
+   * @param {string} id - Run id
+   * @returns {Object|null} - The run, or null if there is none with this id
+   */
+  get(id) {
+    throw new Error(`${this.constructor.name} does not implement get`);
+  }
+
+  /**
+   * Delete a run
+   * @param {string} id - Run id
+   * @returns {boolean} - Whether a run was deleted
+   */
+  delete(id) {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+
+  /**
+   * Get every stored run, in the order they were saved
+   * @returns {Array} - Runs
+   */
+  readAll() {
+    throw new Error(`${this.constructor.name} does not implement readAll`);
+  }
+
+  /**
+   * List runs, newest first
+   * @param {Object} [query] - Filters and page
+   * @param {Date} [query.from] - Earliest timestamp
+   * @param {Date} [query.to] - Latest timestamp
+   * @param {string} [query.outcome] - Only runs with this outcome
+   * @param {string|null} [query.owner] - Only runs of this owner; null for runs without one
+   * @param {number} [query.offset] - Number of matching runs to skip
+   * @param {number} [query.limit] - Maximum number of runs to return
+   * @returns {Object} - {runs, total}; total counts every matching run
+   */
+  list(query = {}) {
+    const { offset = 0, limit = Infinity } = query;
+    const runs = this.readAll()
+      .filter(run => this.matches(run, query))
+      .reverse();
+
+    return { runs: runs.slice(offset, offset + limit), total: runs.length };
+  }
+
+  /**
+   * Whether a run passes the filters of a list query
+   * @param {Object} run - Run, or any object with its timestamp, outcome and owner
+   * @param {Object} query - Filters, as for list
+   * @returns {boolean}
+   */
+  matches(run, { from, to, outcome, owner }) {
+    return (!from || new Date(run.timestamp) >= from) &&
+      (!to || new Date(run.timestamp) <= to) &&
+      (!outcome || run.outcome === outcome) &&
+      (owner === undefined || (run.owner || null) === owner);
+  }
+}
+
+module.exports = RunStore;
@@ -0,0 +1,122 @@
+const PathfindingService = require('../src/services/PathfindingService');
+const AlternativeRoutePlanner = require('../src/services/AlternativeRoutePlanner');
+const Robot = require('../src/models/Robot');
+const TerrainGenerator = require('../src/models/TerrainGenerator');
+
+describe('AlternativeRoutePlanner', () => {
+  const grid = [
+    ['Fe', 'Fe', 'Fe', 'Fe', 'Fe'],
+    ['Fe', 'Obs', 'Fe', 'Obs', 'Fe'],
+    ['Fe', 'Fe', 'Fe', 'Fe', 'Fe'],
+    ['Fe', 'Obs', 'Fe', 'Obs', 'Fe'],
+    ['Fe', 'Fe', 'Fe', 'Fe', 'Fe']
+  ];
+  const start = { x: 0, y: 0, facing: 'East' };
+  const target = { x: 4, y: 4 };
+
+  it('should rank distinct routes by energy and then command count', () => {
+    const planner = new AlternativeRoutePlanner(new PathfindingService(grid), { count: 4 });
+
+    const { routes } = planner.plan(start, target, 100);
+
+    expect(routes.map(route => route.rank)).toEqual([1, 2, 3, 4]);
+    expect(routes[0]).toMatchObject({
+      commands: ['F', 'F', 'F', 'F', 'L', 'B', 'B', 'B', 'B'],
+      battery: 74,
+      energy: 26,
+      commandCount: 9,
+      difference: null
+    });
+    routes.slice(1).forEach((route, index) => {
+      const previous = routes[index];
+      expect(route.energy > previous.energy ||
+        (route.energy === previous.energy && route.commandCount >= previous.commandCount)).toBe(true);
+    });
+  });
+
+  it('should start with the route findPath returns', () => {
+    const pathfinder = new PathfindingService(grid);
+    const planner = new AlternativeRoutePlanner(pathfinder);
+
+    const { routes } = planner.plan(start, target, 100);
+
+    expect(routes[0].commands).toEqual(pathfinder.findPath(start, target, 100).commands);
+  });
+
+  it('should keep routes that differ by at least the minimum difference', () => {
+    const planner = new AlternativeRoutePlanner(new PathfindingService(grid), { count: 5, minDifference: 0.6 });
+
+    const { routes } = planner.plan(start, target, 100);
+
+    expect(routes.length).toBeGreaterThan(1);
+    for (const route of routes.slice(1)) {
+      expect(route.difference).toBeGreaterThanOrEqual(0.6);
+      for (const other of routes.filter(candidate => candidate.rank < route.rank)) {
+        expect(planner.getDifference(route.cells, other.cells)).toBeGreaterThanOrEqual(0.6);
+      }
+    }
+  });
+
+  it('should not return routes that only turn in a different order', () => {
+    const corridor = [['Fe', 'Fe', 'Fe']];
+    const planner = new AlternativeRoutePlanner(new PathfindingService(corridor), { count: 3 });
+
+    const { routes } = planner.plan({ x: 0, y: 0, facing: 'North' }, { x: 2, y: 0 }, 100);
+
+    expect(routes).toHaveLength(1);
+  });
+
+  it('should return no routes when the target cannot be reached', () => {
+    const planner = new AlternativeRoutePlanner(new PathfindingService([['Fe', 'Obs', 'Fe']]));
+
+    expect(planner.plan({ x: 0, y: 0, facing: 'East' }, { x: 2, y: 0 }, 100)).toEqual({ routes: [] });
+  });
+
+  it('should return routes the robot can replay', () => {
+    const planner = new AlternativeRoutePlanner(new PathfindingService(grid), { count: 3 });
+
+    for (const route of planner.plan(start, target, 100).routes) {
+      const result = new Robot(grid, 100, { location: { x: 0, y: 0 }, facing: 'East' }).executeCommands(route.commands);
+      expect(result.FinalPosition.Location).toEqual({ X: 4, Y: 4 });
+      expect(result.Battery).toBe(route.battery);
+    }
+  });
+
+  it('should share one expansion budget between its searches', () => {
+    const findPath = jest.spyOn(PathfindingService.prototype, 'findPath');
+
+    try {
+      const planner = new AlternativeRoutePlanner(new PathfindingService(grid), { count: 10, maxExpansions: 200 });
+      const { routes } = planner.plan(start, target, 100);
+      const budgets = findPath.mock.calls.map(([, , , options]) => options.budget);
+
+      expect(routes.length).toBeGreaterThan(0);
+      expect(new Set(budgets).size).toBe(1);
+      expect(budgets[0].expansions).toBeLessThanOrEqual(0);
+    } finally {
+      findPath.mockRestore();
+    }
+  });
+
+  it('should find alternatives needing recharges on large terrains with few searches', () => {
+    const { terrain } = new TerrainGenerator({ seed: 7, width: 100, height: 100 }).generate();
+    const findPath = jest.spyOn(PathfindingService.prototype, 'findPath');
+
+    try {
+      const { routes } = new AlternativeRoutePlanner(new PathfindingService(terrain)).plan(start, { x: 99, y: 99 }, 60);
+
+      expect(routes).toHaveLength(3);
+      expect(routes.every(route => route.commands.includes('E'))).toBe(true);
+      expect(findPath.mock.calls.length).toBeLessThanOrEqual(30);
+    } finally {
+      findPath.mockRestore();
+    }
+  });
+
+  it('should measure the share of cells only one route visits', () => {
+    const planner = new AlternativeRoutePlanner(new PathfindingService(grid));
+
+    expect(planner.getDifference([{ x: 0, y: 0 }, { x: 1, y: 0 }], [{ x: 0, y: 0 }, { x: 1, y: 0 }])).toBe(0);
+    expect(planner.getDifference([{ x: 0, y: 0 }, { x: 1, y: 0 }], [{ x: 0, y: 0 }, { x: 0, y: 1 }])).toBeCloseTo(2 / 3);
+  });
+});
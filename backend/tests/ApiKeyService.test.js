@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const apiKeyService = require('../src/services/ApiKeyService');
+const ApiKeyStore = require('../src/stores/ApiKeyStore');
+const MemoryApiKeyStore = require('../src/stores/MemoryApiKeyStore');
+const ValidationError = require('../src/errors/ValidationError');
+const NotFoundError = require('../src/errors/NotFoundError');
+const KeyStoreError = require('../src/errors/KeyStoreError');
+
+describe('ApiKeyService', () => {
+  beforeEach(() => {
+    apiKeyService.setStore(new MemoryApiKeyStore());
+  });
+
+  afterEach(() => {
+    apiKeyService.setRequired(false);
+  });
+
+  it('should only be enabled when keys are required, whether or not keys exist', () => {
+    apiKeyService.createKey({ name: 'rovers' });
+    expect(apiKeyService.isEnabled()).toBe(false);
+
+    apiKeyService.setRequired(true);
+    apiKeyService.setStore(new MemoryApiKeyStore());
+    expect(apiKeyService.isEnabled()).toBe(true);
+    expect(() => apiKeyService.checkStore()).toThrow(KeyStoreError);
+    expect(() => apiKeyService.authenticate('mrk_00000000_nope')).not.toThrow();
+    expect(() => apiKeyService.authenticate(`mrk_00000000_${'a'.repeat(43)}`)).toThrow(KeyStoreError);
+  });
+
+  it('should create keys that authenticate, storing only a hash of the secret', () => {
+    const { key, id, ...details } = apiKeyService.createKey({ name: ' rovers ', rateLimit: 5 });
+
+    expect(key).toMatch(new RegExp(`^mrk_${id}_[\\w-]{43}$`));
+    expect(details).toMatchObject({ name: 'rovers', rateLimit: 5, dailyQuota: 1000, revokedAt: null });
+    expect(JSON.stringify(apiKeyService.store.readAll())).not.toContain(key.split('_').slice(2).join('_'));
+    expect(apiKeyService.authenticate(key).id).toBe(id);
+    expect(apiKeyService.authenticate(`${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`)).toBeNull();
+    expect(apiKeyService.authenticate('not-a-key')).toBeNull();
+  });
+
+  it('should reject revoked keys and unknown ids', () => {
+    const { key, id } = apiKeyService.createKey({ name: 'rovers' });
+
+    expect(apiKeyService.revokeKey(id).revokedAt).not.toBeNull();
+    expect(apiKeyService.authenticate(key)).toBeNull();
+    expect(apiKeyService.listKeys()).toEqual([expect.objectContaining({ id, name: 'rovers' })]);
+    expect(apiKeyService.listKeys()[0]).not.toHaveProperty('secretHash');
+    expect(() => apiKeyService.revokeKey('missing')).toThrow(NotFoundError);
+  });
+
+  it('should report every invalid option', () => {
+    try {
+      apiKeyService.createKey({ name: '', rateLimit: 0, dailyQuota: 1.5 });
+      throw new Error('Expected a ValidationError');
+    } catch (error) {
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors.map(({ path, code }) => [path, code])).toEqual([
+        ['name', 'required'],
+        ['rateLimit', 'invalid_value'],
+        ['dailyQuota', 'invalid_value']
+      ]);
+    }
+  });
+
+  it('should limit requests per minute', () => {
+    const { id } = apiKeyService.createKey({ name: 'rovers', rateLimit: 2 });
+    const key = apiKeyService.store.readAll().find(candidate => candidate.id === id);
+
+    expect(apiKeyService.takeRequest(key, 0)).toEqual({ allowed: true, limit: 2, remaining: 1, resetAt: 60000 });
+    expect(apiKeyService.takeRequest(key, 1000).allowed).toBe(true);
+    expect(apiKeyService.takeRequest(key, 59999)).toEqual({ allowed: false, limit: 2, remaining: 0, resetAt: 60000 });
+    expect(apiKeyService.takeRequest(key, 60000)).toMatchObject({ allowed: true, remaining: 1 });
+  });
+
+  it('should limit simulation runs per UTC day, giving back the runs that did not happen', () => {
+    const { id } = apiKeyService.createKey({ name: 'rovers', dailyQuota: 3 });
+    const key = apiKeyService.store.readAll().find(candidate => candidate.id === id);
+    const morning = Date.parse('2026-03-01T08:00:00Z');
+    const midnight = Date.parse('2026-03-02T00:00:00Z');
+
+    expect(apiKeyService.takeRuns(key, 2, morning)).toEqual({ allowed: true, limit: 3, remaining: 1, resetAt: midnight });
+    expect(apiKeyService.takeRuns(key, 2, morning)).toMatchObject({ allowed: false, remaining: 1 });
+    expect(apiKeyService.takeRuns(key, 1, morning)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(apiKeyService.takeRuns(key, 3, midnight)).toMatchObject({ allowed: true, remaining: 0 });
+
+    apiKeyService.returnRuns(key, 2, Date.parse('2026-03-03T00:00:00Z'));
+    apiKeyService.returnRuns(key, 1, midnight);
+    expect(apiKeyService.takeRuns(key, 0, midnight)).toMatchObject({ remaining: 2 });
+  });
+
+  describe('ApiKeyStore', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should keep keys in a file readable by its owner only', () => {
+      const filePath = path.join(directory, 'config', 'api-keys.json');
+      apiKeyService.setStore(new ApiKeyStore(filePath));
+      const { key } = apiKeyService.createKey({ name: 'rovers' });
+
+      apiKeyService.setStore(new ApiKeyStore(filePath));
+
+      expect(apiKeyService.authenticate(key)).not.toBeNull();
+      expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+    });
+
+    it('should read the file once, until it changes', () => {
+      const filePath = path.join(directory, 'api-keys.json');
+      const store = new ApiKeyStore(filePath);
+      store.saveAll([{ id: '1a2b3c4d', secretHash: 'ab', name: 'rovers' }]);
+      const readFileSync = jest.spyOn(fs, 'readFileSync');
+
+      try {
+        store.readAll();
+        store.readAll()[0].name = 'changed';
+        expect(store.readAll()[0].name).toBe('rovers');
+        expect(readFileSync).not.toHaveBeenCalled();
+
+        new ApiKeyStore(filePath).saveAll([]);
+        expect(store.readAll()).toEqual([]);
+        expect(readFileSync).toHaveBeenCalledTimes(1);
+      } finally {
+        readFileSync.mockRestore();
+      }
+    });
+
+    it('should report a key file that cannot be parsed', () => {
+      const filePath = path.join(directory, 'api-keys.json');
+      fs.writeFileSync(filePath, '{"keys": [');
+      apiKeyService.setStore(new ApiKeyStore(filePath));
+      apiKeyService.setRequired(true);
+
+      expect(() => apiKeyService.checkStore()).toThrow(KeyStoreError);
+      expect(() => apiKeyService.checkStore()).toThrow(`Cannot read the API key file ${filePath}`);
+
+      fs.writeFileSync(filePath, '{"keys": {}}');
+      expect(() => apiKeyService.checkStore()).toThrow(`The API key file ${filePath} is not valid`);
+    });
+  });
+});
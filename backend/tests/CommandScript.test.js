@@ -0,0 +1,85 @@
+const CommandScript = require('../src/models/CommandScript');
+
+describe('CommandScript', () => {
+  describe('expand', () => {
+    it('should expand single commands', () => {
+      expect(new CommandScript().expand('FFRS')).toEqual(['F', 'F', 'R', 'S']);
+    });
+
+    it('should ignore whitespace and commas', () => {
+      expect(new CommandScript().expand('F, F R\nS')).toEqual(['F', 'F', 'R', 'S']);
+    });
+
+    it('should repeat a command with a count prefix', () => {
+      expect(new CommandScript().expand('3FS')).toEqual(['F', 'F', 'F', 'S']);
+    });
+
+    it('should repeat groups', () => {
+      expect(new CommandScript().expand('(FR)x3')).toEqual(['F', 'R', 'F', 'R', 'F', 'R']);
+      expect(new CommandScript().expand('2(F2L)')).toEqual(['F', 'L', 'L', 'F', 'L', 'L']);
+      expect(new CommandScript().expand('((F)x2R)x2')).toEqual(['F', 'F', 'R', 'F', 'F', 'R']);
+    });
+
+    it('should expand named macros', () => {
+      const script = new CommandScript({ scan: 'S(RS)x3', hop: 'F{scan}' });
+
+      expect(script.expand('2{hop}')).toEqual([
+        'F', 'S', 'R', 'S', 'R', 'S', 'R', 'S',
+        'F', 'S', 'R', 'S', 'R', 'S', 'R', 'S'
+      ]);
+    });
+
+    it('should point to the character offset of syntax errors', () => {
+      const cases = [
+        ['FFQ', 'Unknown command "Q" at offset 2'],
+        ['F)', 'Unmatched ")" at offset 1'],
+        ['F(FR', 'Unclosed "(" at offset 1'],
+        ['(FR)x', 'Expected a repeat count after "x" at offset 5'],
+        ['FF3', 'Missing command after count 3 at offset 3'],
+        ['F{nope}', 'Unknown macro "nope" at offset 1']
+      ];
+
+      for (const [source, message] of cases) {
+        expect(() => new CommandScript().expand(source)).toThrow(message);
+      }
+    });
+
+    it('should report errors inside macros with the macro name', () => {
+      const script = new CommandScript({ broken: 'FX' });
+
+      expect.assertions(3);
+      try {
+        script.expand('F{broken}');
+      } catch (error) {
+        expect(error.message).toBe('Unknown command "X" at offset 1 of macro "broken"');
+        expect(error.offset).toBe(1);
+        expect(error.macro).toBe('broken');
+      }
+    });
+
+    it('should reject recursive macros', () => {
+      const script = new CommandScript({ ping: 'F{pong}', pong: 'B{ping}' });
+
+      expect(() => script.expand('{ping}')).toThrow('Recursive macro "ping"');
+    });
+
+    it('should limit the size of the expansion', () => {
+      expect(() => new CommandScript().expand('(100(100F))x2'))
+        .toThrow(`Script expands to more than ${CommandScript.MAX_COMMANDS} commands`);
+    });
+
+    it('should expand each macro once, however often it is used', () => {
+      const macros = { level0: '0F' };
+      for (let level = 1; level < 30; level++) {
+        macros[`level${level}`] = `{level${level - 1}}`.repeat(10);
+      }
+
+      expect(new CommandScript(macros).expand('F{level29}')).toEqual(['F']);
+    });
+
+    it('should limit the steps of the expansion', () => {
+      expect(() => new CommandScript().expand('0F'.repeat(CommandScript.MAX_EXPANSION_STEPS + 1)))
+        .toThrow(`Script takes more than ${CommandScript.MAX_EXPANSION_STEPS} steps to expand`);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,98 @@
+const PathfindingService = require('../src/services/PathfindingService');
+const CoveragePlanner = require('../src/services/CoveragePlanner');
+const Robot = require('../src/models/Robot');
+
+describe('CoveragePlanner', () => {
+  const start = { x: 0, y: 0, facing: 'East' };
+
+  const replay = (grid, battery, commands, options) =>
+    new Robot(grid, battery, { location: { x: start.x, y: start.y }, facing: start.facing }, options)
+      .executeCommands(commands);
+
+  it('should sweep an open area in lanes', () => {
+    const grid = [
+      ['Fe', 'Fe', 'Fe'],
+      ['Fe', 'Fe', 'Fe']
+    ];
+    const planner = new CoveragePlanner(new PathfindingService(grid));
+
+    const plan = planner.plan(start, 100);
+
+    expect(plan).toEqual({
+      commands: ['F', 'F', 'R', 'F', 'R', 'F', 'F'],
+      battery: 81,
+      success: true,
+      energy: 19,
+      commandCount: 7,
+      visitedCount: 6,
+      reachableCount: 6,
+      unvisitedCells: [],
+      unreachableCells: []
+    });
+  });
+
+  it('should visit every reachable cell and report the unreachable ones', () => {
+    const grid = [
+      ['Fe', 'Se', 'Obs', 'Zn'],
+      ['W', 'Obs', 'Fe', 'Obs'],
+      ['Si', 'Fe', 'Fe', 'Se']
+    ];
+    const planner = new CoveragePlanner(new PathfindingService(grid));
+
+    const plan = planner.plan(start, 100);
+    const result = replay(grid, 100, plan.commands);
+
+    expect(plan.success).toBe(true);
+    expect(plan.unreachableCells).toEqual([{ x: 3, y: 0 }]);
+    expect(result.VisitedCells).toHaveLength(plan.reachableCount);
+    expect(result.Battery).toBe(plan.battery);
+  });
+
+  it('should cover generated terrains and match the replayed battery', () => {
+    let seed = 3;
+    const random = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed / 2147483648;
+    };
+    const types = ['Fe', 'Se', 'W', 'Si', 'Zn', 'Obs'];
+    const terrainProperties = { Zn: { solarCharging: false }, W: { moveCost: 1 } };
+
+    for (let run = 0; run < 10; run++) {
+      const grid = Array.from({ length: 6 }, () =>
+        Array.from({ length: 7 }, () => types[Math.floor(random() * types.length)]));
+      grid[0][0] = 'Fe';
+
+      const planner = new CoveragePlanner(new PathfindingService(grid, { terrainProperties }));
+      const plan = planner.plan(start, 15);
+      const result = replay(grid, 15, plan.commands, { terrainProperties });
+
+      expect(plan.success).toBe(true);
+      expect(plan.visitedCount).toBe(plan.reachableCount);
+      expect(result.VisitedCells).toHaveLength(plan.reachableCount);
+      expect(result.Battery).toBe(plan.battery);
+    }
+  });
+
+  it('should recharge only as much as the route needs', () => {
+    const grid = [['Fe', 'Fe', 'Fe', 'Fe']];
+    const planner = new CoveragePlanner(new PathfindingService(grid));
+
+    const plan = planner.plan(start, 5);
+
+    expect(plan.commands).toEqual(['F', 'E', 'F', 'F']);
+    expect(plan.battery).toBe(5);
+  });
+
+  it('should stop when the battery cannot be recharged', () => {
+    const grid = [['Fe', 'Fe', 'Fe', 'Fe']];
+    const terrainProperties = { Fe: { solarCharging: false } };
+    const planner = new CoveragePlanner(new PathfindingService(grid, { terrainProperties }));
+
+    const plan = planner.plan(start, 7);
+
+    expect(plan.success).toBe(false);
+    expect(plan.commands).toEqual(['F', 'F']);
+    expect(plan.visitedCount).toBe(3);
+    expect(plan.unvisitedCells).toEqual([{ x: 3, y: 0 }]);
+  });
+});
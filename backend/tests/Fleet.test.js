@@ -0,0 +1,71 @@
+const Fleet = require('../src/models/Fleet');
+
+describe('Fleet', () => {
+  const terrain = [
+    ['Fe', 'Fe', 'Se'],
+    ['W', 'Si', 'Zn']
+  ];
+
+  it('should execute the robots in lock-step ticks', () => {
+    const fleet = new Fleet(terrain, [
+      { battery: 50, initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }, commands: ['F', 'S'] },
+      { battery: 50, initialPosition: { location: { x: 2, y: 1 }, facing: 'West' }, commands: ['S'] }
+    ]);
+
+    const result = fleet.run();
+
+    expect(result.Fleet.Ticks).toBe(2);
+    expect(result.Robots.map(robot => robot.Id)).toEqual(['robot-1', 'robot-2']);
+    expect(result.Robots[0].SamplesCollected).toEqual(['Fe']);
+    expect(result.Robots[1].SamplesCollected).toEqual(['Zn']);
+    expect(result.Fleet.SamplesCollected).toEqual(['Fe', 'Zn']);
+    expect(result.Fleet.Battery).toBe(39 + 42);
+  });
+
+  it('should treat other robots as obstacles and apply the backoff strategies', () => {
+    const fleet = new Fleet(terrain, [
+      { id: 'alpha', battery: 50, initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }, commands: ['F'] },
+      { id: 'beta', battery: 50, initialPosition: { location: { x: 1, y: 0 }, facing: 'South' }, commands: ['S'] }
+    ]);
+
+    const result = fleet.run();
+
+    // alpha is blocked by beta at (1, 0): E, R, F takes it to (0, 1)
+    expect(result.Robots[0]).toMatchObject({
+      Id: 'alpha',
+      Battery: 54,
+      FinalPosition: { Location: { X: 0, Y: 1 }, Facing: 'South' }
+    });
+    expect(result.Robots[1].FinalPosition.Location).toEqual({ X: 1, Y: 0 });
+  });
+
+  it('should see the positions robots moved to earlier in the same tick', () => {
+    const fleet = new Fleet([['Fe', 'Fe', 'Fe']], [
+      { battery: 50, initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }, commands: ['F'] },
+      { battery: 50, initialPosition: { location: { x: 2, y: 0 }, facing: 'West' }, commands: ['F'] }
+    ], { backoffStrategies: 'none' });
+
+    const result = fleet.run();
+
+    expect(result.Robots[0].FinalPosition.Location).toEqual({ X: 1, Y: 0 });
+    expect(result.Robots[1].FinalPosition.Location).toEqual({ X: 2, Y: 0 });
+    expect(result.Fleet.VisitedCells).toEqual([
+      { X: 0, Y: 0 },
+      { X: 1, Y: 0 },
+      { X: 2, Y: 0 }
+    ]);
+  });
+
+  it('should stop a robot that runs out of battery while the others continue', () => {
+    const fleet = new Fleet(terrain, [
+      { battery: 0, initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }, commands: ['F', 'F'] },
+      { battery: 50, initialPosition: { location: { x: 0, y: 1 }, facing: 'East' }, commands: ['F', 'F'] }
+    ]);
+
+    const result = fleet.run();
+
+    expect(result.Robots[0].FinalPosition.Location).toEqual({ X: 0, Y: 0 });
+    expect(result.Robots[1].FinalPosition.Location).toEqual({ X: 2, Y: 1 });
+    expect(result.Fleet.Ticks).toBe(2);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonLinesRunStore = require('../src/stores/JsonLinesRunStore');
+const logger = require('../src/logger');
+
+describe('JsonLinesRunStore', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'runs-'));
+    filePath = path.join(directory, 'nested', 'runs.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const run = (id, timestamp) => ({ id, timestamp, outcome: 'success', input: { battery: 1 }, result: { Battery: 1 } });
+
+  it('should start empty when the file does not exist', () => {
+    const store = new JsonLinesRunStore(filePath);
+
+    expect(store.readAll()).toEqual([]);
+    expect(store.get('missing')).toBeNull();
+  });
+
+  it('should append one line per run and read them back from a new instance', () => {
+    new JsonLinesRunStore(filePath).save(run('a', '2026-03-01T10:00:00.000Z'));
+    new JsonLinesRunStore(filePath).save(run('b', '2026-03-02T10:00:00.000Z'));
+
+    const store = new JsonLinesRunStore(filePath);
+
+    expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(2);
+    expect(store.get('b')).toEqual(run('b', '2026-03-02T10:00:00.000Z'));
+    expect(store.list({ limit: 1 })).toEqual({ runs: [run('b', '2026-03-02T10:00:00.000Z')], total: 2 });
+  });
+
+  it('should list the runs of one owner from the index', () => {
+    const store = new JsonLinesRunStore(filePath);
+    store.save({ ...run('a', '2026-03-01T10:00:00.000Z'), owner: '1a2b3c4d' });
+    store.save(run('b', '2026-03-02T10:00:00.000Z'));
+
+    const reopened = new JsonLinesRunStore(filePath);
+
+    expect(reopened.list({ owner: '1a2b3c4d' }).runs.map(({ id }) => id)).toEqual(['a']);
+    expect(reopened.list({ owner: null }).runs.map(({ id }) => id)).toEqual(['b']);
+  });
+
+  it('should delete a run by appending a tombstone', () => {
+    const store = new JsonLinesRunStore(filePath);
+    store.save(run('a', '2026-03-01T10:00:00.000Z'));
+    store.save(run('b', '2026-03-02T10:00:00.000Z'));
+
+    expect(store.delete('a')).toBe(true);
+    expect(store.delete('a')).toBe(false);
+    expect(fs.readFileSync(filePath, 'utf8').trim().split('\n').pop()).toBe('{"deleted":"a"}');
+    expect(new JsonLinesRunStore(filePath).readAll().map(({ id }) => id)).toEqual(['b']);
+    expect(fs.readdirSync(path.dirname(filePath))).toEqual(['runs.jsonl']);
+  });
+
+  it('should compact the file once enough runs are deleted', () => {
+    const store = new JsonLinesRunStore(filePath, { maxRuns: 100 });
+    for (let index = 0; index < 60; index++) {
+      store.save(run(`run-${index}`, new Date(Date.UTC(2026, 2, 1, 0, index)).toISOString()));
+    }
+    for (let index = 0; index < 51; index++) {
+      store.delete(`run-${index}`);
+    }
+
+    expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(9);
+    expect(new JsonLinesRunStore(filePath, { maxRuns: 100 }).readAll().map(({ id }) => id)).toEqual(store.readAll().map(({ id }) => id));
+  });
+
+  it('should skip and log lines it cannot parse, and repair a last line cut short', () => {
+    const lines = [];
+    logger.setLevel('warn');
+    logger.setOutput(line => lines.push(JSON.parse(line)));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify(run('a', '2026-03-01T10:00:00.000Z'))}\nnot json\n{"id":"b","time`);
+
+    try {
+      const store = new JsonLinesRunStore(filePath);
+      store.save(run('c', '2026-03-03T10:00:00.000Z'));
+
+      expect(store.list()).toMatchObject({ total: 2, runs: [{ id: 'c' }, { id: 'a' }] });
+      expect(new JsonLinesRunStore(filePath).readAll().map(({ id }) => id)).toEqual(['a', 'c']);
+      expect(lines.map(({ message, line }) => [message, line])).toEqual([
+        ['Skipping unparsable run', 2],
+        ['Skipping unparsable run', 3]
+      ]);
+    } finally {
+      logger.setLevel('silent');
+    }
+  });
+
+  it('should keep only the newest runs, compacting the file as old ones pile up', () => {
+    const store = new JsonLinesRunStore(filePath, { maxRuns: 3 });
+    for (let index = 0; index < 104; index++) {
+      store.save(run(`run-${index}`, new Date(Date.UTC(2026, 2, 1, 0, index)).toISOString()));
+    }
+
+    expect(store.list()).toMatchObject({ total: 3, runs: [{ id: 'run-103' }, { id: 'run-102' }, { id: 'run-101' }] });
+    expect(store.get('run-100')).toBeNull();
+    expect(fs.readFileSync(filePath, 'utf8').trim().split('\n').length).toBeLessThan(10);
+    expect(new JsonLinesRunStore(filePath, { maxRuns: 3 }).get('run-103')).toEqual(store.get('run-103'));
+  });
+});
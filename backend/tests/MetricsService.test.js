@@ -0,0 +1,70 @@
+const metricsService = require('../src/services/MetricsService');
+const simulationService = require('../src/services/SimulationService');
+
+async function getValue(name, labels = {}) {
+  const metrics = await metricsService.registry.getMetricsAsJSON();
+  const sample = metrics
+    .flatMap(metric => metric.values.map(value => ({ ...value, metricName: value.metricName || metric.name })))
+    .find(value => value.metricName === name &&
+      Object.entries(labels).every(([label, expected]) => value.labels[label] === expected));
+  return sample ? sample.value : 0;
+}
+
+describe('MetricsService', () => {
+  const input = {
+    terrain: [['Fe', 'Obs', 'Se'], ['W', 'Si', 'Obs']],
+    battery: 50,
+    commands: ['F', 'S'],
+    initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }
+  };
+
+  beforeEach(() => {
+    metricsService.reset();
+  });
+
+  it('should count simulations by outcome and the commands each run executed', async () => {
+    simulationService.runSimulation(input);
+    // The battery stops the robot at its first command
+    simulationService.runSimulation({ ...input, battery: 0, commands: ['F', 'S', 'R', 'F'] });
+    expect(() => simulationService.runSimulation({ ...input, commands: ['X'] })).toThrow();
+
+    expect(await getValue('mars_robot_simulations_total', { outcome: 'success' })).toBe(2);
+    expect(await getValue('mars_robot_simulations_total', { outcome: 'error' })).toBe(1);
+    expect(await getValue('mars_robot_simulation_commands_sum')).toBe(3);
+    expect(await getValue('mars_robot_simulation_commands_count')).toBe(2);
+  });
+
+  it('should count the commands each robot of a fleet executed', async () => {
+    simulationService.runSimulation({
+      terrain: input.terrain,
+      robots: [
+        { battery: 50, commands: ['S', 'S'], initialPosition: input.initialPosition },
+        { battery: 0, commands: ['S', 'S', 'S'], initialPosition: { location: { x: 0, y: 1 }, facing: 'East' } }
+      ]
+    });
+
+    expect(await getValue('mars_robot_simulation_commands_sum')).toBe(3);
+  });
+
+  it('should count backoff strategy activations by strategy and result', async () => {
+    simulationService.runSimulation({ ...input, backoffStrategies: 'conservative' });
+
+    expect(await getValue('mars_robot_backoff_activations_total', { strategy: '0', result: 'success' })).toBe(1);
+  });
+
+  it('should count robots stopped by an exhausted battery', async () => {
+    simulationService.runSimulation({ ...input, battery: 0 });
+    simulationService.runSimulation(input);
+
+    expect(await getValue('mars_robot_battery_exhausted_total')).toBe(1);
+  });
+
+  it('should count requests and their latency by method, route and status', async () => {
+    metricsService.recordRequest({ method: 'GET', route: '/api/simulation/runs/{id}', status: 404, durationMs: 12 });
+
+    const labels = { method: 'GET', route: '/api/simulation/runs/{id}', status: '404' };
+    expect(await getValue('http_requests_total', labels)).toBe(1);
+    expect(await getValue('http_request_duration_seconds_sum', labels)).toBeCloseTo(0.012);
+    expect(await metricsService.getMetrics()).toContain('# TYPE http_request_duration_seconds histogram');
+  });
+});
@@ -0,0 +1,334 @@
+const PathfindingService = require('../src/services/PathfindingService');
+const MissionPlanner = require('../src/services/MissionPlanner');
+const Robot = require('../src/models/Robot');
+
+describe('MissionPlanner', () => {
+  const start = { x: 0, y: 0, facing: 'East' };
+
+  const replay = (grid, battery, commands) =>
+    new Robot(grid, battery, { location: { x: start.x, y: start.y }, facing: start.facing }).executeCommands(commands);
+
+  it('should report energy, command count, sampled cells and legs', () => {
+    const grid = [['Fe', 'Se', 'W']];
+    const planner = new MissionPlanner(new PathfindingService(grid));
+
+    const plan = planner.plan(start, 100);
+
+    expect(plan).toEqual({
+      commands: ['S', 'F', 'S', 'F', 'S'],
+      battery: 70,
+      success: true,
+      strategy: 'exact',
+      energy: 30,
+      commandCount: 5,
+      samples: [
+        { type: 'Fe', x: 0, y: 0 },
+        { type: 'Se', x: 1, y: 0 },
+        { type: 'W', x: 2, y: 0 }
+      ],
+      unmetConstraints: [],
+      legs: [
+        { goal: 'sample', type: 'Fe', target: { x: 0, y: 0 }, commands: ['S'], energy: 8 },
+        { goal: 'sample', type: 'Se', target: { x: 1, y: 0 }, commands: ['F', 'S'], energy: 11 },
+        { goal: 'sample', type: 'W', target: { x: 2, y: 0 }, commands: ['F', 'S'], energy: 11 }
+      ]
+    });
+  });
+
+  it('should choose which cell to sample for each terrain type', () => {
+    const grid = [
+      ['Fe', 'Fe', 'Fe', 'Se'],
+      ['W', 'Fe', 'Fe', 'Fe'],
+      ['Fe', 'Fe', 'Fe', 'W']
+    ];
+    const planner = new MissionPlanner(new PathfindingService(grid));
+
+    const plan = planner.plan(start, 100);
+
+    expect(plan.samples.find(sample => sample.type === 'W')).toEqual({ type: 'W', x: 3, y: 2 });
+  });
+
+  it('should never use more energy than the heuristic', () => {
+    let seed = 7;
+    const random = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed / 2147483648;
+    };
+    const types = ['Fe', 'Se', 'W', 'Si', 'Zn', 'Obs', 'Fe', 'Fe'];
+    let improved = 0;
+
+    for (let run = 0; run < 10; run++) {
+      const grid = [];
+      for (let y = 0; y < 4; y++) {
+        grid.push(Array.from({ length: 5 }, () => types[Math.floor(random() * types.length)]));
+      }
+      grid[0][0] = 'Fe';
+      const pathfinder = new PathfindingService(grid);
+
+      const exact = new MissionPlanner(pathfinder, { strategy: 'exact' }).plan(start, 200);
+      const heuristic = new MissionPlanner(pathfinder, { strategy: 'heuristic' }).plan(start, 200);
+
+      expect(exact.energy).toBeLessThanOrEqual(heuristic.energy);
+      if (exact.energy < heuristic.energy) improved++;
+    }
+
+    expect(improved).toBeGreaterThan(0);
+  });
+
+  it('should fall back to the heuristic on large grids', () => {
+    const grid = Array.from({ length: 10 }, (_, y) =>
+      Array.from({ length: 10 }, (_, x) => ['Fe', 'Se', 'W', 'Si', 'Zn'][(x + y) % 5]));
+    const planner = new MissionPlanner(new PathfindingService(grid));
+
+    const plan = planner.plan(start, 100);
+    const result = replay(grid, 100, plan.commands);
+
+    expect(plan.strategy).toBe('heuristic');
+    expect(plan.success).toBe(true);
+    expect(result.SamplesCollected.sort()).toEqual(['Fe', 'Se', 'Si', 'W', 'Zn']);
+    expect(result.Battery).toBe(plan.battery);
+  });
+
+  it('should fall back to the heuristic past the exact limits even when exact is requested', () => {
+    const grid = Array.from({ length: 10 }, (_, y) =>
+      Array.from({ length: 10 }, (_, x) => ['Fe', 'Se', 'W', 'Si', 'Zn'][(x + y) % 5]));
+    const planner = new MissionPlanner(new PathfindingService(grid), { strategy: 'exact' });
+
+    expect(planner.plan(start, 100).strategy).toBe('heuristic');
+  });
+
+  it('should plan recharges and match the replayed battery', () => {
+    const grid = [['Fe', 'Fe', 'Fe', 'Se', 'Fe', 'W']];
+    const planner = new MissionPlanner(new PathfindingService(grid));
+
+    const plan = planner.plan(start, 10);
+    const result = replay(grid, 10, plan.commands);
+
+    expect(plan.success).toBe(true);
+    expect(plan.commands).toContain('E');
+    expect(result.SamplesCollected).toEqual(['Fe', 'Se', 'W']);
+    expect(result.Battery).toBe(plan.battery);
+  });
+
+  it('should fail when a terrain type cannot be reached', () => {
+    const grid = [['Fe', 'Obs', 'Se']];
+    const planner = new MissionPlanner(new PathfindingService(grid));
+
+    const plan = planner.plan(start, 100);
+
+    expect(plan.success).toBe(false);
+    expect(plan.samples).toEqual([{ type: 'Fe', x: 0, y: 0 }]);
+    expect(plan.unmetConstraints).toEqual([{
+      constraint: 'samples',
+      type: 'Se',
+      required: 1,
+      available: 0,
+      message: 'Requires 1 Se sample(s) but only 0 Se cell(s) can be reached'
+    }]);
+    expect(plan.diagnostics).toEqual({ unreachableTypes: ['Se'], failedLeg: null });
+  });
+
+  describe('constraints', () => {
+    const grid = [
+      ['Fe', 'Fe', 'Se', 'Fe'],
+      ['Fe', 'W', 'Fe', 'Se'],
+      ['Fe', 'Fe', 'Fe', 'Fe']
+    ];
+
+    const plan = (constraints, battery = 200, options = {}) =>
+      new MissionPlanner(new PathfindingService(grid), { ...options, constraints }).plan(start, battery);
+
+    it('should collect the required number of samples from distinct cells', () => {
+      const result = plan({ samples: [{ type: 'Se', count: 2 }] });
+      const replayed = replay(grid, 200, result.commands);
+
+      expect(result.success).toBe(true);
+      expect(result.strategy).toBe('heuristic');
+      expect(result.samples).toEqual([{ type: 'Se', x: 2, y: 0 }, { type: 'Se', x: 3, y: 1 }]);
+      expect(replayed.SamplesCollected).toEqual(['Se', 'Se']);
+    });
+
+    it('should explain missing sample types', () => {
+      const result = plan({ samples: [{ type: 'Zn' }, { type: 'W', count: 2 }] });
+
+      expect(result.success).toBe(false);
+      expect(result.samples).toEqual([{ type: 'W', x: 1, y: 1 }]);
+      expect(result.unmetConstraints.map(unmet => unmet.message)).toEqual([
+        'Requires 1 Zn sample(s) but there is no Zn terrain',
+        'Requires 2 W sample(s) but only 1 W cell(s) can be reached'
+      ]);
+    });
+
+    it('should visit every waypoint', () => {
+      const result = plan({ samples: [], waypoints: [{ x: 3, y: 2 }, { x: 0, y: 2 }] });
+      const visited = replay(grid, 200, result.commands).VisitedCells;
+
+      expect(result.success).toBe(true);
+      expect(result.strategy).toBe('exact');
+      expect(visited).toEqual(expect.arrayContaining([{ X: 3, Y: 2 }, { X: 0, Y: 2 }]));
+    });
+
+    it('should never enter forbidden cells or rectangles', () => {
+      const forbidden = [{ x: 1, y: 0 }, { x: 1, y: 1, width: 2, height: 1 }];
+      const result = plan({ samples: [{ type: 'Se' }], forbidden });
+      const visited = replay(grid, 200, result.commands).VisitedCells;
+
+      expect(result.success).toBe(true);
+      expect(visited).not.toContainEqual({ X: 1, Y: 0 });
+      expect(visited).not.toContainEqual({ X: 1, Y: 1 });
+      expect(visited).not.toContainEqual({ X: 2, Y: 1 });
+    });
+
+    it('should explain goals made unreachable by forbidden zones', () => {
+      const result = plan({
+        waypoints: [{ x: 1, y: 1 }],
+        forbidden: [{ x: 1, y: 1 }]
+      });
+
+      expect(result.unmetConstraints).toEqual([
+        { constraint: 'samples', type: 'W', required: 1, available: 0, message: 'Requires 1 W sample(s) but only 0 W cell(s) can be reached' },
+        { constraint: 'waypoints', index: 0, message: 'Waypoint (1, 1) is inside a forbidden zone' }
+      ]);
+    });
+
+    it('should block each forbidden cell once, however many zones cover it', () => {
+      const grid = Array.from({ length: 4 }, () => Array(5).fill('Fe'));
+      const forbidden = [
+        ...Array.from({ length: 50 }, () => ({ x: 2, y: -10, width: 1000, height: 1000 })),
+        { x: -3, y: 1, width: 4, height: 1 },
+        { x: 9, y: 9 }
+      ];
+      const planner = new MissionPlanner(new PathfindingService(grid), { constraints: { forbidden } });
+
+      expect([...planner.pathfinder.blockedCells].sort()).toEqual(
+        ['0,1', '2,0', '2,1', '2,2', '2,3', '3,0', '3,1', '3,2', '3,3', '4,0', '4,1', '4,2', '4,3']);
+      expect(planner.isForbidden({ x: 0, y: 1 })).toBe(true);
+      expect(planner.isForbidden({ x: 1, y: 1 })).toBe(false);
+      expect(planner.isForbidden({ x: 9, y: 9 })).toBe(false);
+    });
+
+    it('should reject a start position inside a forbidden zone', () => {
+      const result = plan({ forbidden: [{ x: 0, y: 0, width: 2, height: 2 }] });
+
+      expect(result.commands).toEqual([]);
+      expect(result.unmetConstraints).toEqual([
+        { constraint: 'forbidden', message: 'Start position (0, 0) is inside a forbidden zone' }
+      ]);
+    });
+
+    it('should end on the start cell when returning to base', () => {
+      const result = plan({ samples: [{ type: 'W' }], returnToBase: true });
+      const replayed = replay(grid, 200, result.commands);
+
+      expect(result.success).toBe(true);
+      expect(replayed.FinalPosition.Location).toEqual({ X: 0, Y: 0 });
+      expect(replayed.Battery).toBe(result.battery);
+    });
+
+    it('should keep the battery above the reserve at all times', () => {
+      const result = plan({ samples: [{ type: 'Se' }], minBattery: 6 }, 10);
+      const replayed = new Robot(grid, 10, { location: { x: 0, y: 0 }, facing: 'East' }, { trace: true })
+        .executeCommands(result.commands);
+
+      expect(result.success).toBe(true);
+      expect(replayed.Battery).toBe(result.battery);
+      expect(replayed.Trace.every(step => step.BatteryAfter >= 6)).toBe(true);
+    });
+
+    it('should explain when the reserve leaves too little battery', () => {
+      const terrainProperties = { Fe: { solarCharging: false }, Se: { solarCharging: false } };
+      const pathfinder = new PathfindingService([['Fe', 'Fe', 'Se']], { terrainProperties });
+      const constraints = { samples: [{ type: 'Se' }], minBattery: 10 };
+
+      const result = new MissionPlanner(pathfinder, { constraints }).plan(start, 20);
+
+      expect(result.success).toBe(false);
+      expect(result.unmetConstraints).toEqual([{
+        constraint: 'samples',
+        type: 'Se',
+        message: 'Battery runs out before sampling Se at (2, 0) while keeping a reserve of 10'
+      }]);
+    });
+
+    it('should explain an initial battery below the reserve', () => {
+      const result = plan({ minBattery: 20 }, 10);
+
+      expect(result.unmetConstraints).toEqual([
+        { constraint: 'minBattery', message: 'Initial battery 10 is below the reserve of 20' }
+      ]);
+    });
+
+    it('should explain a failed return to base', () => {
+      const terrainProperties = { Fe: { solarCharging: false }, Se: { solarCharging: false } };
+      const pathfinder = new PathfindingService([['Fe', 'Fe', 'Se']], { terrainProperties });
+      const constraints = { samples: [{ type: 'Se' }], returnToBase: true };
+
+      const result = new MissionPlanner(pathfinder, { constraints }).plan(start, 16);
+
+      expect(result.success).toBe(false);
+      expect(result.samples).toEqual([{ type: 'Se', x: 2, y: 0 }]);
+      expect(result.unmetConstraints).toEqual([
+        { constraint: 'returnToBase', message: 'Battery runs out on the way back to the start (0, 0)' }
+      ]);
+    });
+  });
+
+  describe('legs and diagnostics', () => {
+    const terrainProperties = { Fe: { solarCharging: false }, Se: { solarCharging: false } };
+    const pathfinder = new PathfindingService([['Fe', 'Fe', 'Se']], { terrainProperties });
+
+    it('should break a plan down into legs, including the way back', () => {
+      const constraints = { samples: [{ type: 'Se' }], returnToBase: true };
+
+      const result = new MissionPlanner(pathfinder, { constraints }).plan(start, 100);
+
+      expect(result.success).toBe(true);
+      expect(result.diagnostics).toBeUndefined();
+      expect(result.legs).toEqual([
+        { goal: 'sample', type: 'Se', target: { x: 2, y: 0 }, commands: ['F', 'F', 'S'], energy: 14 },
+        { goal: 'return', target: { x: 0, y: 0 }, commands: ['B', 'B'], energy: 6 }
+      ]);
+      expect(result.legs.flatMap(leg => leg.commands)).toEqual(result.commands);
+    });
+
+    it('should report the leg where the battery ran out and the battery it needed', () => {
+      const constraints = { samples: [{ type: 'Se' }], minBattery: 10 };
+
+      const result = new MissionPlanner(pathfinder, { constraints }).plan(start, 20);
+
+      expect(result.legs).toEqual([]);
+      expect(result.diagnostics).toEqual({
+        unreachableTypes: [],
+        failedLeg: {
+          goal: 'sample',
+          type: 'Se',
+          from: { x: 0, y: 0, facing: 'East' },
+          target: { x: 2, y: 0 },
+          availableBattery: 20,
+          requiredBattery: 24,
+          message: 'Battery runs out before sampling Se at (2, 0) while keeping a reserve of 10'
+        }
+      });
+    });
+
+    it('should report a failed way back as the last leg', () => {
+      const constraints = { samples: [{ type: 'Se' }], returnToBase: true };
+
+      const result = new MissionPlanner(pathfinder, { constraints }).plan(start, 16);
+
+      expect(result.legs).toHaveLength(1);
+      expect(result.diagnostics.failedLeg).toMatchObject({
+        goal: 'return',
+        from: { x: 2, y: 0, facing: 'East' },
+        target: { x: 0, y: 0 },
+        availableBattery: 2,
+        requiredBattery: 6
+      });
+    });
+  });
+
+  it('should reject an unknown strategy', () => {
+    expect(() => new MissionPlanner(new PathfindingService([['Fe']]), { strategy: 'random' }))
+      .toThrow('Unknown mission strategy: random');
+  });
+});
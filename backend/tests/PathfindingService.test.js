@@ -0,0 +1,275 @@
+const PathfindingService = require('../src/services/PathfindingService');
+const Robot = require('../src/models/Robot');
+const TerrainGenerator = require('../src/models/TerrainGenerator');
+
+describe('PathfindingService', () => {
+  const terrain = [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']];
+  const start = { x: 0, y: 0, facing: 'East' };
+
+  describe('findPath', () => {
+    it('should find a path to the target', () => {
+      const service = new PathfindingService(terrain);
+
+      const result = service.findPath(start, { x: 2, y: 0 }, 50);
+
+      expect(result).toEqual({
+        commands: ['F', 'F'],
+        battery: 44,
+        success: true
+      });
+    });
+
+    it('should fail when the target is enclosed by obstacles', () => {
+      const service = new PathfindingService([['Fe', 'Obs', 'Se']]);
+
+      const result = service.findPath(start, { x: 2, y: 0 }, 50);
+
+      expect(result.success).toBe(false);
+      expect(result.commands).toEqual([]);
+    });
+  });
+
+  describe('cost model', () => {
+    it('should account for custom command costs', () => {
+      const service = new PathfindingService(terrain, { costModel: { commands: { F: 5 } } });
+
+      const result = service.findPath(start, { x: 2, y: 0 }, 50);
+
+      expect(result.battery).toBe(40);
+    });
+
+    it('should predict the same battery as the robot', () => {
+      const costModel = { commands: { F: 4, R: 1 }, solarYield: 12 };
+      const service = new PathfindingService(terrain, { costModel });
+
+      const path = service.findPath(start, { x: 1, y: 1 }, 50);
+      const robot = new Robot(terrain, 50, { location: { x: 0, y: 0 }, facing: 'East' }, { costModel });
+      const result = robot.executeCommands(path.commands);
+
+      expect(path.success).toBe(true);
+      expect(result.Battery).toBe(path.battery);
+    });
+  });
+
+  describe('terrain properties', () => {
+    it('should route around terrain that is expensive to cross', () => {
+      const grid = [
+        ['Fe', 'W', 'Fe'],
+        ['Fe', 'Fe', 'Fe']
+      ];
+      const terrainProperties = { W: { moveCost: 20 } };
+      const service = new PathfindingService(grid, { terrainProperties });
+
+      const path = service.findPath(start, { x: 2, y: 0 }, 100);
+      const robot = new Robot(grid, 100, { location: { x: 0, y: 0 }, facing: 'East' }, { terrainProperties });
+      const result = robot.executeCommands(path.commands);
+
+      expect(path.success).toBe(true);
+      expect(result.VisitedCells).not.toContainEqual({ X: 1, Y: 0 });
+      expect(result.Battery).toBe(path.battery);
+    });
+  });
+
+  describe('battery-aware planning', () => {
+    const replay = (grid, battery, commands, options = {}) => {
+      const robot = new Robot(grid, battery, { location: { x: start.x, y: start.y }, facing: start.facing }, options);
+      return robot.executeCommands(commands);
+    };
+
+    it('should insert a recharge when the route needs it', () => {
+      const grid = [['Fe', 'Fe', 'Fe']];
+      const service = new PathfindingService(grid);
+
+      const path = service.findPath(start, { x: 2, y: 0 }, 5);
+      const result = replay(grid, 5, path.commands);
+
+      expect(path.success).toBe(true);
+      expect(path.commands.filter(command => command === 'E')).toHaveLength(1);
+      expect(result.FinalPosition.Location).toEqual({ X: 2, Y: 0 });
+      expect(result.Battery).toBe(path.battery);
+    });
+
+    it('should allow a command that uses the whole battery', () => {
+      const service = new PathfindingService([['Fe', 'Fe']]);
+
+      const path = service.findPath(start, { x: 1, y: 0 }, 3);
+
+      expect(path).toEqual({ commands: ['F'], battery: 0, success: true });
+    });
+
+    it('should fail when recharging is impossible and the battery is too low', () => {
+      const grid = [['Fe', 'Fe', 'Fe']];
+      const service = new PathfindingService(grid, { terrainProperties: { Fe: { solarCharging: false } } });
+
+      expect(service.findPath(start, { x: 2, y: 0 }, 5).success).toBe(false);
+      expect(service.findPath(start, { x: 2, y: 0 }, 6).success).toBe(true);
+    });
+
+    it('should recharge on a sunny cell before crossing a shaded stretch', () => {
+      const grid = [['Fe', 'Si', 'Si', 'Si']];
+      const terrainProperties = { Si: { solarCharging: false } };
+      const service = new PathfindingService(grid, { terrainProperties });
+
+      const path = service.findPath(start, { x: 3, y: 0 }, 4);
+      const result = replay(grid, 4, path.commands, { terrainProperties });
+
+      expect(path.commands).toEqual(['E', 'F', 'F', 'F']);
+      expect(result.Battery).toBe(path.battery);
+      expect(path.battery).toBe(4);
+    });
+
+    it('should minimize the number of commands when asked to', () => {
+      const grid = [
+        ['Fe', 'Fe', 'Fe'],
+        ['Fe', 'Fe', 'Fe']
+      ];
+      const service = new PathfindingService(grid, { objective: 'commands' });
+
+      const path = service.findPath({ x: 0, y: 1, facing: 'North' }, { x: 0, y: 0 }, 50);
+
+      expect(path.commands).toEqual(['F']);
+    });
+
+    it('should reserve battery for sampling on arrival', () => {
+      const grid = [['Fe', 'Fe']];
+      const service = new PathfindingService(grid);
+
+      const path = service.findPath(start, { x: 1, y: 0 }, 5, { minBattery: 8 });
+
+      expect(path.success).toBe(true);
+      expect(path.battery).toBeGreaterThanOrEqual(8);
+    });
+
+    it('should predict the battery of the robot on generated terrains', () => {
+      let seed = 42;
+      const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+      };
+      const types = ['Fe', 'Se', 'W', 'Si', 'Zn', 'Obs'];
+      const terrainProperties = { W: { moveCost: 2 }, Zn: { solarCharging: false } };
+
+      for (let run = 0; run < 20; run++) {
+        const grid = [];
+        for (let y = 0; y < 5; y++) {
+          grid.push(Array.from({ length: 5 }, () => types[Math.floor(random() * types.length)]));
+        }
+        grid[0][0] = 'Fe';
+        const target = { x: 4, y: 4 };
+        grid[target.y][target.x] = 'Se';
+        const battery = Math.floor(random() * 20);
+
+        const service = new PathfindingService(grid, { terrainProperties });
+        const path = service.findPath(start, target, battery);
+        if (!path.success) continue;
+
+        const result = replay(grid, battery, path.commands, { terrainProperties, trace: true });
+
+        expect(result.FinalPosition.Location).toEqual({ X: target.x, Y: target.y });
+        expect(result.Battery).toBe(path.battery);
+        expect(result.Trace.every(step => step.Reason === 'command')).toBe(true);
+      }
+    });
+  });
+
+  describe('search structures', () => {
+    it('should map every pose to a distinct integer key and back', () => {
+      const service = new PathfindingService([['Fe', 'Fe', 'Fe'], ['Fe', 'Fe', 'Fe']]);
+      const keys = new Set();
+
+      for (let y = 0; y < 2; y++) {
+        for (let x = 0; x < 3; x++) {
+          for (const facing of ['North', 'East', 'South', 'West']) {
+            const key = service.getPositionKey({ x, y, facing });
+            keys.add(key);
+            expect(service.parsePositionKey(key)).toEqual({ x, y, facing });
+          }
+        }
+      }
+
+      expect([...keys].sort((a, b) => a - b)).toEqual([...Array(24).keys()]);
+    });
+
+    it('should repair the costs to the target for blocked cells', () => {
+      const { terrain: grid } = new TerrainGenerator({ seed: 3, width: 12, height: 10 }).generate();
+      const target = { x: 0, y: 0, facing: 'South' };
+      grid[0][0] = 'Fe';
+
+      for (const objective of ['energy', 'commands']) {
+        const service = new PathfindingService(grid, { objective, costModel: { commands: { L: 0, R: 0 } } });
+        const base = service.getCostsToTarget(target);
+        const blocked = service.withBlockedCells([{ x: 1, y: 0 }, { x: 5, y: 4 }, { x: 8, y: 7 }]);
+
+        expect(blocked.getCostsToTarget(target, base)).toEqual(blocked.getCostsToTarget(target));
+      }
+    });
+
+    it('should repair the costs to the target for cells that got more costly', () => {
+      const { terrain: grid } = new TerrainGenerator({ seed: 5, width: 12, height: 10 }).generate();
+      const target = { x: 0, y: 0 };
+      const terrainProperties = { W: { moveCost: 6 }, Si: { moveCost: 2 } };
+      const known = grid.map(row => row.map(() => '?'));
+      const changedCells = [{ x: 1, y: 0 }, { x: 0, y: 1 }, { x: 4, y: 3 }, { x: 6, y: 6 }, { x: 9, y: 8 }];
+      const discovered = known.map(row => [...row]);
+      changedCells.forEach(({ x, y }, index) => { discovered[y][x] = ['W', 'Si', 'Obs'][index % 3]; });
+
+      const base = new PathfindingService(known, { terrainProperties }).getCostsToTarget(target);
+      const service = new PathfindingService(discovered, { terrainProperties });
+
+      expect(service.getCostsToTarget(target, base, changedCells)).toEqual(service.getCostsToTarget(target));
+    });
+
+    it('should dequeue by priority, keeping insertion order for ties', () => {
+      const queue = new PathfindingService.PriorityQueue();
+      [['c', 3], ['a', 1], ['b1', 2], ['d', 5], ['b2', 2], ['e', 0]].forEach(([element, priority]) =>
+        queue.enqueue(element, priority));
+
+      const order = [];
+      while (!queue.isEmpty()) {
+        order.push(queue.dequeue());
+      }
+
+      expect(order).toEqual(['e', 'a', 'b1', 'b2', 'c', 'd']);
+    });
+
+    it('should break priority ties by tie-breaker before insertion order', () => {
+      const queue = new PathfindingService.PriorityQueue();
+      [['a', 1, 0], ['b', 1, -2], ['c', 0, 5], ['d', 1, -2]].forEach(([element, priority, tieBreaker]) =>
+        queue.enqueue(element, priority, tieBreaker));
+
+      const order = [];
+      while (!queue.isEmpty()) {
+        order.push(queue.dequeue());
+      }
+
+      expect(order).toEqual(['c', 'b', 'd', 'a']);
+    });
+
+    it('should find long paths on large terrains', () => {
+      const size = 60;
+      const grid = Array.from({ length: size }, (_, y) =>
+        Array.from({ length: size }, (_, x) => (x % 4 === 2 && y !== (x % 8 === 2 ? size - 1 : 0) ? 'Obs' : 'Fe')));
+      const service = new PathfindingService(grid);
+
+      const path = service.findPath(start, { x: size - 1, y: size - 1 }, 10000);
+      const result = new Robot(grid, 10000, { location: { x: 0, y: 0 }, facing: 'East' }).executeCommands(path.commands);
+
+      expect(path.success).toBe(true);
+      expect(result.FinalPosition.Location).toEqual({ X: size - 1, Y: size - 1 });
+      expect(result.Battery).toBe(path.battery);
+    });
+
+    it('should plan many recharges on large terrains within a small search budget', () => {
+      const { terrain: grid } = new TerrainGenerator({ seed: 7, width: 100, height: 100 }).generate();
+      const service = new PathfindingService(grid, { maxExpansions: 20000 });
+
+      const path = service.findPath(start, { x: 99, y: 99 }, 60);
+      const result = new Robot(grid, 60, { location: { x: 0, y: 0 }, facing: 'East' }).executeCommands(path.commands);
+
+      expect(path.success).toBe(true);
+      expect(path.commands.filter(command => command === 'E').length).toBeGreaterThan(50);
+      expect(result.FinalPosition.Location).toEqual({ X: 99, Y: 99 });
+      expect(result.Battery).toBe(path.battery);
+    });
+  });
+});
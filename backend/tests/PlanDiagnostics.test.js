@@ -0,0 +1,109 @@
+const PathfindingService = require('../src/services/PathfindingService');
+const PlanDiagnostics = require('../src/services/PlanDiagnostics');
+
+describe('PlanDiagnostics', () => {
+  const grid = [
+    ['Fe', 'Fe', 'Se'],
+    ['W', 'Si', 'Obs'],
+    ['Zn', 'Obs', 'Fe']
+  ];
+  const start = { x: 0, y: 0, facing: 'East' };
+  const noSolar = {
+    terrainProperties: {
+      Fe: { solarCharging: false },
+      Se: { solarCharging: false },
+      W: { solarCharging: false },
+      Si: { solarCharging: false },
+      Zn: { solarCharging: false }
+    }
+  };
+
+  describe('diagnosePath', () => {
+    it('should report a target that is an obstacle', () => {
+      const diagnostics = new PlanDiagnostics(new PathfindingService(grid));
+
+      expect(diagnostics.diagnosePath(start, { x: 2, y: 1 }, 50)).toEqual({
+        reason: 'obstacle',
+        message: 'Target (2, 1) is an obstacle or outside the terrain',
+        targetConnected: false,
+        availableBattery: 50,
+        requiredBattery: null
+      });
+    });
+
+    it('should report a target that is not connected to the start', () => {
+      const diagnostics = new PlanDiagnostics(new PathfindingService(grid));
+
+      expect(diagnostics.diagnosePath(start, { x: 2, y: 2 }, 50)).toMatchObject({
+        reason: 'disconnected',
+        message: 'Target (2, 2) is not connected to the start (0, 0)',
+        targetConnected: false
+      });
+    });
+
+    it('should report the battery that would have been enough', () => {
+      const pathfinder = new PathfindingService(grid, noSolar);
+      const diagnostics = new PlanDiagnostics(pathfinder);
+
+      expect(pathfinder.findPath(start, { x: 2, y: 0 }, 5).success).toBe(false);
+      expect(diagnostics.diagnosePath(start, { x: 2, y: 0 }, 5)).toEqual({
+        reason: 'insufficient_battery',
+        message: 'Reaching (2, 0) requires a battery of at least 6, but only 5 is available',
+        targetConnected: true,
+        availableBattery: 5,
+        requiredBattery: 6
+      });
+    });
+
+    it('should blame the search limit when the battery was enough', () => {
+      const pathfinder = new PathfindingService(grid, { maxExpansions: 1 });
+      const diagnostics = new PlanDiagnostics(pathfinder);
+
+      const diagnosis = diagnostics.diagnosePath(start, { x: 1, y: 1 }, 50);
+
+      expect(diagnosis.reason).toBe('search_limit');
+      expect(diagnosis.targetConnected).toBe(true);
+    });
+  });
+
+  describe('findMinimumBattery', () => {
+    it('should count on recharging on the way', () => {
+      const pathfinder = new PathfindingService([['Fe', 'Fe', 'Fe', 'Fe', 'Fe']]);
+      const diagnostics = new PlanDiagnostics(pathfinder);
+      const target = { x: 4, y: 0 };
+
+      const required = diagnostics.findMinimumBattery(start, target);
+
+      expect(required).toBeLessThan(12);
+      expect(pathfinder.findPath(start, target, required).success).toBe(true);
+      expect(pathfinder.findPath(start, target, required - 1).success).toBe(false);
+    });
+
+    it('should include the battery required on arrival', () => {
+      const diagnostics = new PlanDiagnostics(new PathfindingService(grid, noSolar));
+
+      expect(diagnostics.findMinimumBattery(start, { x: 2, y: 0 }, 4)).toBe(10);
+    });
+
+    it('should return null for a disconnected target', () => {
+      const diagnostics = new PlanDiagnostics(new PathfindingService(grid));
+
+      expect(diagnostics.findMinimumBattery(start, { x: 2, y: 2 })).toBeNull();
+    });
+  });
+
+  describe('findUnreachableTypes', () => {
+    it('should list the terrain types with no cell connected to the start', () => {
+      const diagnostics = new PlanDiagnostics(new PathfindingService(grid));
+
+      expect(diagnostics.findUnreachableTypes(start)).toEqual([]);
+      expect(diagnostics.findUnreachableTypes({ x: 2, y: 2, facing: 'North' })).toEqual(['Se', 'W', 'Si', 'Zn']);
+    });
+
+    it('should treat avoided cells as unreachable', () => {
+      const diagnostics = new PlanDiagnostics(new PathfindingService(grid, { blockedCells: [{ x: 0, y: 1 }] }));
+
+      expect(diagnostics.findUnreachableTypes(start)).toEqual(['W', 'Zn']);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const planVerifier = require('../src/services/PlanVerifier');
+const PathfindingService = require('../src/services/PathfindingService');
+
+describe('PlanVerifier', () => {
+  const start = { x: 0, y: 0, facing: 'East' };
+
+  const createRandom = seed => () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  const generateTerrain = (random, rows, cols) => {
+    const types = ['Fe', 'Se', 'W', 'Si', 'Zn', 'Obs'];
+    const terrain = Array.from({ length: rows }, () =>
+      Array.from({ length: cols }, () => types[Math.floor(random() * types.length)]));
+    terrain[0][0] = 'Fe';
+    return terrain;
+  };
+
+  describe('generated plans', () => {
+    const costModel = { commands: { F: 4 }, solarYield: 7 };
+    const terrainProperties = { W: { moveCost: 2, solarCharging: false }, Si: { sampleCost: 3 } };
+
+    it('should reproduce every path plan on generated terrains', () => {
+      const random = createRandom(11);
+
+      for (let run = 0; run < 25; run++) {
+        const terrain = generateTerrain(random, 5, 6);
+        const target = { x: Math.floor(random() * 6), y: Math.floor(random() * 5) };
+        terrain[target.y][target.x] = 'Se';
+        const input = { terrain, start, battery: Math.floor(random() * 30), costModel, terrainProperties };
+
+        const plan = new PathfindingService(terrain, { costModel, terrainProperties })
+          .findPath(start, target, input.battery);
+        const verification = planVerifier.verify(input, plan);
+
+        expect(verification.divergences).toEqual([]);
+      }
+    });
+
+    it('should reproduce every mission plan on generated terrains', () => {
+      const random = createRandom(23);
+
+      for (let run = 0; run < 10; run++) {
+        const terrain = generateTerrain(random, 4, 5);
+        const input = { terrain, start, battery: 10 + Math.floor(random() * 60), costModel, terrainProperties };
+        const constraints = { minBattery: Math.floor(random() * 5), returnToBase: random() < 0.5 };
+
+        const plan = new PathfindingService(terrain, { costModel, terrainProperties })
+          .generateMissionPlan(start, input.battery, { constraints });
+        const verification = planVerifier.verify(input, plan);
+
+        expect(verification.divergences).toEqual([]);
+        expect(verification.simulated.samples).toEqual(plan.samples.map(sample => sample.type));
+      }
+    });
+  });
+
+  describe('divergences', () => {
+    const terrain = [['Fe', 'Fe', 'Obs'], ['Fe', 'Se', 'Fe']];
+
+    it('should flag a wrong battery prediction', () => {
+      const verification = planVerifier.verify({ terrain, start, battery: 20 }, { commands: ['F'], battery: 18 });
+
+      expect(verification.verified).toBe(false);
+      expect(verification.divergences).toEqual([{
+        kind: 'battery',
+        predicted: 18,
+        simulated: 17,
+        message: 'Predicted battery 18 but the simulation ended with 17'
+      }]);
+    });
+
+    it('should flag commands that hit an obstacle', () => {
+      const verification = planVerifier.verify({ terrain, start, battery: 50 }, { commands: ['F', 'F'], battery: 44 });
+
+      expect(verification.divergences.map(divergence => divergence.kind))
+        .toEqual(['backoff', 'battery', 'position', 'facing']);
+      expect(verification.divergences[0].message).toBe('Command 2 (F) hit an obstacle and triggered backoff strategy 0');
+    });
+
+    it('should flag automatic recharges', () => {
+      const verification = planVerifier.verify({ terrain, start, battery: 5 }, { commands: ['F', 'F'], battery: -1 });
+
+      expect(verification.divergences[0]).toEqual({
+        kind: 'auto-recharge',
+        step: 2,
+        command: 'F',
+        message: 'Command 2 (F) needed more battery than was left, so the robot recharged instead'
+      });
+    });
+
+    it('should flag a simulation that stops early', () => {
+      const verification = planVerifier.verify({ terrain, start, battery: 0 }, { commands: ['S', 'F'], battery: 0 });
+
+      expect(verification.divergences).toEqual([
+        { kind: 'stopped', step: 1, command: 'S', message: 'Command 1 (S) failed and the simulation stopped' },
+        {
+          kind: 'position',
+          predicted: { x: 1, y: 0 },
+          simulated: { x: 0, y: 0 },
+          message: 'Predicted to end at (1, 0) but the simulation ended at (0, 0)'
+        },
+        {
+          kind: 'samples',
+          predicted: ['Fe'],
+          simulated: [],
+          message: 'Predicted samples [Fe] but the simulation collected []'
+        }
+      ]);
+    });
+  });
+});
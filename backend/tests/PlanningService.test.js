@@ -0,0 +1,217 @@
+const planningService = require('../src/services/PlanningService');
+
+describe('PlanningService', () => {
+  const terrain = [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']];
+  const start = { x: 0, y: 0, facing: 'East' };
+
+  describe('findPath', () => {
+    it('should return the planned commands and remaining battery', () => {
+      const result = planningService.findPath({ terrain, start, target: { x: 2, y: 0 }, battery: 50 });
+
+      expect(result).toMatchObject({ commands: ['F', 'F'], battery: 44, success: true });
+    });
+
+    it('should break a path down into a single leg', () => {
+      const result = planningService.findPath({ terrain, start, target: { x: 2, y: 0 }, battery: 50 });
+
+      expect(result.legs).toEqual([{ goal: 'target', target: { x: 2, y: 0 }, commands: ['F', 'F'], energy: 6 }]);
+      expect(result.diagnostics).toBeUndefined();
+    });
+
+    it('should explain why no path was found', () => {
+      const result = planningService.findPath({ terrain, start, target: { x: 2, y: 0 }, battery: 0 });
+
+      expect(result.success).toBe(false);
+      expect(result.legs).toEqual([]);
+      expect(result.diagnostics).toMatchObject({ reason: 'insufficient_battery', targetConnected: true });
+      expect(result.diagnostics.requiredBattery).toBe(1);
+    });
+
+    it('should verify the plan against the robot simulator', () => {
+      const result = planningService.findPath({ terrain, start, target: { x: 2, y: 0 }, battery: 50 });
+
+      expect(result.verification).toEqual({
+        verified: true,
+        predicted: { battery: 44, position: { x: 2, y: 0 }, facing: 'East', samples: [] },
+        simulated: { battery: 44, position: { x: 2, y: 0 }, facing: 'East', samples: [] },
+        divergences: []
+      });
+    });
+
+    it('should include the simulation output when requested', () => {
+      const result = planningService.findPath(
+        { terrain, start, target: { x: 1, y: 1 }, battery: 50 },
+        { simulate: true }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.simulation.FinalPosition.Location).toEqual({ X: 1, Y: 1 });
+      expect(result.simulation.Battery).toBe(result.battery);
+    });
+
+    it('should collect every validation problem', () => {
+      expect.assertions(1);
+      try {
+        planningService.findPath({ terrain, start: { x: 0, y: 0, facing: 'Up' }, target: { x: 2, y: 1 }, battery: -1 });
+      } catch (error) {
+        expect(error.errors).toEqual([
+          { path: 'battery', code: 'invalid_value', message: 'Battery must be a non-negative number' },
+          {
+            path: 'start.facing',
+            code: 'invalid_value',
+            message: 'Start position must have a valid facing direction (North, South, East, West)'
+          },
+          { path: 'target', code: 'obstacle', message: 'Target position cannot be an obstacle' }
+        ]);
+      }
+    });
+
+    it('should reject an invalid target facing', () => {
+      expect(() => planningService.findPath({ terrain, start, target: { x: 2, y: 0, facing: 'Up' }, battery: 50 }))
+        .toThrow('Target position facing must be a valid direction (North, South, East, West)');
+    });
+
+    it('should reject an unknown objective', () => {
+      expect(() => planningService.findPath({ terrain, start, target: { x: 2, y: 0 }, battery: 50, objective: 'speed' }))
+        .toThrow('Objective must be one of: energy, commands');
+    });
+
+    it('should require a target', () => {
+      expect(() => planningService.findPath({ terrain, start, battery: 50 })).toThrow('Target position is required');
+    });
+  });
+
+  describe('findAlternativePaths', () => {
+    it('should return verified routes, best first', () => {
+      const result = planningService.findAlternativePaths({ terrain, start, target: { x: 1, y: 1 }, battery: 100, count: 2 });
+
+      expect(result.routes[0].rank).toBe(1);
+      expect(result.routes.every(route => route.verification.verified)).toBe(true);
+    });
+
+    it('should reject an invalid count and minimum difference', () => {
+      expect.assertions(1);
+      try {
+        planningService.findAlternativePaths({ terrain, start, target: { x: 1, y: 1 }, battery: 100, count: 0, minDifference: 2 });
+      } catch (error) {
+        expect(error.errors.map(item => item.path)).toEqual(['count', 'minDifference']);
+      }
+    });
+  });
+
+  describe('planMission', () => {
+    it('should plan a mission and simulate it when requested', () => {
+      const result = planningService.planMission({ terrain, start, battery: 100 }, { simulate: true });
+
+      expect(result.commands.filter(command => command === 'S').length)
+        .toBe(result.simulation.SamplesCollected.length);
+    });
+
+    it('should bound the terrain size and the number of waypoints and forbidden zones', () => {
+      const largeTerrain = Array.from({ length: 101 }, () => Array(100).fill('Fe'));
+      const waypoints = Array.from({ length: 33 }, () => ({ x: 1, y: 0 }));
+      const forbidden = Array.from({ length: 65 }, () => ({ x: 1, y: 0, width: 100, height: 100 }));
+
+      expect(() => planningService.planMission({ terrain: largeTerrain, start, battery: 100 }))
+        .toThrow('Terrain must have at most 10000 cells for planning');
+      expect(() => planningService.planMission({ terrain, start, battery: 100, constraints: { waypoints } }))
+        .toThrow('At most 32 waypoints are allowed');
+      expect(() => planningService.planMission({ terrain, start, battery: 100, constraints: { forbidden } }))
+        .toThrow('At most 64 forbidden zones are allowed');
+    });
+
+    it('should reject an unknown strategy', () => {
+      expect(() => planningService.planMission({ terrain, start, battery: 100, strategy: 'random' }))
+        .toThrow('Strategy must be one of: auto, exact, heuristic');
+    });
+
+    it('should pass the constraints to the planner', () => {
+      const result = planningService.planMission({
+        terrain,
+        start,
+        battery: 100,
+        constraints: { samples: [{ type: 'Si' }], returnToBase: true }
+      }, { simulate: true });
+
+      expect(result.success).toBe(true);
+      expect(result.simulation.SamplesCollected).toEqual(['Si']);
+      expect(result.simulation.FinalPosition.Location).toEqual({ X: 0, Y: 0 });
+      expect(result.verification.verified).toBe(true);
+    });
+
+    it('should collect every constraint problem', () => {
+      expect.assertions(1);
+      try {
+        planningService.planMission({
+          terrain,
+          start,
+          battery: 100,
+          constraints: {
+            samples: [{ type: 'Fe', count: 0 }, { type: 'Fe' }],
+            waypoints: [{ x: 2, y: 1 }],
+            forbidden: [{ x: 1, y: 'a', width: 0 }],
+            minBattery: -1,
+            returnToBase: 'yes'
+          }
+        });
+      } catch (error) {
+        expect(error.errors.map(entry => entry.path)).toEqual([
+          'constraints.samples[0].count',
+          'constraints.samples[1].type',
+          'constraints.waypoints[0]',
+          'constraints.forbidden[0].y',
+          'constraints.forbidden[0].width',
+          'constraints.minBattery',
+          'constraints.returnToBase'
+        ]);
+      }
+    });
+
+    it('should keep track of the facing between legs', () => {
+      const result = planningService.planMission({ terrain, start, battery: 100 }, { simulate: true });
+
+      expect(result.success).toBe(true);
+      expect(result.simulation.SamplesCollected.sort()).toEqual(['Fe', 'Se', 'Si', 'W']);
+      expect(result.simulation.Battery).toBe(result.battery);
+    });
+  });
+
+  describe('planCoverage', () => {
+    it('should visit every reachable cell and verify the plan', () => {
+      const result = planningService.planCoverage({ terrain, start, battery: 100 }, { simulate: true });
+
+      expect(result.success).toBe(true);
+      expect(result.simulation.VisitedCells).toHaveLength(5);
+      expect(result.verification.verified).toBe(true);
+    });
+  });
+
+  describe('analyzeReachability', () => {
+    it('should return the reachability grid', () => {
+      const result = planningService.analyzeReachability({ terrain, start, battery: 100 });
+
+      expect(result.canRecharge).toBe(true);
+      expect(result.cells[start.y][start.x]).toEqual({ energy: 0, reachable: true, requiresRecharge: false });
+    });
+
+    it('should validate the input', () => {
+      expect(() => planningService.analyzeReachability({ terrain, start: { x: 0, y: 0 }, battery: 100 }))
+        .toThrow('Start position must have a valid facing direction (North, South, East, West)');
+    });
+  });
+
+  describe('navigate', () => {
+    it('should reach the target with partial knowledge of the terrain', () => {
+      const result = planningService.navigate({ terrain, start, target: { x: 1, y: 1 }, battery: 100, sensorRadius: 1 });
+
+      expect(result.ReachedTarget).toBe(true);
+      expect(result.DiscoveredMap).toHaveLength(terrain.length);
+      expect(result.Replans).toBe(0);
+    });
+
+    it('should require a sensor radius', () => {
+      expect(() => planningService.navigate({ terrain, start, target: { x: 1, y: 1 }, battery: 100 }))
+        .toThrow('Sensor radius must be a non-negative integer');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const PathfindingService = require('../src/services/PathfindingService');
+const ReachabilityAnalyzer = require('../src/services/ReachabilityAnalyzer');
+
+describe('ReachabilityAnalyzer', () => {
+  const start = { x: 0, y: 0, facing: 'East' };
+  const grid = [
+    ['Fe', 'Fe', 'Se'],
+    ['W', 'Si', 'Obs'],
+    ['Obs', 'Obs', 'Zn']
+  ];
+  const noSolar = {
+    terrainProperties: {
+      Fe: { solarCharging: false },
+      Se: { solarCharging: false },
+      W: { solarCharging: false },
+      Si: { solarCharging: false },
+      Zn: { solarCharging: false }
+    }
+  };
+
+  it('should compute the minimum energy to reach each cell', () => {
+    const analyzer = new ReachabilityAnalyzer(new PathfindingService(grid, noSolar));
+
+    const result = analyzer.analyze(start, 5);
+
+    expect(result).toEqual({
+      battery: 5,
+      canRecharge: false,
+      maxEnergy: 8,
+      reachableCount: 3,
+      cells: [
+        [
+          { energy: 0, reachable: true, requiresRecharge: false },
+          { energy: 3, reachable: true, requiresRecharge: false },
+          { energy: 6, reachable: false, requiresRecharge: false }
+        ],
+        [
+          { energy: 5, reachable: true, requiresRecharge: false },
+          { energy: 8, reachable: false, requiresRecharge: false },
+          null
+        ],
+        [null, null, { energy: null, reachable: false, requiresRecharge: false }]
+      ]
+    });
+  });
+
+  it('should reach every connected cell when the robot can recharge on the way', () => {
+    const analyzer = new ReachabilityAnalyzer(new PathfindingService(grid));
+
+    const result = analyzer.analyze(start, 5);
+
+    expect(result.canRecharge).toBe(true);
+    expect(result.reachableCount).toBe(5);
+    expect(result.cells[0][2]).toEqual({ energy: 6, reachable: true, requiresRecharge: true });
+    expect(result.cells[1][0]).toEqual({ energy: 5, reachable: true, requiresRecharge: false });
+    expect(result.cells[2][2].reachable).toBe(false);
+  });
+
+  it('should not count on recharging without the battery to extend the panels', () => {
+    const analyzer = new ReachabilityAnalyzer(new PathfindingService(grid));
+
+    const result = analyzer.analyze(start, 0);
+
+    expect(result.canRecharge).toBe(false);
+    expect(result.reachableCount).toBe(1);
+    expect(result.cells[0][1]).toEqual({ energy: 3, reachable: false, requiresRecharge: false });
+  });
+
+  it('should only count on recharging on sunny cells the battery can reach', () => {
+    const options = { terrainProperties: { ...noSolar.terrainProperties, Se: { solarCharging: true } } };
+    const pathfinder = new PathfindingService(grid, options);
+
+    expect(new ReachabilityAnalyzer(pathfinder).analyze(start, 6).canRecharge).toBe(false);
+    expect(new ReachabilityAnalyzer(pathfinder).analyze(start, 7).canRecharge).toBe(true);
+  });
+
+  it('should be available from the pathfinder', () => {
+    const pathfinder = new PathfindingService(grid, noSolar);
+
+    expect(pathfinder.analyzeReachability(start, 5)).toEqual(new ReachabilityAnalyzer(pathfinder).analyze(start, 5));
+  });
+});
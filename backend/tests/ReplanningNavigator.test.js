@@ -0,0 +1,119 @@
+const ReplanningNavigator = require('../src/services/ReplanningNavigator');
+const PathfindingService = require('../src/services/PathfindingService');
+const TerrainGenerator = require('../src/models/TerrainGenerator');
+
+describe('ReplanningNavigator', () => {
+  // A wall with a hidden gap at the top: the direct route east is blocked at (3, 2)
+  const terrain = [
+    ['Fe', 'Fe', 'Fe', 'Fe', 'Fe'],
+    ['Fe', 'Obs', 'Obs', 'Obs', 'Fe'],
+    ['Fe', 'Fe', 'Fe', 'Obs', 'Fe'],
+    ['Fe', 'Obs', 'Fe', 'Fe', 'Fe']
+  ];
+  const start = { x: 0, y: 2, facing: 'East' };
+  const target = { x: 4, y: 2 };
+
+  it('should replan around obstacles discovered on the way', () => {
+    const navigator = new ReplanningNavigator(terrain, { sensorRadius: 1 });
+
+    const result = navigator.navigate(start, target, 100);
+
+    expect(result.ReachedTarget).toBe(true);
+    expect(result.Replans).toBe(1);
+    expect(result.FinalPosition.Location).toEqual({ X: 4, Y: 2 });
+    expect(result.DiscoveredMap[2][3]).toBe('Obs');
+    expect(result.DiscoveredMap[0][3]).toBeNull();
+  });
+
+  it('should not replan when the whole terrain is in sensor range', () => {
+    const navigator = new ReplanningNavigator(terrain, { sensorRadius: 10 });
+
+    const result = navigator.navigate(start, target, 100);
+    const plan = new PathfindingService(terrain).findPath(start, target, 100);
+
+    expect(result.Replans).toBe(0);
+    expect(result.Commands).toEqual(plan.commands);
+    expect(result.Battery).toBe(plan.battery);
+  });
+
+  it('should replan after running into an obstacle it could not sense', () => {
+    const navigator = new ReplanningNavigator(terrain, { sensorRadius: 0 });
+
+    const result = navigator.navigate(start, target, 100);
+
+    expect(result.ReachedTarget).toBe(true);
+    expect(result.Replans).toBeGreaterThan(0);
+    expect(result.DiscoveredMap[2][3]).toBe('Obs');
+  });
+
+  it('should not replan for discoveries that match what it assumed', () => {
+    const grid = [
+      ['Fe', 'Fe', 'Fe', 'Fe'],
+      ['Fe', 'Fe', 'Obs', 'Fe']
+    ];
+    const navigator = new ReplanningNavigator(grid, { sensorRadius: 1 });
+
+    const result = navigator.navigate({ x: 0, y: 0, facing: 'East' }, { x: 3, y: 0 }, 100);
+
+    expect(result.Commands).toEqual(['F', 'F', 'F']);
+    expect(result.Replans).toBe(0);
+  });
+
+  it('should replan when a discovered cell costs more than assumed', () => {
+    const grid = [
+      ['Fe', 'Fe', 'W', 'Fe'],
+      ['Fe', 'Fe', 'Fe', 'Fe']
+    ];
+    const navigator = new ReplanningNavigator(grid, {
+      sensorRadius: 1,
+      terrainProperties: { W: { moveCost: 20 } }
+    });
+
+    const result = navigator.navigate({ x: 0, y: 0, facing: 'East' }, { x: 3, y: 0 }, 100);
+
+    expect(result.Replans).toBe(1);
+    expect(result.ReachedTarget).toBe(true);
+    expect(result.VisitedCells).not.toContainEqual({ X: 2, Y: 0 });
+  });
+
+  it('should share one expansion budget between its plans and repair the costs of the last plan', () => {
+    const findPath = jest.spyOn(PathfindingService.prototype, 'findPath');
+    const getCostsToTarget = jest.spyOn(PathfindingService.prototype, 'getCostsToTarget');
+
+    try {
+      const result = new ReplanningNavigator(terrain, { sensorRadius: 1, maxExpansions: 500 }).navigate(start, target, 100);
+      const searches = findPath.mock.calls.map(([, , , options]) => options);
+
+      expect(result.ReachedTarget).toBe(true);
+      expect(new Set(searches.map(({ budget }) => budget)).size).toBe(1);
+      expect(searches[0].budget.expansions).toBeLessThan(500);
+      expect(getCostsToTarget.mock.calls[1][1]).toBe(searches[0].costs);
+    } finally {
+      findPath.mockRestore();
+      getCostsToTarget.mockRestore();
+    }
+  });
+
+  it('should navigate large terrains needing recharges within the search budget', () => {
+    const { terrain: grid } = new TerrainGenerator({ seed: 7, width: 100, height: 100 }).generate();
+    const navigator = new ReplanningNavigator(grid, { sensorRadius: 2, maxExpansions: 20000 });
+
+    const result = navigator.navigate({ x: 0, y: 0, facing: 'East' }, { x: 99, y: 99 }, 60);
+
+    expect(result.ReachedTarget).toBe(true);
+    expect(result.Commands).toContain('E');
+  });
+
+  it('should give up when the target turns out to be walled in', () => {
+    const grid = [
+      ['Fe', 'Fe', 'Obs', 'Fe']
+    ];
+    const navigator = new ReplanningNavigator(grid, { sensorRadius: 1 });
+
+    const result = navigator.navigate({ x: 0, y: 0, facing: 'East' }, { x: 3, y: 0 }, 100);
+
+    expect(result.ReachedTarget).toBe(false);
+    expect(result.Replans).toBe(1);
+    expect(result.FinalPosition.Location).toEqual({ X: 1, Y: 0 });
+  });
+});
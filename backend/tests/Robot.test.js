@@ -292,4 +292,274 @@ describe('Robot', () => {
       expect(robot.battery).toBe(14); // 5 - 1 + 10 = 14
     });
   });
+
+  describe('execution trace', () => {
+    it('should not include a trace unless enabled', () => {
+      const robot = new Robot([['Fe', 'Fe']], 50, {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      });
+      const result = robot.executeCommands(['F']);
+
+      expect(result).not.toHaveProperty('Trace');
+    });
+
+    it('should record each executed command with state before and after', () => {
+      const terrain = [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']];
+      const robot = new Robot(terrain, 50, {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }, { trace: true });
+      const result = robot.executeCommands(['F', 'S']);
+
+      expect(result.Trace).toEqual([
+        {
+          Step: 1,
+          Command: 'F',
+          Reason: 'command',
+          BatteryBefore: 50,
+          BatteryAfter: 47,
+          Position: { X: 1, Y: 0 },
+          Facing: 'East',
+          Success: true
+        },
+        {
+          Step: 2,
+          Command: 'S',
+          Reason: 'command',
+          BatteryBefore: 47,
+          BatteryAfter: 39,
+          Position: { X: 1, Y: 0 },
+          Facing: 'East',
+          Success: true
+        }
+      ]);
+    });
+
+    it('should tag commands injected by a backoff strategy', () => {
+      const terrain = [
+        ['Fe', 'Obs', 'Se'],
+        ['W', 'Si', 'Obs']
+      ];
+      const robot = new Robot(terrain, 50, {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }, { trace: true });
+      const result = robot.executeCommands(['F']);
+
+      expect(result.Trace.map(step => [step.Command, step.Reason])).toEqual([
+        ['F', 'command'],
+        ['E', 'backoff'],
+        ['R', 'backoff'],
+        ['F', 'backoff']
+      ]);
+      expect(result.Trace[0]).toMatchObject({
+        Obstacle: true,
+        BackoffStrategy: 0,
+        BatteryBefore: 50,
+        BatteryAfter: 50,
+        Position: { X: 0, Y: 0 },
+        Success: true
+      });
+      expect(result.Trace[3]).toMatchObject({
+        BatteryAfter: 54,
+        Position: { X: 0, Y: 1 },
+        Facing: 'South'
+      });
+    });
+
+    it('should tag the automatic recharge on low battery', () => {
+      const robot = new Robot([['Fe', 'Fe']], 4, {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }, { trace: true });
+      const result = robot.executeCommands(['S']);
+
+      expect(result.Trace).toHaveLength(1);
+      expect(result.Trace[0]).toMatchObject({
+        Command: 'E',
+        Reason: 'low-battery',
+        BatteryBefore: 4,
+        BatteryAfter: 13
+      });
+    });
+
+    it('should record the command where execution stopped', () => {
+      const robot = new Robot([['Fe', 'Fe']], 0, {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }, { trace: true });
+      const result = robot.executeCommands(['F', 'S']);
+
+      expect(result.Trace).toEqual([
+        {
+          Step: 1,
+          Command: 'F',
+          Reason: 'command',
+          BatteryBefore: 0,
+          BatteryAfter: 0,
+          Position: { X: 0, Y: 0 },
+          Facing: 'East',
+          Success: false
+        }
+      ]);
+    });
+  });
+
+  describe('cost model', () => {
+    it('should use custom command costs and solar yield', () => {
+      const terrain = [['Fe', 'Fe', 'Se']];
+      const robot = new Robot(terrain, 50, {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }, { costModel: { commands: { F: 5, S: 10, E: 2 }, solarYield: 20 } });
+
+      const result = robot.executeCommands(['F', 'S', 'L', 'E']);
+
+      // 50 - 5 - 10 - 2 (default L) - 2 + 20 = 51
+      expect(result.Battery).toBe(51);
+    });
+
+    it('should recharge automatically based on the custom costs', () => {
+      const robot = new Robot([['Fe', 'Fe']], 5, {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }, { costModel: { commands: { F: 6, E: 3 }, solarYield: 4 } });
+
+      robot.executeCommand('F');
+
+      expect(robot.battery).toBe(6);
+      expect(robot.position.x).toBe(0);
+    });
+  });
+
+  describe('terrain properties', () => {
+    it('should charge extra battery to enter and sample costly terrain', () => {
+      const terrain = [['Fe', 'W', 'Si']];
+      const robot = new Robot(terrain, 50, {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }, { terrainProperties: { W: { moveCost: 4 }, Si: { sampleCost: 5 } } });
+
+      const result = robot.executeCommands(['F', 'F', 'S']);
+
+      // F onto W: 3 + 4, F onto Si: 3, S on Si: 8 + 5
+      expect(result.Battery).toBe(27);
+      expect(result.SamplesCollected).toEqual(['Si']);
+    });
+
+    it('should not recharge on terrain that blocks solar charging', () => {
+      const robot = new Robot([['Fe']], 10, {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }, { terrainProperties: { Fe: { solarCharging: false } } });
+
+      robot.executeCommand('E');
+
+      expect(robot.battery).toBe(9);
+    });
+
+    it('should treat impassable terrain as an obstacle', () => {
+      const terrain = [['Fe', 'W'], ['Fe', 'Fe']];
+      const robot = new Robot(terrain, 50, {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }, { terrainProperties: { W: { passable: false } } });
+
+      const result = robot.executeCommands(['F']);
+
+      expect(result.FinalPosition.Location).toEqual({ X: 0, Y: 1 });
+    });
+  });
+
+  describe('backoff strategies', () => {
+    const terrain = [
+      ['Fe', 'Obs', 'Se'],
+      ['W', 'Si', 'Obs']
+    ];
+    const initialPosition = {
+      location: { x: 0, y: 0 },
+      facing: 'East'
+    };
+
+    it('should use the spec-default strategies when none are given', () => {
+      const robot = new Robot(terrain, 50, initialPosition);
+
+      expect(robot.backoffStrategies).toHaveLength(7);
+      expect(robot.backoffStrategies[0]).toEqual(['E', 'R', 'F']);
+    });
+
+    it('should use a custom ordered list of strategies', () => {
+      const robot = new Robot(terrain, 50, initialPosition, {
+        backoffStrategies: [['L', 'F'], ['R', 'F']]
+      });
+
+      const result = robot.executeCommands(['F']);
+
+      // L faces North (out of bounds), its F triggers the next strategy: R faces East again, F hits Obs
+      expect(robot.backoffAttempts.map(attempt => attempt.Strategy)).toEqual([0, 1]);
+      expect(robot.backoffAttempts.every(attempt => !attempt.Success)).toBe(true);
+      expect(result.FinalPosition.Location).toEqual({ X: 0, Y: 0 });
+    });
+
+    it('should stop at the first obstacle with the none preset', () => {
+      const robot = new Robot(terrain, 50, initialPosition, { backoffStrategies: 'none' });
+
+      const result = robot.executeCommands(['F', 'R', 'F']);
+
+      expect(robot.backoffAttempts).toEqual([]);
+      expect(result.Battery).toBe(50);
+      expect(result.FinalPosition.Location).toEqual({ X: 0, Y: 0 });
+    });
+
+    it('should throw on an unknown preset', () => {
+      expect(() => new Robot(terrain, 50, initialPosition, { backoffStrategies: 'reckless' }))
+        .toThrow('Unknown backoff strategy preset: reckless');
+    });
+  });
+
+  describe('sensor radius', () => {
+    const terrain = [
+      ['Fe', 'Fe', 'Fe', 'Fe'],
+      ['W', 'Si', 'Obs', 'Zn']
+    ];
+    const initialPosition = {
+      location: { x: 0, y: 0 },
+      facing: 'East'
+    };
+
+    it('should only know the cells within the sensor radius', () => {
+      const robot = new Robot(terrain, 50, initialPosition, { sensorRadius: 1 });
+
+      expect(robot.getResult().DiscoveredMap).toEqual([
+        ['Fe', 'Fe', null, null],
+        ['W', null, null, null]
+      ]);
+    });
+
+    it('should discover cells as it moves', () => {
+      const robot = new Robot(terrain, 50, initialPosition, { sensorRadius: 1 });
+
+      const result = robot.executeCommands(['F', 'F']);
+
+      expect(result.DiscoveredMap).toEqual([
+        ['Fe', 'Fe', 'Fe', 'Fe'],
+        ['W', 'Si', 'Obs', null]
+      ]);
+    });
+
+    it('should discover an obstacle it runs into', () => {
+      const robot = new Robot([['Fe', 'Obs']], 50, initialPosition, { sensorRadius: 0, backoffStrategies: 'none' });
+
+      const result = robot.executeCommands(['F']);
+
+      expect(result.DiscoveredMap).toEqual([['Fe', 'Obs']]);
+    });
+
+    it('should not report a discovered map without a sensor radius', () => {
+      const robot = new Robot(terrain, 50, initialPosition);
+
+      expect(robot.executeCommands(['F']).DiscoveredMap).toBeUndefined();
+    });
+  });
 });
\ No newline at end of file
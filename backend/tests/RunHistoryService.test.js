@@ -0,0 +1,119 @@
+const runHistoryService = require('../src/services/RunHistoryService');
+const MemoryRunStore = require('../src/stores/MemoryRunStore');
+const ValidationError = require('../src/errors/ValidationError');
+const NotFoundError = require('../src/errors/NotFoundError');
+
+describe('RunHistoryService', () => {
+  const input = {
+    terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+    battery: 50,
+    commands: ['F', 'S'],
+    initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }
+  };
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryRunStore();
+    runHistoryService.setStore(store);
+  });
+
+  const storeRun = (id, timestamp, outcome = 'success') => store.save({
+    id, timestamp, duration: 1, outcome, options: { trace: false }, input, result: null, error: null, errors: null,
+    rerunOf: null
+  });
+
+  it('should store successful runs with their result', () => {
+    const run = runHistoryService.record(input);
+
+    expect(run).toMatchObject({ outcome: 'success', input, error: null, errors: null, rerunOf: null });
+    expect(run.result.Battery).toBe(39);
+    expect(run.duration).toBeGreaterThanOrEqual(0);
+    expect(new Date(run.timestamp).toISOString()).toBe(run.timestamp);
+    expect(store.get(run.id)).toBe(run);
+  });
+
+  it('should store rejected runs with their validation errors', () => {
+    const run = runHistoryService.record({ ...input, battery: -1 });
+
+    expect(run.outcome).toBe('error');
+    expect(run.result).toBeNull();
+    expect(run.errors).toEqual([expect.objectContaining({ path: 'battery', code: 'invalid_value' })]);
+  });
+
+  it('should list runs newest first, a page at a time', () => {
+    storeRun('a', '2026-03-01T10:00:00.000Z');
+    storeRun('b', '2026-03-02T10:00:00.000Z');
+    storeRun('c', '2026-03-03T10:00:00.000Z');
+
+    const result = runHistoryService.listRuns({ page: '2', pageSize: '2' });
+
+    expect(result).toEqual({
+      runs: [{ id: 'a', timestamp: '2026-03-01T10:00:00.000Z', duration: 1, outcome: 'success', rerunOf: null }],
+      page: 2,
+      pageSize: 2,
+      total: 3
+    });
+  });
+
+  it('should filter runs by date and outcome', () => {
+    storeRun('a', '2026-03-01T10:00:00.000Z');
+    storeRun('b', '2026-03-02T10:00:00.000Z', 'error');
+    storeRun('c', '2026-03-02T18:00:00.000Z');
+    storeRun('d', '2026-03-03T10:00:00.000Z');
+
+    const ids = query => runHistoryService.listRuns(query).runs.map(run => run.id);
+
+    expect(ids({ from: '2026-03-02', to: '2026-03-02' })).toEqual(['c', 'b']);
+    expect(ids({ from: '2026-03-02T12:00:00Z' })).toEqual(['d', 'c']);
+    expect(ids({ outcome: 'error' })).toEqual(['b']);
+  });
+
+  it('should report every invalid query value', () => {
+    expect.assertions(2);
+    try {
+      runHistoryService.listRuns({ page: '0', pageSize: '500', from: 'yesterday', outcome: 'failed' });
+    } catch (error) {
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors.map(({ path }) => path)).toEqual(['page', 'pageSize', 'from', 'outcome']);
+    }
+  });
+
+  it('should get and delete runs by id', () => {
+    const run = runHistoryService.record(input);
+
+    expect(runHistoryService.getRun(run.id)).toBe(run);
+    runHistoryService.deleteRun(run.id);
+
+    expect(() => runHistoryService.getRun(run.id)).toThrow(NotFoundError);
+    expect(() => runHistoryService.deleteRun(run.id)).toThrow(NotFoundError);
+  });
+
+  it('should only show a run to the key that ran it', () => {
+    const own = runHistoryService.record(input, { owner: '1a2b3c4d' });
+    const other = runHistoryService.record(input, { owner: 'ffffffff' });
+    runHistoryService.record(input);
+
+    expect(runHistoryService.listRuns({}, '1a2b3c4d').runs.map(run => run.id)).toEqual([own.id]);
+    expect(runHistoryService.listRuns({}).total).toBe(1);
+    expect(() => runHistoryService.getRun(other.id, '1a2b3c4d')).toThrow(NotFoundError);
+    expect(() => runHistoryService.getRun(own.id)).toThrow(NotFoundError);
+    expect(() => runHistoryService.deleteRun(other.id, '1a2b3c4d')).toThrow(NotFoundError);
+    expect(() => runHistoryService.rerun(other.id, '1a2b3c4d')).toThrow(NotFoundError);
+    expect(runHistoryService.rerun(own.id, '1a2b3c4d').owner).toBe('1a2b3c4d');
+    expect(runHistoryService.getRun(other.id, 'ffffffff')).toBe(other);
+  });
+
+  it('should rerun a stored run and tell whether the result changed', () => {
+    const original = runHistoryService.record(input, { trace: true });
+
+    const rerun = runHistoryService.rerun(original.id);
+
+    expect(rerun.id).not.toBe(original.id);
+    expect(rerun).toMatchObject({ rerunOf: original.id, options: { trace: true }, matchesOriginal: true });
+    expect(rerun.result.Trace).toBeDefined();
+    expect(store.list().total).toBe(2);
+
+    original.result.Battery = 40;
+    expect(runHistoryService.rerun(original.id).matchesOriginal).toBe(false);
+  });
+});
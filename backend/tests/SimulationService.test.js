@@ -1,4 +1,6 @@
 const simulationService = require('../src/services/SimulationService');
+const TerrainProperties = require('../src/models/TerrainProperties');
+const CommandScript = require('../src/models/CommandScript');
 
 describe('SimulationService', () => {
   describe('runSimulation', () => {
@@ -29,6 +31,247 @@ describe('SimulationService', () => {
         }
       });
     });
+
+    it('should include the execution trace when requested', () => {
+      const input = {
+        terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+        battery: 50,
+        commands: ['F', 'S', 'R', 'F'],
+        initialPosition: {
+          location: { x: 0, y: 0 },
+          facing: 'East'
+        }
+      };
+
+      const result = simulationService.runSimulation(input, { trace: true });
+
+      expect(result.Trace.map(step => step.Command)).toEqual(['F', 'S', 'R', 'F']);
+      expect(result.Trace[result.Trace.length - 1].BatteryAfter).toBe(result.Battery);
+    });
+  });
+
+  describe('cost model', () => {
+    const baseInput = {
+      terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+      battery: 50,
+      commands: ['F', 'S', 'R', 'F'],
+      initialPosition: {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }
+    };
+
+    it('should apply the cost model and echo it in the result', () => {
+      const result = simulationService.runSimulation({
+        ...baseInput,
+        costModel: { commands: { S: 4 } }
+      });
+
+      expect(result.Battery).toBe(38);
+      expect(result.CostModel).toEqual({
+        commands: { F: 3, B: 3, L: 2, R: 2, S: 4, E: 1 },
+        solarYield: 10
+      });
+    });
+
+    it('should not echo a cost model when none is provided', () => {
+      const result = simulationService.runSimulation(baseInput);
+
+      expect(result).not.toHaveProperty('CostModel');
+    });
+
+    it('should throw an error if the cost model is invalid', () => {
+      expect(() => {
+        simulationService.validateInput({ ...baseInput, costModel: 'cheap' });
+      }).toThrow('Cost model must be an object');
+
+      expect(() => {
+        simulationService.validateInput({ ...baseInput, costModel: { commands: { X: 1 } } });
+      }).toThrow('Cost model commands must be one of: F, B, L, R, S, E');
+
+      expect(() => {
+        simulationService.validateInput({ ...baseInput, costModel: { commands: { F: -1 } } });
+      }).toThrow('Cost of command F must be a non-negative number');
+
+      expect(() => {
+        simulationService.validateInput({ ...baseInput, costModel: { solarYield: 'lots' } });
+      }).toThrow('Solar yield must be a non-negative number');
+    });
+  });
+
+  describe('terrain properties', () => {
+    const baseInput = {
+      terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+      battery: 50,
+      commands: ['F', 'S', 'R', 'F'],
+      initialPosition: {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }
+    };
+
+    it('should apply terrain properties and echo them in the result', () => {
+      const result = simulationService.runSimulation({
+        ...baseInput,
+        terrainProperties: { Si: { moveCost: 2 } }
+      });
+
+      expect(result.Battery).toBe(32);
+      expect(result.TerrainProperties.Si).toEqual({
+        name: 'Silicon',
+        moveCost: 2,
+        sampleCost: 0,
+        solarCharging: true,
+        passable: true
+      });
+    });
+
+    it('should throw an error if the terrain properties are invalid', () => {
+      expect(() => {
+        simulationService.validateInput({ ...baseInput, terrainProperties: [] });
+      }).toThrow('Terrain properties must be an object');
+
+      expect(() => {
+        simulationService.validateInput({ ...baseInput, terrainProperties: { W: { moveCost: -2 } } });
+      }).toThrow('Move cost of terrain W must be a non-negative number');
+
+      expect(() => {
+        simulationService.validateInput({ ...baseInput, terrainProperties: { W: { solarCharging: 'no' } } });
+      }).toThrow('Solar charging of terrain W must be a boolean');
+    });
+
+    it('should reject terrain types that would reach Object.prototype', () => {
+      const terrainProperties = JSON.parse('{"__proto__": {"passable": false}, "constructor": {"moveCost": 1}}');
+
+      expect(simulationService.getValidationErrors({ ...baseInput, terrainProperties })).toEqual([
+        { path: 'terrainProperties.__proto__', code: 'invalid_value', message: '__proto__ cannot be used as a terrain type' },
+        { path: 'terrainProperties.constructor', code: 'invalid_value', message: 'constructor cannot be used as a terrain type' }
+      ]);
+      expect(new TerrainProperties(terrainProperties).isPassable('Fe')).toBe(true);
+      expect({}.passable).toBeUndefined();
+    });
+
+    it('should reject an initial position on impassable terrain', () => {
+      expect(() => {
+        simulationService.validateInput({ ...baseInput, terrainProperties: { Fe: { passable: false } } });
+      }).toThrow('Initial position cannot be an obstacle');
+    });
+  });
+
+  describe('backoff strategies', () => {
+    const baseInput = {
+      terrain: [['Fe', 'Obs', 'Se'], ['W', 'Si', 'Obs']],
+      battery: 50,
+      commands: ['F'],
+      initialPosition: {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }
+    };
+
+    it('should report the strategies and the attempts when strategies are given', () => {
+      const result = simulationService.runSimulation({
+        ...baseInput,
+        backoffStrategies: 'conservative'
+      });
+
+      expect(result.BackoffStrategies).toHaveLength(3);
+      expect(result.BackoffAttempts).toEqual([
+        { Strategy: 0, Commands: ['E', 'R', 'F'], Success: true }
+      ]);
+      expect(result.FinalPosition.Location).toEqual({ X: 0, Y: 1 });
+    });
+
+    it('should not report strategies when none are given', () => {
+      const result = simulationService.runSimulation(baseInput);
+
+      expect(result).not.toHaveProperty('BackoffStrategies');
+      expect(result).not.toHaveProperty('BackoffAttempts');
+    });
+
+    it('should throw an error if the backoff strategies are invalid', () => {
+      expect(() => {
+        simulationService.validateInput({ ...baseInput, backoffStrategies: 'reckless' });
+      }).toThrow('Backoff strategy preset must be one of: spec-default, conservative, none');
+
+      expect(() => {
+        simulationService.validateInput({ ...baseInput, backoffStrategies: { F: 1 } });
+      }).toThrow('Backoff strategies must be a preset name or an array of command lists');
+
+      expect(() => {
+        simulationService.validateInput({ ...baseInput, backoffStrategies: [['R', 'F'], []] });
+      }).toThrow('Backoff strategy 1 must be a non-empty array of commands');
+
+      expect(() => {
+        simulationService.validateInput({ ...baseInput, backoffStrategies: [['R', 'X']] });
+      }).toThrow('Backoff strategy 0 commands must be one of: F, B, L, R, S, E');
+    });
+  });
+
+  describe('fleet simulation', () => {
+    const fleetInput = {
+      terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+      robots: [
+        {
+          battery: 50,
+          commands: ['F', 'S'],
+          initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }
+        },
+        {
+          id: 'rover-b',
+          battery: 30,
+          commands: ['S'],
+          initialPosition: { location: { x: 0, y: 1 }, facing: 'North' }
+        }
+      ]
+    };
+
+    it('should return per-robot results and fleet totals', () => {
+      const result = simulationService.runSimulation(fleetInput);
+
+      expect(result.Robots).toEqual([
+        {
+          Id: 'robot-1',
+          VisitedCells: [{ X: 0, Y: 0 }, { X: 1, Y: 0 }],
+          SamplesCollected: ['Fe'],
+          Battery: 39,
+          FinalPosition: { Location: { X: 1, Y: 0 }, Facing: 'East' }
+        },
+        {
+          Id: 'rover-b',
+          VisitedCells: [{ X: 0, Y: 1 }],
+          SamplesCollected: ['W'],
+          Battery: 22,
+          FinalPosition: { Location: { X: 0, Y: 1 }, Facing: 'North' }
+        }
+      ]);
+      expect(result.Fleet).toEqual({
+        VisitedCells: [{ X: 0, Y: 0 }, { X: 1, Y: 0 }, { X: 0, Y: 1 }],
+        SamplesCollected: ['Fe', 'W'],
+        Battery: 61,
+        Ticks: 2
+      });
+    });
+
+    it('should throw an error if a robot of the fleet is invalid', () => {
+      expect(() => {
+        simulationService.validateInput({ ...fleetInput, robots: [] });
+      }).toThrow('Robots must be a non-empty array');
+
+      expect(() => {
+        simulationService.validateInput({
+          ...fleetInput,
+          robots: [fleetInput.robots[0], { ...fleetInput.robots[1], battery: -1 }]
+        });
+      }).toThrow('Robot 2: Battery must be a non-negative number');
+
+      expect(() => {
+        simulationService.validateInput({
+          ...fleetInput,
+          robots: [fleetInput.robots[0], fleetInput.robots[0]]
+        });
+      }).toThrow('Robot 2: Initial position is already occupied by another robot');
+    });
   });
 
   describe('validateInput', () => {
@@ -163,4 +406,197 @@ describe('SimulationService', () => {
       }).toThrow('Initial position cannot be an obstacle');
     });
   });
+
+  describe('command script', () => {
+    const baseInput = {
+      terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+      battery: 50,
+      initialPosition: {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }
+    };
+
+    it('should expand the script and return the expanded commands', () => {
+      const result = simulationService.runSimulation({
+        ...baseInput,
+        commandScript: 'F{probe}F',
+        macros: { probe: 'SR' }
+      });
+
+      expect(result.ExpandedCommands).toEqual(['F', 'S', 'R', 'F']);
+      expect(result.Battery).toBe(34);
+      expect(result.FinalPosition.Location).toEqual({ X: 1, Y: 1 });
+    });
+
+    it('should expand the scripts of fleet robots', () => {
+      const result = simulationService.runSimulation({
+        terrain: baseInput.terrain,
+        robots: [{ ...baseInput, commandScript: '2F' }]
+      });
+
+      expect(result.Robots[0].ExpandedCommands).toEqual(['F', 'F']);
+    });
+
+    it('should expand each script once, when validating it', () => {
+      const expand = jest.spyOn(CommandScript.prototype, 'expand');
+
+      try {
+        simulationService.runSimulation({
+          terrain: baseInput.terrain,
+          robots: [{ ...baseInput, commandScript: '2F' }, { ...baseInput, initialPosition: { location: { x: 1, y: 0 }, facing: 'East' }, commandScript: 'R' }]
+        });
+        expect(expand).toHaveBeenCalledTimes(2);
+      } finally {
+        expand.mockRestore();
+      }
+    });
+
+    it('should report script errors with their offset', () => {
+      const errors = simulationService.getValidationErrors({ ...baseInput, commandScript: 'FF(R' });
+
+      expect(errors).toEqual([
+        { path: 'commandScript', code: 'script_syntax', message: 'Unclosed "(" at offset 2', offset: 2 }
+      ]);
+    });
+
+    it('should reject a script together with commands', () => {
+      const errors = simulationService.getValidationErrors({ ...baseInput, commands: ['F'], commandScript: 'F' });
+
+      expect(errors.map(error => error.code)).toEqual(['conflict']);
+    });
+
+    it('should reject invalid macros', () => {
+      const errors = simulationService.getValidationErrors({
+        ...baseInput,
+        commandScript: 'F',
+        macros: { 'bad name': 'F', probe: 3 }
+      });
+
+      expect(errors.map(error => error.path)).toEqual(['macros.bad name', 'macros.probe']);
+    });
+  });
+
+  describe('runBatch', () => {
+    const validInput = {
+      terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+      battery: 50,
+      commands: ['F', 'S', 'R', 'F'],
+      initialPosition: {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }
+    };
+
+    it('should return per-item results and errors without failing the batch', () => {
+      const batch = simulationService.runBatch([
+        validInput,
+        { ...validInput, battery: -1 },
+        null
+      ]);
+
+      expect(batch.summary).toEqual({ total: 3, succeeded: 1, failed: 2 });
+      expect(batch.results[0]).toMatchObject({ index: 0, success: true, result: { Battery: 34 } });
+      expect(batch.results[1]).toEqual({
+        index: 1,
+        success: false,
+        error: 'Battery must be a non-negative number',
+        errors: [{ path: 'battery', code: 'invalid_value', message: 'Battery must be a non-negative number' }]
+      });
+      expect(batch.results[2]).toMatchObject({ index: 2, success: false, error: 'Input is required' });
+    });
+
+    it('should throw an error if the batch is not a non-empty array', () => {
+      expect(() => simulationService.runBatch({})).toThrow('Batch must be a non-empty array of simulation inputs');
+      expect(() => simulationService.runBatch([])).toThrow('Batch must be a non-empty array of simulation inputs');
+    });
+  });
+
+  describe('getValidationErrors', () => {
+    it('should return no errors for a valid input', () => {
+      expect(simulationService.getValidationErrors({
+        terrain: [['Fe', 'Fe'], ['W', 'Si']],
+        battery: 50,
+        commands: ['F'],
+        initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }
+      })).toEqual([]);
+    });
+
+    it('should collect every problem with its path and code', () => {
+      const errors = simulationService.getValidationErrors({
+        terrain: [['Fe', 'Fe'], ['W', 'Xx']],
+        battery: -5,
+        commands: ['F', 'Q', 'S', 'Z'],
+        initialPosition: { location: { x: 0, y: 0 }, facing: 'Up' }
+      });
+
+      expect(errors).toEqual([
+        { path: 'terrain[1][1]', code: 'unknown_terrain', message: 'Unknown terrain type "Xx" at (1, 1)' },
+        { path: 'battery', code: 'invalid_value', message: 'Battery must be a non-negative number' },
+        { path: 'commands[1]', code: 'invalid_command', message: 'Commands must be one of: F, B, L, R, S, E' },
+        { path: 'commands[3]', code: 'invalid_command', message: 'Commands must be one of: F, B, L, R, S, E' },
+        {
+          path: 'initialPosition.facing',
+          code: 'invalid_value',
+          message: 'Initial position must have a valid facing direction (North, South, East, West)'
+        }
+      ]);
+    });
+
+    it('should reject non-integer coordinates', () => {
+      const errors = simulationService.getValidationErrors({
+        terrain: [['Fe', 'Fe'], ['W', 'Si']],
+        battery: 50,
+        commands: ['F'],
+        initialPosition: { location: { x: 0.5, y: 1 }, facing: 'East' }
+      });
+
+      expect(errors).toEqual([
+        { path: 'initialPosition.location.x', code: 'not_integer', message: 'Initial position x must be an integer' }
+      ]);
+    });
+
+    it('should accept terrain types defined by terrain property overrides', () => {
+      const errors = simulationService.getValidationErrors({
+        terrain: [['Fe', 'Au']],
+        terrainProperties: { Au: { name: 'Gold', sampleCost: 2 } },
+        battery: 50,
+        commands: ['F'],
+        initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }
+      });
+
+      expect(errors).toEqual([]);
+    });
+
+    it('should prefix the paths of fleet robots', () => {
+      const errors = simulationService.getValidationErrors({
+        terrain: [['Fe', 'Fe'], ['W', 'Si']],
+        robots: [
+          { battery: 50, commands: ['F'], initialPosition: { location: { x: 0, y: 0 }, facing: 'East' } },
+          { battery: 50, commands: ['X'], initialPosition: { location: { x: 3, y: 0 }, facing: 'East' } }
+        ]
+      });
+
+      expect(errors.map(error => error.path)).toEqual([
+        'robots[1].commands[0]',
+        'robots[1].initialPosition.location'
+      ]);
+    });
+
+    it('should throw a ValidationError listing every problem', () => {
+      expect.assertions(3);
+      try {
+        simulationService.validateInput({
+          terrain: [['Fe']],
+          battery: 'full',
+          commands: [],
+          initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }
+        });
+      } catch (error) {
+        expect(error.name).toBe('ValidationError');
+        expect(error.errors.map(e => e.code)).toEqual(['invalid_value', 'invalid_type']);
+        expect(error.message).toBe('Battery must be a non-negative number; Commands must be a non-empty array');
+      }
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,152 @@
+const SimulationStream = require('../src/services/SimulationStream');
+const simulationStreamService = require('../src/services/SimulationStreamService');
+const simulationService = require('../src/services/SimulationService');
+const NotFoundError = require('../src/errors/NotFoundError');
+
+describe('SimulationStream', () => {
+  const input = {
+    terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+    battery: 50,
+    commands: ['F', 'S', 'R', 'F'],
+    initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }
+  };
+
+  const record = stream => {
+    const events = [];
+    for (const name of ['started', 'step', 'paused', 'resumed', 'done', 'cancelled']) {
+      stream.on(name, data => events.push({ name, data }));
+    }
+    return events;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should emit one step per command, one tick apart, then the result', () => {
+    const stream = new SimulationStream(input, { tickDelay: 100 });
+    const events = record(stream);
+
+    stream.start();
+    expect(events.map(({ name }) => name)).toEqual(['started']);
+    expect(events[0].data).toEqual({
+      TickDelay: 100,
+      CommandCount: 4,
+      Position: { X: 0, Y: 0 },
+      Facing: 'East',
+      Battery: 50
+    });
+
+    jest.advanceTimersByTime(100);
+    expect(events[1]).toEqual({
+      name: 'step',
+      data: {
+        Step: 1,
+        Command: 'F',
+        Reason: 'command',
+        BatteryBefore: 50,
+        BatteryAfter: 47,
+        Position: { X: 1, Y: 0 },
+        Facing: 'East',
+        Success: true,
+        Sample: null
+      }
+    });
+
+    jest.advanceTimersByTime(300);
+    expect(events[2].data).toMatchObject({ Command: 'S', Sample: 'Fe' });
+    expect(events[5]).toEqual({ name: 'done', data: simulationService.runSimulation(input) });
+    expect(stream.state).toBe('finished');
+  });
+
+  it('should report the backoff commands triggered by an obstacle', () => {
+    const stream = new SimulationStream({
+      ...input,
+      terrain: [['Fe', 'Obs', 'Se'], ['W', 'Si', 'Obs']],
+      commands: ['F']
+    });
+    const events = record(stream);
+
+    stream.start();
+    jest.runAllTimers();
+
+    const steps = events.filter(({ name }) => name === 'step').map(({ data }) => data);
+    expect(steps[0]).toMatchObject({ Command: 'F', Obstacle: true, BackoffStrategy: 0 });
+    expect(steps.slice(1).map(({ Command, Reason }) => `${Command}:${Reason}`)).toEqual(['E:backoff', 'R:backoff', 'F:backoff']);
+  });
+
+  it('should pause, resume and cancel', () => {
+    const stream = new SimulationStream(input, { tickDelay: 100 });
+    const events = record(stream);
+
+    stream.start();
+    jest.advanceTimersByTime(100);
+    expect(stream.pause()).toBe(true);
+    expect(stream.pause()).toBe(false);
+
+    jest.advanceTimersByTime(1000);
+    expect(events.map(({ name }) => name)).toEqual(['started', 'step', 'paused']);
+
+    stream.resume();
+    jest.advanceTimersByTime(100);
+    stream.cancel();
+    jest.runAllTimers();
+
+    expect(events.map(({ name }) => name)).toEqual(['started', 'step', 'paused', 'resumed', 'step', 'cancelled']);
+    expect(events[5].data).toMatchObject({ SamplesCollected: ['Fe'], Battery: 39 });
+    expect(stream.resume()).toBe(false);
+  });
+
+  describe('SimulationStreamService', () => {
+    it('should reject fleets and invalid tick delays along with input errors', () => {
+      expect.assertions(1);
+      try {
+        simulationStreamService.create({ terrain: input.terrain, robots: [] }, { tickDelay: 'fast' });
+      } catch (error) {
+        expect(error.errors.map(({ path }) => path)).toEqual(['robots', 'robots', 'tickDelay']);
+      }
+    });
+
+    it('should forget streams once they end', () => {
+      const { id, tickDelay, state } = simulationStreamService.create(input, { tickDelay: '0' });
+      expect({ tickDelay, state }).toEqual({ tickDelay: 0, state: 'pending' });
+
+      simulationStreamService.get(id).start();
+      expect(simulationStreamService.control(id, 'pause')).toEqual({ id, state: 'paused' });
+      expect(simulationStreamService.control(id, 'cancel')).toEqual({ id, state: 'cancelled' });
+      expect(() => simulationStreamService.get(id)).toThrow(NotFoundError);
+    });
+
+    it('should report streams that end without having started', () => {
+      const onUnused = jest.fn();
+      const dropped = simulationStreamService.create(input, { onUnused });
+      const cancelled = simulationStreamService.create(input, { onUnused });
+      const started = simulationStreamService.create(input, { onUnused });
+
+      simulationStreamService.control(cancelled.id, 'cancel');
+      simulationStreamService.get(started.id).start();
+      simulationStreamService.control(started.id, 'cancel');
+      expect(onUnused).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(60000);
+      expect(onUnused).toHaveBeenCalledTimes(2);
+      expect(() => simulationStreamService.get(dropped.id)).toThrow(NotFoundError);
+    });
+
+    it('should only hand a stream to its owner, or to a listener with its token', () => {
+      const { id, token } = simulationStreamService.create(input, { owner: '1a2b3c4d' });
+
+      expect(() => simulationStreamService.get(id)).toThrow(NotFoundError);
+      expect(() => simulationStreamService.control(id, 'pause', 'ffffffff')).toThrow(NotFoundError);
+      expect(() => simulationStreamService.connect(id, 'guess')).toThrow(NotFoundError);
+      expect(() => simulationStreamService.connect(id)).toThrow(NotFoundError);
+      expect(simulationStreamService.connect(id, token)).toBe(simulationStreamService.get(id, '1a2b3c4d'));
+
+      simulationStreamService.control(id, 'cancel', '1a2b3c4d');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const TerrainGenerator = require('../src/models/TerrainGenerator');
+const CoveragePlanner = require('../src/services/CoveragePlanner');
+const PathfindingService = require('../src/services/PathfindingService');
+const simulationService = require('../src/services/SimulationService');
+
+describe('TerrainGenerator', () => {
+  const countCells = (terrain, type) => terrain.flat().filter(cell => cell === type).length;
+
+  it('should always generate the same input from the same seed', () => {
+    const options = { seed: 1234, width: 15, height: 8, obstacleDensity: 0.2 };
+
+    const first = new TerrainGenerator(options).generate();
+    const second = new TerrainGenerator(options).generate();
+
+    expect(second).toEqual(first);
+    expect(new TerrainGenerator({ ...options, seed: 1235 }).generate().terrain).not.toEqual(first.terrain);
+  });
+
+  it('should accept string seeds', () => {
+    const first = new TerrainGenerator({ seed: 'olympus' }).generate();
+
+    expect(first.seed).toBe('olympus');
+    expect(new TerrainGenerator({ seed: 'olympus' }).generate()).toEqual(first);
+  });
+
+  it('should report the random seed it picked when none is given', () => {
+    const result = new TerrainGenerator({ width: 5, height: 5 }).generate();
+
+    expect(Number.isInteger(result.seed)).toBe(true);
+    expect(new TerrainGenerator({ width: 5, height: 5, seed: result.seed }).generate()).toEqual(result);
+  });
+
+  it('should generate a valid simulation input', () => {
+    const input = new TerrainGenerator({ seed: 7, width: 12, height: 9, battery: 80, commandCount: 25 }).generate();
+
+    expect(input.terrain).toHaveLength(9);
+    expect(input.terrain.every(row => row.length === 12)).toBe(true);
+    expect(input.battery).toBe(80);
+    expect(input.commands).toHaveLength(25);
+    expect(simulationService.getValidationErrors(input)).toEqual([]);
+  });
+
+  it('should follow the terrain type distribution', () => {
+    const { terrain } = new TerrainGenerator({
+      seed: 3,
+      width: 10,
+      height: 10,
+      distribution: { Fe: 1, W: 0 },
+      obstacleDensity: 0
+    }).generate();
+
+    expect(countCells(terrain, 'Fe')).toBe(100);
+  });
+
+  it('should place obstacles according to the density, never on the start', () => {
+    const { terrain, initialPosition } = new TerrainGenerator({
+      seed: 11,
+      width: 10,
+      height: 10,
+      obstacleDensity: 0.3,
+      connected: false
+    }).generate();
+
+    expect(countCells(terrain, 'Obs')).toBe(30);
+    expect(terrain[initialPosition.location.y][initialPosition.location.x]).not.toBe('Obs');
+  });
+
+  it('should keep every open cell reachable from the start when connected', () => {
+    for (const seed of [1, 2, 3, 4, 5]) {
+      const { terrain, initialPosition } = new TerrainGenerator({
+        seed,
+        width: 10,
+        height: 10,
+        obstacleDensity: 0.5
+      }).generate();
+      const start = { ...initialPosition.location, facing: initialPosition.facing };
+
+      const coverage = new CoveragePlanner(new PathfindingService(terrain)).plan(start, 1000);
+
+      expect(coverage.unreachableCells).toEqual([]);
+    }
+  });
+
+  it('should cluster terrain types into deposits', () => {
+    const countMatchingNeighbors = depositSize => {
+      const { terrain } = new TerrainGenerator({ seed: 5, width: 20, height: 20, obstacleDensity: 0, depositSize }).generate();
+      let matching = 0;
+      for (let y = 0; y < 20; y++) {
+        for (let x = 1; x < 20; x++) {
+          if (terrain[y][x] === terrain[y][x - 1]) matching++;
+        }
+      }
+      return matching;
+    };
+
+    expect(countMatchingNeighbors(10)).toBeGreaterThan(countMatchingNeighbors(1) * 2);
+  });
+});
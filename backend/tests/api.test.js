@@ -1,5 +1,10 @@
 const request = require('supertest');
 const app = require('../src/server');
+const runHistoryService = require('../src/services/RunHistoryService');
+const MemoryRunStore = require('../src/stores/MemoryRunStore');
+const apiKeyService = require('../src/services/ApiKeyService');
+const MemoryApiKeyStore = require('../src/stores/MemoryApiKeyStore');
+const logger = require('../src/logger');
 
 describe('API Endpoints', () => {
   describe('POST /api/simulation', () => {
@@ -35,6 +40,47 @@ describe('API Endpoints', () => {
       });
     });
 
+    it('should include the execution trace when the trace flag is set', async () => {
+      const input = {
+        terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+        battery: 50,
+        commands: ['F', 'S', 'R', 'F'],
+        initialPosition: {
+          location: { x: 0, y: 0 },
+          facing: 'East'
+        }
+      };
+
+      const response = await request(app)
+        .post('/api/simulation?trace=true')
+        .send(input)
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.Battery).toBe(34);
+      expect(response.body.Trace).toHaveLength(4);
+      expect(response.body.Trace[0]).toMatchObject({ Command: 'F', Reason: 'command' });
+    });
+
+    it('should run a fleet simulation', async () => {
+      const input = {
+        terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+        robots: [
+          { battery: 50, commands: ['F'], initialPosition: { location: { x: 0, y: 0 }, facing: 'East' } },
+          { battery: 50, commands: ['S'], initialPosition: { location: { x: 2, y: 0 }, facing: 'West' } }
+        ]
+      };
+
+      const response = await request(app)
+        .post('/api/simulation')
+        .send(input)
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.Robots).toHaveLength(2);
+      expect(response.body.Fleet.SamplesCollected).toEqual(['Se']);
+    });
+
     it('should return 400 with invalid input', async () => {
       const input = {
         terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
@@ -54,6 +100,614 @@ describe('API Endpoints', () => {
       expect(response.status).toBe(400);
       expect(response.body).toHaveProperty('error');
     });
+
+    it('should return every validation problem in the 400 body', async () => {
+      const input = {
+        terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+        battery: -10,
+        commands: ['F', 'X'],
+        initialPosition: {
+          location: { x: 2, y: 1 },
+          facing: 'East'
+        }
+      };
+
+      const response = await request(app)
+        .post('/api/simulation')
+        .send(input)
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { path: 'battery', code: 'invalid_value', message: 'Battery must be a non-negative number' },
+        { path: 'commands[1]', code: 'invalid_command', message: 'Commands must be one of: F, B, L, R, S, E' },
+        { path: 'initialPosition.location', code: 'obstacle', message: 'Initial position cannot be an obstacle' }
+      ]);
+    });
+  });
+
+  describe('POST /api/simulation/batch', () => {
+    it('should run every input of the batch', async () => {
+      const input = {
+        terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+        battery: 50,
+        commands: ['F', 'S', 'R', 'F'],
+        initialPosition: {
+          location: { x: 0, y: 0 },
+          facing: 'East'
+        }
+      };
+
+      const response = await request(app)
+        .post('/api/simulation/batch')
+        .send([input, { ...input, commands: ['X'] }])
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toEqual({ total: 2, succeeded: 1, failed: 1 });
+      expect(response.body.results[0].result.Battery).toBe(34);
+      expect(response.body.results[1].errors[0].path).toBe('commands[0]');
+    });
+
+    it('should return 400 when the body is not an array', async () => {
+      const response = await request(app)
+        .post('/api/simulation/batch')
+        .send({ terrain: [] })
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].code).toBe('invalid_type');
+    });
+  });
+
+  describe('/api/simulation/runs', () => {
+    const input = {
+      terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+      battery: 50,
+      commands: ['F', 'S', 'R', 'F'],
+      initialPosition: {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }
+    };
+
+    beforeEach(() => {
+      runHistoryService.setStore(new MemoryRunStore());
+    });
+
+    it('should store each simulation and return it by id', async () => {
+      const simulation = await request(app).post('/api/simulation').send(input);
+      const runId = simulation.headers['x-run-id'];
+
+      const response = await request(app).get(`/api/simulation/runs/${runId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ id: runId, outcome: 'success', input, result: simulation.body });
+    });
+
+    it('should list runs filtered by outcome', async () => {
+      await request(app).post('/api/simulation').send(input);
+      // Inputs the schema accepts but the simulation rejects are stored as failed runs
+      const rejected = await request(app).post('/api/simulation')
+        .send({ ...input, initialPosition: { location: { x: 9, y: 0 }, facing: 'East' } });
+
+      const response = await request(app).get('/api/simulation/runs?outcome=error');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ page: 1, pageSize: 20, total: 1 });
+      expect(response.body.runs[0].id).toBe(rejected.headers['x-run-id']);
+    });
+
+    it('should return 400 with invalid query values', async () => {
+      const response = await request(app).get('/api/simulation/runs?pageSize=0');
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].path).toBe('pageSize');
+    });
+
+    it('should rerun a stored run', async () => {
+      const simulation = await request(app).post('/api/simulation').send(input);
+
+      const response = await request(app).post(`/api/simulation/runs/${simulation.headers['x-run-id']}/rerun`);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ rerunOf: simulation.headers['x-run-id'], matchesOriginal: true });
+      expect(response.headers['x-run-id']).toBe(response.body.id);
+    });
+
+    it('should delete a run and return 404 for unknown runs', async () => {
+      const simulation = await request(app).post('/api/simulation').send(input);
+      const runId = simulation.headers['x-run-id'];
+
+      expect((await request(app).delete(`/api/simulation/runs/${runId}`)).status).toBe(204);
+      expect((await request(app).get(`/api/simulation/runs/${runId}`)).status).toBe(404);
+      expect((await request(app).delete(`/api/simulation/runs/${runId}`)).status).toBe(404);
+      expect((await request(app).post(`/api/simulation/runs/${runId}/rerun`)).status).toBe(404);
+    });
+  });
+
+  describe('/api/simulation/streams', () => {
+    const input = {
+      terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+      battery: 50,
+      commands: ['F', 'S'],
+      initialPosition: {
+        location: { x: 0, y: 0 },
+        facing: 'East'
+      }
+    };
+
+    it('should stream one event per command as Server-Sent Events', async () => {
+      const created = await request(app).post('/api/simulation/streams?tickDelay=0').send(input);
+      expect(created.status).toBe(201);
+      expect(created.body.eventsUrl).toMatch(new RegExp(`^/api/simulation/streams/${created.body.id}/events\\?token=[\\w-]+$`));
+
+      const response = await request(app).get(created.body.eventsUrl).buffer(true).parse((res, callback) => {
+        let text = '';
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => callback(null, text));
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch('text/event-stream');
+      const events = response.body.trim().split('\n\n').map(block => block.split('\n')[0]);
+      expect(events).toEqual(['event: started', 'event: step', 'event: step', 'event: done']);
+
+      const control = await request(app).post(`/api/simulation/streams/${created.body.id}/pause`);
+      expect(control.status).toBe(404);
+    });
+
+    it('should only stream events to a client with the stream token', async () => {
+      const created = await request(app).post('/api/simulation/streams').send(input);
+      const eventsPath = `/api/simulation/streams/${created.body.id}/events`;
+
+      const missing = await request(app).get(eventsPath);
+      const wrong = await request(app).get(`${eventsPath}?token=guess`);
+      await request(app).post(`/api/simulation/streams/${created.body.id}/cancel`);
+
+      expect(missing.status).toBe(400);
+      expect(missing.body.errors[0].path).toBe('token');
+      expect(wrong.status).toBe(404);
+    });
+
+    it('should return 400 with an invalid tick delay', async () => {
+      const response = await request(app).post('/api/simulation/streams?tickDelay=-5').send(input);
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].path).toBe('tickDelay');
+    });
+  });
+
+  describe('POST /api/pathfinding/path', () => {
+    it('should return a path to the target', async () => {
+      const response = await request(app)
+        .post('/api/pathfinding/path?simulate=true')
+        .send({
+          terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+          start: { x: 0, y: 0, facing: 'East' },
+          target: { x: 2, y: 0 },
+          battery: 50
+        })
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ commands: ['F', 'F'], battery: 44, success: true });
+      expect(response.body.simulation.FinalPosition.Location).toEqual({ X: 2, Y: 0 });
+    });
+
+    it('should return 400 with invalid input', async () => {
+      const response = await request(app)
+        .post('/api/pathfinding/path')
+        .send({ terrain: [['Fe']], start: { x: 0, y: 0, facing: 'East' }, battery: 10 })
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { path: 'target', code: 'required', message: 'Target position is required' }
+      ]);
+    });
+  });
+
+  describe('POST /api/pathfinding/path diagnostics', () => {
+    it('should explain a target that is not connected to the start', async () => {
+      const response = await request(app)
+        .post('/api/pathfinding/path')
+        .send({
+          terrain: [['Fe', 'Obs', 'Se']],
+          start: { x: 0, y: 0, facing: 'East' },
+          target: { x: 2, y: 0 },
+          battery: 50
+        })
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(false);
+      expect(response.body.diagnostics).toEqual({
+        reason: 'disconnected',
+        message: 'Target (2, 0) is not connected to the start (0, 0)',
+        targetConnected: false,
+        availableBattery: 50,
+        requiredBattery: null
+      });
+    });
+  });
+
+  describe('POST /api/pathfinding/alternatives', () => {
+    it('should return several distinct routes', async () => {
+      const response = await request(app)
+        .post('/api/pathfinding/alternatives')
+        .send({
+          terrain: [['Fe', 'Fe', 'Fe'], ['Fe', 'Obs', 'Fe'], ['Fe', 'Fe', 'Fe']],
+          start: { x: 0, y: 0, facing: 'East' },
+          target: { x: 2, y: 2 },
+          battery: 50,
+          count: 2
+        })
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.routes).toHaveLength(2);
+      expect(response.body.routes[1].difference).toBeGreaterThanOrEqual(0.3);
+    });
+  });
+
+  describe('POST /api/pathfinding/mission', () => {
+    it('should return a mission plan', async () => {
+      const response = await request(app)
+        .post('/api/pathfinding/mission')
+        .send({
+          terrain: [['Fe', 'Se']],
+          start: { x: 0, y: 0, facing: 'East' },
+          battery: 50,
+          simulate: true
+        })
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.simulation.SamplesCollected).toEqual(['Fe', 'Se']);
+    });
+
+    it('should explain unmet mission constraints', async () => {
+      const response = await request(app)
+        .post('/api/pathfinding/mission')
+        .send({
+          terrain: [['Fe', 'Se', 'Fe']],
+          start: { x: 0, y: 0, facing: 'East' },
+          battery: 50,
+          constraints: { samples: [{ type: 'Se' }], forbidden: [{ x: 1, y: 0 }] }
+        })
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(false);
+      expect(response.body.unmetConstraints[0].message)
+        .toBe('Requires 1 Se sample(s) but only 0 Se cell(s) can be reached');
+    });
+  });
+
+  describe('POST /api/pathfinding/coverage', () => {
+    it('should return a coverage plan', async () => {
+      const response = await request(app)
+        .post('/api/pathfinding/coverage')
+        .send({
+          terrain: [['Fe', 'Se'], ['Obs', 'W'], ['Fe', 'Obs']],
+          start: { x: 0, y: 0, facing: 'East' },
+          battery: 50
+        })
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.visitedCount).toBe(3);
+      expect(response.body.unreachableCells).toEqual([{ x: 0, y: 2 }]);
+    });
+  });
+
+  describe('POST /api/pathfinding/reachability', () => {
+    it('should return the energy needed to reach each cell', async () => {
+      const response = await request(app)
+        .post('/api/pathfinding/reachability')
+        .send({
+          terrain: [['Fe', 'Se'], ['Obs', 'W']],
+          start: { x: 0, y: 0, facing: 'East' },
+          battery: 4
+        })
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.cells[0][1]).toEqual({ energy: 3, reachable: true, requiresRecharge: false });
+      expect(response.body.cells[1][0]).toBeNull();
+      expect(response.body.cells[1][1].requiresRecharge).toBe(true);
+    });
+
+    it('should reject an invalid start', async () => {
+      const response = await request(app)
+        .post('/api/pathfinding/reachability')
+        .send({ terrain: [['Fe']], start: { x: 3, y: 0, facing: 'East' }, battery: 4 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].path).toBe('start');
+    });
+  });
+
+  describe('POST /api/pathfinding/navigate', () => {
+    it('should return the simulation with the discovered map and replans', async () => {
+      const response = await request(app)
+        .post('/api/pathfinding/navigate')
+        .send({
+          terrain: [['Fe', 'Fe', 'Fe'], ['Fe', 'Obs', 'Fe'], ['Fe', 'Fe', 'Fe']],
+          start: { x: 0, y: 0, facing: 'South' },
+          target: { x: 2, y: 2 },
+          battery: 50,
+          sensorRadius: 0
+        })
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.ReachedTarget).toBe(true);
+      expect(typeof response.body.Replans).toBe('number');
+      expect(response.body.DiscoveredMap[0][0]).toBe('Fe');
+    });
+
+    it('should reject a negative sensor radius', async () => {
+      const response = await request(app)
+        .post('/api/pathfinding/navigate')
+        .send({
+          terrain: [['Fe', 'Fe']],
+          start: { x: 0, y: 0, facing: 'East' },
+          target: { x: 1, y: 0 },
+          battery: 50,
+          sensorRadius: -1
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { path: 'sensorRadius', code: 'invalid_value', message: 'Sensor radius must be a non-negative integer' }
+      ]);
+    });
+  });
+
+  describe('GET /api/terrain/properties', () => {
+    it('should return the default terrain properties', async () => {
+      const response = await request(app).get('/api/terrain/properties');
+
+      expect(response.status).toBe(200);
+      expect(response.body.W).toMatchObject({ name: 'Water', passable: true });
+      expect(response.body.Obs).toMatchObject({ name: 'Obstacle', passable: false });
+    });
+  });
+
+  describe('POST /api/terrain/generate', () => {
+    it('should generate a simulation input that runs', async () => {
+      const response = await request(app)
+        .post('/api/terrain/generate')
+        .send({ seed: 'api', width: 6, height: 4 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.seed).toBe('api');
+      expect(response.body.terrain).toHaveLength(4);
+
+      const simulation = await request(app).post('/api/simulation').send(response.body);
+      expect(simulation.status).toBe(200);
+    });
+
+    it('should return 400 with every invalid option', async () => {
+      const response = await request(app)
+        .post('/api/terrain/generate')
+        .send({ width: 0, obstacleDensity: 2 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map(error => error.path)).toEqual(['width', 'obstacleDensity']);
+    });
+  });
+
+  describe('API keys', () => {
+    const input = {
+      terrain: [['Fe', 'Fe', 'Se'], ['W', 'Si', 'Obs']],
+      battery: 50,
+      commands: ['F', 'S'],
+      initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }
+    };
+    let key;
+
+    beforeEach(() => {
+      apiKeyService.setRequired(true);
+      apiKeyService.setStore(new MemoryApiKeyStore());
+      ({ key } = apiKeyService.createKey({ name: 'rovers', rateLimit: 3, dailyQuota: 2 }));
+    });
+
+    afterAll(() => {
+      apiKeyService.setRequired(false);
+      apiKeyService.setStore(new MemoryApiKeyStore());
+    });
+
+    it('should return 401 without a valid key', async () => {
+      const missing = await request(app).get('/api/terrain/properties');
+      const invalid = await request(app).get('/api/terrain/properties').set('X-API-Key', 'mrk_00000000_nope');
+
+      expect(missing.status).toBe(401);
+      expect(missing.body.code).toBe('missing_api_key');
+      expect(missing.headers['www-authenticate']).toBe('Bearer');
+      expect(invalid.status).toBe(401);
+      expect(invalid.body).toEqual({ error: 'The API key is invalid or has been revoked', code: 'invalid_api_key' });
+    });
+
+    it('should accept the key as a header or a Bearer token, until it is revoked', async () => {
+      const header = await request(app).get('/api/terrain/properties').set('X-API-Key', key);
+      const bearer = await request(app).get('/api/terrain/properties').set('Authorization', `Bearer ${key}`);
+      apiKeyService.revokeKey(apiKeyService.listKeys()[0].id);
+      const revoked = await request(app).get('/api/terrain/properties').set('X-API-Key', key);
+
+      expect(header.status).toBe(200);
+      expect(header.headers['x-ratelimit-limit']).toBe('3');
+      expect(header.headers['x-ratelimit-remaining']).toBe('2');
+      expect(bearer.status).toBe(200);
+      expect(revoked.status).toBe(401);
+    });
+
+    it('should return 503 rather than let requests through when there is no key store', async () => {
+      apiKeyService.setStore(new MemoryApiKeyStore());
+
+      const response = await request(app).get('/api/terrain/properties').set('X-API-Key', key);
+
+      expect(response.status).toBe(503);
+      expect(response.body).toEqual({ error: 'API keys cannot be checked at the moment', code: 'api_keys_unavailable' });
+    });
+
+    it('should return 429 once the rate limit is reached', async () => {
+      for (let index = 0; index < 3; index++) {
+        await request(app).get('/api/terrain/properties').set('X-API-Key', key);
+      }
+      const response = await request(app).get('/api/terrain/properties').set('X-API-Key', key);
+
+      expect(response.status).toBe(429);
+      expect(response.body).toMatchObject({ code: 'rate_limited', retryAfter: expect.any(Number) });
+      expect(response.body.error).toMatch(/^Rate limit of 3 requests per minute exceeded/);
+      expect(response.headers['retry-after']).toBe(String(response.body.retryAfter));
+    });
+
+    it('should count batch items against the daily quota of simulation runs', async () => {
+      const first = await request(app).post('/api/simulation').set('X-API-Key', key).send(input);
+      const batch = await request(app).post('/api/simulation/batch').set('X-API-Key', key).send([input, input]);
+      const second = await request(app).post('/api/simulation').set('X-API-Key', key).send(input);
+
+      expect(first.status).toBe(200);
+      expect(first.headers['x-quota-remaining']).toBe('1');
+      expect(batch.status).toBe(429);
+      expect(batch.body.code).toBe('quota_exceeded');
+      expect(second.status).toBe(200);
+      expect(second.headers['x-quota-remaining']).toBe('0');
+    });
+
+    it('should only count the simulation runs that happen against the daily quota', async () => {
+      const outside = { ...input, initialPosition: { location: { x: 9, y: 0 }, facing: 'East' } };
+
+      const rejected = await request(app).post('/api/simulation').set('X-API-Key', key).send(outside);
+      const batch = await request(app).post('/api/simulation/batch').set('X-API-Key', key).send([input, outside]);
+      const last = await request(app).post('/api/simulation').set('X-API-Key', key).send(input);
+
+      expect(rejected.status).toBe(400);
+      expect(batch.status).toBe(200);
+      expect(batch.body.summary).toMatchObject({ succeeded: 1, failed: 1 });
+      expect(last.status).toBe(200);
+      expect(last.headers['x-quota-remaining']).toBe('0');
+    });
+
+    it('should keep the health check, the API document and stream events public', async () => {
+      expect((await request(app).get('/health')).status).toBe(200);
+      expect((await request(app).get('/api/openapi.json')).status).toBe(200);
+      expect((await request(app).get('/api/simulation/streams/unknown/events?token=none')).status).toBe(404);
+    });
+
+    it('should give back the run of a stream nobody listened to', async () => {
+      const { key: streamKey } = apiKeyService.createKey({ name: 'streams', dailyQuota: 1 });
+      const created = await request(app).post('/api/simulation/streams').set('X-API-Key', streamKey).send(input);
+      await request(app).post(`/api/simulation/streams/${created.body.id}/cancel`).set('X-API-Key', streamKey);
+      const simulation = await request(app).post('/api/simulation').set('X-API-Key', streamKey).send(input);
+
+      expect(created.status).toBe(201);
+      expect(simulation.status).toBe(200);
+    });
+
+    it('should only let the key that ran a simulation see, re-run or delete it', async () => {
+      const { key: otherKey } = apiKeyService.createKey({ name: 'orbiters' });
+      const ran = await request(app).post('/api/simulation').set('X-API-Key', key).send(input);
+      const runPath = `/api/simulation/runs/${ran.headers['x-run-id']}`;
+
+      const list = await request(app).get('/api/simulation/runs').set('X-API-Key', otherKey);
+      const read = await request(app).get(runPath).set('X-API-Key', otherKey);
+      const rerun = await request(app).post(`${runPath}/rerun`).set('X-API-Key', otherKey);
+      const deleted = await request(app).delete(runPath).set('X-API-Key', otherKey);
+      const own = await request(app).get(runPath).set('X-API-Key', key);
+
+      expect(list.body.total).toBe(0);
+      expect([read.status, rerun.status, deleted.status]).toEqual([404, 404, 404]);
+      expect(own.status).toBe(200);
+      expect(own.body.owner).toBe(apiKeyService.listKeys()[0].id);
+    });
+
+    it('should only let the key that created a stream control it', async () => {
+      const { key: otherKey } = apiKeyService.createKey({ name: 'orbiters' });
+      const created = await request(app).post('/api/simulation/streams').set('X-API-Key', key).send(input);
+      const controlPath = `/api/simulation/streams/${created.body.id}/cancel`;
+
+      const other = await request(app).post(controlPath).set('X-API-Key', otherKey);
+      const owner = await request(app).post(controlPath).set('X-API-Key', key);
+
+      expect(other.status).toBe(404);
+      expect(owner.body).toEqual({ id: created.body.id, state: 'cancelled' });
+    });
+  });
+
+  describe('Request tracking', () => {
+    let lines;
+
+    beforeEach(() => {
+      lines = [];
+      logger.setLevel('info');
+      logger.setOutput(line => lines.push(JSON.parse(line)));
+    });
+
+    afterAll(() => {
+      logger.setLevel('silent');
+    });
+
+    it('should return a request id, keeping one sent by the client', async () => {
+      const generated = await request(app).get('/health');
+      const forwarded = await request(app).get('/health').set('X-Request-Id', 'edge-42');
+      const unsafe = await request(app).get('/health').set('X-Request-Id', 'a b');
+
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(forwarded.headers['x-request-id']).toBe('edge-42');
+      expect(unsafe.headers['x-request-id']).not.toBe('a b');
+    });
+
+    it('should log every request as JSON with its request id and route', async () => {
+      const response = await request(app).get('/api/simulation/runs/unknown?page=1');
+
+      expect(lines).toEqual([{
+        time: expect.any(String),
+        level: 'info',
+        message: 'Request completed',
+        requestId: response.headers['x-request-id'],
+        method: 'GET',
+        path: '/api/simulation/runs/unknown?page=1',
+        route: '/api/simulation/runs/{id}',
+        status: 404,
+        durationMs: expect.any(Number)
+      }]);
+    });
+
+    it('should keep stream tokens out of the logs', async () => {
+      await request(app).get('/api/simulation/streams/unknown/events?token=secret&x=1');
+
+      expect(lines[0].path).toBe('/api/simulation/streams/unknown/events?token=[redacted]&x=1');
+    });
+  });
+
+  describe('GET /metrics', () => {
+    it('should expose request and simulation metrics in the Prometheus format', async () => {
+      await request(app).get('/api/simulation/runs/unknown');
+      await request(app).get('/nowhere');
+      await request(app).post('/api/simulation').send({
+        terrain: [['Fe', 'Fe']],
+        battery: 10,
+        commands: ['F'],
+        initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }
+      });
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+      expect(response.text).toMatch(/^http_requests_total\{method="GET",route="\/api\/simulation\/runs\/\{id\}",status="404"\} \d+$/m);
+      expect(response.text).toMatch(/^http_requests_total\{method="GET",route="unmatched",status="404"\} \d+$/m);
+      expect(response.text).toMatch(/^http_request_duration_seconds_count\{method="POST",route="\/api\/simulation",status="200"\} \d+$/m);
+      expect(response.text).toMatch(/^mars_robot_simulations_total\{outcome="success"\} \d+$/m);
+      expect(response.text).toContain('mars_robot_simulation_commands_sum');
+      expect(response.text).toContain('mars_robot_backoff_activations_total');
+      expect(response.text).toContain('mars_robot_battery_exhausted_total');
+    });
   });
 
   describe('GET /health', () => {
@@ -0,0 +1,160 @@
+const express = require('express');
+const request = require('supertest');
+const app = require('../src/server');
+const document = require('../src/openapi/document');
+const { validate, schemaValidator } = require('../src/middleware/openApiValidation');
+const { authenticate } = require('../src/middleware/apiKeyAuth');
+
+// Every route of the app with the operation id its validation middleware checks
+function getRoutes(stack) {
+  return stack.flatMap(layer => {
+    if (layer.route) {
+      const middleware = layer.route.stack.find(routeLayer => routeLayer.handle.operationId);
+      return Object.keys(layer.route.methods).map(method => ({
+        path: layer.route.path,
+        method,
+        operationId: middleware ? middleware.handle.operationId : null,
+        authenticated: layer.route.stack.some(routeLayer => routeLayer.handle === authenticate)
+      }));
+    }
+    return layer.handle && layer.handle.stack ? getRoutes(layer.handle.stack) : [];
+  });
+}
+
+function getOperations() {
+  return Object.entries(document.paths).flatMap(([path, item]) =>
+    Object.entries(item).map(([method, operation]) => ({ path, method, operation })));
+}
+
+describe('API contract', () => {
+  describe('OpenAPI document', () => {
+    it('should be served at /api/openapi.json', async () => {
+      const response = await request(app).get('/api/openapi.json');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ openapi: '3.1.0', info: { title: 'Mars Robot Challenge API' } });
+    });
+
+    it('should compile every component schema', () => {
+      for (const name of Object.keys(document.components.schemas)) {
+        expect(() => schemaValidator.compile(`#/components/schemas/${name}`)).not.toThrow();
+      }
+    });
+
+    it('should document every route, and only routes that exist', () => {
+      const routes = getRoutes(app.router.stack);
+
+      expect(routes.filter(route => route.operationId === null)).toEqual([]);
+      expect(routes.map(route => route.operationId).sort())
+        .toEqual(getOperations().map(({ operation }) => operation.operationId).sort());
+
+      for (const route of routes) {
+        const { path, method } = schemaValidator.getOperation(route.operationId);
+        const routePath = route.path.replace(/:(\w+)/g, '{$1}').replace(/\/$/, '');
+        expect(method).toBe(route.method);
+        expect(path.endsWith(routePath)).toBe(true);
+      }
+    });
+
+    it('should require an API key exactly where the document says so', () => {
+      const isPublic = route => {
+        const { security } = schemaValidator.getOperation(route.operationId).operation;
+        return Array.isArray(security) && security.length === 0;
+      };
+      const mismatches = getRoutes(app.router.stack).filter(route => route.authenticated === isPublic(route));
+
+      expect(mismatches.map(route => route.operationId)).toEqual([]);
+    });
+
+    it.each(getOperations().map(({ path, method, operation }) => [operation.operationId, path, method, operation]))(
+      'should answer %s as documented',
+      async (operationId, path, method, operation) => {
+        const url = path.replace('{id}', 'unknown');
+        const requestBody = operation.requestBody && operation.requestBody.content['application/json'];
+        const example = requestBody ? requestBody.examples.sample.value : undefined;
+
+        let pending = request(app)[method](url);
+        if (example !== undefined) {
+          pending = pending.send(example);
+        }
+        const response = await pending;
+
+        expect(Object.keys(operation.responses)).toContain(String(response.status));
+        if (response.type === 'application/json') {
+          expect(schemaValidator.validateResponse(operationId, response.status, response.body)).toEqual([]);
+        }
+      }
+    );
+  });
+
+  describe('request validation', () => {
+    it('should reject requests the schema rejects but the service accepts', async () => {
+      const response = await request(app)
+        .post('/api/pathfinding/path')
+        .send({
+          terrain: [['Fe', 'Fe']],
+          start: { x: 0, y: 0, facing: 'East' },
+          target: { x: 1, y: 0 },
+          battery: 10,
+          simulate: 'yes'
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { path: 'simulate', code: 'invalid_type', message: 'simulate must be boolean' }
+      ]);
+    });
+
+    it('should validate query parameters', async () => {
+      const response = await request(app)
+        .post('/api/simulation?trace=yes')
+        .send({
+          terrain: [['Fe', 'Fe']],
+          battery: 10,
+          commands: ['F'],
+          initialPosition: { location: { x: 0, y: 0 }, facing: 'East' }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0]).toMatchObject({ path: 'trace', code: 'invalid_value' });
+    });
+
+    it('should leave requests the service rejects to the service', async () => {
+      const response = await request(app)
+        .post('/api/pathfinding/path')
+        .send({ terrain: [['Fe', 'Fe']], start: { x: 0, y: 0, facing: 'Up' }, battery: 10 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        {
+          path: 'start.facing',
+          code: 'invalid_value',
+          message: 'Start position must have a valid facing direction (North, South, East, West)'
+        },
+        { path: 'target', code: 'required', message: 'Target position is required' }
+      ]);
+    });
+  });
+
+  describe('response validation', () => {
+    it('should report responses that drift from the schema', () => {
+      expect(schemaValidator.validateResponse('getRun', 200, { id: 'run', outcome: 'maybe' })).toEqual(
+        expect.arrayContaining([
+          { path: 'timestamp', code: 'required', message: 'timestamp is required' },
+          { path: 'outcome', code: 'invalid_value', message: 'outcome must be equal to one of the allowed values' }
+        ])
+      );
+      expect(schemaValidator.validateResponse('getRun', 418, {})[0].code).toBe('undocumented_status');
+    });
+
+    it('should answer 500 in tests when a response does not match its schema', async () => {
+      const driftingApp = express();
+      driftingApp.get('/health', validate('getHealth'), (req, res) => res.status(200).json({ status: 'up' }));
+
+      const response = await request(driftingApp).get('/health');
+
+      expect(response.status).toBe(500);
+      expect(response.body.errors[0].path).toBe('status');
+    });
+  });
+});
@@ -1,34 +1,147 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import axios from 'axios';
 import './App.css';
 import SimulationForm from './components/SimulationForm';
 import SimulationResult from './components/SimulationResult';
 import TerrainVisualization from './components/TerrainVisualization';
+import LiveSimulation from './components/LiveSimulation';
+
+const LIVE_TICK_DELAY = 300;
 
 function App() {
   const [result, setResult] = useState(null);
   const [inputData, setInputData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [terrainProperties, setTerrainProperties] = useState(null);
+  const [reachability, setReachability] = useState(null);
+  const [liveRun, setLiveRun] = useState(null);
+  const eventSourceRef = useRef(null);
+
+  const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:12000';
+
+  useEffect(() => {
+    axios.get(`${apiUrl}/api/terrain/properties`)
+      .then(response => setTerrainProperties(response.data))
+      .catch(err => console.error('Error loading terrain properties:', err));
+  }, [apiUrl]);
+
+  useEffect(() => () => eventSourceRef.current?.close(), []);
+
+  const loadReachability = (formData) => {
+    const { location, facing } = formData.initialPosition;
+    axios.post(`${apiUrl}/api/pathfinding/reachability`, {
+      terrain: formData.terrain,
+      start: { x: location.x, y: location.y, facing },
+      battery: formData.battery
+    })
+      .then(response => setReachability(response.data))
+      .catch(err => console.error('Error loading reachability:', err));
+  };
 
   const handleSubmit = async (formData) => {
     setLoading(true);
     setError(null);
+    setValidationErrors([]);
     setInputData(formData);
-    
-    const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:12000';
+    setReachability(null);
+    setLiveRun(null);
     
     try {
       const response = await axios.post(`${apiUrl}/api/simulation`, formData);
       setResult(response.data);
+      loadReachability(formData);
     } catch (err) {
       console.error('Error running simulation:', err);
       setError(err.response?.data?.error || 'An error occurred while running the simulation');
+      setValidationErrors(err.response?.data?.errors || []);
     } finally {
       setLoading(false);
     }
   };
 
+  // Runs the simulation on the server one command per tick and follows it over Server-Sent Events
+  const handleStream = async (formData) => {
+    eventSourceRef.current?.close();
+    setError(null);
+    setValidationErrors([]);
+    setResult(null);
+    setReachability(null);
+    setInputData(formData);
+
+    let stream;
+    try {
+      const response = await axios.post(`${apiUrl}/api/simulation/streams?tickDelay=${LIVE_TICK_DELAY}`, formData);
+      stream = response.data;
+    } catch (err) {
+      console.error('Error starting live simulation:', err);
+      setError(err.response?.data?.error || 'An error occurred while starting the live simulation');
+      setValidationErrors(err.response?.data?.errors || []);
+      return;
+    }
+
+    const eventSource = new EventSource(`${apiUrl}${stream.eventsUrl}`);
+    eventSourceRef.current = eventSource;
+    const listen = (name, handler) => eventSource.addEventListener(name, event => handler(JSON.parse(event.data)));
+    const finish = (state) => (data) => {
+      eventSource.close();
+      setResult(data);
+      setLiveRun(run => ({ ...run, state }));
+      loadReachability(formData);
+    };
+
+    listen('started', data => setLiveRun({ id: stream.id, state: 'running', start: data, steps: [] }));
+    listen('step', step => setLiveRun(run => ({ ...run, steps: [...run.steps, step] })));
+    listen('paused', () => setLiveRun(run => ({ ...run, state: 'paused' })));
+    listen('resumed', () => setLiveRun(run => ({ ...run, state: 'running' })));
+    listen('done', finish('finished'));
+    listen('cancelled', finish('cancelled'));
+    eventSource.onerror = () => {
+      eventSource.close();
+      setLiveRun(run => (run && (run.state === 'running' || run.state === 'paused') ? { ...run, state: 'cancelled' } : run));
+    };
+  };
+
+  const controlStream = (action) => {
+    axios.post(`${apiUrl}/api/simulation/streams/${liveRun.id}/${action}`)
+      .catch(err => console.error(`Error sending ${action} to the live simulation:`, err));
+  };
+
+  // While a live run is in progress, the visualization follows its steps
+  const getLiveView = () => {
+    const { start, steps } = liveRun;
+    const visitedCells = [start.Position];
+    steps.forEach(({ Position }) => {
+      if (!visitedCells.some(cell => cell.X === Position.X && cell.Y === Position.Y)) {
+        visitedCells.push(Position);
+      }
+    });
+
+    const lastStep = steps[steps.length - 1];
+    return {
+      visitedCells,
+      finalPosition: lastStep
+        ? { Location: lastStep.Position, Facing: lastStep.Facing }
+        : { Location: start.Position, Facing: start.Facing }
+    };
+  };
+
+  const handleGenerate = async (options) => {
+    setError(null);
+    setValidationErrors([]);
+
+    try {
+      const response = await axios.post(`${apiUrl}/api/terrain/generate`, options);
+      return response.data;
+    } catch (err) {
+      console.error('Error generating terrain:', err);
+      setError(err.response?.data?.error || 'An error occurred while generating the terrain');
+      setValidationErrors(err.response?.data?.errors || []);
+      return null;
+    }
+  };
+
   return (
     <div className="App">
       <header className="App-header">
@@ -36,21 +149,54 @@ function App() {
       </header>
       
       <main className="App-main">
-        <SimulationForm onSubmit={handleSubmit} isLoading={loading} />
+        <SimulationForm
+          onSubmit={handleSubmit}
+          onStream={handleStream}
+          onGenerate={handleGenerate}
+          isLoading={loading}
+          errors={validationErrors}
+        />
         
         {error && (
           <div className="error-message">
             <h3>Error</h3>
-            <p>{error}</p>
+            {validationErrors.length > 0 ? (
+              <ul className="validation-errors">
+                {validationErrors.map((validationError, index) => (
+                  <li key={index}>
+                    <code>{validationError.path || 'input'}</code>: {validationError.message}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p>{error}</p>
+            )}
           </div>
         )}
         
+        {liveRun && !result && inputData && (
+          <TerrainVisualization
+            terrain={inputData.terrain}
+            {...getLiveView()}
+            terrainProperties={terrainProperties}
+          />
+        )}
+
+        <LiveSimulation
+          liveRun={liveRun}
+          onPause={() => controlStream('pause')}
+          onResume={() => controlStream('resume')}
+          onCancel={() => controlStream('cancel')}
+        />
+
         {result && inputData && (
           <>
             <TerrainVisualization 
               terrain={inputData.terrain} 
               visitedCells={result.VisitedCells} 
               finalPosition={result.FinalPosition} 
+              terrainProperties={result.TerrainProperties || terrainProperties}
+              reachability={reachability}
             />
             <SimulationResult result={result} />
           </>
@@ -0,0 +1,62 @@
+import React from 'react';
+import './LiveSimulation.css';
+
+const STATE_LABELS = {
+  running: 'Running',
+  paused: 'Paused',
+  finished: 'Finished',
+  cancelled: 'Cancelled'
+};
+
+const LiveSimulation = ({ liveRun, onPause, onResume, onCancel }) => {
+  if (!liveRun) return null;
+
+  const { state, steps, start } = liveRun;
+  const lastStep = steps[steps.length - 1];
+  const battery = lastStep ? lastStep.BatteryAfter : start.Battery;
+  const isActive = state === 'running' || state === 'paused';
+
+  const describeStep = (step) => {
+    const notes = [];
+    if (step.Reason !== 'command') notes.push(step.Reason);
+    if (step.Obstacle) notes.push(`obstacle, backoff strategy ${step.BackoffStrategy + 1}`);
+    if (step.Sample) notes.push(`sampled ${step.Sample}`);
+    if (!step.Success) notes.push('stopped');
+    return notes.length > 0 ? ` (${notes.join(', ')})` : '';
+  };
+
+  return (
+    <div className="live-simulation">
+      <h2>Live Simulation</h2>
+
+      <div className="live-status">
+        <span className={`live-state ${state}`}>{STATE_LABELS[state]}</span>
+        <span>Step {steps.length}</span>
+        <span>Battery {battery}</span>
+        <span>Tick {start.TickDelay} ms</span>
+      </div>
+
+      {isActive && (
+        <div className="live-controls">
+          {state === 'running' ? (
+            <button type="button" onClick={onPause}>Pause</button>
+          ) : (
+            <button type="button" onClick={onResume}>Resume</button>
+          )}
+          <button type="button" className="cancel" onClick={onCancel}>Cancel</button>
+        </div>
+      )}
+
+      <ol className="live-steps">
+        {steps.map(step => (
+          <li key={step.Step}>
+            <strong>{step.Command}</strong> at ({step.Position.X}, {step.Position.Y}) facing {step.Facing},
+            battery {step.BatteryBefore} → {step.BatteryAfter}{describeStep(step)}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default LiveSimulation;
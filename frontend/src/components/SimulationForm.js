@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import './SimulationForm.css';
 
-const SimulationForm = ({ onSubmit, isLoading }) => {
+const SimulationForm = ({ onSubmit, onStream, onGenerate, isLoading, errors = [] }) => {
   const [formData, setFormData] = useState({
     terrain: [
       ['Fe', 'Fe', 'Se'],
@@ -18,6 +18,20 @@ const SimulationForm = ({ onSubmit, isLoading }) => {
   const [terrainRows, setTerrainRows] = useState(2);
   const [terrainCols, setTerrainCols] = useState(3);
   const [commandsString, setCommandsString] = useState('F,S,R,F');
+  const [useCommandScript, setUseCommandScript] = useState(false);
+  const [commandScript, setCommandScript] = useState('FSRF');
+  const [seed, setSeed] = useState('');
+  const [obstacleDensity, setObstacleDensity] = useState(0.1);
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  // Matches validation errors reported for a path or any of its children
+  const hasError = (path) => errors.some(error =>
+    error.path === path ||
+    error.path.startsWith(`${path}[`) ||
+    error.path.startsWith(`${path}.`)
+  );
+
+  const errorClass = (...paths) => (paths.some(hasError) ? 'field-error' : undefined);
 
   const handleTerrainChange = (rowIndex, colIndex, value) => {
     const newTerrain = [...formData.terrain];
@@ -64,6 +78,8 @@ const SimulationForm = ({ onSubmit, isLoading }) => {
     
     if (name === 'battery') {
       setFormData({ ...formData, battery: parseInt(value, 10) });
+    } else if (name === 'commandScript') {
+      setCommandScript(value);
     } else if (name === 'commands') {
       setCommandsString(value);
       setFormData({ 
@@ -103,9 +119,41 @@ const SimulationForm = ({ onSubmit, isLoading }) => {
     }
   };
 
+  // Replaces the terrain and start position with a generated one of the current size;
+  // the seed the server used is kept so the same terrain can be generated again
+  const handleGenerate = async () => {
+    const trimmedSeed = seed.trim();
+    setIsGenerating(true);
+
+    const generated = await onGenerate({
+      seed: /^\d+$/.test(trimmedSeed) ? parseInt(trimmedSeed, 10) : trimmedSeed || undefined,
+      width: terrainCols,
+      height: terrainRows,
+      obstacleDensity
+    });
+
+    setIsGenerating(false);
+    if (generated) {
+      setSeed(String(generated.seed));
+      setFormData({
+        ...formData,
+        terrain: generated.terrain,
+        initialPosition: generated.initialPosition
+      });
+    }
+  };
+
+  const getInput = () => {
+    if (useCommandScript) {
+      const { commands, ...rest } = formData;
+      return { ...rest, commandScript };
+    }
+    return formData;
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(formData);
+    onSubmit(getInput());
   };
 
   const renderTerrainGrid = () => {
@@ -116,6 +164,7 @@ const SimulationForm = ({ onSubmit, isLoading }) => {
             {row.map((cell, colIndex) => (
               <div key={`cell-${rowIndex}-${colIndex}`} className="terrain-cell">
                 <select
+                  className={errorClass(`terrain[${rowIndex}][${colIndex}]`)}
                   value={cell}
                   onChange={(e) => handleTerrainChange(rowIndex, colIndex, e.target.value)}
                 >
@@ -165,6 +214,37 @@ const SimulationForm = ({ onSubmit, isLoading }) => {
             </div>
           </div>
           {renderTerrainGrid()}
+          {onGenerate && (
+            <div className="terrain-generator">
+              <div className="form-group">
+                <label>Seed:</label>
+                <input
+                  type="text"
+                  name="seed"
+                  className={errorClass('seed')}
+                  value={seed}
+                  onChange={(e) => setSeed(e.target.value)}
+                  placeholder="Random"
+                />
+              </div>
+              <div className="form-group">
+                <label>Obstacle density:</label>
+                <input
+                  type="number"
+                  name="obstacleDensity"
+                  className={errorClass('obstacleDensity')}
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={obstacleDensity}
+                  onChange={(e) => setObstacleDensity(parseFloat(e.target.value))}
+                />
+              </div>
+              <button type="button" onClick={handleGenerate} disabled={isLoading || isGenerating}>
+                {isGenerating ? 'Generating...' : 'Generate'}
+              </button>
+            </div>
+          )}
         </div>
 
         <div className="form-section">
@@ -174,6 +254,7 @@ const SimulationForm = ({ onSubmit, isLoading }) => {
             <input
               type="number"
               name="battery"
+              className={errorClass('battery')}
               min="0"
               value={formData.battery}
               onChange={handleInputChange}
@@ -182,17 +263,44 @@ const SimulationForm = ({ onSubmit, isLoading }) => {
           </div>
 
           <div className="form-group">
-            <label>Commands (comma-separated):</label>
-            <input
-              type="text"
-              name="commands"
-              value={commandsString}
-              onChange={handleInputChange}
-              placeholder="F,B,L,R,S,E"
-              required
-            />
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={useCommandScript}
+                onChange={(e) => setUseCommandScript(e.target.checked)}
+              />
+              Use command script
+            </label>
           </div>
 
+          {useCommandScript ? (
+            <div className="form-group">
+              <label>Command script (e.g. 3F, (FR)x4):</label>
+              <input
+                type="text"
+                name="commandScript"
+                className={errorClass('commandScript')}
+                value={commandScript}
+                onChange={handleInputChange}
+                placeholder="FF(RS)x2"
+                required
+              />
+            </div>
+          ) : (
+            <div className="form-group">
+              <label>Commands (comma-separated):</label>
+              <input
+                type="text"
+                name="commands"
+                className={errorClass('commands')}
+                value={commandsString}
+                onChange={handleInputChange}
+                placeholder="F,B,L,R,S,E"
+                required
+              />
+            </div>
+          )}
+
           <div className="form-group">
             <label>Initial Position:</label>
             <div className="position-inputs">
@@ -201,6 +309,7 @@ const SimulationForm = ({ onSubmit, isLoading }) => {
                 <input
                   type="number"
                   name="x"
+                  className={errorClass('initialPosition.location.x', 'initialPosition.location')}
                   min="0"
                   max={terrainCols - 1}
                   value={formData.initialPosition.location.x}
@@ -213,6 +322,7 @@ const SimulationForm = ({ onSubmit, isLoading }) => {
                 <input
                   type="number"
                   name="y"
+                  className={errorClass('initialPosition.location.y', 'initialPosition.location')}
                   min="0"
                   max={terrainRows - 1}
                   value={formData.initialPosition.location.y}
@@ -224,6 +334,7 @@ const SimulationForm = ({ onSubmit, isLoading }) => {
                 <label>Facing:</label>
                 <select
                   name="facing"
+                  className={errorClass('initialPosition.facing')}
                   value={formData.initialPosition.facing}
                   onChange={handleInputChange}
                   required
@@ -241,6 +352,11 @@ const SimulationForm = ({ onSubmit, isLoading }) => {
         <button type="submit" disabled={isLoading}>
           {isLoading ? 'Running Simulation...' : 'Run Simulation'}
         </button>
+        {onStream && (
+          <button type="button" className="live-button" disabled={isLoading} onClick={() => onStream(getInput())}>
+            Run Live
+          </button>
+        )}
       </form>
     </div>
   );
@@ -42,6 +42,15 @@ const SimulationResult = ({ result }) => {
         </div>
       </div>
       
+      {result.ExpandedCommands && (
+        <div className="result-section">
+          <h3>Executed Commands</h3>
+          <div className="result-data">
+            <p>{result.ExpandedCommands.join(', ')}</p>
+          </div>
+        </div>
+      )}
+      
       <div className="result-section">
         <h3>Visited Cells</h3>
         <div className="result-data">
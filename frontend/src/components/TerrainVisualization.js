@@ -1,9 +1,39 @@
-import React from 'react';
+import React, { useState } from 'react';
 import './TerrainVisualization.css';
 
-const TerrainVisualization = ({ terrain, visitedCells, finalPosition }) => {
+// Copy of the backend's default table (backend/src/models/TerrainProperties.js),
+// for the legend until /api/terrain/properties answers, or when it fails
+const DEFAULT_TERRAIN_PROPERTIES = {
+  Fe: { name: 'Ferrum', moveCost: 0, sampleCost: 0, solarCharging: true, passable: true },
+  Se: { name: 'Selenium', moveCost: 0, sampleCost: 0, solarCharging: true, passable: true },
+  W: { name: 'Water', moveCost: 0, sampleCost: 0, solarCharging: true, passable: true },
+  Si: { name: 'Silicon', moveCost: 0, sampleCost: 0, solarCharging: true, passable: true },
+  Zn: { name: 'Zinc', moveCost: 0, sampleCost: 0, solarCharging: true, passable: true },
+  Obs: { name: 'Obstacle', moveCost: 0, sampleCost: 0, solarCharging: false, passable: false }
+};
+
+const describeTerrain = (properties) => {
+  const details = [];
+  if (!properties.passable) return details;
+  if (properties.moveCost > 0) details.push(`+${properties.moveCost} to enter`);
+  if (properties.sampleCost > 0) details.push(`+${properties.sampleCost} to sample`);
+  if (!properties.solarCharging) details.push('no solar charging');
+  return details;
+};
+
+// Green for cells that are cheap to reach, red for the most expensive ones
+const getHeatColor = (energy, maxEnergy) => {
+  const ratio = maxEnergy > 0 ? energy / maxEnergy : 0;
+  return `hsl(${Math.round(120 * (1 - ratio))}, 70%, 55%)`;
+};
+
+const TerrainVisualization = ({ terrain, visitedCells, finalPosition, terrainProperties, reachability }) => {
+  const [showHeatmap, setShowHeatmap] = useState(false);
+
   if (!terrain || !visitedCells || !finalPosition) return null;
 
+  const heatmap = showHeatmap && reachability ? reachability : null;
+
   const visitedCellsMap = {};
   visitedCells.forEach(cell => {
     visitedCellsMap[`${cell.X},${cell.Y}`] = true;
@@ -31,13 +61,43 @@ const TerrainVisualization = ({ terrain, visitedCells, finalPosition }) => {
     
     if (isVisited) classes.push('visited');
     if (isFinal) classes.push('final');
+
+    const heat = heatmap && heatmap.cells[rowIndex][colIndex];
+    if (heat && !heat.reachable) classes.push('unreachable');
+    if (heat && heat.requiresRecharge) classes.push('requires-recharge');
     
     return classes.join(' ');
   };
 
+  const getCellStyle = (rowIndex, colIndex) => {
+    const heat = heatmap && heatmap.cells[rowIndex][colIndex];
+    if (!heat || !heat.reachable) return undefined;
+    return { backgroundColor: getHeatColor(heat.energy, heatmap.maxEnergy) };
+  };
+
+  const getCellTitle = (rowIndex, colIndex, terrainType) => {
+    const title = `(${colIndex}, ${rowIndex}) - ${terrainType}`;
+    const heat = heatmap && heatmap.cells[rowIndex][colIndex];
+    if (!heat) return title;
+    if (heat.energy === null) return `${title} - not connected to the start`;
+    return `${title} - ${heat.energy} energy to reach` +
+      (heat.requiresRecharge ? ', requires recharging' : '') +
+      (heat.reachable ? '' : ', unreachable');
+  };
+
   return (
     <div className="terrain-visualization">
       <h2>Terrain Visualization</h2>
+      {reachability && (
+        <label className="heatmap-toggle">
+          <input
+            type="checkbox"
+            checked={showHeatmap}
+            onChange={(e) => setShowHeatmap(e.target.checked)}
+          />
+          Show reachability heatmap (minimum energy from the start position)
+        </label>
+      )}
       <div className="terrain-viz-grid">
         {terrain.map((row, rowIndex) => (
           <div key={`viz-row-${rowIndex}`} className="terrain-viz-row">
@@ -45,10 +105,14 @@ const TerrainVisualization = ({ terrain, visitedCells, finalPosition }) => {
               <div 
                 key={`viz-cell-${rowIndex}-${colIndex}`} 
                 className={getCellClass(rowIndex, colIndex, cell)}
-                title={`(${colIndex}, ${rowIndex}) - ${cell}`}
+                style={getCellStyle(rowIndex, colIndex)}
+                title={getCellTitle(rowIndex, colIndex, cell)}
               >
                 <div className="cell-content">
                   <span className="terrain-type">{cell}</span>
+                  {heatmap && heatmap.cells[rowIndex][colIndex] && heatmap.cells[rowIndex][colIndex].energy !== null && (
+                    <span className="cell-energy">{heatmap.cells[rowIndex][colIndex].energy}</span>
+                  )}
                   {rowIndex === finalY && colIndex === finalX && (
                     <span className="robot-position">{getArrow(facing)}</span>
                   )}
@@ -62,30 +126,18 @@ const TerrainVisualization = ({ terrain, visitedCells, finalPosition }) => {
       <div className="terrain-legend">
         <h3>Legend</h3>
         <div className="legend-items">
-          <div className="legend-item">
-            <div className="legend-color terrain-type-fe"></div>
-            <span>Fe - Ferrum</span>
-          </div>
-          <div className="legend-item">
-            <div className="legend-color terrain-type-se"></div>
-            <span>Se - Selenium</span>
-          </div>
-          <div className="legend-item">
-            <div className="legend-color terrain-type-w"></div>
-            <span>W - Water</span>
-          </div>
-          <div className="legend-item">
-            <div className="legend-color terrain-type-si"></div>
-            <span>Si - Silicon</span>
-          </div>
-          <div className="legend-item">
-            <div className="legend-color terrain-type-zn"></div>
-            <span>Zn - Zinc</span>
-          </div>
-          <div className="legend-item">
-            <div className="legend-color terrain-type-obs"></div>
-            <span>Obs - Obstacle</span>
-          </div>
+          {Object.entries(terrainProperties || DEFAULT_TERRAIN_PROPERTIES).map(([type, properties]) => {
+            const details = describeTerrain(properties);
+            return (
+              <div key={`legend-${type}`} className="legend-item">
+                <div className={`legend-color terrain-type-${type.toLowerCase()}`}></div>
+                <span>
+                  {type} - {properties.name}
+                  {details.length > 0 && ` (${details.join(', ')})`}
+                </span>
+              </div>
+            );
+          })}
           <div className="legend-item">
             <div className="legend-color visited"></div>
             <span>Visited Cell</span>
@@ -96,6 +148,22 @@ const TerrainVisualization = ({ terrain, visitedCells, finalPosition }) => {
             </div>
             <span>Robot Position</span>
           </div>
+          {heatmap && (
+            <>
+              <div className="legend-item">
+                <div className="legend-color heatmap-scale"></div>
+                <span>Energy to reach: 0 - {heatmap.maxEnergy}</span>
+              </div>
+              <div className="legend-item">
+                <div className="legend-color requires-recharge"></div>
+                <span>Requires recharging</span>
+              </div>
+              <div className="legend-item">
+                <div className="legend-color unreachable"></div>
+                <span>Unreachable</span>
+              </div>
+            </>
+          )}
         </div>
       </div>
     </div>